@@ -0,0 +1,45 @@
+// Import RhinoCommon namespaces
+using Rhino;
+using Rhino.Commands;
+using Rhino.Input;
+
+// Namespace
+namespace rhino_plugin
+{
+    // Set the host and port the McAtlas server listens on (saved with the plugin settings)
+    // The app's Rhino Connection section (side panel) must use the same address
+    public class McAtlasServer : Command
+    {
+        public McAtlasServer()
+        {
+            Instance = this;
+        }
+
+        public static McAtlasServer Instance { get; private set; }
+
+        public override string EnglishName => "McAtlasServer";
+
+        protected override Result RunCommand(RhinoDoc doc, RunMode mode)
+        {
+            var plugin = rhino_pluginPlugin.Instance;
+
+            string host = plugin.ServerHost;
+            var result = RhinoGet.GetString("Server host", true, ref host);
+            if (result != Result.Success) return result;
+
+            host = host.Trim();
+            if (host.Length == 0 || host.Contains("/") || host.Contains(":"))
+            {
+                RhinoApp.WriteLine("Enter a host name or IP address, e.g. localhost");
+                return Result.Failure;
+            }
+
+            int port = plugin.ServerPort;
+            result = RhinoGet.GetInteger("Server port", true, ref port, 1, 65535);
+            if (result != Result.Success) return result;
+
+            plugin.SetServerAddress(host, port);
+            return Result.Success;
+        }
+    }
+}
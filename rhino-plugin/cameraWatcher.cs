@@ -0,0 +1,92 @@
+// Import C# namespaces
+using System;
+
+// Import RhinoCommon namespaces
+using Rhino;
+using Rhino.Display;
+
+// Namespace
+namespace rhino_plugin
+{
+    // Pushes the active viewport's camera to Tauri while orbiting (Cesium live-follow)
+    public class CameraWatcher
+    {
+        private readonly SimpleHttpServer _server;
+        private readonly object _pendingLock = new object();
+        private string _pendingCameraJson;
+        private System.Threading.Timer _flushTimer;
+        private bool _flushScheduled;
+        private bool _isWatching;
+
+        // At most one push per interval - Cesium follows smoothly without flooding the stream
+        private const int ThrottleMs = 100;
+
+        public CameraWatcher(SimpleHttpServer server)
+        {
+            _server = server;
+        }
+
+        // Subscribe to view changes
+        public void Start()
+        {
+            if (_isWatching) return;
+
+            _flushTimer = new System.Threading.Timer(_ => Flush(), null,
+                System.Threading.Timeout.Infinite, System.Threading.Timeout.Infinite);
+
+            RhinoView.Modified += OnViewModified;
+
+            _isWatching = true;
+            RhinoApp.WriteLine("[McAtlas] Watching the active viewport for camera follow");
+        }
+
+        // Unsubscribe from view changes
+        public void Stop()
+        {
+            if (!_isWatching) return;
+
+            RhinoView.Modified -= OnViewModified;
+
+            _flushTimer?.Dispose();
+            _isWatching = false;
+        }
+
+        // Runs on the UI thread - read the camera here, push it from the timer
+        private void OnViewModified(object sender, ViewEventArgs e)
+        {
+            var view = e.View;
+            var doc = view?.Document;
+            if (doc == null || view != doc.Views.ActiveView) return;
+            if (!doc.EarthAnchorPoint.EarthLocationIsSet()) return;
+
+            string cameraJson = _server.GetCameraJson(doc, view.ActiveViewport);
+
+            lock (_pendingLock)
+            {
+                _pendingCameraJson = cameraJson;
+                if (_flushScheduled) return;
+                _flushScheduled = true;
+            }
+
+            // Throttle (not debounce) so Cesium keeps moving during a long orbit
+            _flushTimer?.Change(ThrottleMs, System.Threading.Timeout.Infinite);
+        }
+
+        // Push the latest camera as a "camera-changed" event
+        private void Flush()
+        {
+            string cameraJson;
+            lock (_pendingLock)
+            {
+                cameraJson = _pendingCameraJson;
+                _pendingCameraJson = null;
+                _flushScheduled = false;
+            }
+
+            if (cameraJson != null)
+            {
+                _server.BroadcastEvent("camera-changed", cameraJson);
+            }
+        }
+    }
+}
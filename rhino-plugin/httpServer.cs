@@ -24,22 +24,37 @@ namespace rhino_plugin
         private HttpListener _listener;
         private bool _isRunning;
 
-        // Start the HTTP server
-        public void Start()
+        // Open Server-Sent Events streams (live push to Tauri)
+        private readonly List<HttpListenerResponse> _eventClients = new List<HttpListenerResponse>();
+        private readonly object _eventLock = new object();
+        private System.Threading.Timer _heartbeatTimer;
+        private const int HeartbeatIntervalMs = 10000;
+
+        // True while we are exporting - our own attribute edits must not trigger a re-sync
+        public bool IsExporting { get; private set; }
+
+        // Start the HTTP server on host:port (plugin settings, see McAtlasServer)
+        public void Start(string host, int port)
         {
             if (_isRunning) return;
 
             try
             {
-                _listener = new HttpListener();
-                _listener.Prefixes.Add("http://localhost:8080/");
-                _listener.Start();
+                var listener = new HttpListener();
+                listener.Prefixes.Add($"http://{host}:{port}/");
+                listener.Start();
+                _listener = listener;
                 _isRunning = true;
 
                 // Start listening in background
-                Task.Run(() => Listen());
+                Task.Run(() => Listen(listener));
 
-                RhinoApp.WriteLine("McAtlas server started on http://localhost:8080");
+                // Heartbeat keeps event streams alive and lets Tauri detect a dead connection
+                _heartbeatTimer = new System.Threading.Timer(
+                    _ => BroadcastEvent("heartbeat", "{}"),
+                    null, HeartbeatIntervalMs, HeartbeatIntervalMs);
+
+                RhinoApp.WriteLine($"McAtlas server started on http://{host}:{port}");
             }
             catch (Exception ex)
             {
@@ -47,19 +62,19 @@ namespace rhino_plugin
             }
         }
 
-        // Listen for incoming requests
-        private async void Listen()
+        // Listen for incoming requests (until stopped, or restarted on another address)
+        private async void Listen(HttpListener listener)
         {
-            while (_isRunning)
+            while (_isRunning && listener == _listener)
             {
                 try
                 {
-                    var context = await _listener.GetContextAsync();
+                    var context = await listener.GetContextAsync();
                     await HandleRequest(context);
                 }
                 catch (Exception ex)
                 {
-                    if (_isRunning)
+                    if (_isRunning && listener == _listener)
                     {
                         RhinoApp.WriteLine($"Server error: {ex.Message}");
                     }
@@ -86,6 +101,13 @@ namespace rhino_plugin
                 return;
             }
 
+            // Handle event stream request - keep the response open, don't close it below
+            if (request.Url.AbsolutePath == "/events")
+            {
+                OpenEventStream(response);
+                return;
+            }
+
             // Handle export geometry request
             if (request.Url.AbsolutePath == "/export-geometry")
             {
@@ -104,8 +126,10 @@ namespace rhino_plugin
             {
                 using (var reader = new StreamReader(request.InputStream))
                 {
+                    // Tauri batches log lines - one command history line each
                     string message = await reader.ReadToEndAsync();
-                    RhinoApp.WriteLine($"[Tauri] {message}");
+                    foreach (var line in message.Split(new[] { '\n' }, StringSplitOptions.RemoveEmptyEntries))
+                        RhinoApp.WriteLine($"[Tauri] {line.TrimEnd('\r')}");
                 }
                 response.StatusCode = 200;
             }
@@ -139,6 +163,88 @@ namespace rhino_plugin
                     await response.OutputStream.WriteAsync(buffer, 0, buffer.Length);
                 }
             }
+            // Handle import terrain mesh request
+            else if (request.Url.AbsolutePath == "/import-terrain-mesh" && request.HttpMethod == "POST")
+            {
+                using (var reader = new StreamReader(request.InputStream))
+                {
+                    string json = await reader.ReadToEndAsync();
+                    string result = ImportTerrainMesh(json);
+
+                    byte[] buffer = Encoding.UTF8.GetBytes(result);
+                    response.ContentType = "application/json";
+                    response.ContentLength64 = buffer.Length;
+                    response.StatusCode = 200;
+                    await response.OutputStream.WriteAsync(buffer, 0, buffer.Length);
+                }
+            }
+            // Handle add clipping polygons request
+            else if (request.Url.AbsolutePath == "/add-clip-polygons" && request.HttpMethod == "POST")
+            {
+                using (var reader = new StreamReader(request.InputStream))
+                {
+                    string json = await reader.ReadToEndAsync();
+                    string result = AddClipPolygons(json);
+
+                    byte[] buffer = Encoding.UTF8.GetBytes(result);
+                    response.ContentType = "application/json";
+                    response.ContentLength64 = buffer.Length;
+                    response.StatusCode = 200;
+                    await response.OutputStream.WriteAsync(buffer, 0, buffer.Length);
+                }
+            }
+            // Handle get camera request (active viewport, for matching in Cesium)
+            else if (request.Url.AbsolutePath == "/camera")
+            {
+                string result = GetCamera();
+
+                byte[] buffer = Encoding.UTF8.GetBytes(result);
+                response.ContentType = "application/json";
+                response.ContentLength64 = buffer.Length;
+                response.StatusCode = 200;
+                await response.OutputStream.WriteAsync(buffer, 0, buffer.Length);
+            }
+            // Handle set camera request (Cesium camera -> active viewport)
+            else if (request.Url.AbsolutePath == "/set-camera" && request.HttpMethod == "POST")
+            {
+                using (var reader = new StreamReader(request.InputStream))
+                {
+                    string json = await reader.ReadToEndAsync();
+                    string result = SetCamera(json);
+
+                    byte[] buffer = Encoding.UTF8.GetBytes(result);
+                    response.ContentType = "application/json";
+                    response.ContentLength64 = buffer.Length;
+                    response.StatusCode = 200;
+                    await response.OutputStream.WriteAsync(buffer, 0, buffer.Length);
+                }
+            }
+            // Handle get project request (McAtlas project referenced by the active Rhino file)
+            else if (request.Url.AbsolutePath == "/project")
+            {
+                string result = GetProject();
+
+                byte[] buffer = Encoding.UTF8.GetBytes(result);
+                response.ContentType = "application/json";
+                response.ContentLength64 = buffer.Length;
+                response.StatusCode = 200;
+                await response.OutputStream.WriteAsync(buffer, 0, buffer.Length);
+            }
+            // Handle set project request
+            else if (request.Url.AbsolutePath == "/set-project" && request.HttpMethod == "POST")
+            {
+                using (var reader = new StreamReader(request.InputStream))
+                {
+                    string json = await reader.ReadToEndAsync();
+                    string result = SetProject(json);
+
+                    byte[] buffer = Encoding.UTF8.GetBytes(result);
+                    response.ContentType = "application/json";
+                    response.ContentLength64 = buffer.Length;
+                    response.StatusCode = 200;
+                    await response.OutputStream.WriteAsync(buffer, 0, buffer.Length);
+                }
+            }
             else
             {
                 // Unknown endpoint
@@ -148,6 +254,54 @@ namespace rhino_plugin
             response.Close();
         }
 
+        // Register a new Server-Sent Events client
+        private void OpenEventStream(HttpListenerResponse response)
+        {
+            response.ContentType = "text/event-stream";
+            response.SendChunked = true;
+            response.AddHeader("Cache-Control", "no-cache");
+            response.StatusCode = 200;
+
+            lock (_eventLock)
+            {
+                // Tell the browser how long to wait before its own reconnect attempt
+                if (WriteEvent(response, "retry: 2000\n\n"))
+                {
+                    _eventClients.Add(response);
+                    RhinoApp.WriteLine($"[McAtlas] Live sync client connected ({_eventClients.Count} open)");
+                }
+            }
+        }
+
+        // Push a named event with a JSON payload to every connected client
+        public void BroadcastEvent(string eventName, string dataJson)
+        {
+            string message = $"event: {eventName}\ndata: {dataJson}\n\n";
+
+            lock (_eventLock)
+            {
+                // Drop clients whose connection has gone away
+                _eventClients.RemoveAll(client => !WriteEvent(client, message));
+            }
+        }
+
+        // Write raw SSE text to a client, returns false if the connection is dead
+        private bool WriteEvent(HttpListenerResponse response, string message)
+        {
+            try
+            {
+                byte[] buffer = Encoding.UTF8.GetBytes(message);
+                response.OutputStream.Write(buffer, 0, buffer.Length);
+                response.OutputStream.Flush();
+                return true;
+            }
+            catch (Exception)
+            {
+                try { response.Abort(); } catch (Exception) { }
+                return false;
+            }
+        }
+
         // Wrapper: run export on Rhino UI thread and return JSON
         private string GetGeometryJson()
         {
@@ -155,7 +309,15 @@ namespace rhino_plugin
 
             RhinoApp.InvokeOnUiThread((Action)(() =>
             {
-                result = GetGeometryJsonInternal();
+                IsExporting = true;
+                try
+                {
+                    result = GetGeometryJsonInternal();
+                }
+                finally
+                {
+                    IsExporting = false;
+                }
             }));
 
             if (string.IsNullOrEmpty(result))
@@ -202,7 +364,117 @@ namespace rhino_plugin
             return index;
         }
 
-        // Export cesium_massing layer to GLB and cesium_clip layer to clipping polygons
+        // One GLB per massing model: objects directly on cesium_massing, or on one of its sublayers
+        private class MassingGroup
+        {
+            public string Name;
+            public string FileName;
+            public string LayerColor;   // Display colour of the sublayer, "#rrggbb"
+            public List<RhinoObject> Objects = new List<RhinoObject>();
+        }
+
+        // Group cesium_massing objects by top-level sublayer (cesium_massing::<sublayer>::... -> <sublayer>)
+        private List<MassingGroup> CollectMassingGroups(RhinoDoc doc, Layer rootLayer, List<Layer> lockedLayers)
+        {
+            var groups = new List<MassingGroup>();
+            var rootPath = rootLayer.FullPath;
+
+            foreach (var layer in doc.Layers)
+            {
+                if (layer.IsDeleted) continue;
+
+                string groupName;
+                if (layer.Index == rootLayer.Index)
+                {
+                    groupName = rootLayer.Name;
+                }
+                else if (layer.FullPath.StartsWith(rootPath + "::"))
+                {
+                    groupName = layer.FullPath.Substring(rootPath.Length + 2)
+                        .Split(new[] { "::" }, StringSplitOptions.None)[0];
+                }
+                else
+                {
+                    continue;
+                }
+
+                // Locked layers can't be selected - temporarily unlock for export
+                if (layer.IsLocked)
+                {
+                    RhinoApp.WriteLine($"[McAtlas] Layer '{layer.FullPath}' was locked - temporarily unlocking for export");
+                    layer.IsLocked = false;
+                    lockedLayers.Add(layer);
+                }
+
+                var objs = doc.Objects.FindByLayer(layer);
+                if (objs == null || objs.Length == 0) continue;
+
+                var group = groups.FirstOrDefault(g => g.Name == groupName);
+                if (group == null)
+                {
+                    group = new MassingGroup
+                    {
+                        Name = groupName,
+                        FileName = GetMassingFileName(groupName, rootLayer.Name, groups),
+                        LayerColor = GetGroupLayerColor(doc, rootLayer, groupName)
+                    };
+                    groups.Add(group);
+                }
+                group.Objects.AddRange(objs);
+            }
+
+            return groups;
+        }
+
+        // Colour of the layer a massing model is named after (cesium_massing or its sublayer)
+        private string GetGroupLayerColor(RhinoDoc doc, Layer rootLayer, string groupName)
+        {
+            var groupLayer = rootLayer;
+            if (groupName != rootLayer.Name)
+            {
+                int index = doc.Layers.FindByFullPath(rootLayer.FullPath + "::" + groupName, -1);
+                if (index >= 0)
+                    groupLayer = doc.Layers[index];
+            }
+
+            var color = groupLayer.Color;
+            return $"#{color.R:x2}{color.G:x2}{color.B:x2}";
+        }
+
+        // File-system safe GLB name for a massing model - numbered when another sublayer's name
+        // sanitizes to the same file (e.g. "Option A" and "Option_A")
+        private string GetMassingFileName(string groupName, string rootName, List<MassingGroup> existing)
+        {
+            if (groupName == rootName)
+                return "mcatlas_massing.glb";
+
+            var safeName = new string(groupName
+                .Select(ch => char.IsLetterOrDigit(ch) || ch == '-' ? ch : '_')
+                .ToArray());
+
+            var fileName = $"mcatlas_massing_{safeName}.glb";
+            for (int n = 2; existing.Any(g => g.FileName == fileName); n++)
+                fileName = $"mcatlas_massing_{safeName}_{n}.glb";
+            return fileName;
+        }
+
+        // Restore lock state of layers unlocked for export
+        private void RestoreLockedLayers(List<Layer> lockedLayers)
+        {
+            foreach (var layer in lockedLayers)
+                layer.IsLocked = true;
+
+            if (lockedLayers.Count > 0)
+                RhinoApp.WriteLine($"[McAtlas] Restored lock state of {lockedLayers.Count} layer(s)");
+        }
+
+        // Escape a string for use inside a JSON string literal
+        private string JsonEscape(string value)
+        {
+            return value.Replace("\\", "\\\\").Replace("\"", "\\\"");
+        }
+
+        // Export cesium_massing sublayers to GLBs and cesium_clip layer to clipping polygons
         private string GetGeometryJsonInternal()
         {
             var doc = RhinoDoc.ActiveDoc;
@@ -213,44 +485,43 @@ namespace rhino_plugin
             if (layer == null)
                 return @"{""error"":""Layer 'cesium_massing' not found""}";
 
-            // Check if layer is locked - temporarily unlock for export
-            bool wasLocked = layer.IsLocked;
-            if (wasLocked)
-            {
-                RhinoApp.WriteLine("[McAtlas] Layer was locked - temporarily unlocking for export");
-                layer.IsLocked = false;
-            }
+            // Check if EarthAnchorPoint is set
+            var anchor = doc.EarthAnchorPoint;
+            if (!anchor.EarthLocationIsSet())
+                return @"{""error"":""EarthAnchorPoint not set. Please import a map first.""}";
 
-            var objs = doc.Objects.FindByLayer(layer);
-            if (objs == null || objs.Length == 0)
+            var lockedLayers = new List<Layer>();
+            var groups = CollectMassingGroups(doc, layer, lockedLayers);
+            if (groups.Count == 0)
             {
-                if (wasLocked) layer.IsLocked = true;  // Restore lock state
+                RestoreLockedLayers(lockedLayers);
                 return @"{""error"":""No objects on 'cesium_massing'""}";
             }
 
-            // Check if EarthAnchorPoint is set
-            var anchor = doc.EarthAnchorPoint;
-            if (!anchor.EarthLocationIsSet())
-                return @"{""error"":""EarthAnchorPoint not set. Please import a map first.""}";
+            var objs = groups.SelectMany(g => g.Objects).ToArray();
 
             // ============ DEBUG LOGGING ============
             RhinoApp.WriteLine("[McAtlas] ========== EXPORT START ==========");
             RhinoApp.WriteLine($"[McAtlas] EarthAnchor: lat={anchor.EarthBasepointLatitude:F8}, lon={anchor.EarthBasepointLongitude:F8}");
-            RhinoApp.WriteLine($"[McAtlas] Found {objs.Length} objects on cesium_massing layer");
+            RhinoApp.WriteLine($"[McAtlas] Found {objs.Length} objects in {groups.Count} massing model(s)");
 
             // Get transformation from model to earth coordinates
             var modelToEarth = anchor.GetModelToEarthTransform(doc.ModelUnitSystem);
 
-            // Calculate lat/lon of Rhino origin (0,0,0)
-            // This is where Cesium will place the GLB's origin
-            Point3d rhinoOrigin = Point3d.Origin;
-            rhinoOrigin.Transform(modelToEarth);
+            // Lat/lon of Rhino origin (0,0,0) - this is where Cesium will place the GLB's origin
+            Point3d rhinoOrigin = GetOriginLatLon(doc);
 
-            double lat = rhinoOrigin.Y;  // Transform returns X=lon, Y=lat
+            double lat = rhinoOrigin.Y;
             double lon = rhinoOrigin.X;
-            double height = 0;           // Origin at ground level
+            // Meters the model origin sits above the terrain at the anchor
+            double height = GetOriginHeight(doc);
+            double northAngle = GetNorthAngle(anchor);
+            // GLBs are written in model units - Cesium scales them to meters
+            string units = doc.ModelUnitSystem.ToString();
+            double metersPerUnit = RhinoMath.UnitScale(doc.ModelUnitSystem, UnitSystem.Meters);
 
-            RhinoApp.WriteLine($"[McAtlas] Rhino origin maps to: lat={lat:F8}, lon={lon:F8}");
+            RhinoApp.WriteLine($"[McAtlas] Rhino origin maps to: lat={lat:F8}, lon={lon:F8}, elevation={height:F2}m, north={northAngle:F2}°");
+            RhinoApp.WriteLine($"[McAtlas] Model units: {units} ({metersPerUnit} m per unit)");
 
             // ============ CLIPPING POLYGONS ============
             var clippingPolygonsJson = GetClippingPolygonsJson(doc, anchor, modelToEarth);
@@ -300,16 +571,6 @@ namespace rhino_plugin
                 "McAtlas");
             Directory.CreateDirectory(exportDir);
 
-            var glbPath = Path.Combine(exportDir, "mcatlas_massing.glb");
-            RhinoApp.WriteLine($"[McAtlas] Export path: {glbPath}");
-
-            // Select objects on cesium_massing layer
-            doc.Objects.UnselectAll();
-            foreach (var obj in objs)
-                obj.Select(true);
-
-            RhinoApp.WriteLine($"[McAtlas] Selected {objs.Length} objects for export");
-
             // Build explicit glTF export options (double-sided, no display-color fallback)
             var gltfOptions = new FileGltfWriteOptions
             {
@@ -335,34 +596,53 @@ namespace rhino_plugin
 
             ArchivableDictionary dict = gltfOptions.ToDictionary();
 
-            RhinoApp.WriteLine("[McAtlas] Exporting GLB with double-sided materials...");
-            bool ok = doc.ExportSelected(glbPath, dict);
-
-            // Cleanup selection
-            doc.Objects.UnselectAll();
+            bool ok = true;
+            var modelsJson = new List<string>();
 
-            // Restore layer lock state
-            if (wasLocked)
+            foreach (var group in groups)
             {
-                layer.IsLocked = true;
-                RhinoApp.WriteLine("[McAtlas] Restored layer lock state");
-            }
+                var glbPath = Path.Combine(exportDir, group.FileName);
+                RhinoApp.WriteLine($"[McAtlas] Model '{group.Name}': {group.Objects.Count} objects -> {glbPath}");
 
-            // ============ FILE SIZE CHECK ============
-            if (File.Exists(glbPath))
-            {
-                var fileInfo = new FileInfo(glbPath);
-                RhinoApp.WriteLine($"[McAtlas] GLB file size: {fileInfo.Length} bytes ({fileInfo.Length / 1024.0:F1} KB)");
-                if (fileInfo.Length < 1000)
+                // Select only this model's objects
+                doc.Objects.UnselectAll();
+                foreach (var obj in group.Objects)
+                    obj.Select(true);
+
+                bool groupOk = doc.ExportSelected(glbPath, dict);
+
+                // ============ FILE SIZE CHECK ============
+                if (File.Exists(glbPath))
                 {
-                    RhinoApp.WriteLine("[McAtlas] WARNING: GLB file is suspiciously small - export may have failed!");
+                    var fileInfo = new FileInfo(glbPath);
+                    RhinoApp.WriteLine($"[McAtlas] GLB file size: {fileInfo.Length} bytes ({fileInfo.Length / 1024.0:F1} KB)");
+                    if (fileInfo.Length < 1000)
+                    {
+                        RhinoApp.WriteLine("[McAtlas] WARNING: GLB file is suspiciously small - export may have failed!");
+                    }
                 }
+                else
+                {
+                    RhinoApp.WriteLine("[McAtlas] ERROR: GLB file does not exist after export!");
+                    groupOk = false;
+                }
+
+                if (!groupOk)
+                {
+                    ok = false;
+                    break;
+                }
+
+                modelsJson.Add(string.Format(
+                    @"{{""name"":""{0}"",""glbFile"":""{1}"",""glbPath"":""{2}"",""layerColor"":""{3}""}}",
+                    JsonEscape(group.Name), JsonEscape(group.FileName), JsonEscape(glbPath), group.LayerColor));
             }
-            else
-            {
-                RhinoApp.WriteLine("[McAtlas] ERROR: GLB file does not exist after export!");
-                ok = false;
-            }
+
+            // Cleanup selection
+            doc.Objects.UnselectAll();
+
+            // Restore layer lock state
+            RestoreLockedLayers(lockedLayers);
 
             RhinoApp.WriteLine($"[McAtlas] GLB export (double-sided): {(ok ? "SUCCESS" : "FAILED")}");
             RhinoApp.WriteLine("[McAtlas] ========== EXPORT COMPLETE ==========");
@@ -370,14 +650,14 @@ namespace rhino_plugin
             if (!ok)
                 return @"{""error"":""Export command failed""}";
 
-            // Build JSON response with position and clipping polygons
-            var safePath = glbPath.Replace("\\", "\\\\");
+            // Build JSON response with models, position and clipping polygons
             var sb = new StringBuilder();
             sb.Append("{");
-            sb.Append(@"""glbPath"":""").Append(safePath).Append("\",");
+            sb.Append(@"""models"":[").Append(string.Join(",", modelsJson)).Append("],");
             sb.Append(@"""position"":{");
             sb.AppendFormat(System.Globalization.CultureInfo.InvariantCulture,
-                @"""lat"":{0},""lon"":{1},""height"":{2}", lat, lon, height);
+                @"""lat"":{0},""lon"":{1},""height"":{2},""northAngle"":{3},""units"":""{4}"",""metersPerUnit"":{5}",
+                lat, lon, height, northAngle, units, metersPerUnit);
             sb.Append("},");
             sb.Append(@"""clippingPolygons"":").Append(clippingPolygonsJson);
             sb.Append("}");
@@ -522,40 +802,31 @@ namespace rhino_plugin
                 if (doc == null)
                     return @"{""error"":""No active Rhino document""}";
 
-                double lat = 0, lon = 0;
-
-                int latIndex = json.IndexOf("\"lat\"");
-                if (latIndex >= 0)
-                {
-                    int colonIndex = json.IndexOf(":", latIndex);
-                    int commaIndex = json.IndexOf(",", colonIndex);
-                    if (commaIndex < 0) commaIndex = json.IndexOf("}", colonIndex);
-                    string latStr = json.Substring(colonIndex + 1, commaIndex - colonIndex - 1).Trim();
-                    double.TryParse(latStr, System.Globalization.NumberStyles.Float,
-                        System.Globalization.CultureInfo.InvariantCulture, out lat);
-                }
+                var anchor = doc.EarthAnchorPoint;
 
-                int lonIndex = json.IndexOf("\"lon\"");
-                if (lonIndex >= 0)
-                {
-                    int colonIndex = json.IndexOf(":", lonIndex);
-                    int commaIndex = json.IndexOf(",", colonIndex);
-                    if (commaIndex < 0) commaIndex = json.IndexOf("}", colonIndex);
-                    string lonStr = json.Substring(colonIndex + 1, commaIndex - colonIndex - 1).Trim();
-                    double.TryParse(lonStr, System.Globalization.NumberStyles.Float,
-                        System.Globalization.CultureInfo.InvariantCulture, out lon);
-                }
+                double lat = ExtractJsonDouble(json, "lat");
+                double lon = ExtractJsonDouble(json, "lon");
+                // Optional (placement gizmo): meters above the terrain, and degrees true north is
+                // rotated counterclockwise from model +Y. Map and terrain export send neither - keep the
+                // current values so a rotated site grid stays rotated
+                double elevation = json.Contains("\"elevation\"")
+                    ? ExtractJsonDouble(json, "elevation")
+                    : (anchor.EarthLocationIsSet() ? GetOriginHeight(doc) : 0);
+                double northAngle = json.Contains("\"northAngle\"")
+                    ? ExtractJsonDouble(json, "northAngle")
+                    : (anchor.EarthLocationIsSet() ? GetNorthAngle(anchor) : 0);
 
-                RhinoApp.WriteLine($"[McAtlas] Setting EarthAnchorPoint: lat={lat:F8}, lon={lon:F8}");
+                RhinoApp.WriteLine($"[McAtlas] Setting EarthAnchorPoint: lat={lat:F8}, lon={lon:F8}, elevation={elevation:F2}m, north={northAngle:F2}°");
 
-                var anchor = doc.EarthAnchorPoint;
+                double northRadians = RhinoMath.ToRadians(northAngle);
 
                 anchor.EarthBasepointLatitude = lat;
                 anchor.EarthBasepointLongitude = lon;
-                anchor.EarthBasepointElevation = 0;
+                anchor.EarthBasepointElevation = elevation;
+                anchor.EarthBasepointElevationZero = BasepointZero.GroundLevel;
                 anchor.ModelBasePoint = Point3d.Origin;
-                anchor.ModelNorth = new Vector3d(0, 1, 0);
-                anchor.ModelEast = new Vector3d(1, 0, 0);
+                anchor.ModelNorth = new Vector3d(-Math.Sin(northRadians), Math.Cos(northRadians), 0);
+                anchor.ModelEast = new Vector3d(Math.Cos(northRadians), Math.Sin(northRadians), 0);
 
                 doc.EarthAnchorPoint = anchor;
 
@@ -570,6 +841,65 @@ namespace rhino_plugin
             }
         }
 
+        // Degrees true north is rotated counterclockwise from model +Y
+        private double GetNorthAngle(EarthAnchorPoint anchor)
+        {
+            var north = anchor.ModelNorth;
+            return RhinoMath.ToDegrees(Math.Atan2(-north.X, north.Y));
+        }
+
+        // McAtlas reads the anchor elevation as meters above the terrain. Rhino's EarthAnchor command can
+        // also measure it from sea level or the earth's centre, which McAtlas has no terrain height for -
+        // those are taken as 0 (the base point on the ground)
+        private double GetAnchorElevation(EarthAnchorPoint anchor)
+        {
+            if (anchor.EarthBasepointElevationZero == BasepointZero.GroundLevel)
+                return anchor.EarthBasepointElevation;
+
+            RhinoApp.WriteLine($"[McAtlas] WARNING: Earth anchor elevation is measured from {anchor.EarthBasepointElevationZero} - placing the base point on the terrain instead");
+            return 0;
+        }
+
+        // Meters the model origin sits above the terrain at the anchor: the base point's elevation,
+        // less the base point's own height in the model
+        private double GetOriginHeight(RhinoDoc doc)
+        {
+            var anchor = doc.EarthAnchorPoint;
+            double metersPerUnit = RhinoMath.UnitScale(doc.ModelUnitSystem, UnitSystem.Meters);
+            return GetAnchorElevation(anchor) - anchor.ModelBasePoint.Z * metersPerUnit;
+        }
+
+        // Lat/lon of the model origin - where Cesium puts the GLB origin, and the centre of the local frame
+        private Point3d GetOriginLatLon(RhinoDoc doc)
+        {
+            var origin = Point3d.Origin;
+            origin.Transform(doc.EarthAnchorPoint.GetModelToEarthTransform(doc.ModelUnitSystem));
+            return origin;  // X=lon, Y=lat
+        }
+
+        // Meters east/north/up of the ground under the model origin -> model coordinates (model units,
+        // rotated site grid). The origin height lifts the model origin above that ground. The same frame
+        // as Cesium's, also when Rhino's EarthAnchor command put the base point away from the origin
+        private Transform GetLocalMetersToModelTransform(RhinoDoc doc)
+        {
+            var anchor = doc.EarthAnchorPoint;
+            double scale = RhinoMath.UnitScale(UnitSystem.Meters, doc.ModelUnitSystem);
+
+            var east = anchor.ModelEast;
+            var north = anchor.ModelNorth;
+            east.Unitize();
+            north.Unitize();
+
+            var xform = Transform.Identity;
+            xform.M00 = east.X * scale;
+            xform.M10 = east.Y * scale;
+            xform.M01 = north.X * scale;
+            xform.M11 = north.Y * scale;
+            xform.M22 = scale;
+            xform.M23 = -GetOriginHeight(doc) * scale;
+            return xform;
+        }
+
         // Import map image from Tauri
         private string ImportMapImage(string json)
         {
@@ -592,37 +922,49 @@ namespace rhino_plugin
                     return @"{""error"":""No active Rhino document""}";
 
                 string imageBase64 = ExtractJsonString(json, "imageBase64");
-                double sizeMeters = ExtractJsonDouble(json, "sizeMeters");
+                double widthMeters = ExtractJsonDouble(json, "widthMeters");
+                double heightMeters = ExtractJsonDouble(json, "heightMeters");
                 int pixelWidth = (int)ExtractJsonDouble(json, "pixelWidth");
                 int pixelHeight = (int)ExtractJsonDouble(json, "pixelHeight");
+                // Older Tauri builds always send JPEG
+                string imageFormat = ExtractJsonString(json, "imageFormat") == "png" ? "png" : "jpg";
 
                 if (string.IsNullOrEmpty(imageBase64))
                     return @"{""error"":""No image data received""}";
 
-                RhinoApp.WriteLine($"[McAtlas] Receiving map image: {pixelWidth}x{pixelHeight}, {sizeMeters:F0}m");
+                // Older Tauri builds send a single square size
+                if (widthMeters <= 0 || heightMeters <= 0)
+                {
+                    double sizeMeters = ExtractJsonDouble(json, "sizeMeters");
+                    widthMeters = sizeMeters;
+                    heightMeters = sizeMeters;
+                }
+
+                if (widthMeters <= 0 || heightMeters <= 0)
+                    return @"{""error"":""Invalid map image size""}";
+
+                RhinoApp.WriteLine($"[McAtlas] Receiving map image: {pixelWidth}x{pixelHeight}, {widthMeters:F0}m x {heightMeters:F0}m");
 
                 var exportDir = Path.Combine(
                     System.Environment.GetFolderPath(System.Environment.SpecialFolder.MyDocuments),
                     "McAtlas");
                 Directory.CreateDirectory(exportDir);
 
-                var imagePath = Path.Combine(exportDir, "mcatlas_map.jpg");
+                var imagePath = Path.Combine(exportDir, "mcatlas_map." + imageFormat);
 
                 byte[] imageBytes = Convert.FromBase64String(imageBase64);
                 File.WriteAllBytes(imagePath, imageBytes);
 
                 RhinoApp.WriteLine($"[McAtlas] Image saved: {imagePath}");
 
-                double halfSize = sizeMeters / 2.0;
-
                 var plane = Plane.WorldXY;
 
                 var pictureFrame = doc.Objects.AddPictureFrame(
                     plane,
                     imagePath,
                     false,
-                    sizeMeters,
-                    sizeMeters,
+                    widthMeters,
+                    heightMeters,
                     false,
                     false
                 );
@@ -630,7 +972,8 @@ namespace rhino_plugin
                 if (pictureFrame == Guid.Empty)
                     return @"{""error"":""Failed to create PictureFrame""}";
 
-                var xform = Transform.Translation(-halfSize, -halfSize, 0);
+                // Center on the anchor, then into model units and the site grid's orientation
+                var xform = GetLocalMetersToModelTransform(doc) * Transform.Translation(-widthMeters / 2.0, -heightMeters / 2.0, 0);
                 doc.Objects.Transform(pictureFrame, xform, true);
 
                 var layerName = "mcatlas_map";
@@ -655,7 +998,7 @@ namespace rhino_plugin
 
                 doc.Views.Redraw();
 
-                RhinoApp.WriteLine($"[McAtlas] PictureFrame created: {sizeMeters:F0}m x {sizeMeters:F0}m centered at origin");
+                RhinoApp.WriteLine($"[McAtlas] PictureFrame created: {widthMeters:F0}m x {heightMeters:F0}m centered at the earth anchor");
 
                 var safePath = imagePath.Replace("\\", "\\\\");
                 return $@"{{""success"":true,""imagePath"":""{safePath}""}}";
@@ -667,6 +1010,499 @@ namespace rhino_plugin
             }
         }
 
+        // Import terrain mesh from Tauri
+        private string ImportTerrainMesh(string json)
+        {
+            string result = null;
+
+            RhinoApp.InvokeOnUiThread((Action)(() =>
+            {
+                result = ImportTerrainMeshInternal(json);
+            }));
+
+            return result ?? @"{""error"":""Failed to import terrain mesh""}";
+        }
+
+        // Grid of vertices (row by row, west to east, south to north) in meters around the earth anchor
+        private string ImportTerrainMeshInternal(string json)
+        {
+            try
+            {
+                var doc = RhinoDoc.ActiveDoc;
+                if (doc == null)
+                    return @"{""error"":""No active Rhino document""}";
+
+                int columns = (int)ExtractJsonDouble(json, "columns");
+                int rows = (int)ExtractJsonDouble(json, "rows");
+                bool drape = json.Contains("\"drape\":true");
+                double[] vertices = ExtractJsonDoubleArray(json, "vertices");
+
+                if (columns < 2 || rows < 2 || vertices == null || vertices.Length != columns * rows * 3)
+                    return @"{""error"":""Invalid terrain mesh""}";
+
+                RhinoApp.WriteLine($"[McAtlas] Receiving terrain mesh: {columns}x{rows} points");
+
+                var mesh = new Mesh();
+                for (int i = 0; i < vertices.Length; i += 3)
+                {
+                    mesh.Vertices.Add(vertices[i], vertices[i + 1], vertices[i + 2]);
+                }
+                for (int row = 0; row < rows - 1; row++)
+                {
+                    for (int col = 0; col < columns - 1; col++)
+                    {
+                        int a = row * columns + col;
+                        mesh.Faces.AddFace(a, a + 1, a + columns + 1, a + columns);
+                    }
+                }
+                mesh.Normals.ComputeNormals();
+                mesh.Compact();
+
+                var layerName = "mcatlas_terrain";
+                var layer = doc.Layers.FindName(layerName);
+                if (layer == null)
+                {
+                    var newLayer = new Layer
+                    {
+                        Name = layerName,
+                        Color = System.Drawing.Color.SaddleBrown
+                    };
+                    doc.Layers.Add(newLayer);
+                    layer = doc.Layers.FindName(layerName);
+                }
+
+                // Replace the previous terrain
+                var oldObjs = doc.Objects.FindByLayer(layer);
+                if (oldObjs != null)
+                {
+                    foreach (var oldObj in oldObjs)
+                        doc.Objects.Delete(oldObj, true);
+                }
+
+                // Texture coordinates are worked out in meters, before moving into model space
+                var toModel = GetLocalMetersToModelTransform(doc);
+                var attributes = new ObjectAttributes { LayerIndex = layer.Index };
+                bool draped = drape && ApplyMapTexture(doc, mesh, attributes, toModel);
+                mesh.Transform(toModel);
+
+                var meshId = doc.Objects.AddMesh(mesh, attributes);
+                if (meshId == Guid.Empty)
+                    return @"{""error"":""Failed to create terrain mesh""}";
+
+                doc.Views.Redraw();
+
+                RhinoApp.WriteLine($"[McAtlas] Terrain mesh created: {mesh.Vertices.Count} vertices, {mesh.Faces.Count} faces" +
+                    (draped ? ", draped with map image" : ""));
+
+                return $@"{{""success"":true,""vertexCount"":{mesh.Vertices.Count},""draped"":{(draped ? "true" : "false")}}}";
+            }
+            catch (Exception ex)
+            {
+                RhinoApp.WriteLine($"[McAtlas] Error importing terrain mesh: {ex.Message}");
+                return $@"{{""error"":""{ex.Message}""}}";
+            }
+        }
+
+        // Texture the mesh with the last map image, mapped through its picture frame's extent
+        // The mesh is still in anchor meters; toModel is how both were placed in the model
+        private bool ApplyMapTexture(RhinoDoc doc, Mesh mesh, ObjectAttributes attributes, Transform toModel)
+        {
+            var mapLayer = doc.Layers.FindName("mcatlas_map");
+            var frames = mapLayer != null ? doc.Objects.FindByLayer(mapLayer) : null;
+            if (frames == null || frames.Length == 0)
+            {
+                RhinoApp.WriteLine("[McAtlas] No map picture frame found - terrain not draped");
+                return false;
+            }
+
+            var exportDir = Path.Combine(
+                System.Environment.GetFolderPath(System.Environment.SpecialFolder.MyDocuments),
+                "McAtlas");
+            var imagePath = new[] { "mcatlas_map.png", "mcatlas_map.jpg" }
+                .Select(name => Path.Combine(exportDir, name))
+                .Where(path => File.Exists(path))
+                .OrderByDescending(path => File.GetLastWriteTimeUtc(path))
+                .FirstOrDefault();
+            if (imagePath == null)
+            {
+                RhinoApp.WriteLine("[McAtlas] No map image found - terrain not draped");
+                return false;
+            }
+
+            if (!toModel.TryGetInverse(out Transform toMeters))
+                return false;
+
+            // Most recent picture frame, back in anchor meters
+            var frame = frames[frames.Length - 1].Geometry.Duplicate();
+            frame.Transform(toMeters);
+            var bbox = frame.GetBoundingBox(true);
+            double width = bbox.Max.X - bbox.Min.X;
+            double height = bbox.Max.Y - bbox.Min.Y;
+            if (width <= 0 || height <= 0)
+                return false;
+
+            mesh.TextureCoordinates.Clear();
+            foreach (var vertex in mesh.Vertices)
+            {
+                mesh.TextureCoordinates.Add((vertex.X - bbox.Min.X) / width, (vertex.Y - bbox.Min.Y) / height);
+            }
+
+            var materialName = "mcatlas_terrain_map";
+            var material = new Material { Name = materialName };
+            material.SetBitmapTexture(imagePath);
+
+            int materialIndex = doc.Materials.Find(materialName, true);
+            if (materialIndex >= 0)
+                doc.Materials.Modify(material, materialIndex, true);
+            else
+                materialIndex = doc.Materials.Add(material);
+
+            attributes.MaterialIndex = materialIndex;
+            attributes.MaterialSource = ObjectMaterialSource.MaterialFromObject;
+            return true;
+        }
+
+        // Add clipping polygons drawn in Tauri
+        private string AddClipPolygons(string json)
+        {
+            string result = null;
+
+            RhinoApp.InvokeOnUiThread((Action)(() =>
+            {
+                result = AddClipPolygonsInternal(json);
+            }));
+
+            return result ?? @"{""error"":""Failed to add clipping polygons""}";
+        }
+
+        // Polygons as [lon, lat, lon, lat, ...] -> closed polylines on cesium_clip at Z = 0
+        // Inverse of the model-to-earth transform used when exporting them
+        private string AddClipPolygonsInternal(string json)
+        {
+            try
+            {
+                var doc = RhinoDoc.ActiveDoc;
+                if (doc == null)
+                    return @"{""error"":""No active Rhino document""}";
+
+                var anchor = doc.EarthAnchorPoint;
+                if (!anchor.EarthLocationIsSet())
+                    return @"{""error"":""EarthAnchorPoint not set. Please import a map first.""}";
+
+                var modelToEarth = anchor.GetModelToEarthTransform(doc.ModelUnitSystem);
+                if (!modelToEarth.TryGetInverse(out Transform earthToModel))
+                    return @"{""error"":""Could not invert the earth anchor transform""}";
+
+                var polygons = ExtractJsonNumberArrays(json, "polygons");
+                if (polygons.Count == 0)
+                    return @"{""error"":""No clipping polygons received""}";
+
+                var layerName = "cesium_clip";
+                var layer = doc.Layers.FindName(layerName);
+                if (layer == null)
+                {
+                    var newLayer = new Layer
+                    {
+                        Name = layerName,
+                        Color = System.Drawing.Color.Red
+                    };
+                    doc.Layers.Add(newLayer);
+                    layer = doc.Layers.FindName(layerName);
+                }
+
+                var attributes = new ObjectAttributes { LayerIndex = layer.Index };
+                int added = 0;
+
+                foreach (var coords in polygons)
+                {
+                    if (coords.Length < 6 || coords.Length % 2 != 0)
+                    {
+                        RhinoApp.WriteLine("[McAtlas] Skipping clipping polygon with fewer than 3 points");
+                        continue;
+                    }
+
+                    var points = new List<Point3d>();
+                    for (int i = 0; i < coords.Length; i += 2)
+                    {
+                        // X = longitude, Y = latitude
+                        var pt = new Point3d(coords[i], coords[i + 1], 0);
+                        pt.Transform(earthToModel);
+                        points.Add(new Point3d(pt.X, pt.Y, 0));
+                    }
+                    points.Add(points[0]);
+
+                    if (doc.Objects.AddPolyline(points, attributes) != Guid.Empty)
+                        added++;
+                }
+
+                doc.Views.Redraw();
+
+                RhinoApp.WriteLine($"[McAtlas] Added {added} clipping polyline(s) to {layerName}");
+
+                return $@"{{""success"":true,""count"":{added}}}";
+            }
+            catch (Exception ex)
+            {
+                RhinoApp.WriteLine($"[McAtlas] Error adding clipping polygons: {ex.Message}");
+                return $@"{{""error"":""{ex.Message}""}}";
+            }
+        }
+
+        // Get the active viewport's camera for Cesium
+        private string GetCamera()
+        {
+            string result = null;
+
+            RhinoApp.InvokeOnUiThread((Action)(() =>
+            {
+                var doc = RhinoDoc.ActiveDoc;
+                var view = doc?.Views.ActiveView;
+                result = view != null
+                    ? GetCameraJson(doc, view.ActiveViewport)
+                    : @"{""error"":""No active Rhino viewport""}";
+            }));
+
+            return result ?? @"{""error"":""Failed to read camera""}";
+        }
+
+        // Camera in meters east/north/up of the ground under the model origin (same frame as terrain export):
+        // { anchor: { lat, lon }, location, direction, up, halfAngle (degrees, smaller frustum side), perspective }
+        // Must run on the UI thread (also used by CameraWatcher)
+        public string GetCameraJson(RhinoDoc doc, RhinoViewport viewport)
+        {
+            try
+            {
+                var anchor = doc.EarthAnchorPoint;
+                if (!anchor.EarthLocationIsSet())
+                    return @"{""error"":""EarthAnchorPoint not set. Please import a map first.""}";
+
+                if (!GetLocalMetersToModelTransform(doc).TryGetInverse(out Transform toMeters))
+                    return @"{""error"":""Could not invert the earth anchor transform""}";
+                var origin = GetOriginLatLon(doc);
+
+                var location = viewport.CameraLocation;
+                location.Transform(toMeters);
+                var direction = viewport.CameraDirection;
+                direction.Transform(toMeters);
+                direction.Unitize();
+                var up = viewport.CameraUp;
+                up.Transform(toMeters);
+                up.Unitize();
+
+                double halfAngle = 0;
+                if (viewport.IsPerspectiveProjection &&
+                    new ViewportInfo(viewport).GetCameraAngles(out double halfDiagonal, out double halfVertical, out double halfHorizontal))
+                {
+                    halfAngle = RhinoMath.ToDegrees(Math.Min(halfVertical, halfHorizontal));
+                }
+
+                return string.Format(System.Globalization.CultureInfo.InvariantCulture,
+                    @"{{""anchor"":{{""lat"":{0},""lon"":{1}}},""location"":[{2},{3},{4}],""direction"":[{5},{6},{7}],""up"":[{8},{9},{10}],""halfAngle"":{11},""perspective"":{12}}}",
+                    origin.Y, origin.X,
+                    location.X, location.Y, location.Z,
+                    direction.X, direction.Y, direction.Z,
+                    up.X, up.Y, up.Z,
+                    halfAngle, viewport.IsPerspectiveProjection ? "true" : "false");
+            }
+            catch (Exception ex)
+            {
+                RhinoApp.WriteLine($"[McAtlas] Error reading camera: {ex.Message}");
+                return $@"{{""error"":""{ex.Message}""}}";
+            }
+        }
+
+        // Set the active viewport's camera from Cesium
+        private string SetCamera(string json)
+        {
+            string result = null;
+
+            RhinoApp.InvokeOnUiThread((Action)(() =>
+            {
+                result = SetCameraInternal(json);
+            }));
+
+            return result ?? @"{""error"":""Failed to set camera""}";
+        }
+
+        // Same frame and fields as GetCameraJson
+        private string SetCameraInternal(string json)
+        {
+            try
+            {
+                var doc = RhinoDoc.ActiveDoc;
+                if (doc == null)
+                    return @"{""error"":""No active Rhino document""}";
+
+                var view = doc.Views.ActiveView;
+                if (view == null)
+                    return @"{""error"":""No active Rhino viewport""}";
+
+                if (!doc.EarthAnchorPoint.EarthLocationIsSet())
+                    return @"{""error"":""EarthAnchorPoint not set. Please import a map first.""}";
+
+                double[] locationArray = ExtractJsonDoubleArray(json, "location");
+                double[] directionArray = ExtractJsonDoubleArray(json, "direction");
+                double[] upArray = ExtractJsonDoubleArray(json, "up");
+                double halfAngle = ExtractJsonDouble(json, "halfAngle");
+
+                if (locationArray == null || locationArray.Length != 3 ||
+                    directionArray == null || directionArray.Length != 3 ||
+                    upArray == null || upArray.Length != 3)
+                    return @"{""error"":""Invalid camera""}";
+
+                var toModel = GetLocalMetersToModelTransform(doc);
+                var location = new Point3d(locationArray[0], locationArray[1], locationArray[2]);
+                location.Transform(toModel);
+                var direction = new Vector3d(directionArray[0], directionArray[1], directionArray[2]);
+                direction.Transform(toModel);
+                direction.Unitize();
+                var up = new Vector3d(upArray[0], upArray[1], upArray[2]);
+                up.Transform(toModel);
+                up.Unitize();
+
+                // Rhino's 35mm lens length is based on the smaller side of the frame (24mm film)
+                double lensLength = halfAngle > 0 && halfAngle < 90
+                    ? 12.0 / Math.Tan(RhinoMath.ToRadians(halfAngle))
+                    : 50.0;
+
+                var viewport = view.ActiveViewport;
+                if (!viewport.IsPerspectiveProjection)
+                    viewport.ChangeToPerspectiveProjection(true, lensLength);
+                else
+                    viewport.Camera35mmLensLength = lensLength;
+
+                // Orbit around the point the camera looks at, as far away as the model origin
+                double targetDistance = Math.Max(location.DistanceTo(Point3d.Origin), 1.0);
+                viewport.SetCameraLocations(location + direction * targetDistance, location);
+                viewport.CameraUp = up;
+
+                view.Redraw();
+
+                RhinoApp.WriteLine($"[McAtlas] Viewport '{viewport.Name}' matched to Cesium camera ({lensLength:F1}mm lens)");
+
+                return @"{""success"":true}";
+            }
+            catch (Exception ex)
+            {
+                RhinoApp.WriteLine($"[McAtlas] Error setting camera: {ex.Message}");
+                return $@"{{""error"":""{ex.Message}""}}";
+            }
+        }
+
+        // Document string holding the McAtlas project path (saved with the .3dm)
+        private const string ProjectSection = "McAtlas";
+        private const string ProjectEntry = "project";
+
+        // Get the McAtlas project referenced by the active Rhino file
+        private string GetProject()
+        {
+            string result = null;
+
+            RhinoApp.InvokeOnUiThread((Action)(() =>
+            {
+                var doc = RhinoDoc.ActiveDoc;
+                if (doc == null)
+                {
+                    result = @"{""error"":""No active Rhino document""}";
+                    return;
+                }
+
+                string path = doc.Strings.GetValue(ProjectSection, ProjectEntry);
+                result = string.IsNullOrEmpty(path)
+                    ? @"{""project"":null}"
+                    : $@"{{""project"":""{JsonEscape(path)}""}}";
+            }));
+
+            return result ?? @"{""error"":""Failed to read project""}";
+        }
+
+        // Reference a McAtlas project from the active Rhino file
+        private string SetProject(string json)
+        {
+            string result = null;
+
+            RhinoApp.InvokeOnUiThread((Action)(() =>
+            {
+                var doc = RhinoDoc.ActiveDoc;
+                if (doc == null)
+                {
+                    result = @"{""error"":""No active Rhino document""}";
+                    return;
+                }
+
+                string path = ExtractJsonString(json, "project");
+                if (string.IsNullOrEmpty(path))
+                {
+                    result = @"{""error"":""No project path received""}";
+                    return;
+                }
+
+                doc.Strings.SetString(ProjectSection, ProjectEntry, path);
+                RhinoApp.WriteLine($"[McAtlas] Rhino file now references project {path}");
+                result = @"{""success"":true}";
+            }));
+
+            return result ?? @"{""error"":""Failed to set project""}";
+        }
+
+        // Helper: Extract array of number arrays from JSON, e.g. "key":[[1,2],[3,4]]
+        private List<double[]> ExtractJsonNumberArrays(string json, string key)
+        {
+            var arrays = new List<double[]>();
+
+            var searchKey = $"\"{key}\":[";
+            int index = json.IndexOf(searchKey);
+            if (index < 0) return arrays;
+
+            index += searchKey.Length;
+            while (index < json.Length)
+            {
+                int start = json.IndexOf('[', index);
+                int outerEnd = json.IndexOf(']', index);
+                // Outer array closes before the next inner array opens
+                if (start < 0 || outerEnd < start) break;
+
+                int end = json.IndexOf(']', start);
+                if (end < 0) break;
+
+                arrays.Add(json.Substring(start + 1, end - start - 1)
+                    .Split(new[] { ',' }, StringSplitOptions.RemoveEmptyEntries)
+                    .Select(valueStr =>
+                    {
+                        double.TryParse(valueStr.Trim(), System.Globalization.NumberStyles.Float,
+                            System.Globalization.CultureInfo.InvariantCulture, out double value);
+                        return value;
+                    })
+                    .ToArray());
+
+                index = end + 1;
+            }
+
+            return arrays;
+        }
+
+        // Helper: Extract array of numbers from JSON
+        private double[] ExtractJsonDoubleArray(string json, string key)
+        {
+            var searchKey = $"\"{key}\":[";
+            int startIndex = json.IndexOf(searchKey);
+            if (startIndex < 0) return null;
+
+            startIndex += searchKey.Length;
+            int endIndex = json.IndexOf("]", startIndex);
+            if (endIndex < 0) return null;
+
+            return json.Substring(startIndex, endIndex - startIndex)
+                .Split(new[] { ',' }, StringSplitOptions.RemoveEmptyEntries)
+                .Select(valueStr =>
+                {
+                    double.TryParse(valueStr.Trim(), System.Globalization.NumberStyles.Float,
+                        System.Globalization.CultureInfo.InvariantCulture, out double value);
+                    return value;
+                })
+                .ToArray();
+        }
+
         // Helper: Extract string value from JSON
         private string ExtractJsonString(string json, string key)
         {
@@ -705,6 +1541,17 @@ namespace rhino_plugin
             if (!_isRunning) return;
 
             _isRunning = false;
+            _heartbeatTimer?.Dispose();
+
+            lock (_eventLock)
+            {
+                foreach (var client in _eventClients)
+                {
+                    try { client.Abort(); } catch (Exception) { }
+                }
+                _eventClients.Clear();
+            }
+
             _listener?.Stop();
             _listener?.Close();
 
@@ -0,0 +1,149 @@
+// Import C# namespaces
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+// Import RhinoCommon namespaces
+using Rhino;
+using Rhino.DocObjects;
+
+// Namespace
+namespace rhino_plugin
+{
+    // Watches the cesium layers and pushes change events to Tauri for live sync
+    public class LayerWatcher
+    {
+        private readonly SimpleHttpServer _server;
+        private readonly HashSet<string> _pendingLayers = new HashSet<string>();
+        private readonly object _pendingLock = new object();
+        private System.Threading.Timer _flushTimer;
+        private bool _isWatching;
+
+        // Coalesce bursts of object events (e.g. moving 200 objects) into one push
+        private const int CoalesceMs = 250;
+
+        // Layers whose changes require a re-sync in Cesium
+        private static readonly string[] WatchedLayers = { "cesium_massing", "cesium_clip" };
+
+        public LayerWatcher(SimpleHttpServer server)
+        {
+            _server = server;
+        }
+
+        // Subscribe to Rhino document events
+        public void Start()
+        {
+            if (_isWatching) return;
+
+            _flushTimer = new System.Threading.Timer(_ => Flush(), null,
+                System.Threading.Timeout.Infinite, System.Threading.Timeout.Infinite);
+
+            RhinoDoc.AddRhinoObject += OnObjectEvent;
+            RhinoDoc.DeleteRhinoObject += OnObjectEvent;
+            RhinoDoc.UndeleteRhinoObject += OnObjectEvent;
+            RhinoDoc.ReplaceRhinoObject += OnReplaceObject;
+            RhinoDoc.ModifyObjectAttributes += OnModifyAttributes;
+            RhinoDoc.LayerTableEvent += OnLayerTableEvent;
+
+            _isWatching = true;
+            RhinoApp.WriteLine("[McAtlas] Watching cesium layers for live sync");
+        }
+
+        // Unsubscribe from Rhino document events
+        public void Stop()
+        {
+            if (!_isWatching) return;
+
+            RhinoDoc.AddRhinoObject -= OnObjectEvent;
+            RhinoDoc.DeleteRhinoObject -= OnObjectEvent;
+            RhinoDoc.UndeleteRhinoObject -= OnObjectEvent;
+            RhinoDoc.ReplaceRhinoObject -= OnReplaceObject;
+            RhinoDoc.ModifyObjectAttributes -= OnModifyAttributes;
+            RhinoDoc.LayerTableEvent -= OnLayerTableEvent;
+
+            _flushTimer?.Dispose();
+            _isWatching = false;
+        }
+
+        private void OnObjectEvent(object sender, RhinoObjectEventArgs e)
+        {
+            QueueLayer(e.TheObject?.Document, e.TheObject?.Attributes);
+        }
+
+        private void OnReplaceObject(object sender, RhinoReplaceObjectEventArgs e)
+        {
+            QueueLayer(e.Document, e.OldRhinoObject?.Attributes);
+            QueueLayer(e.Document, e.NewRhinoObject?.Attributes);
+        }
+
+        private void OnModifyAttributes(object sender, RhinoModifyObjectAttributesEventArgs e)
+        {
+            // Moving an object between layers affects both the old and the new layer
+            QueueLayer(e.Document, e.OldAttributes);
+            QueueLayer(e.Document, e.NewAttributes);
+        }
+
+        // The layers themselves: sublayers added, deleted, renamed, hidden or recoloured (colour is synced)
+        private void OnLayerTableEvent(object sender, LayerTableEventArgs e)
+        {
+            if (e.EventType == LayerTableEventType.Current || e.EventType == LayerTableEventType.Sorted) return;
+
+            // A rename can move a layer into or out of a watched tree
+            QueueLayer(e.OldState);
+            QueueLayer(e.NewState);
+        }
+
+        // Remember the watched layer an object lives on, then schedule a push
+        private void QueueLayer(RhinoDoc doc, ObjectAttributes atts)
+        {
+            if (doc == null || atts == null) return;
+            if (atts.LayerIndex < 0 || atts.LayerIndex >= doc.Layers.Count) return;
+
+            QueueLayer(doc.Layers[atts.LayerIndex]);
+        }
+
+        private void QueueLayer(Layer layer)
+        {
+            // Ignore our own edits while the GLB export runs
+            if (_server.IsExporting) return;
+            if (layer == null) return;
+
+            string watched = GetWatchedLayer(layer);
+            if (watched == null) return;
+
+            lock (_pendingLock)
+            {
+                _pendingLayers.Add(watched);
+            }
+
+            // Restart the coalesce window
+            _flushTimer?.Change(CoalesceMs, System.Threading.Timeout.Infinite);
+        }
+
+        // Returns the watched root layer name (also for sublayers like cesium_massing::tower)
+        private static string GetWatchedLayer(Layer layer)
+        {
+            string fullPath = layer.FullPath ?? layer.Name;
+            string rootName = fullPath.Split(new[] { "::" }, StringSplitOptions.None)[0];
+
+            return WatchedLayers.Contains(rootName) ? rootName : null;
+        }
+
+        // Push one "layers-changed" event listing every layer touched since the last push
+        private void Flush()
+        {
+            string[] layers;
+            lock (_pendingLock)
+            {
+                if (_pendingLayers.Count == 0) return;
+                layers = _pendingLayers.ToArray();
+                _pendingLayers.Clear();
+            }
+
+            var layersJson = string.Join(",", layers.Select(name => $"\"{name}\""));
+            _server.BroadcastEvent("layers-changed", $"{{\"layers\":[{layersJson}]}}");
+
+            RhinoApp.WriteLine($"[McAtlas] Live sync: changes on {string.Join(", ", layers)}");
+        }
+    }
+}
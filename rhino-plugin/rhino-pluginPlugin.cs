@@ -15,6 +15,10 @@ namespace rhino_plugin
     {
         // HTTP server instance
         private SimpleHttpServer _httpServer;
+        // Cesium layer watcher (live sync)
+        private LayerWatcher _layerWatcher;
+        // Active viewport watcher (camera follow)
+        private CameraWatcher _cameraWatcher;
         public rhino_pluginPlugin()
         {
             Instance = this;
@@ -32,15 +36,39 @@ namespace rhino_plugin
         {
             // Start HTTP server
             _httpServer = new SimpleHttpServer();
-            _httpServer.Start();
+            _httpServer.Start(ServerHost, ServerPort);
+
+            // Push cesium layer changes to Tauri
+            _layerWatcher = new LayerWatcher(_httpServer);
+            _layerWatcher.Start();
+
+            // Push viewport camera changes to Tauri
+            _cameraWatcher = new CameraWatcher(_httpServer);
+            _cameraWatcher.Start();
             
             return Rhino.PlugIns.LoadReturnCode.Success;
         }
 
+        // Where the HTTP server listens - the app's Rhino Connection section must match (see McAtlasServer)
+        public string ServerHost => Settings.GetString("ServerHost", "localhost");
+        public int ServerPort => Settings.GetInteger("ServerPort", 8080);
+
+        // Save a new address and restart the server on it (open event streams reconnect by themselves)
+        public void SetServerAddress(string host, int port)
+        {
+            Settings.SetString("ServerHost", host);
+            Settings.SetInteger("ServerPort", port);
+
+            _httpServer.Stop();
+            _httpServer.Start(host, port);
+        }
+
         // Called when plugin is unloaded (Rhino closes)
         protected override void OnShutdown()
         {
-            // Stop HTTP server
+            // Stop watching layers and the viewport, then stop HTTP server
+            _layerWatcher?.Stop();
+            _cameraWatcher?.Stop();
             _httpServer?.Stop();
             
             base.OnShutdown();
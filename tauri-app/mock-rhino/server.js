@@ -0,0 +1,300 @@
+// Mock Rhino: stands in for the McAtlas plugin's HTTP server so the front end can be run without Rhino
+// Same routes and answers as rhino-plugin/httpServer.cs, backed by an in-memory "document"
+//
+//   npm run mock-rhino -- [--port 8080] [--latency 0] [--documents ~/Documents]
+//
+// Type "layers" or "camera" + Enter to push the matching event to the app
+
+import http from "node:http";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import readline from "node:readline";
+
+const options = parseArgs(process.argv.slice(2));
+const PORT = Number(options.port) || 8080;
+const LATENCY_MS = Number(options.latency) || 0;          // delay every answer, e.g. to try timeouts
+const EXPORT_DIR = path.join(options.documents || path.join(os.homedir(), "Documents"), "McAtlas");
+const HEARTBEAT_MS = 10000;
+
+// The "document": earth anchor, clipping polygons, active viewport and project reference
+const doc = {
+  anchor: { lat: 40.6976, lon: -73.9986, elevation: 0, northAngle: 0 },
+  clippingPolygons: [],
+  camera: {
+    location: [-80, -120, 90],
+    direction: [0.5, 0.75, -0.43],
+    up: [0.24, 0.36, 0.9],
+    halfAngle: 20,
+    perspective: true
+  },
+  project: null
+};
+
+const eventClients = new Set();
+
+// ============ ROUTES ============
+
+const routes = {
+  "GET /export-geometry": () => {
+    fs.mkdirSync(EXPORT_DIR, { recursive: true });
+    const glbPath = path.join(EXPORT_DIR, "mcatlas_massing.glb");
+    fs.writeFileSync(glbPath, createBoxGlb(20, 30, 20));
+
+    return {
+      models: [{ name: "cesium_massing", glbFile: "mcatlas_massing.glb", glbPath, layerColor: "#3c78d8" }],
+      position: {
+        lat: doc.anchor.lat,
+        lon: doc.anchor.lon,
+        height: doc.anchor.elevation,
+        northAngle: doc.anchor.northAngle,
+        units: "Meters",
+        metersPerUnit: 1
+      },
+      clippingPolygons: doc.clippingPolygons
+    };
+  },
+
+  "POST /set-earth-anchor": (body) => {
+    if (!Number.isFinite(body.lat) || !Number.isFinite(body.lon)) {
+      return { error: "Invalid coordinates" };
+    }
+    // Like Rhino, keep the elevation and north angle when they are not sent
+    doc.anchor = { ...doc.anchor, ...pick(body, ["lat", "lon", "elevation", "northAngle"]) };
+    console.log(`[mock] EarthAnchorPoint: ${JSON.stringify(doc.anchor)}`);
+    return { success: true };
+  },
+
+  "POST /import-map-image": (body) => {
+    if (!body.imageBase64) return { error: "No image data received" };
+    if (!(body.widthMeters > 0 && body.heightMeters > 0)) return { error: "Invalid map image size" };
+
+    fs.mkdirSync(EXPORT_DIR, { recursive: true });
+    const imagePath = path.join(EXPORT_DIR, `mcatlas_map.${body.imageFormat === "png" ? "png" : "jpg"}`);
+    fs.writeFileSync(imagePath, Buffer.from(body.imageBase64, "base64"));
+    console.log(`[mock] Map image ${body.pixelWidth}x${body.pixelHeight}px, ${body.widthMeters}x${body.heightMeters}m: ${imagePath}`);
+    return { success: true, imagePath };
+  },
+
+  "POST /import-terrain-mesh": (body) => {
+    const count = body.columns * body.rows;
+    if (!(count > 0) || !Array.isArray(body.vertices) || body.vertices.length !== count * 3) {
+      return { error: "Invalid terrain mesh" };
+    }
+    console.log(`[mock] Terrain mesh ${body.columns}x${body.rows} at ${body.spacing}m`);
+    return { success: true, vertexCount: count, draped: !!body.drape };
+  },
+
+  "POST /add-clip-polygons": (body) => {
+    if (!Array.isArray(body.polygons) || body.polygons.length === 0) {
+      return { error: "No clipping polygons received" };
+    }
+    doc.clippingPolygons.push(...body.polygons);
+    return { success: true, count: body.polygons.length };
+  },
+
+  "GET /camera": () => getCamera(),
+
+  "POST /set-camera": (body) => {
+    if (!Array.isArray(body.location) || !Array.isArray(body.direction) || !Array.isArray(body.up)) {
+      return { error: "Invalid camera" };
+    }
+    doc.camera = { ...pick(body, ["location", "direction", "up", "halfAngle"]), perspective: true };
+    broadcast("camera-changed", getCamera());
+    return { success: true };
+  },
+
+  "GET /project": () => ({ project: doc.project }),
+
+  "POST /set-project": (body) => {
+    doc.project = body.project || null;
+    return { success: true };
+  }
+};
+
+function getCamera() {
+  return { anchor: { lat: doc.anchor.lat, lon: doc.anchor.lon }, ...doc.camera };
+}
+
+// ============ SERVER ============
+
+const server = http.createServer(async (request, response) => {
+  response.setHeader("Access-Control-Allow-Origin", "*");
+  response.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  response.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (request.method === "OPTIONS") {
+    response.writeHead(200).end();
+    return;
+  }
+
+  const { pathname } = new URL(request.url, `http://${request.headers.host}`);
+
+  if (pathname === "/events") {
+    openEventStream(request, response);
+    return;
+  }
+
+  const text = await readBody(request);
+  if (LATENCY_MS > 0) {
+    await new Promise(resolve => setTimeout(resolve, LATENCY_MS));
+  }
+
+  // Log lines are plain text (batched, one per line) with an empty answer
+  if (pathname === "/log") {
+    text.split("\n").filter(Boolean).forEach(line => console.log(`[Tauri] ${line}`));
+    response.writeHead(200).end();
+    return;
+  }
+
+  const route = routes[`${request.method} ${pathname}`];
+  if (!route) {
+    sendJson(response, 404, { error: `Unknown route ${request.method} ${pathname}` });
+    return;
+  }
+
+  let body = {};
+  try {
+    body = text ? JSON.parse(text) : {};
+  } catch (error) {
+    sendJson(response, 200, { error: "Invalid JSON" });
+    return;
+  }
+
+  try {
+    sendJson(response, 200, route(body));
+  } catch (error) {
+    sendJson(response, 200, { error: error.message });
+  }
+});
+
+function sendJson(response, status, data) {
+  const buffer = Buffer.from(JSON.stringify(data));
+  response.writeHead(status, { "Content-Type": "application/json", "Content-Length": buffer.length });
+  response.end(buffer);
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on("data", chunk => chunks.push(chunk));
+    request.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    request.on("error", reject);
+  });
+}
+
+// ============ EVENTS ============
+
+function openEventStream(request, response) {
+  response.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive"
+  });
+  response.write(": connected\n\n");
+
+  eventClients.add(response);
+  request.on("close", () => eventClients.delete(response));
+}
+
+function broadcast(name, data) {
+  const message = `event: ${name}\ndata: ${JSON.stringify(data)}\n\n`;
+  eventClients.forEach(client => client.write(message));
+}
+
+setInterval(() => broadcast("heartbeat", {}), HEARTBEAT_MS).unref();
+
+readline.createInterface({ input: process.stdin }).on("line", (line) => {
+  const command = line.trim();
+  if (command === "layers") {
+    broadcast("layers-changed", { layers: ["cesium_massing"] });
+  } else if (command === "camera") {
+    broadcast("camera-changed", getCamera());
+  } else if (command) {
+    console.log('[mock] Commands: "layers", "camera"');
+  }
+});
+
+// ============ GLB ============
+
+// Box of width x height x depth meters with its corner at the origin (glTF is Y-up, like Rhino's export)
+function createBoxGlb(width, height, depth) {
+  const faces = [
+    { normal: [1, 0, 0], corners: [[width, 0, 0], [width, 0, -depth], [width, height, -depth], [width, height, 0]] },
+    { normal: [-1, 0, 0], corners: [[0, 0, -depth], [0, 0, 0], [0, height, 0], [0, height, -depth]] },
+    { normal: [0, 1, 0], corners: [[0, height, 0], [width, height, 0], [width, height, -depth], [0, height, -depth]] },
+    { normal: [0, -1, 0], corners: [[0, 0, -depth], [width, 0, -depth], [width, 0, 0], [0, 0, 0]] },
+    { normal: [0, 0, 1], corners: [[0, 0, 0], [width, 0, 0], [width, height, 0], [0, height, 0]] },
+    { normal: [0, 0, -1], corners: [[width, 0, -depth], [0, 0, -depth], [0, height, -depth], [width, height, -depth]] }
+  ];
+
+  const positions = new Float32Array(faces.flatMap(face => face.corners.flat()));
+  const normals = new Float32Array(faces.flatMap(face => face.corners.flatMap(() => face.normal)));
+  const indices = new Uint16Array(faces.flatMap((face, i) => [0, 1, 2, 0, 2, 3].map(k => i * 4 + k)));
+
+  const binary = Buffer.concat([
+    Buffer.from(positions.buffer),
+    Buffer.from(normals.buffer),
+    Buffer.from(indices.buffer)
+  ]);
+
+  const gltf = {
+    asset: { version: "2.0", generator: "McAtlas mock Rhino" },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0, name: "mock_massing" }],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0, NORMAL: 1 }, indices: 2, material: 0 }] }],
+    materials: [{ name: "Massing", pbrMetallicRoughness: { baseColorFactor: [0.85, 0.85, 0.85, 1], metallicFactor: 0, roughnessFactor: 0.8 }, doubleSided: true }],
+    buffers: [{ byteLength: binary.length }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: positions.byteLength, target: 34962 },
+      { buffer: 0, byteOffset: positions.byteLength, byteLength: normals.byteLength, target: 34962 },
+      { buffer: 0, byteOffset: positions.byteLength + normals.byteLength, byteLength: indices.byteLength, target: 34963 }
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 24, type: "VEC3", min: [0, 0, -depth], max: [width, height, 0] },
+      { bufferView: 1, componentType: 5126, count: 24, type: "VEC3" },
+      { bufferView: 2, componentType: 5123, count: 36, type: "SCALAR" }
+    ]
+  };
+
+  const json = padTo4(Buffer.from(JSON.stringify(gltf)), 0x20);
+  const bin = padTo4(binary, 0);
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(0x46546c67, 0);                     // "glTF"
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(12 + 8 + json.length + 8 + bin.length, 8);
+
+  return Buffer.concat([header, chunkHeader(json.length, 0x4e4f534a), json, chunkHeader(bin.length, 0x004e4942), bin]);
+}
+
+function chunkHeader(length, type) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32LE(length, 0);
+  header.writeUInt32LE(type, 4);
+  return header;
+}
+
+function padTo4(buffer, fill) {
+  const padding = (4 - (buffer.length % 4)) % 4;
+  return padding ? Buffer.concat([buffer, Buffer.alloc(padding, fill)]) : buffer;
+}
+
+// ============ HELPERS ============
+
+// --name value pairs
+function parseArgs(args) {
+  const result = {};
+  for (let i = 0; i < args.length; i += 2) {
+    result[args[i].replace(/^--/, "")] = args[i + 1];
+  }
+  return result;
+}
+
+function pick(object, keys) {
+  return Object.fromEntries(keys.filter(key => object[key] !== undefined).map(key => [key, object[key]]));
+}
+
+server.listen(PORT, "localhost", () => {
+  console.log(`Mock Rhino listening on http://localhost:${PORT} (GLBs and map images go to ${EXPORT_DIR})`);
+});
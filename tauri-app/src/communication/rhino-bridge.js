@@ -1,19 +1,17 @@
+import { exportGeometry } from "./rhino-client.js";
+import { logWarn } from "./rhino-logger.js";
+
 // Fetch geometry from Rhino
-async function fetchGeometryFromRhino() {
+// Returns the export, or { error } (Rhino unreachable, export failed, cancelled) - callers decide how to report it
+async function fetchGeometryFromRhino({ signal } = {}) {
   try {
-    const response = await fetch('http://localhost:8080/export-geometry');
-    
-    if (!response.ok) {
-      throw new Error('Failed to fetch geometry from Rhino');
-    }
-    
-    const data = await response.json();
-    return data;
+    return await exportGeometry({ signal });
   } catch (error) {
-    console.error('Error fetching from Rhino:', error);
-    alert('Could not connect to Rhino. Make sure Rhino is running with McAtlas plugin loaded.');
-    return null;
+    if (!(signal && signal.aborted)) {
+      logWarn(`Fetching geometry from Rhino failed (${error.name}): ${error.message}`);
+    }
+    return { error: error.message };
   }
 }
 
-export { fetchGeometryFromRhino };
\ No newline at end of file
+export { fetchGeometryFromRhino };
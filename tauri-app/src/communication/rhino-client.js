@@ -0,0 +1,377 @@
+// Rhino client: the one place that talks to the McAtlas plugin's HTTP server
+// Owns the endpoint (host/port), per-request timeouts, cancellation and retries, checks the shape
+// of the responses the front end depends on and turns every failure into a typed RhinoError
+
+import { readTextFile, writeTextFile, mkdir, exists, BaseDirectory } from "@tauri-apps/plugin-fs";
+import { logError } from "./rhino-logger.js";
+
+// VITE_RHINO_HOST / VITE_RHINO_PORT point a dev build at another server (e.g. the mock)
+const DEFAULT_ENDPOINT = {
+  host: import.meta.env.VITE_RHINO_HOST || "localhost",
+  port: Number(import.meta.env.VITE_RHINO_PORT) || 8080
+};
+
+const SETTINGS_DIR = "settings";
+const ENDPOINT_PATH = `${SETTINGS_DIR}/rhino-endpoint.json`;
+const FS_OPTIONS = { baseDir: BaseDirectory.AppData };
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const LOG_TIMEOUT_MS = 2000;
+const EXPORT_TIMEOUT_MS = 180000;   // GLB export of a big massing model runs Rhino commands
+const IMPORT_TIMEOUT_MS = 60000;    // map images and terrain meshes are large request bodies
+const RETRY_BASE_DELAY_MS = 500;    // 500ms, 1s, 2s
+
+let endpoint = { ...DEFAULT_ENDPOINT };
+
+const endpointListeners = [];
+
+// ============ ERRORS ============
+
+// Base class - path is the Rhino route, e.g. "/export-geometry"
+class RhinoError extends Error {
+  constructor(message, path) {
+    super(message);
+    this.name = "RhinoError";
+    this.path = path;
+  }
+}
+
+// Rhino (or the plugin's server) is not reachable
+class RhinoConnectionError extends RhinoError {
+  constructor(path, cause) {
+    super(`Could not connect to Rhino at ${getRhinoUrl("")}. Make sure Rhino is running with the McAtlas plugin loaded.`, path);
+    this.name = "RhinoConnectionError";
+    this.cause = cause;
+  }
+}
+
+// No answer within the request's timeout
+class RhinoTimeoutError extends RhinoError {
+  constructor(path, timeoutMs) {
+    super(`Rhino did not answer ${path} within ${timeoutMs / 1000}s`, path);
+    this.name = "RhinoTimeoutError";
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// Cancelled through the caller's AbortSignal
+class RhinoAbortError extends RhinoError {
+  constructor(path) {
+    super(`Request to ${path} was cancelled`, path);
+    this.name = "RhinoAbortError";
+  }
+}
+
+// Non-2xx status
+class RhinoHttpError extends RhinoError {
+  constructor(path, status) {
+    super(`Rhino answered ${path} with HTTP ${status}`, path);
+    this.name = "RhinoHttpError";
+    this.status = status;
+  }
+}
+
+// Rhino answered { error } - the command ran but failed (no document, no anchor, ...)
+class RhinoCommandError extends RhinoError {
+  constructor(path, message) {
+    super(message, path);
+    this.name = "RhinoCommandError";
+  }
+}
+
+// The answer is not what this version of McAtlas expects (e.g. an older plugin)
+class RhinoResponseError extends RhinoError {
+  constructor(path, problem) {
+    super(`Unexpected answer from Rhino for ${path}: ${problem}`, path);
+    this.name = "RhinoResponseError";
+    this.problem = problem;
+  }
+}
+
+// ============ ENDPOINT ============
+
+// Read the saved endpoint (call once before the first request)
+async function loadRhinoEndpoint() {
+  try {
+    if (await exists(ENDPOINT_PATH, FS_OPTIONS)) {
+      const saved = JSON.parse(await readTextFile(ENDPOINT_PATH, FS_OPTIONS));
+      endpoint = normalizeEndpoint(saved);
+    }
+  } catch (error) {
+    logError(`Failed to read the Rhino endpoint: ${error.message || error}`);
+  }
+  return getRhinoEndpoint();
+}
+
+// Change and save the endpoint: { host, port }
+async function setRhinoEndpoint(values) {
+  endpoint = normalizeEndpoint({ ...endpoint, ...values });
+  endpointListeners.forEach(listener => listener(getRhinoEndpoint()));
+
+  try {
+    await mkdir(SETTINGS_DIR, { ...FS_OPTIONS, recursive: true });
+    await writeTextFile(ENDPOINT_PATH, JSON.stringify(endpoint), FS_OPTIONS);
+  } catch (error) {
+    logError(`Failed to save the Rhino endpoint: ${error.message || error}`);
+  }
+  return getRhinoEndpoint();
+}
+
+function getRhinoEndpoint() {
+  return { ...endpoint };
+}
+
+// Full URL of a Rhino route, e.g. getRhinoUrl("/events")
+function getRhinoUrl(path) {
+  return `http://${endpoint.host}:${endpoint.port}${path}`;
+}
+
+// Register a callback for endpoint changes: ({ host, port }) => {}
+function onRhinoEndpointChanged(listener) {
+  endpointListeners.push(listener);
+}
+
+function normalizeEndpoint({ host, port }) {
+  const cleanHost = String(host || "").trim() || DEFAULT_ENDPOINT.host;
+  const cleanPort = Math.round(Number(port));
+  return {
+    host: cleanHost,
+    port: cleanPort > 0 && cleanPort < 65536 ? cleanPort : DEFAULT_ENDPOINT.port
+  };
+}
+
+// ============ REQUESTS ============
+
+// Send a request to Rhino and return the parsed JSON
+// options: { method, body (object = JSON, string = text), timeoutMs, retries, signal,
+//            validate(data) => problem string or null, parse (false = ignore the body) }
+// Only connection failures are retried - GETs once by default, POSTs never (they change the document)
+// Throws a RhinoError subclass
+async function rhinoRequest(path, options = {}) {
+  const method = options.method || 'GET';
+  const retries = options.retries ?? (method === 'GET' ? 1 : 0);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestOnce(path, method, options);
+    } catch (error) {
+      if (!(error instanceof RhinoConnectionError) || attempt >= retries) {
+        throw error;
+      }
+      await wait(RETRY_BASE_DELAY_MS * 2 ** attempt, options.signal, path);
+    }
+  }
+}
+
+async function requestOnce(path, method, { body, timeoutMs = DEFAULT_TIMEOUT_MS, signal, validate, parse = true }) {
+  if (signal && signal.aborted) {
+    throw new RhinoAbortError(path);
+  }
+
+  // One controller for both the timeout and the caller's signal
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  let text;
+  try {
+    const response = await fetch(getRhinoUrl(path), {
+      method,
+      headers: typeof body === 'object' ? { 'Content-Type': 'application/json' } : undefined,
+      body: typeof body === 'object' ? JSON.stringify(body) : body,
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new RhinoHttpError(path, response.status);
+    }
+    text = await response.text();
+  } catch (error) {
+    if (error instanceof RhinoError) throw error;
+    if (timedOut) throw new RhinoTimeoutError(path, timeoutMs);
+    if (signal && signal.aborted) throw new RhinoAbortError(path);
+    throw new RhinoConnectionError(path, error);
+  } finally {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  if (!parse) return null;
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new RhinoResponseError(path, "not JSON");
+  }
+
+  if (!isObject(data)) {
+    throw new RhinoResponseError(path, "not a JSON object");
+  }
+  if (typeof data.error === 'string') {
+    throw new RhinoCommandError(path, data.error);
+  }
+
+  const problem = validate ? validate(data) : null;
+  if (problem) {
+    throw new RhinoResponseError(path, problem);
+  }
+  return data;
+}
+
+// Wait between retries (cancellable)
+function wait(ms, signal, path) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(done, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new RhinoAbortError(path));
+    };
+    function done() {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// ============ ROUTES ============
+
+// Export cesium_massing as GLBs: { models: [{ name, glbFile, glbPath }], position, clippingPolygons }
+async function exportGeometry({ signal } = {}) {
+  return rhinoRequest('/export-geometry', { timeoutMs: EXPORT_TIMEOUT_MS, signal, validate: checkGeometry });
+}
+
+// Set Rhino's EarthAnchorPoint: { lat, lon, elevation?, northAngle? } (omitted values are kept)
+async function setEarthAnchor(anchor, { signal } = {}) {
+  return rhinoRequest('/set-earth-anchor', { method: 'POST', body: anchor, signal, validate: checkSuccess });
+}
+
+// Place a map image as a picture frame: { imageBase64, imageFormat, widthMeters, heightMeters,
+// pixelWidth, pixelHeight } - answers { success, imagePath }
+async function importMapImage(image, { signal } = {}) {
+  return rhinoRequest('/import-map-image', {
+    method: 'POST',
+    body: image,
+    timeoutMs: IMPORT_TIMEOUT_MS,
+    signal,
+    validate: checkMapImage
+  });
+}
+
+async function importTerrainMesh(mesh, { signal } = {}) {
+  return rhinoRequest('/import-terrain-mesh', {
+    method: 'POST',
+    body: mesh,
+    timeoutMs: IMPORT_TIMEOUT_MS,
+    signal,
+    validate: checkSuccess
+  });
+}
+
+// polygons: [[lon, lat, lon, lat, ...], ...] - answers { success, count }
+async function addClipPolygons(polygons, { signal } = {}) {
+  return rhinoRequest('/add-clip-polygons', { method: 'POST', body: { polygons }, signal, validate: checkSuccess });
+}
+
+// Active viewport camera: { anchor, location, direction, up, halfAngle, perspective }
+async function getCamera({ signal } = {}) {
+  return rhinoRequest('/camera', { signal });
+}
+
+async function setCamera(camera, { signal } = {}) {
+  return rhinoRequest('/set-camera', { method: 'POST', body: camera, signal, validate: checkSuccess });
+}
+
+// Project file the active Rhino document references: { project } (may be null)
+async function getProject({ signal } = {}) {
+  return rhinoRequest('/project', { signal });
+}
+
+async function setProject(project, { signal } = {}) {
+  return rhinoRequest('/set-project', { method: 'POST', body: { project }, signal, validate: checkSuccess });
+}
+
+// Print a line in Rhino's command history (plain text body, no answer)
+async function sendLog(message) {
+  return rhinoRequest('/log', { method: 'POST', body: message, timeoutMs: LOG_TIMEOUT_MS, parse: false });
+}
+
+// ============ RESPONSE CHECKS ============
+// Each returns a description of the problem, or null when the shape is fine
+
+function checkGeometry(data) {
+  if (!Array.isArray(data.models) || data.models.length === 0) {
+    return "no models";
+  }
+  if (data.models.some(model => !isObject(model) || typeof model.name !== 'string' || typeof model.glbFile !== 'string')) {
+    return "model without a name or glbFile";
+  }
+
+  const position = data.position;
+  if (!isObject(position) || !isFiniteNumber(position.lat) || !isFiniteNumber(position.lon)) {
+    return "position without lat/lon";
+  }
+  for (const key of ['height', 'northAngle', 'metersPerUnit']) {
+    if (position[key] !== undefined && !isFiniteNumber(position[key])) {
+      return `position.${key} is not a number`;
+    }
+  }
+
+  if (data.clippingPolygons !== undefined &&
+      (!Array.isArray(data.clippingPolygons) || data.clippingPolygons.some(p => !Array.isArray(p)))) {
+    return "clippingPolygons is not a list of polygons";
+  }
+  return null;
+}
+
+function checkSuccess(data) {
+  return data.success === true ? null : "no success flag";
+}
+
+function checkMapImage(data) {
+  return checkSuccess(data) || (typeof data.imagePath === 'string' ? null : "no imagePath");
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+export {
+  RhinoError,
+  RhinoConnectionError,
+  RhinoTimeoutError,
+  RhinoAbortError,
+  RhinoHttpError,
+  RhinoCommandError,
+  RhinoResponseError,
+  loadRhinoEndpoint,
+  setRhinoEndpoint,
+  getRhinoEndpoint,
+  getRhinoUrl,
+  onRhinoEndpointChanged,
+  rhinoRequest,
+  exportGeometry,
+  setEarthAnchor,
+  importMapImage,
+  importTerrainMesh,
+  addClipPolygons,
+  getCamera,
+  setCamera,
+  getProject,
+  setProject,
+  sendLog
+};
@@ -0,0 +1,149 @@
+// Live push channel from Rhino (Server-Sent Events on /events)
+// Handles reconnect with backoff, heartbeat watchdog and connection status
+
+import { getRhinoUrl, onRhinoEndpointChanged } from "./rhino-client.js";
+import { logWarn, logError } from "./rhino-logger.js";
+
+const HEARTBEAT_TIMEOUT_MS = 25000;  // Rhino sends a heartbeat every 10s
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+let eventSource = null;
+let status = 'disconnected';         // 'connecting' | 'connected' | 'disconnected'
+let reconnectDelay = RECONNECT_MIN_MS;
+let reconnectTimer = null;
+let watchdogTimer = null;
+
+const statusListeners = [];
+const layerListeners = [];
+const cameraListeners = [];
+
+// A new host/port means a new stream - reconnect right away if we were connected or trying to
+onRhinoEndpointChanged(() => {
+  if (!eventSource && !reconnectTimer) return;
+  disconnectRhinoEvents();
+  reconnectDelay = RECONNECT_MIN_MS;
+  connectRhinoEvents();
+});
+
+// Open the event stream (safe to call more than once)
+function connectRhinoEvents() {
+  if (eventSource) return;
+
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  setStatus('connecting');
+
+  eventSource = new EventSource(getRhinoUrl('/events'));
+
+  eventSource.onopen = () => {
+    reconnectDelay = RECONNECT_MIN_MS;
+    setStatus('connected');
+    resetWatchdog();
+  };
+
+  eventSource.addEventListener('heartbeat', () => {
+    resetWatchdog();
+  });
+
+  eventSource.addEventListener('layers-changed', (event) => {
+    resetWatchdog();
+    let layers = [];
+    try {
+      layers = JSON.parse(event.data).layers || [];
+    } catch (error) {
+      logError(`Bad layers-changed payload from Rhino: ${event.data}`);
+    }
+    layerListeners.forEach(listener => listener(layers));
+  });
+
+  eventSource.addEventListener('camera-changed', (event) => {
+    resetWatchdog();
+    let camera = null;
+    try {
+      camera = JSON.parse(event.data);
+    } catch (error) {
+      logError(`Bad camera-changed payload from Rhino: ${event.data}`);
+      return;
+    }
+    cameraListeners.forEach(listener => listener(camera));
+  });
+
+  // EventSource retries by itself, but gives up for good on some errors,
+  // so we always tear down and reconnect with our own backoff
+  eventSource.onerror = () => {
+    scheduleReconnect();
+  };
+}
+
+// Close the stream and stop reconnecting
+function disconnectRhinoEvents() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  clearTimeout(watchdogTimer);
+  closeEventSource();
+  setStatus('disconnected');
+}
+
+function closeEventSource() {
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+}
+
+// Reconnect with exponential backoff
+function scheduleReconnect() {
+  clearTimeout(watchdogTimer);
+  closeEventSource();
+  setStatus('disconnected');
+
+  clearTimeout(reconnectTimer);
+  reconnectTimer = setTimeout(connectRhinoEvents, reconnectDelay);
+  reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_MS);
+}
+
+// No heartbeat for too long means the connection is dead even if the socket looks open
+function resetWatchdog() {
+  clearTimeout(watchdogTimer);
+  watchdogTimer = setTimeout(() => {
+    logWarn("Rhino heartbeat timed out, reconnecting");
+    scheduleReconnect();
+  }, HEARTBEAT_TIMEOUT_MS);
+}
+
+function setStatus(newStatus) {
+  if (status === newStatus) return;
+  status = newStatus;
+  statusListeners.forEach(listener => listener(status));
+}
+
+// Get current connection status
+function getRhinoConnectionStatus() {
+  return status;
+}
+
+// Register a callback for connection status changes
+function onRhinoStatusChange(listener) {
+  statusListeners.push(listener);
+  listener(status);
+}
+
+// Register a callback for cesium layer changes, receives the list of changed layer names
+function onRhinoLayersChanged(listener) {
+  layerListeners.push(listener);
+}
+
+// Register a callback for Rhino viewport camera changes (throttled while orbiting)
+function onRhinoCameraChanged(listener) {
+  cameraListeners.push(listener);
+}
+
+export {
+  connectRhinoEvents,
+  disconnectRhinoEvents,
+  getRhinoConnectionStatus,
+  onRhinoStatusChange,
+  onRhinoLayersChanged,
+  onRhinoCameraChanged
+};
@@ -1,13 +1,212 @@
-// Send log message to Rhino console
-async function logToRhino(message) {
+// Levelled logging (debug / info / warn / error)
+// Every entry lands in a local ring buffer (the in-app log console, saved logs) and the browser
+// console right away; delivery to Rhino's command history is batched in the background, so logging
+// never waits on Rhino. While Rhino is offline undelivered lines queue up and go out once it answers.
+
+import { writeTextFile, mkdir, BaseDirectory } from "@tauri-apps/plugin-fs";
+import { sendLog, getRhinoUrl } from "./rhino-client.js";
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const BUFFER_SIZE = 2000;          // entries kept for the log console and saved logs
+const QUEUE_SIZE = 500;            // undelivered entries kept while Rhino is offline
+const FLUSH_DELAY_MS = 200;        // gather lines for one request
+const RETRY_MIN_MS = 2000;
+const RETRY_MAX_MS = 30000;
+
+const LOG_DIR = "McAtlas/logs";
+const FS_OPTIONS = { baseDir: BaseDirectory.Document };
+
+// Lowest level sent to Rhino - debug detail stays in the app
+let rhinoLevel = 'info';
+
+// Ring buffer: [{ id, time, level, message }]
+const entries = [];
+let nextEntryId = 1;
+
+// Not yet delivered to Rhino
+let queue = [];
+let droppedCount = 0;
+let flushTimer = null;
+let isFlushing = false;
+let retryDelay = RETRY_MIN_MS;
+
+const listeners = [];
+
+// ============ LOGGING ============
+
+function log(level, message) {
+  const entry = { id: nextEntryId++, time: Date.now(), level, message: String(message) };
+
+  entries.push(entry);
+  if (entries.length > BUFFER_SIZE) {
+    entries.shift();
+  }
+  writeToConsole(entry);
+
+  if (LEVELS.indexOf(level) >= LEVELS.indexOf(rhinoLevel)) {
+    queue.push(entry);
+    if (queue.length > QUEUE_SIZE) {
+      queue.shift();
+      droppedCount++;
+    }
+    scheduleFlush(FLUSH_DELAY_MS);
+  }
+
+  notify(entry);
+  return entry;
+}
+
+function logDebug(message) {
+  return log('debug', message);
+}
+
+function logInfo(message) {
+  return log('info', message);
+}
+
+function logWarn(message) {
+  return log('warn', message);
+}
+
+function logError(message) {
+  return log('error', message);
+}
+
+// Uncaught errors and rejections end up in the log too (bug reports need them most)
+function captureUncaughtErrors() {
+  window.addEventListener('error', (event) => {
+    logError(`Uncaught: ${event.message} (${event.filename}:${event.lineno})`);
+  });
+  window.addEventListener('unhandledrejection', (event) => {
+    const reason = event.reason;
+    logError(`Unhandled rejection: ${reason && reason.stack ? reason.stack : reason}`);
+  });
+}
+
+function setRhinoLogLevel(level) {
+  if (LEVELS.includes(level)) {
+    rhinoLevel = level;
+  }
+}
+
+// ============ LOG CONSOLE ============
+
+// Buffered entries at or above a level
+function getLogEntries(minLevel = 'debug') {
+  const min = LEVELS.indexOf(minLevel);
+  return entries.filter(entry => LEVELS.indexOf(entry.level) >= min);
+}
+
+// Lines still waiting for Rhino
+function getPendingLogCount() {
+  return queue.length;
+}
+
+function clearLog() {
+  entries.length = 0;
+  notify(null);
+}
+
+// Write the buffer to Documents/McAtlas/logs - returns the path
+async function saveLogFile() {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const path = `${LOG_DIR}/mcatlas-${stamp}.log`;
+
+  const header = [
+    `McAtlas log saved ${new Date().toISOString()}`,
+    `Rhino: ${getRhinoUrl("")} (${queue.length} line(s) not delivered)`,
+    `User agent: ${navigator.userAgent}`,
+    ""
+  ];
+
+  await mkdir(LOG_DIR, { ...FS_OPTIONS, recursive: true });
+  await writeTextFile(path, header.concat(entries.map(formatEntry)).join("\n") + "\n", FS_OPTIONS);
+  return path;
+}
+
+// Register a callback for new entries: (entry) => {}, called with null when only the delivery state changed
+function onLogChanged(listener) {
+  listeners.push(listener);
+}
+
+// "2026-01-31T12:03:04.123Z WARN  message"
+function formatEntry(entry) {
+  const time = new Date(entry.time).toISOString();
+  return `${time} ${entry.level.toUpperCase().padEnd(5)} ${entry.message}`;
+}
+
+// ============ DELIVERY ============
+
+// One timer at a time - a pending retry is not cut short by new lines
+function scheduleFlush(delay) {
+  if (flushTimer) return;
+  flushTimer = setTimeout(flush, delay);
+}
+
+async function flush() {
+  flushTimer = null;
+  if (isFlushing || queue.length === 0) return;
+
+  isFlushing = true;
+  const batch = queue;
+  const dropped = droppedCount;
+  queue = [];
+  droppedCount = 0;
+
+  const lines = batch.map(formatForRhino);
+  if (dropped > 0) {
+    lines.unshift(`[WARN] ${dropped} log line(s) dropped while Rhino was unreachable`);
+  }
+
   try {
-    await fetch('http://localhost:8080/log', {
-      method: 'POST',
-      body: message
-    });
+    await sendLog(lines.join("\n"));
+    retryDelay = RETRY_MIN_MS;
   } catch (error) {
-    // Silently fail
+    // Put the batch back in front of anything logged meanwhile and back off
+    queue = batch.concat(queue);
+    droppedCount += dropped + Math.max(0, queue.length - QUEUE_SIZE);
+    queue = queue.slice(-QUEUE_SIZE);
+    isFlushing = false;
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    scheduleFlush(retryDelay);
+    retryDelay = Math.min(retryDelay * 2, RETRY_MAX_MS);
+    notify(null);
+    return;
+  }
+
+  isFlushing = false;
+  notify(null);
+  if (queue.length > 0) {
+    scheduleFlush(FLUSH_DELAY_MS);
   }
 }
 
-export { logToRhino };
\ No newline at end of file
+// Rhino has no levels of its own - tag every line with the entry's
+function formatForRhino(entry) {
+  return `[${entry.level.toUpperCase()}] ${entry.message}`;
+}
+
+function writeToConsole(entry) {
+  console[entry.level](`[McAtlas] ${entry.message}`);
+}
+
+function notify(entry) {
+  listeners.forEach(listener => listener(entry));
+}
+
+export {
+  LEVELS,
+  logDebug,
+  logInfo,
+  logWarn,
+  logError,
+  captureUncaughtErrors,
+  setRhinoLogLevel,
+  getLogEntries,
+  getPendingLogCount,
+  clearLog,
+  saveLogFile,
+  onLogChanged,
+  formatEntry
+};
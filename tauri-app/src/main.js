@@ -2,10 +2,22 @@
 import { initCesiumViewer } from './world/cesium-viewer.js';
 import { initToolbar } from "./ui/toolbar.js";
 import { initViewMode } from "./world/view-mode.js";
+import { loadRhinoEndpoint } from "./communication/rhino-client.js";
+import { captureUncaughtErrors } from "./communication/rhino-logger.js";
+import { loadBaseDataConfig } from "./world/base-data.js";
 
 // Invoke Tauri
 const { invoke } = window.__TAURI__.core;
 
+// Uncaught errors go to the log console (and Rhino) from the start
+captureUncaughtErrors();
+
+// Rhino host/port saved from an earlier session - before anything talks to Rhino
+await loadRhinoEndpoint();
+
+// 3D tiles, imagery and terrain sources (and the ion token) - before the viewer is built from them
+await loadBaseDataConfig();
+
 // Initialize Cesium when page loads
 // Returns { viewer, tileset }
 const { viewer, tileset } = await initCesiumViewer('cesiumContainer');
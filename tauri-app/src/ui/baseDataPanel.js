@@ -0,0 +1,101 @@
+// Base Data section of the side panel: 3D tiles, imagery and terrain sources, the ion token and
+// offline mode. Saved settings apply on reload - the viewer is built from them at startup.
+import {
+  getBaseDataConfig,
+  saveBaseDataConfig,
+  getSourceTypes,
+  getBaseDataStatus,
+  onBaseDataStatusChanged
+} from "../world/base-data.js";
+import { logInfo, logError } from "../communication/rhino-logger.js";
+import { notifyError } from "./notifications.js";
+
+const KINDS = ["tiles", "imagery", "terrain"];
+
+const TYPE_SELECTS = {
+  tiles: "baseTilesType",
+  imagery: "baseImageryType",
+  terrain: "baseTerrainType"
+};
+
+const STATUS_STYLES = {
+  loaded: "text-gray-500",
+  off: "text-gray-500",
+  skipped: "text-amber-600",
+  failed: "text-red-600"
+};
+
+// Initialize the fields from the saved settings
+function initBaseDataPanel() {
+  const config = getBaseDataConfig();
+
+  document.getElementById("baseDataOffline").checked = config.offline;
+  document.getElementById("ionToken").value = config.ionToken;
+
+  for (const kind of KINDS) {
+    const select = document.getElementById(TYPE_SELECTS[kind]);
+    select.replaceChildren(...getSourceTypes(kind).map(t => new Option(t.label, t.type)));
+    select.value = config[kind].type;
+    select.addEventListener("change", () => showFields(kind));
+
+    for (const input of getFieldInputs(kind)) {
+      input.value = config[kind][input.dataset.field];
+    }
+    showFields(kind);
+  }
+
+  const applyButton = document.getElementById("btnApplyBaseData");
+  applyButton.addEventListener("click", async () => {
+    applyButton.disabled = true;
+    try {
+      await saveBaseDataConfig(readForm());
+      logInfo("BASE DATA: Settings saved - reloading");
+      window.location.reload();
+    } catch (error) {
+      logError(`BASE DATA ERROR: ${error.message}`);
+      notifyError("Failed to save the base data settings: " + error.message);
+      applyButton.disabled = false;
+    }
+  });
+
+  onBaseDataStatusChanged(renderStatus);
+  renderStatus(getBaseDataStatus());
+}
+
+// Show only the inputs the selected source type uses
+function showFields(kind) {
+  const type = document.getElementById(TYPE_SELECTS[kind]).value;
+  document.querySelectorAll(`[data-kind="${kind}"][data-types]`).forEach(element => {
+    element.classList.toggle("hidden", !element.dataset.types.split(" ").includes(type));
+  });
+}
+
+function readForm() {
+  const values = {
+    offline: document.getElementById("baseDataOffline").checked,
+    ionToken: document.getElementById("ionToken").value
+  };
+  for (const kind of KINDS) {
+    values[kind] = { type: document.getElementById(TYPE_SELECTS[kind]).value };
+    for (const input of getFieldInputs(kind)) {
+      values[kind][input.dataset.field] = input.value.trim();
+    }
+  }
+  return values;
+}
+
+// What loaded this session (the form may already hold unsaved changes)
+function renderStatus(status) {
+  for (const kind of KINDS) {
+    const line = document.querySelector(`[data-status="${kind}"]`);
+    const { state, message } = status[kind];
+    line.textContent = state === 'loaded' ? `Loaded: ${message}` : message;
+    line.className = `text-xs break-words ${STATUS_STYLES[state]}`;
+  }
+}
+
+function getFieldInputs(kind) {
+  return document.querySelectorAll(`[data-kind="${kind}"][data-field]`);
+}
+
+export { initBaseDataPanel };
@@ -0,0 +1,45 @@
+// Camera section of the side panel: match Cesium and Rhino's active viewport, live-follow Rhino
+import {
+  initCameraSync,
+  sendCameraToRhino,
+  matchRhinoCamera,
+  setCameraFollow,
+  onCameraFollowChanged
+} from "../world/camera-sync.js";
+
+// Initialize camera matching controls
+function initCameraPanel(viewer) {
+  const toRhinoButton = document.getElementById("btnCameraToRhino");
+  const fromRhinoButton = document.getElementById("btnCameraFromRhino");
+  const followCheckbox = document.getElementById("cameraFollow");
+
+  initCameraSync(viewer);
+
+  toRhinoButton.addEventListener("click", async () => {
+    toRhinoButton.disabled = true;
+    try {
+      await sendCameraToRhino();
+    } finally {
+      toRhinoButton.disabled = false;
+    }
+  });
+
+  fromRhinoButton.addEventListener("click", async () => {
+    fromRhinoButton.disabled = true;
+    try {
+      await matchRhinoCamera();
+    } finally {
+      fromRhinoButton.disabled = false;
+    }
+  });
+
+  followCheckbox.addEventListener("change", () => setCameraFollow(followCheckbox.checked));
+
+  // While following, Cesium is driven by Rhino - matching the other way makes no sense
+  onCameraFollowChanged((following) => {
+    followCheckbox.checked = following;
+    toRhinoButton.disabled = following;
+  });
+}
+
+export { initCameraPanel };
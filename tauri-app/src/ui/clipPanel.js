@@ -0,0 +1,78 @@
+// Clipping section of the side panel: draw outlines, list them, send them to Rhino
+import {
+  initClipDraw,
+  startDrawingClip,
+  stopDrawing,
+  removeClipPolygon,
+  getClipPolygons,
+  sendClipPolygonsToRhino,
+  onClipPolygonsChanged
+} from "../world/clip-draw.js";
+import { createRowButton } from "./sidePanel.js";
+
+// Initialize clipping controls
+function initClipPanel(viewer, tileset) {
+  const drawButton = document.getElementById("btnDrawClip");
+  const sendButton = document.getElementById("btnSendClip");
+  let drawing = false;
+
+  initClipDraw(viewer, tileset);
+
+  drawButton.addEventListener("click", () => {
+    if (drawing) {
+      stopDrawing();
+    } else {
+      startDrawingClip();
+    }
+  });
+
+  sendButton.addEventListener("click", async () => {
+    sendButton.disabled = true;
+    try {
+      await sendClipPolygonsToRhino();
+    } finally {
+      sendButton.disabled = getClipPolygons().length === 0;
+    }
+  });
+
+  onClipPolygonsChanged((polygons, state) => {
+    drawing = state.drawing;
+    renderClipPanel(polygons, state);
+  });
+  renderClipPanel([], { drawing: false, drawingVertices: 0 });
+}
+
+function renderClipPanel(polygons, state) {
+  document.getElementById("btnDrawClip").textContent = state.drawing ? "Cancel" : "Draw";
+  document.getElementById("btnSendClip").disabled = polygons.length === 0;
+
+  document.getElementById("clipHint").textContent = state.drawing
+    ? (state.drawingVertices < 3
+      ? "Click on the map to add corners."
+      : "Right click to close the outline.")
+    : (polygons.length > 0
+      ? "Drag corners to edit, drag edge dots to add, right click a corner to delete."
+      : "Draw outlines of buildings to remove from the 3D tiles.");
+
+  renderClipList(polygons);
+}
+
+function renderClipList(polygons) {
+  const list = document.getElementById("clipList");
+  list.replaceChildren(...polygons.map((polygon, i) => {
+    const row = document.createElement("li");
+    row.className = "flex items-center gap-2 rounded-lg px-2 py-1 hover:bg-gray-50";
+
+    const name = document.createElement("span");
+    name.className = "flex-1 min-w-0 truncate";
+    name.textContent = `Outline ${i + 1} · ${polygon.vertexCount} corners`;
+
+    const remove = createRowButton("Delete outline", "M6 18 18 6M6 6l12 12");
+    remove.addEventListener("click", () => removeClipPolygon(polygon.id));
+
+    row.append(name, remove);
+    return row;
+  }));
+}
+
+export { initClipPanel };
@@ -0,0 +1,33 @@
+// Rhino Connection section of the side panel: host/port of the McAtlas plugin's server
+// (the plugin listens where its McAtlasServer command says - both sides must match)
+import { getRhinoEndpoint, setRhinoEndpoint } from "../communication/rhino-client.js";
+import { logInfo } from "../communication/rhino-logger.js";
+
+// Initialize the host/port fields (the event stream reconnects by itself on change)
+function initConnectionPanel() {
+  const hostInput = document.getElementById("rhinoHost");
+  const portInput = document.getElementById("rhinoPort");
+
+  const render = ({ host, port }) => {
+    hostInput.value = host;
+    portInput.value = port;
+  };
+  render(getRhinoEndpoint());
+
+  const apply = async () => {
+    const endpoint = await setRhinoEndpoint({ host: hostInput.value, port: portInput.value });
+    render(endpoint);
+    logInfo(`CONNECTION: Talking to Rhino at ${endpoint.host}:${endpoint.port}`);
+  };
+
+  document.getElementById("btnApplyRhinoEndpoint").addEventListener("click", apply);
+  for (const input of [hostInput, portInput]) {
+    input.addEventListener("keypress", async (e) => {
+      if (e.key === "Enter") {
+        await apply();
+      }
+    });
+  }
+}
+
+export { initConnectionPanel };
@@ -0,0 +1,173 @@
+// Flythrough section of the render panel: paths, keyframes with dwell / travel times, playback and
+// PNG sequence export at the render size set above it
+import {
+  initFlythrough,
+  createFlythrough,
+  removeFlythrough,
+  setActiveFlythrough,
+  renameFlythrough,
+  addKeyframe,
+  updateKeyframe,
+  setKeyframeTiming,
+  moveKeyframe,
+  removeKeyframe,
+  goToKeyframe,
+  playFlythrough,
+  stopFlythrough,
+  exportFlythroughFrames,
+  onFlythroughChanged
+} from "../world/flythrough.js";
+import { logError } from "../communication/rhino-logger.js";
+import { showProgress } from "./notifications.js";
+import { createRowButton } from "./sidePanel.js";
+
+let playing = false;
+
+// Initialize the flythrough controls
+function initFlythroughPanel(viewer, tileset) {
+  const pathSelect = document.getElementById("flythroughPath");
+  const nameInput = document.getElementById("flythroughName");
+  const exportButton = document.getElementById("btnExportFlythrough");
+  const status = document.getElementById("flythroughStatus");
+
+  initFlythrough(viewer, tileset);
+
+  pathSelect.addEventListener("change", () => setActiveFlythrough(Number(pathSelect.value)));
+  nameInput.addEventListener("change", () => renameFlythrough(Number(pathSelect.value), nameInput.value));
+  document.getElementById("btnNewFlythrough").addEventListener("click", () => createFlythrough());
+  document.getElementById("btnDeleteFlythrough").addEventListener("click", () => removeFlythrough(Number(pathSelect.value)));
+  document.getElementById("btnAddKeyframe").addEventListener("click", addKeyframe);
+  document.getElementById("btnPlayFlythrough").addEventListener("click", () => {
+    if (playing) {
+      stopFlythrough();
+    } else {
+      playFlythrough();
+    }
+  });
+
+  // Same size, supersampling and chrome option as stills - always PNG
+  exportButton.addEventListener("click", async () => {
+    const width = Math.round(Number(document.getElementById("renderWidth").value));
+    const height = Math.round(Number(document.getElementById("renderHeight").value));
+    if (!(width >= 16 && height >= 16)) {
+      status.textContent = "Enter a valid width and height above.";
+      return;
+    }
+
+    const progress = showProgress("Export flythrough");
+    status.textContent = "Exporting...";
+    try {
+      const result = await exportFlythroughFrames({
+        width,
+        height,
+        supersample: Number(document.getElementById("renderSupersample").value),
+        fps: Number(document.getElementById("flythroughFps").value),
+        hideChrome: document.getElementById("renderHideChrome").checked,
+        signal: progress.signal,
+        onProgress: (done, total) => progress.update(done / total, `Frame ${done} of ${total}`)
+      });
+      status.textContent = !result ? ""
+        : result.cancelled ? `Cancelled - ${result.frameCount} frames saved to Documents/${result.directory}`
+        : `Saved ${result.frameCount} frames to Documents/${result.directory}`;
+    } catch (error) {
+      logError("FLYTHROUGH ERROR: " + error.message);
+      status.textContent = "Export failed: " + error.message;
+    } finally {
+      progress.close();
+    }
+  });
+
+  onFlythroughChanged(renderFlythroughs);
+  renderFlythroughs({ paths: [], active: null, playing: false, exporting: false });
+}
+
+function renderFlythroughs(state) {
+  const { paths, active } = state;
+  playing = state.playing;
+
+  const pathSelect = document.getElementById("flythroughPath");
+  pathSelect.replaceChildren(...(paths.length > 0
+    ? paths.map(path => new Option(`${path.name} (${formatDuration(path.duration)})`, path.id))
+    : [new Option("No flythroughs yet", "")]));
+  pathSelect.value = active ? String(active.id) : "";
+  pathSelect.disabled = paths.length === 0;
+
+  const nameInput = document.getElementById("flythroughName");
+  if (document.activeElement !== nameInput) {
+    nameInput.value = active ? active.name : "";
+  }
+  nameInput.disabled = !active;
+  document.getElementById("btnDeleteFlythrough").disabled = !active;
+
+  const busy = state.playing || state.exporting;
+  const tooShort = !active || active.keyframes.length < 2;
+  const playButton = document.getElementById("btnPlayFlythrough");
+  playButton.textContent = state.playing ? "Stop" : "Play";
+  playButton.disabled = state.exporting || tooShort;
+  document.getElementById("btnExportFlythrough").disabled = busy || tooShort;
+  document.getElementById("btnAddKeyframe").disabled = busy;
+
+  renderKeyframes(active ? active.keyframes : [], busy);
+}
+
+function renderKeyframes(keyframes, busy) {
+  const list = document.getElementById("flythroughKeyframes");
+
+  list.replaceChildren(...keyframes.map((keyframe, i) => {
+    const row = document.createElement("li");
+    row.className = "flex items-center gap-1 rounded-lg px-2 py-1 hover:bg-gray-50";
+
+    const name = document.createElement("button");
+    name.className = "flex-1 min-w-0 text-left truncate text-xs";
+    name.textContent = `View ${i + 1}`;
+    name.title = "Go to this view";
+    name.addEventListener("click", () => goToKeyframe(i));
+
+    const dwell = createSecondsInput(keyframe.dwell, 0, "Seconds to stay at the keyframe");
+    dwell.addEventListener("change", () => setKeyframeTiming(i, { dwell: Number(dwell.value) }));
+
+    // The last keyframe has nowhere to travel to
+    const travel = createSecondsInput(keyframe.travel, 0.5, "Seconds to the next keyframe");
+    travel.addEventListener("change", () => setKeyframeTiming(i, { travel: Number(travel.value) }));
+    travel.style.visibility = i < keyframes.length - 1 ? "visible" : "hidden";
+
+    const moveUp = createRowButton("Move earlier", "m4.5 15.75 7.5-7.5 7.5 7.5");
+    moveUp.addEventListener("click", () => moveKeyframe(i, -1));
+    moveUp.classList.add("disabled:opacity-30");
+    moveUp.disabled = i === 0;
+
+    const update = createRowButton("Use the current view", "M16.023 9.348h4.992v-.001M2.985 19.644v-4.992m0 0h4.992m-4.993 0 3.181 3.183a8.25 8.25 0 0 0 13.803-3.7M4.031 9.865a8.25 8.25 0 0 1 13.803-3.7l3.181 3.182m0-4.991v4.99");
+    update.addEventListener("click", () => updateKeyframe(i));
+
+    const remove = createRowButton("Remove keyframe", "M6 18 18 6M6 6l12 12");
+    remove.addEventListener("click", () => removeKeyframe(i));
+
+    [name, dwell, travel, moveUp, update, remove].forEach(element => { element.disabled = element.disabled || busy; });
+    row.append(name, dwell, travel, moveUp, update, remove);
+    return row;
+  }));
+
+  if (keyframes.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "px-2 text-xs text-gray-400";
+    empty.textContent = "Move the camera, then add the view as a keyframe.";
+    list.append(empty);
+  }
+}
+
+function createSecondsInput(value, min, title) {
+  const input = document.createElement("input");
+  input.type = "number";
+  input.min = String(min);
+  input.step = "0.5";
+  input.value = value;
+  input.title = title;
+  input.className = "w-12 h-6 px-1 rounded border border-gray-200 text-xs outline-none focus:border-gray-400";
+  return input;
+}
+
+function formatDuration(seconds) {
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, "0")}` : `${seconds.toFixed(1)} s`;
+}
+
+export { initFlythroughPanel };
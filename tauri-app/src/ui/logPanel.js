@@ -0,0 +1,123 @@
+// Log console: the app's buffered log with level and text filters, saved to a file for bug reports
+import {
+  LEVELS,
+  getLogEntries,
+  getPendingLogCount,
+  clearLog,
+  saveLogFile,
+  onLogChanged,
+  formatEntry
+} from "../communication/rhino-logger.js";
+
+// Rows kept in the console while it stays open (matches the logger's buffer)
+const MAX_ROWS = 2000;
+
+const LEVEL_STYLES = {
+  debug: "text-gray-400",
+  info: "text-gray-800",
+  warn: "text-amber-600",
+  error: "text-red-600"
+};
+
+// Initialize log console and its toolbar button
+function initLogPanel() {
+  const panel = document.getElementById("logPanel");
+  const levelSelect = document.getElementById("logLevel");
+  const filterInput = document.getElementById("logFilter");
+  const saveButton = document.getElementById("btnSaveLog");
+  const saveStatus = document.getElementById("logSaveStatus");
+
+  document.getElementById("btnLog").addEventListener("click", () => {
+    panel.classList.toggle("hidden");
+    if (!panel.classList.contains("hidden")) {
+      renderLog();
+    }
+  });
+
+  levelSelect.addEventListener("change", renderLog);
+  filterInput.addEventListener("input", renderLog);
+  document.getElementById("btnClearLog").addEventListener("click", () => {
+    clearLog();
+    renderLog();
+  });
+
+  saveButton.addEventListener("click", async () => {
+    saveButton.disabled = true;
+    try {
+      const path = await saveLogFile();
+      saveStatus.textContent = `Saved to Documents/${path}`;
+    } catch (error) {
+      saveStatus.textContent = `Could not save the log: ${error.message}`;
+    } finally {
+      saveButton.disabled = false;
+    }
+  });
+
+  // New lines are appended while the console is open - a full render only on filter changes
+  onLogChanged((entry) => {
+    if (panel.classList.contains("hidden")) return;
+    if (entry) {
+      appendEntry(entry);
+    } else {
+      renderStatus();
+    }
+  });
+}
+
+function renderLog() {
+  const list = document.getElementById("logList");
+  const { minLevel, text } = getFilter();
+
+  list.replaceChildren(...getLogEntries(minLevel)
+    .filter(entry => matchesText(entry, text))
+    .map(createRow));
+  list.scrollTop = list.scrollHeight;
+  renderStatus();
+}
+
+function appendEntry(entry) {
+  const list = document.getElementById("logList");
+  const { minLevel, text } = getFilter();
+  if (LEVELS.indexOf(entry.level) < LEVELS.indexOf(minLevel) || !matchesText(entry, text)) {
+    renderStatus();
+    return;
+  }
+
+  // Follow the tail unless the user scrolled up to read
+  const atBottom = list.scrollHeight - list.scrollTop - list.clientHeight < 20;
+  list.append(createRow(entry));
+  if (list.childElementCount > MAX_ROWS) {
+    list.firstElementChild.remove();
+  }
+  if (atBottom) {
+    list.scrollTop = list.scrollHeight;
+  }
+  renderStatus();
+}
+
+function renderStatus() {
+  const pending = getPendingLogCount();
+  document.getElementById("logStatus").textContent = pending > 0
+    ? `${pending} line(s) waiting for Rhino`
+    : "";
+}
+
+function createRow(entry) {
+  const row = document.createElement("li");
+  row.className = "whitespace-pre-wrap break-all " + LEVEL_STYLES[entry.level];
+  row.textContent = formatEntry(entry).slice(11);   // drop the date, the time is enough here
+  return row;
+}
+
+function getFilter() {
+  return {
+    minLevel: document.getElementById("logLevel").value,
+    text: document.getElementById("logFilter").value.trim().toLowerCase()
+  };
+}
+
+function matchesText(entry, text) {
+  return !text || entry.message.toLowerCase().includes(text);
+}
+
+export { initLogPanel };
@@ -0,0 +1,225 @@
+// Map export panel: region, zoom/ground resolution and an estimate before exporting
+import {
+  DEFAULT_ZOOM_LEVEL,
+  MIN_ZOOM_LEVEL,
+  MAX_ZOOM_LEVEL,
+  exportMapToRhino,
+  estimateMapExport,
+  metersPerPixel
+} from "../world/map-export.js";
+import {
+  initExportRegion,
+  showExportRegion,
+  hideExportRegion,
+  startDrawingRegion,
+  setRegionSize,
+  centerRegionOnView,
+  getExportRegion,
+  setExportRegion,
+  getRegionSizeMeters,
+  onExportRegionChanged
+} from "../world/export-region.js";
+import {
+  DEFAULT_TERRAIN_SPACING,
+  estimateTerrainExport,
+  exportTerrainToRhino
+} from "../world/terrain-export.js";
+import { logDebug } from "../communication/rhino-logger.js";
+import { notifySuccess, showProgress } from "./notifications.js";
+
+// Initialize map export panel and its toolbar button
+function initMapExportPanel(viewer) {
+  const panel = document.getElementById("mapExportPanel");
+  const widthInput = document.getElementById("regionWidth");
+  const heightInput = document.getElementById("regionHeight");
+  const zoomSelect = document.getElementById("exportZoom");
+  const exportButton = document.getElementById("btnExportMap");
+  const terrainButton = document.getElementById("btnExportTerrain");
+  const spacingInput = document.getElementById("terrainSpacing");
+
+  initExportRegion(viewer);
+
+  // Toolbar button toggles the panel and the region on the map
+  document.getElementById("btnGetMap").addEventListener("click", () => {
+    logDebug("TOOLBAR: Send Map to Rhino clicked!");
+    const open = panel.classList.toggle("hidden") === false;
+    if (open) {
+      showExportRegion();
+    } else {
+      hideExportRegion();
+    }
+  });
+
+  document.getElementById("btnDrawRegion").addEventListener("click", startDrawingRegion);
+  document.getElementById("btnCenterRegion").addEventListener("click", centerRegionOnView);
+
+  // Typing a size resizes the region around its center
+  const applySize = () => {
+    const width = Number(widthInput.value);
+    const height = Number(heightInput.value);
+    if (width > 0 && height > 0) {
+      setRegionSize(width, height);
+    }
+  };
+  widthInput.addEventListener("change", applySize);
+  heightInput.addEventListener("change", applySize);
+
+  // Zoom options, labelled with ground resolution at the region
+  zoomSelect.addEventListener("change", () => updateEstimate());
+  spacingInput.addEventListener("input", () => updateTerrainEstimate());
+
+  onExportRegionChanged((region, state) => {
+    document.getElementById("regionHint").classList.toggle("hidden", !state.drawing);
+
+    const { widthMeters, heightMeters } = getRegionSizeMeters();
+    if (document.activeElement !== widthInput) widthInput.value = Math.round(widthMeters);
+    if (document.activeElement !== heightInput) heightInput.value = Math.round(heightMeters);
+
+    fillZoomOptions(zoomSelect, region);
+    updateEstimate();
+    updateTerrainEstimate();
+  });
+
+  exportButton.addEventListener("click", async () => {
+    const region = getExportRegion();
+    if (!region) return;
+
+    const result = await runWithProgress(exportButton, "Send Map to Rhino", (progress) => exportMapToRhino(viewer, {
+      region,
+      zoom: Number(zoomSelect.value),
+      format: document.getElementById("exportFormat").value,
+      signal: progress.signal,
+      onProgress: ({ done, total, cached, failed }) => {
+        progress.update(done / total, `${done} / ${total} tiles · ${cached} cached` +
+          (failed > 0 ? ` · ${failed} failed` : ""));
+      }
+    }));
+    if (result) {
+      notifySuccess(`Map placed in Rhino (${Math.round(result.estimate.widthMeters)} × ${Math.round(result.estimate.heightMeters)} m)`);
+    }
+  });
+
+  terrainButton.addEventListener("click", async () => {
+    const region = getExportRegion();
+    if (!region) return;
+
+    logDebug("TOOLBAR: Send Terrain to Rhino clicked!");
+    const result = await runWithProgress(terrainButton, "Send Terrain to Rhino", (progress) => exportTerrainToRhino(viewer, {
+      region,
+      spacing: Number(spacingInput.value) || DEFAULT_TERRAIN_SPACING,
+      drape: document.getElementById("terrainDrape").checked,
+      signal: progress.signal,
+      onProgress: ({ done, total }) => {
+        progress.update(done / total, `${done} / ${total} heights`);
+      }
+    }));
+    if (result) {
+      notifySuccess(`Terrain mesh placed in Rhino (${result.grid.columns} × ${result.grid.rows} points)`);
+    }
+  });
+
+  fillZoomOptions(zoomSelect, null);
+}
+
+// Region and export options (saved in project files)
+function getMapExportSettings() {
+  return {
+    region: getExportRegion(),
+    zoom: Number(document.getElementById("exportZoom").value),
+    format: document.getElementById("exportFormat").value,
+    terrainSpacing: Number(document.getElementById("terrainSpacing").value),
+    terrainDrape: document.getElementById("terrainDrape").checked
+  };
+}
+
+// Restore settings from a project (missing values keep the current ones)
+function applyMapExportSettings(settings) {
+  if (!settings) return;
+
+  if (settings.zoom) document.getElementById("exportZoom").value = settings.zoom;
+  if (settings.format) document.getElementById("exportFormat").value = settings.format;
+  if (settings.terrainSpacing > 0) document.getElementById("terrainSpacing").value = settings.terrainSpacing;
+  if (typeof settings.terrainDrape === "boolean") document.getElementById("terrainDrape").checked = settings.terrainDrape;
+
+  // Fires the region listener, which refreshes the estimates
+  if (settings.region) {
+    setExportRegion(settings.region);
+  } else {
+    updateEstimate();
+    updateTerrainEstimate();
+  }
+}
+
+// Show the progress overlay (with cancel) while an export runs, with its button disabled
+// task(progress) gets the overlay's { signal, update } - returns the task's result
+async function runWithProgress(button, title, task) {
+  const progress = showProgress(title);
+  button.disabled = true;
+
+  try {
+    return await task(progress);
+  } finally {
+    button.disabled = false;
+    progress.close();
+  }
+}
+
+// Zoom levels with m/px at the region's latitude
+function fillZoomOptions(select, region) {
+  const lat = region ? (region.north + region.south) / 2 : 0;
+  const current = Number(select.value) || DEFAULT_ZOOM_LEVEL;
+
+  const options = [];
+  for (let zoom = MIN_ZOOM_LEVEL; zoom <= MAX_ZOOM_LEVEL; zoom++) {
+    options.push(new Option(`Zoom ${zoom} - ${formatResolution(metersPerPixel(lat, zoom))}`, zoom));
+  }
+  select.replaceChildren(...options);
+  select.value = current;
+}
+
+// Tile count, output size and ground resolution for the current settings
+function updateEstimate() {
+  const region = getExportRegion();
+  const estimate = document.getElementById("exportEstimate");
+  const exportButton = document.getElementById("btnExportMap");
+  if (!region) {
+    estimate.textContent = "";
+    return;
+  }
+
+  const zoom = Number(document.getElementById("exportZoom").value);
+  const result = estimateMapExport(region, zoom);
+
+  estimate.textContent =
+    `${result.totalTiles} tiles (${result.tilesX} × ${result.tilesY}) · ` +
+    `${result.pixelWidth} × ${result.pixelHeight} px · ${formatResolution(result.metersPerPixel)}`;
+  estimate.classList.toggle("text-red-600", result.tooLarge);
+  estimate.classList.toggle("text-gray-500", !result.tooLarge);
+  exportButton.disabled = result.tooLarge;
+}
+
+// Terrain grid size for the current spacing
+function updateTerrainEstimate() {
+  const region = getExportRegion();
+  const estimate = document.getElementById("terrainEstimate");
+  const terrainButton = document.getElementById("btnExportTerrain");
+  const spacing = Number(document.getElementById("terrainSpacing").value);
+  if (!region || !(spacing > 0)) {
+    estimate.textContent = "";
+    terrainButton.disabled = true;
+    return;
+  }
+
+  const result = estimateTerrainExport(region, spacing);
+
+  estimate.textContent = `${result.columns} × ${result.rows} grid · ${result.vertexCount.toLocaleString()} points`;
+  estimate.classList.toggle("text-red-600", result.tooLarge);
+  estimate.classList.toggle("text-gray-500", !result.tooLarge);
+  terrainButton.disabled = result.tooLarge;
+}
+
+function formatResolution(mpp) {
+  return mpp >= 1 ? `${mpp.toFixed(1)} m/px` : `${Math.round(mpp * 100)} cm/px`;
+}
+
+export { initMapExportPanel, getMapExportSettings, applyMapExportSettings };
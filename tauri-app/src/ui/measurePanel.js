@@ -0,0 +1,87 @@
+// Measure panel: tool picker, hint for the current step and the list of measurements
+import {
+  MEASURE_TOOLS,
+  initMeasure,
+  setMeasureTool,
+  getMeasureTool,
+  removeMeasurement,
+  clearMeasurements,
+  onMeasurementsChanged
+} from "../world/measure.js";
+import { createRowButton } from "./sidePanel.js";
+
+const HINTS = {
+  distance: ["Click the start point.", "Click the end point."],
+  height: ["Click the lower point.", "Click the upper point."],
+  bearing: ["Click the point to measure from.", "Click the target."],
+  area: ["Click the first corner.", "Click the next corner.", "Click more corners, right click to finish."]
+};
+
+// Initialize measure panel and its toolbar button
+function initMeasurePanel(viewer) {
+  const panel = document.getElementById("measurePanel");
+  const button = document.getElementById("btnMeasure");
+  const tools = document.getElementById("measureTools");
+
+  initMeasure(viewer);
+
+  // Toolbar button toggles the panel - closing it leaves measure mode
+  button.addEventListener("click", () => {
+    const open = panel.classList.toggle("hidden") === false;
+    if (!open) {
+      setMeasureTool(null);
+    }
+    button.classList.toggle("bg-cyan-100", open);
+    button.classList.toggle("bg-white", !open);
+  });
+
+  // Clicking the active tool again turns it off
+  for (const [tool, { label }] of Object.entries(MEASURE_TOOLS)) {
+    const toolButton = document.createElement("button");
+    toolButton.textContent = label;
+    toolButton.dataset.tool = tool;
+    toolButton.className = "h-8 rounded-lg border border-gray-200 text-xs hover:bg-gray-50 active:scale-95";
+    toolButton.addEventListener("click", () => setMeasureTool(getMeasureTool() === tool ? null : tool));
+    tools.append(toolButton);
+  }
+
+  document.getElementById("btnClearMeasurements").addEventListener("click", clearMeasurements);
+
+  onMeasurementsChanged(renderMeasurements);
+  renderMeasurements([], { tool: null, pendingPoints: 0 });
+}
+
+function renderMeasurements(measurements, state) {
+  for (const toolButton of document.getElementById("measureTools").children) {
+    const active = toolButton.dataset.tool === state.tool;
+    toolButton.classList.toggle("bg-black", active);
+    toolButton.classList.toggle("text-white", active);
+    toolButton.classList.toggle("hover:bg-gray-50", !active);
+  }
+
+  const hints = HINTS[state.tool];
+  document.getElementById("measureHint").textContent = hints
+    ? hints[Math.min(state.pendingPoints, hints.length - 1)] + " Esc cancels."
+    : "Choose a tool, then click in the scene.";
+
+  const list = document.getElementById("measureList");
+  list.replaceChildren(...measurements.map(measurement => {
+    const row = document.createElement("li");
+    row.className = "flex items-center gap-2 rounded-lg px-2 py-1 hover:bg-gray-50";
+
+    const text = document.createElement("span");
+    text.className = "flex-1 min-w-0 text-xs";
+    text.innerHTML = `<span class="text-gray-500">${MEASURE_TOOLS[measurement.tool].label}</span> `;
+    text.append(measurement.text);
+
+    const remove = createRowButton("Remove measurement", "M6 18 18 6M6 6l12 12");
+    remove.addEventListener("click", () => removeMeasurement(measurement.id));
+
+    row.append(text, remove);
+    return row;
+  }));
+
+  document.getElementById("btnClearMeasurements").disabled = measurements.length === 0 && state.pendingPoints === 0;
+}
+
+export { initMeasurePanel };
@@ -0,0 +1,131 @@
+// Display section of the side panel: colour, opacity, x-ray and edges for all models or one model,
+// presets (white massing, ghost, layer colours) and per-material colour / opacity overrides
+import { getModels, getModelMaterials, onModelsChanged } from "../world/cesium-geometry.js";
+import {
+  getModelStyle,
+  setModelStyle,
+  applyStylePreset,
+  hasModelStyle,
+  clearModelStyle,
+  getStylePresets,
+  getMaterialStyles,
+  setMaterialStyle,
+  onModelStylesChanged
+} from "../world/model-style.js";
+import { createRowButton } from "./sidePanel.js";
+
+// Model being styled ("" = all models)
+let target = "";
+
+// Initialize the Display controls
+function initModelStylePanel() {
+  const targetSelect = document.getElementById("styleTarget");
+  targetSelect.addEventListener("change", () => {
+    target = targetSelect.value;
+    renderStylePanel();
+  });
+
+  document.getElementById("stylePresets").replaceChildren(...getStylePresets().map(preset => {
+    const button = document.createElement("button");
+    button.textContent = preset.label;
+    button.className = "flex-1 h-8 rounded-lg border border-gray-200 text-xs text-black hover:bg-gray-50 active:scale-95";
+    button.addEventListener("click", () => applyStylePreset(target || null, preset.id));
+    return button;
+  }));
+
+  // Model-wide changes are cheap (entity colour), so colours and opacity follow the input live
+  bindStyleInput("styleColorBy", "change", (input) => ({ colorBy: input.value }));
+  bindStyleInput("styleColor", "input", (input) => ({ colorBy: 'custom', color: input.value }));
+  bindStyleInput("styleOpacity", "input", (input) => ({ opacity: Number(input.value) / 100 }));
+  bindStyleInput("styleXray", "change", (input) => ({ xray: input.checked }));
+  bindStyleInput("styleEdges", "change", (input) => ({ edges: input.checked }));
+  bindStyleInput("styleEdgeColor", "input", (input) => ({ edges: true, edgeColor: input.value }));
+
+  document.getElementById("btnResetModelStyle").addEventListener("click", () => clearModelStyle(target));
+
+  onModelsChanged(renderStylePanel);
+  onModelStylesChanged(renderStylePanel);
+  renderStylePanel();
+}
+
+function bindStyleInput(id, eventName, readChanges) {
+  const input = document.getElementById(id);
+  input.addEventListener(eventName, () => setModelStyle(target || null, readChanges(input)));
+}
+
+function renderStylePanel() {
+  const names = getModels().map(model => model.name);
+  if (target && !names.includes(target)) {
+    target = "";
+  }
+
+  const targetSelect = document.getElementById("styleTarget");
+  targetSelect.replaceChildren(
+    new Option("All models", ""),
+    ...names.map(name => new Option(hasModelStyle(name) ? `${name} (own style)` : name, name))
+  );
+  targetSelect.value = target;
+
+  const style = getModelStyle(target || null);
+  document.getElementById("styleColorBy").value = style.colorBy;
+  document.getElementById("styleColor").value = style.color;
+  document.getElementById("styleOpacity").value = Math.round(style.opacity * 100);
+  document.getElementById("styleOpacityValue").textContent = `${Math.round(style.opacity * 100)}%`;
+  document.getElementById("styleXray").checked = style.xray;
+  document.getElementById("styleEdges").checked = style.edges || style.xray;
+  document.getElementById("styleEdges").disabled = style.xray;
+  document.getElementById("styleEdgeColor").value = style.edgeColor;
+
+  document.getElementById("btnResetModelStyle").hidden = !target || !hasModelStyle(target);
+  renderMaterials();
+}
+
+// One row per material of the chosen model: colour, opacity, reset
+// Material changes reload the model, so they apply when the input is released
+function renderMaterials() {
+  const section = document.getElementById("styleMaterials");
+  const list = document.getElementById("styleMaterialList");
+  const materials = target ? getModelMaterials(target) : [];
+
+  section.hidden = materials.length === 0;
+
+  const overrides = getMaterialStyles(target);
+  list.replaceChildren(...materials.map(materialName => {
+    const override = overrides[materialName] || {};
+
+    const row = document.createElement("li");
+    row.className = "flex items-center gap-2 rounded-lg px-2 py-1 hover:bg-gray-50";
+
+    const name = document.createElement("span");
+    name.textContent = materialName;
+    name.className = "flex-1 min-w-0 truncate " + (overrides[materialName] ? "font-semibold" : "");
+
+    const color = document.createElement("input");
+    color.type = "color";
+    color.title = "Colour";
+    color.value = override.color || "#ffffff";
+    color.className = "w-6 h-6 shrink-0 cursor-pointer";
+    color.addEventListener("change", () => setMaterialStyle(target, materialName, { color: color.value }));
+
+    const opacity = document.createElement("input");
+    opacity.type = "range";
+    opacity.title = "Opacity";
+    opacity.min = "5";
+    opacity.max = "100";
+    opacity.step = "5";
+    opacity.value = Math.round((override.opacity !== undefined ? override.opacity : 1) * 100);
+    opacity.className = "w-16 shrink-0 accent-black";
+    opacity.addEventListener("change", () => setMaterialStyle(target, materialName, { opacity: Number(opacity.value) / 100 }));
+
+    row.append(name, color, opacity);
+
+    if (overrides[materialName]) {
+      const reset = createRowButton("Reset material", "M6 18 18 6M6 6l12 12");
+      reset.addEventListener("click", () => setMaterialStyle(target, materialName, null));
+      row.append(reset);
+    }
+    return row;
+  }));
+}
+
+export { initModelStylePanel };
@@ -0,0 +1,156 @@
+// Notifications: non-modal toasts with a severity and optional action buttons, and a progress
+// overlay with cancel for long operations (sync, map and terrain export)
+
+// Errors stay until dismissed - the user may be looking elsewhere when they happen
+const SEVERITIES = {
+  info: { bar: "bg-gray-400", timeoutMs: 4000 },
+  success: { bar: "bg-green-500", timeoutMs: 4000 },
+  warning: { bar: "bg-amber-400", timeoutMs: 8000 },
+  error: { bar: "bg-red-500", timeoutMs: 0 }
+};
+const MAX_TOASTS = 4;
+
+// Progress handle of the operation shown in the overlay (one at a time)
+let activeProgress = null;
+
+// ============ TOASTS ============
+
+// Show a toast - returns { dismiss }
+// options: { severity ('info' | 'success' | 'warning' | 'error'), actions: [{ label, onClick }],
+//            timeoutMs (0 = stay until dismissed) }
+function showToast(message, { severity = "info", actions = [], timeoutMs } = {}) {
+  const container = document.getElementById("toastContainer");
+  const style = SEVERITIES[severity] || SEVERITIES.info;
+
+  const toast = document.createElement("div");
+  toast.setAttribute("role", severity === "error" ? "alert" : "status");
+  toast.className = "pointer-events-auto flex overflow-hidden rounded-2xl bg-white border border-gray-200 shadow-md text-sm text-black";
+
+  const bar = document.createElement("div");
+  bar.className = `w-1.5 shrink-0 ${style.bar}`;
+
+  const body = document.createElement("div");
+  body.className = "flex-1 min-w-0 p-3 flex flex-col gap-2";
+
+  const text = document.createElement("p");
+  text.className = "whitespace-pre-line break-words";
+  text.textContent = message;
+  body.append(text);
+
+  let timer = null;
+  const dismiss = () => {
+    clearTimeout(timer);
+    toast.remove();
+  };
+
+  // Actions close the toast first, so a failing retry can show a fresh one
+  if (actions.length > 0) {
+    const row = document.createElement("div");
+    row.className = "flex flex-wrap gap-1";
+    for (const action of actions) {
+      const button = document.createElement("button");
+      button.textContent = action.label;
+      button.className = "h-7 px-3 rounded-lg bg-black text-white text-xs hover:bg-gray-800 active:scale-95";
+      button.addEventListener("click", () => {
+        dismiss();
+        action.onClick();
+      });
+      row.append(button);
+    }
+    body.append(row);
+  }
+
+  const close = document.createElement("button");
+  close.title = "Dismiss";
+  close.className = "shrink-0 self-start m-2 size-6 rounded-full flex items-center justify-center text-gray-400 hover:text-black hover:bg-gray-100";
+  close.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5"
+    stroke="currentColor" class="size-4 pointer-events-none"><path stroke-linecap="round" stroke-linejoin="round" d="M6 18 18 6M6 6l12 12" /></svg>`;
+  close.addEventListener("click", dismiss);
+
+  toast.append(bar, body, close);
+  container.append(toast);
+  while (container.childElementCount > MAX_TOASTS) {
+    container.firstElementChild.remove();
+  }
+
+  const delay = timeoutMs === undefined ? style.timeoutMs : timeoutMs;
+  if (delay > 0) {
+    timer = setTimeout(dismiss, delay);
+  }
+
+  return { dismiss };
+}
+
+function notifyInfo(message, options = {}) {
+  return showToast(message, { ...options, severity: "info" });
+}
+
+function notifySuccess(message, options = {}) {
+  return showToast(message, { ...options, severity: "success" });
+}
+
+function notifyWarning(message, options = {}) {
+  return showToast(message, { ...options, severity: "warning" });
+}
+
+function notifyError(message, options = {}) {
+  return showToast(message, { ...options, severity: "error" });
+}
+
+// ============ PROGRESS ============
+
+// Show the progress overlay - returns { signal, update(fraction, label), close() }
+// fraction null = indeterminate. Cancel aborts signal; the task stops at its next check
+// and calls close() like on success.
+function showProgress(title, { cancellable = true } = {}) {
+  if (activeProgress) {
+    activeProgress.close();
+  }
+
+  const overlay = document.getElementById("progressOverlay");
+  const bar = document.getElementById("progressBar");
+  const label = document.getElementById("progressLabel");
+  const cancelButton = document.getElementById("btnCancelProgress");
+  const controller = new AbortController();
+
+  document.getElementById("progressTitle").textContent = title;
+  cancelButton.hidden = !cancellable;
+  cancelButton.disabled = false;
+  cancelButton.textContent = "Cancel";
+  cancelButton.onclick = () => {
+    controller.abort();
+    cancelButton.disabled = true;
+    cancelButton.textContent = "Cancelling...";
+  };
+
+  const handle = {
+    signal: controller.signal,
+    update(fraction, text = "") {
+      if (activeProgress !== handle) return;
+      const indeterminate = fraction === null || fraction === undefined;
+      bar.classList.toggle("animate-pulse", indeterminate);
+      bar.style.width = indeterminate ? "100%" : `${Math.round(Math.min(Math.max(fraction, 0), 1) * 100)}%`;
+      label.textContent = text;
+    },
+    close() {
+      if (activeProgress !== handle) return;
+      activeProgress = null;
+      overlay.classList.add("hidden");
+      cancelButton.onclick = null;
+    }
+  };
+
+  activeProgress = handle;
+  handle.update(null, "Preparing...");
+  overlay.classList.remove("hidden");
+  return handle;
+}
+
+export {
+  showToast,
+  notifyInfo,
+  notifySuccess,
+  notifyWarning,
+  notifyError,
+  showProgress
+};
@@ -0,0 +1,92 @@
+// Placement panel: numeric offsets and snap options for the placement gizmo, confirm writes the
+// earth anchor to Rhino
+import {
+  initPlacementGizmo,
+  startPlacement,
+  cancelPlacement,
+  resetPlacement,
+  setPlacementOffset,
+  setPlacementSnap,
+  confirmPlacement,
+  onPlacementChanged
+} from "../world/placement-gizmo.js";
+import { notifyWarning } from "./notifications.js";
+
+// Input id -> offset key
+const FIELDS = {
+  placeEast: "east",
+  placeNorth: "north",
+  placeHeight: "height",
+  placeNorthAngle: "northAngle"
+};
+
+// Initialize placement panel and its toolbar button
+function initPlacementPanel(viewer) {
+  const panel = document.getElementById("placementPanel");
+  const button = document.getElementById("btnPlace");
+  const confirmButton = document.getElementById("btnPlaceConfirm");
+
+  initPlacementGizmo(viewer);
+
+  // Toolbar button starts editing - clicking it again cancels
+  button.addEventListener("click", () => {
+    if (!panel.classList.contains("hidden")) {
+      cancelPlacement();
+      return;
+    }
+    if (!startPlacement()) {
+      notifyWarning("No model loaded yet. Click Sync first!");
+    }
+  });
+
+  for (const [id, key] of Object.entries(FIELDS)) {
+    document.getElementById(id).addEventListener("change", (event) => {
+      const value = parseFloat(event.target.value);
+      if (Number.isFinite(value)) {
+        setPlacementOffset({ [key]: value });
+      }
+    });
+  }
+
+  document.getElementById("placeSnapMove").addEventListener("change", (event) => {
+    setPlacementSnap({ move: parseFloat(event.target.value) });
+  });
+  document.getElementById("placeSnapRotate").addEventListener("change", (event) => {
+    setPlacementSnap({ rotate: parseFloat(event.target.value) });
+  });
+
+  document.getElementById("btnPlaceReset").addEventListener("click", resetPlacement);
+  document.getElementById("btnPlaceCancel").addEventListener("click", cancelPlacement);
+
+  confirmButton.addEventListener("click", async () => {
+    confirmButton.disabled = true;
+    try {
+      await confirmPlacement();
+    } finally {
+      confirmButton.disabled = false;
+    }
+  });
+
+  onPlacementChanged(renderPlacement);
+}
+
+function renderPlacement(state) {
+  const panel = document.getElementById("placementPanel");
+  const button = document.getElementById("btnPlace");
+
+  panel.classList.toggle("hidden", !state.active);
+  button.classList.toggle("bg-blue-100", state.active);
+  button.classList.toggle("bg-white", !state.active);
+
+  if (!state.active) return;
+
+  // Don't overwrite a field while it's being typed in
+  for (const [id, key] of Object.entries(FIELDS)) {
+    const input = document.getElementById(id);
+    if (document.activeElement !== input) {
+      input.value = state.offset[key].toFixed(key === "northAngle" ? 1 : 2);
+    }
+  }
+}
+
+export { initPlacementPanel };
@@ -0,0 +1,113 @@
+// Project section of the side panel: save / open .mcatlas projects, camera bookmarks,
+// and reopening the last project on launch
+import {
+  initProject,
+  listProjects,
+  saveProject,
+  openProject,
+  getStartupProject,
+  addBookmark,
+  removeBookmark,
+  flyToBookmark,
+  onProjectChanged
+} from "../world/project.js";
+import { getMapExportSettings, applyMapExportSettings } from "./mapExportPanel.js";
+import { createRowButton } from "./sidePanel.js";
+
+// Initialize project controls, then reopen the startup project (if any)
+async function initProjectPanel(viewer, tileset) {
+  const nameInput = document.getElementById("projectName");
+  const saveButton = document.getElementById("btnSaveProject");
+  const openButton = document.getElementById("btnOpenProject");
+  const projectSelect = document.getElementById("projectSelect");
+  const bookmarkInput = document.getElementById("bookmarkName");
+
+  initProject(viewer, tileset);
+
+  saveButton.addEventListener("click", async () => {
+    saveButton.disabled = true;
+    try {
+      const project = await saveProject(nameInput.value, { mapExport: getMapExportSettings() });
+      if (project) {
+        await fillProjectList(project.name);
+      }
+    } finally {
+      saveButton.disabled = false;
+    }
+  });
+
+  openButton.addEventListener("click", async () => {
+    if (!projectSelect.value) return;
+
+    openButton.disabled = true;
+    try {
+      await openAndApply(projectSelect.value);
+    } finally {
+      openButton.disabled = false;
+    }
+  });
+
+  document.getElementById("btnAddBookmark").addEventListener("click", () => {
+    addBookmark(bookmarkInput.value.trim());
+    bookmarkInput.value = "";
+  });
+
+  onProjectChanged(renderProject);
+  renderProject(null, []);
+  await fillProjectList();
+
+  const startup = await getStartupProject();
+  if (startup) {
+    await openAndApply(startup);
+  }
+}
+
+// Open a project and restore the UI-owned parts
+async function openAndApply(name) {
+  const project = await openProject(name);
+  if (project) {
+    applyMapExportSettings(project.mapExport);
+  }
+}
+
+async function fillProjectList(selected) {
+  const select = document.getElementById("projectSelect");
+  const names = await listProjects();
+
+  select.replaceChildren(...(names.length > 0
+    ? names.map(name => new Option(name, name))
+    : [new Option("No saved projects", "")]));
+  select.value = selected || names[0] || "";
+  document.getElementById("btnOpenProject").disabled = names.length === 0;
+}
+
+function renderProject(project, bookmarks) {
+  const nameInput = document.getElementById("projectName");
+  if (project && document.activeElement !== nameInput) {
+    nameInput.value = project.name;
+  }
+  if (project) {
+    document.getElementById("projectSelect").value = project.name;
+  }
+
+  const list = document.getElementById("bookmarkList");
+  list.replaceChildren(...bookmarks.map(bookmark => {
+    const row = document.createElement("li");
+    row.className = "flex items-center gap-2 rounded-lg px-2 py-1 hover:bg-gray-50";
+
+    const name = document.createElement("button");
+    name.textContent = bookmark.name;
+    name.title = "Fly to";
+    name.className = "flex-1 min-w-0 truncate text-left";
+    name.addEventListener("click", () => flyToBookmark(bookmark.id));
+
+    const remove = createRowButton("Delete bookmark", "M6 18 18 6M6 6l12 12");
+    remove.addEventListener("click", () => removeBookmark(bookmark.id));
+
+    row.append(name, remove);
+    return row;
+  }));
+  document.getElementById("bookmarkName").placeholder = `View ${bookmarks.length + 1}`;
+}
+
+export { initProjectPanel };
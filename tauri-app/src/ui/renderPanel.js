@@ -0,0 +1,74 @@
+// Render panel: output size, supersampling, format and UI chrome options for stills and flythroughs
+import { RENDER_PRESETS, renderStill } from "../world/render-still.js";
+import { setPathPreviewVisible } from "../world/flythrough.js";
+import { initFlythroughPanel } from "./flythroughPanel.js";
+import { logError } from "../communication/rhino-logger.js";
+
+// Initialize render panel and its toolbar button
+function initRenderPanel(viewer, tileset) {
+  const panel = document.getElementById("renderPanel");
+  const presetSelect = document.getElementById("renderPreset");
+  const widthInput = document.getElementById("renderWidth");
+  const heightInput = document.getElementById("renderHeight");
+  const renderButton = document.getElementById("btnRenderStill");
+  const status = document.getElementById("renderStatus");
+
+  // Toolbar button toggles the panel - the flythrough path shows in the scene while it is open
+  document.getElementById("btnRender").addEventListener("click", () => {
+    setPathPreviewVisible(panel.classList.toggle("hidden") === false);
+  });
+
+  // Presets fill width/height, "Custom" leaves them editable
+  presetSelect.replaceChildren(
+    ...RENDER_PRESETS.map((preset, i) => new Option(`${preset.label} (${preset.width} × ${preset.height})`, i)),
+    new Option("Custom", "custom")
+  );
+  presetSelect.value = String(RENDER_PRESETS.findIndex(p => p.label === "4K UHD"));
+
+  const applyPreset = () => {
+    const preset = RENDER_PRESETS[presetSelect.value];
+    if (preset) {
+      widthInput.value = preset.width;
+      heightInput.value = preset.height;
+    }
+  };
+  presetSelect.addEventListener("change", applyPreset);
+  applyPreset();
+
+  // Typing a size switches to Custom
+  for (const input of [widthInput, heightInput]) {
+    input.addEventListener("input", () => { presetSelect.value = "custom"; });
+  }
+
+  initFlythroughPanel(viewer, tileset);
+
+  renderButton.addEventListener("click", async () => {
+    const width = Math.round(Number(widthInput.value));
+    const height = Math.round(Number(heightInput.value));
+    if (!(width >= 16 && height >= 16)) {
+      status.textContent = "Enter a valid width and height.";
+      return;
+    }
+
+    renderButton.disabled = true;
+    status.textContent = "Rendering...";
+
+    try {
+      const result = await renderStill(viewer, tileset, {
+        width,
+        height,
+        supersample: Number(document.getElementById("renderSupersample").value),
+        format: document.getElementById("renderFormat").value,
+        hideChrome: document.getElementById("renderHideChrome").checked
+      });
+      status.textContent = `Saved to Documents/${result.imagePath}`;
+    } catch (error) {
+      logError("RENDER ERROR: " + error.message);
+      status.textContent = "Render failed: " + error.message;
+    } finally {
+      renderButton.disabled = false;
+    }
+  });
+}
+
+export { initRenderPanel };
@@ -0,0 +1,249 @@
+// Search box: a dropdown with geocoder results, typed coordinates and recent / pinned places
+// Typing filters the saved places and recognises coordinates; Enter asks the geocoders
+import {
+  parseCoordinates,
+  formatCoordinates,
+  registerGeocoder,
+  createIonGeocoder,
+  searchPlaces
+} from "../world/geocoding.js";
+import {
+  loadPlaces,
+  getRecentPlaces,
+  getPinnedPlaces,
+  addRecentPlace,
+  pinPlace,
+  unpinPlace,
+  isPinned,
+  getPlaceKey,
+  flyToPlace,
+  onPlacesChanged
+} from "../world/places.js";
+import { logInfo } from "../communication/rhino-logger.js";
+import { notifyError } from "./notifications.js";
+import { createRowButton } from "./sidePanel.js";
+
+const STAR_PATH = "M11.48 3.499a.562.562 0 0 1 1.04 0l2.125 5.111a.563.563 0 0 0 .475.345l5.518.442c.499.04.701.663.321.988l-4.204 3.602a.563.563 0 0 0-.182.557l1.285 5.385a.562.562 0 0 1-.84.61l-4.725-2.885a.562.562 0 0 0-.586 0L6.982 20.54a.562.562 0 0 1-.84-.61l1.285-5.386a.562.562 0 0 0-.182-.557l-4.204-3.602a.562.562 0 0 1 .321-.988l5.518-.442a.563.563 0 0 0 .475-.345L11.48 3.5Z";
+
+// Viewer the places are flown to
+let _viewer = null;
+
+// Sections shown in the dropdown: [{ title, places }] (or a message while searching)
+let sections = [];
+let message = "";
+let activeIndex = -1;
+
+// Results of the last geocoder search, kept while its query is still in the box
+let searchResults = null;
+let searchCount = 0;
+
+// Initialize the search box (ion geocoder first - more can be registered, see geocoding.js)
+function initSearchPanel(viewer) {
+  _viewer = viewer;
+  const input = document.getElementById("searchInput");
+  const dropdown = document.getElementById("searchDropdown");
+
+  registerGeocoder(createIonGeocoder(viewer.scene));
+
+  input.addEventListener("focus", () => showSuggestions(input.value));
+  input.addEventListener("input", () => {
+    searchResults = null;
+    showSuggestions(input.value);
+  });
+  input.addEventListener("blur", hideDropdown);
+
+  input.addEventListener("keydown", async (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      moveActive(e.key === "ArrowDown" ? 1 : -1);
+    } else if (e.key === "Escape") {
+      input.blur();
+    } else if (e.key === "Enter") {
+      const active = getPlaces()[activeIndex];
+      const query = input.value.trim();
+      const coordinates = parseCoordinates(query);
+      if (active) {
+        await goToPlace(active);
+      } else if (coordinates) {
+        await goToPlace(createCoordinatePlace(coordinates));
+      } else if (query) {
+        await runSearch(query);
+      }
+    }
+  });
+
+  // Keep the focus (and the expanded box) while clicking inside the dropdown
+  dropdown.addEventListener("mousedown", (e) => e.preventDefault());
+
+  // Rows are rebuilt so the pin buttons show the new state
+  onPlacesChanged(() => {
+    if (!dropdown.classList.contains("hidden")) {
+      renderDropdown();
+    }
+  });
+
+  // Lists refresh once loaded
+  loadPlaces();
+}
+
+function showSuggestions(text) {
+  sections = getSuggestions(text);
+  message = "";
+  activeIndex = -1;
+  renderDropdown();
+}
+
+// Coordinates, then geocoder results for this text, then saved places matching it
+function getSuggestions(text) {
+  const query = text.trim();
+  const result = [];
+
+  const coordinates = parseCoordinates(query);
+  if (coordinates) {
+    result.push({ title: "Coordinates", places: [createCoordinatePlace(coordinates)] });
+  }
+
+  if (searchResults && searchResults.query === query) {
+    result.push({ title: `Results · ${searchResults.geocoder}`, places: searchResults.places });
+  }
+
+  const words = coordinates ? [] : query.toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = (place) => words.every(word => place.name.toLowerCase().includes(word));
+  const pinned = getPinnedPlaces().filter(matches);
+  const pinnedKeys = new Set(pinned.map(getPlaceKey));
+  const recent = getRecentPlaces().filter(place => matches(place) && !pinnedKeys.has(getPlaceKey(place)));
+
+  if (pinned.length > 0) result.push({ title: "Pinned", places: pinned });
+  if (recent.length > 0) result.push({ title: "Recent", places: recent });
+  return result;
+}
+
+// Ask the geocoders - a newer search or new typing replaces the answer
+async function runSearch(query) {
+  const searchId = ++searchCount;
+  sections = [];
+  message = "Searching...";
+  activeIndex = -1;
+  renderDropdown();
+
+  logInfo("SEARCH: Searching for: " + query);
+  const { places, geocoder, errors } = await searchPlaces(query);
+  if (searchId !== searchCount || document.getElementById("searchInput").value.trim() !== query) return;
+
+  logInfo(`SEARCH: ${places.length} result(s)${geocoder ? " from " + geocoder : ""}`);
+
+  if (places.length === 0 && errors.length > 0) {
+    hideDropdown();
+    notifyError("Search failed: " + errors.map(error => `${error.geocoder}: ${error.message}`).join("\n"), {
+      actions: [{ label: "Retry", onClick: () => runSearch(query) }]
+    });
+    return;
+  }
+
+  searchResults = { query, geocoder, places };
+  sections = getSuggestions(query);
+  message = places.length === 0 ? `No places found for "${query}".` : "";
+  activeIndex = places.length > 0 ? getPlaces().indexOf(places[0]) : -1;
+  renderDropdown();
+}
+
+// Fly there and remember it
+async function goToPlace(place) {
+  const input = document.getElementById("searchInput");
+  flyToPlace(_viewer, place);
+  logInfo(`SEARCH: Flying to ${place.name} (${formatCoordinates(place)})`);
+
+  input.value = place.name;
+  searchResults = null;
+  input.blur();
+  await addRecentPlace(place);
+}
+
+function createCoordinatePlace(coordinates) {
+  return { ...coordinates, name: formatCoordinates(coordinates), source: "Coordinates" };
+}
+
+// ============ DROPDOWN ============
+
+function renderDropdown() {
+  const dropdown = document.getElementById("searchDropdown");
+  const places = getPlaces();
+  const children = [];
+
+  if (message) {
+    const note = document.createElement("p");
+    note.className = "px-2 py-1 text-xs text-gray-500";
+    note.textContent = message;
+    children.push(note);
+  }
+
+  for (const section of sections) {
+    const title = document.createElement("h3");
+    title.className = "px-2 pt-1 text-xs font-semibold uppercase tracking-wide text-gray-500";
+    title.textContent = section.title;
+
+    const list = document.createElement("ul");
+    list.className = "flex flex-col";
+    list.append(...section.places.map(place => createPlaceRow(place, places.indexOf(place))));
+
+    children.push(title, list);
+  }
+
+  dropdown.replaceChildren(...children);
+  dropdown.classList.toggle("hidden", children.length === 0 || document.activeElement !== document.getElementById("searchInput"));
+}
+
+function createPlaceRow(place, index) {
+  const row = document.createElement("li");
+  row.className = "flex items-center gap-2 rounded-lg px-2 py-1 hover:bg-gray-50" + (index === activeIndex ? " bg-gray-100" : "");
+
+  const name = document.createElement("button");
+  name.title = "Fly to";
+  name.className = "flex-1 min-w-0 text-left";
+  name.addEventListener("click", () => goToPlace(place));
+
+  const label = document.createElement("span");
+  label.className = "block truncate";
+  label.textContent = place.name;
+
+  const detail = document.createElement("span");
+  detail.className = "block truncate text-xs text-gray-500 tabular-nums";
+  detail.textContent = place.source && place.source !== "Coordinates"
+    ? `${formatCoordinates(place, 4)} · ${place.source}`
+    : formatCoordinates(place, 4);
+
+  name.append(label, detail);
+
+  const pinned = isPinned(place);
+  const pin = createRowButton(pinned ? "Unpin" : "Pin", STAR_PATH);
+  if (pinned) {
+    pin.querySelector("svg").setAttribute("fill", "currentColor");
+  }
+  pin.addEventListener("click", () => (pinned ? unpinPlace(place) : pinPlace(place)));
+
+  row.append(name, pin);
+  return row;
+}
+
+function moveActive(step) {
+  const count = getPlaces().length;
+  if (count === 0) return;
+
+  activeIndex = activeIndex < 0 && step < 0 ? count - 1 : (activeIndex + step + count) % count;
+  const rows = document.getElementById("searchDropdown").querySelectorAll("li");
+  rows.forEach((row, i) => row.classList.toggle("bg-gray-100", i === activeIndex));
+  if (rows[activeIndex]) {
+    rows[activeIndex].scrollIntoView({ block: "nearest" });
+  }
+}
+
+function hideDropdown() {
+  document.getElementById("searchDropdown").classList.add("hidden");
+}
+
+// All rows in display order (keyboard navigation)
+function getPlaces() {
+  return sections.flatMap(section => section.places);
+}
+
+export { initSearchPanel };
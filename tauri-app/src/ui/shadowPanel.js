@@ -0,0 +1,120 @@
+// Shadow study panel: date, time-of-day slider, play/step and presets
+import {
+  DATE_PRESETS,
+  TIME_PRESETS,
+  startShadowStudy,
+  stopShadowStudy,
+  setStudyDate,
+  setStudyMinutes,
+  setUtcOffset,
+  stepStudyTime,
+  playShadowAnimation,
+  pauseShadowAnimation,
+  getShadowStudyState,
+  onShadowStudyChanged
+} from "../world/shadow-study.js";
+
+const STEP_MINUTES = 15;
+
+// Initialize shadow panel and its toolbar button
+function initShadowPanel() {
+  const panel = document.getElementById("shadowPanel");
+  const button = document.getElementById("btnShadows");
+  const dateInput = document.getElementById("shadowDate");
+  const timeSlider = document.getElementById("shadowTime");
+  const offsetInput = document.getElementById("shadowUtcOffset");
+
+  // Toolbar button opens the panel and turns shadows on (and off again)
+  button.addEventListener("click", () => {
+    if (getShadowStudyState().active) {
+      stopShadowStudy();
+    } else {
+      startShadowStudy();
+    }
+  });
+
+  dateInput.addEventListener("change", () => {
+    const [year, month, day] = dateInput.value.split("-").map(Number);
+    if (year && month && day) {
+      setStudyDate(year, month, day);
+    }
+  });
+
+  timeSlider.addEventListener("input", () => {
+    pauseShadowAnimation();
+    setStudyMinutes(Number(timeSlider.value));
+  });
+
+  offsetInput.addEventListener("change", () => {
+    const hours = Number(offsetInput.value);
+    if (Number.isFinite(hours)) {
+      setUtcOffset(hours);
+    }
+  });
+
+  document.getElementById("btnShadowStepBack").addEventListener("click", () => stepStudyTime(-STEP_MINUTES));
+  document.getElementById("btnShadowStepForward").addEventListener("click", () => stepStudyTime(STEP_MINUTES));
+  document.getElementById("btnShadowPlay").addEventListener("click", () => {
+    if (getShadowStudyState().playing) {
+      pauseShadowAnimation();
+    } else {
+      playShadowAnimation();
+    }
+  });
+
+  // Presets keep the current year
+  const datePresets = document.getElementById("shadowDatePresets");
+  for (const preset of DATE_PRESETS) {
+    datePresets.append(createPresetButton(preset.label, () => {
+      setStudyDate(getShadowStudyState().date.year, preset.month, preset.day);
+    }));
+  }
+
+  const timePresets = document.getElementById("shadowTimePresets");
+  for (const minutes of TIME_PRESETS) {
+    timePresets.append(createPresetButton(formatMinutes(minutes), () => {
+      pauseShadowAnimation();
+      setStudyMinutes(minutes);
+    }));
+  }
+
+  onShadowStudyChanged((state) => {
+    panel.classList.toggle("hidden", !state.active);
+    button.classList.toggle("bg-amber-100", state.active);
+    button.classList.toggle("bg-white", !state.active);
+
+    // Don't fight the user while they type in a field
+    if (document.activeElement !== dateInput) {
+      dateInput.value = formatDate(state.date);
+    }
+    if (document.activeElement !== offsetInput) {
+      offsetInput.value = state.utcOffsetHours;
+    }
+
+    timeSlider.value = state.minutes;
+    document.getElementById("shadowTimeLabel").textContent = formatMinutes(state.minutes);
+    document.getElementById("btnShadowPlay").textContent = state.playing ? "Pause" : "Play";
+  });
+}
+
+function createPresetButton(label, onClick) {
+  const button = document.createElement("button");
+  button.textContent = label;
+  button.className = "h-7 rounded-lg border border-gray-200 text-xs hover:bg-gray-50 active:scale-95";
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+// 540 -> "09:00"
+function formatMinutes(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = Math.floor(minutes % 60);
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+}
+
+// { year, month, day } -> "2025-06-21"
+function formatDate({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+export { initShadowPanel };
@@ -1,3 +1,22 @@
+import {
+  getModels,
+  onModelsChanged,
+  setModelVisibility,
+  selectModel,
+  flyToModel,
+  removeModel
+} from "../world/cesium-geometry.js";
+import {
+  getSnapshots,
+  getSnapshotView,
+  getDefaultSnapshotName,
+  onSnapshotsChanged,
+  saveSnapshot,
+  deleteSnapshot,
+  showLive,
+  showSnapshot,
+  compareSnapshots
+} from "../world/snapshots.js";
 
 // Toggle side panel
 function toggleSidePanel() {
@@ -6,4 +25,149 @@ function toggleSidePanel() {
   panel.style.width = isOpen ? "0" : "16rem";
 }
 
-export { toggleSidePanel };
\ No newline at end of file
+// Initialize side panel content (layer tree, snapshots)
+function initSidePanel(viewer) {
+  onModelsChanged((models) => renderLayerTree(viewer, models));
+  renderLayerTree(viewer, getModels());
+
+  initSnapshotControls();
+  onSnapshotsChanged(renderSnapshots);
+  renderSnapshots(getSnapshots(), getSnapshotView());
+}
+
+// Render one row per model: visibility toggle, name (click to select), fly to, remove
+function renderLayerTree(viewer, models) {
+  const tree = document.getElementById("layerTree");
+  const empty = document.getElementById("layerTreeEmpty");
+
+  tree.replaceChildren();
+  empty.hidden = models.length > 0;
+
+  for (const model of models) {
+    const row = document.createElement("li");
+    row.className = "flex items-center gap-2 rounded-lg px-2 py-1 " +
+      (model.selected ? "bg-gray-100" : "hover:bg-gray-50");
+
+    // Visibility toggle
+    const visibility = document.createElement("input");
+    visibility.type = "checkbox";
+    visibility.checked = model.visible;
+    visibility.title = "Show / hide";
+    visibility.className = "shrink-0 cursor-pointer accent-black";
+    visibility.addEventListener("change", () => setModelVisibility(model.name, visibility.checked));
+
+    // Name - click to select (click again to deselect)
+    const name = document.createElement("button");
+    name.textContent = model.name;
+    name.title = model.selected ? "Selected - Target flies here" : "Select";
+    name.className = "flex-1 min-w-0 truncate text-left " +
+      (model.selected ? "font-semibold" : "") + (model.visible ? "" : " text-gray-400");
+    name.addEventListener("click", () => selectModel(model.selected ? null : model.name));
+
+    const flyTo = createRowButton("Fly to", "M15 10.5a3 3 0 1 1-6 0 3 3 0 0 1 6 0Z M19.5 10.5c0 7.142-7.5 11.25-7.5 11.25S4.5 17.642 4.5 10.5a7.5 7.5 0 1 1 15 0Z");
+    flyTo.addEventListener("click", () => flyToModel(viewer, model.name));
+
+    const remove = createRowButton("Remove from view", "M6 18 18 6M6 6l12 12");
+    remove.addEventListener("click", () => removeModel(viewer, model.name));
+
+    row.append(visibility, name, flyTo, remove);
+    tree.append(row);
+  }
+}
+
+// Save button, name input and compare controls
+function initSnapshotControls() {
+  const nameInput = document.getElementById("snapshotName");
+
+  const save = async () => {
+    const snapshot = await saveSnapshot(nameInput.value.trim());
+    if (snapshot) {
+      nameInput.value = "";
+    }
+  };
+
+  document.getElementById("btnSaveSnapshot").addEventListener("click", save);
+  nameInput.addEventListener("keypress", async (e) => {
+    if (e.key === "Enter") {
+      await save();
+    }
+  });
+
+  document.getElementById("btnCompare").addEventListener("click", async () => {
+    const leftId = document.getElementById("compareLeft").value;
+    const rightId = document.getElementById("compareRight").value;
+    if (leftId && rightId && leftId !== rightId) {
+      await compareSnapshots(leftId, rightId);
+    }
+  });
+}
+
+// Render "Live" plus one row per snapshot: name (click to show), delete
+function renderSnapshots(snapshots, view) {
+  const list = document.getElementById("snapshotList");
+  list.replaceChildren();
+
+  document.getElementById("snapshotName").placeholder = getDefaultSnapshotName();
+
+  const liveRow = createSnapshotRow("Live (synced from Rhino)", view.mode === 'live', showLive);
+  list.append(liveRow);
+
+  for (const snapshot of snapshots) {
+    const shown = (view.mode === 'snapshot' && view.id === snapshot.id) ||
+      (view.mode === 'compare' && (view.leftId === snapshot.id || view.rightId === snapshot.id));
+
+    const row = createSnapshotRow(snapshot.name, shown, () => showSnapshot(snapshot.id));
+    row.title = `Saved ${new Date(snapshot.createdAt).toLocaleString()} - ${snapshot.modelCount} model(s)`;
+
+    const remove = createRowButton("Delete snapshot", "M6 18 18 6M6 6l12 12");
+    remove.addEventListener("click", () => deleteSnapshot(snapshot.id));
+    row.append(remove);
+
+    list.append(row);
+  }
+
+  // Compare pickers - keep the current choice where possible
+  const compare = document.getElementById("snapshotCompare");
+  compare.hidden = snapshots.length < 2;
+
+  fillSnapshotSelect(document.getElementById("compareLeft"), snapshots,
+    view.mode === 'compare' ? view.leftId : snapshots[0] && snapshots[0].id);
+  fillSnapshotSelect(document.getElementById("compareRight"), snapshots,
+    view.mode === 'compare' ? view.rightId : snapshots[1] && snapshots[1].id);
+}
+
+function createSnapshotRow(label, shown, onShow) {
+  const row = document.createElement("li");
+  row.className = "flex items-center gap-2 rounded-lg px-2 py-1 " +
+    (shown ? "bg-gray-100" : "hover:bg-gray-50");
+
+  const name = document.createElement("button");
+  name.textContent = label;
+  name.className = "flex-1 min-w-0 truncate text-left " + (shown ? "font-semibold" : "");
+  name.addEventListener("click", onShow);
+
+  row.append(name);
+  return row;
+}
+
+function fillSnapshotSelect(select, snapshots, selectedId) {
+  const current = select.value || selectedId;
+  select.replaceChildren(...snapshots.map(snapshot => new Option(snapshot.name, snapshot.id)));
+  if (snapshots.some(s => s.id === current)) {
+    select.value = current;
+  } else if (selectedId) {
+    select.value = selectedId;
+  }
+}
+
+// Small outline icon button for layer tree rows
+function createRowButton(title, pathData) {
+  const button = document.createElement("button");
+  button.title = title;
+  button.className = "shrink-0 size-6 rounded-full flex items-center justify-center text-gray-500 hover:text-black hover:bg-gray-200";
+  button.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5"
+    stroke="currentColor" class="size-4 pointer-events-none"><path stroke-linecap="round" stroke-linejoin="round" d="${pathData}" /></svg>`;
+  return button;
+}
+
+export { toggleSidePanel, initSidePanel, createRowButton };
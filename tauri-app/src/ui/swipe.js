@@ -0,0 +1,61 @@
+// Swipe line for comparing two snapshots side by side
+import { onSnapshotsChanged, setSwipePosition } from "../world/snapshots.js";
+
+// Initialize swipe slider (shown only in compare mode)
+function initSwipe(viewer) {
+  const slider = document.getElementById("swipeSlider");
+  const container = document.getElementById("cesiumContainer");
+  let dragging = false;
+  let comparedPair = null;   // "leftId|rightId" the slider was centred for
+  let position = 0.5;
+
+  onSnapshotsChanged((snapshots, view) => {
+    const comparing = view.mode === 'compare';
+    slider.classList.toggle("hidden", !comparing);
+    if (!comparing) {
+      comparedPair = null;
+      return;
+    }
+
+    const nameOf = (id) => (snapshots.find(s => s.id === id) || {}).name || "";
+    document.getElementById("swipeLabelLeft").textContent = nameOf(view.leftId);
+    document.getElementById("swipeLabelRight").textContent = nameOf(view.rightId);
+
+    // Recentre only for a new pair - saving or deleting other snapshots keeps the line where it is
+    // (re-applied, as comparing again recentres the scene's split)
+    const pair = `${view.leftId}|${view.rightId}`;
+    moveSlider(pair === comparedPair ? position : 0.5);
+    comparedPair = pair;
+  });
+
+  // Keep the slider and the Cesium split line in the same place
+  function moveSlider(fraction) {
+    position = Math.min(Math.max(fraction, 0), 1);
+    slider.style.left = `${position * 100}%`;
+    setSwipePosition(position);
+  }
+
+  slider.addEventListener("pointerdown", (e) => {
+    dragging = true;
+    slider.setPointerCapture(e.pointerId);
+    // Don't let Cesium rotate the camera while dragging the line
+    viewer.scene.screenSpaceCameraController.enableInputs = false;
+  });
+
+  slider.addEventListener("pointermove", (e) => {
+    if (!dragging) return;
+    const rect = container.getBoundingClientRect();
+    moveSlider((e.clientX - rect.left) / rect.width);
+  });
+
+  const stopDragging = (e) => {
+    if (!dragging) return;
+    dragging = false;
+    slider.releasePointerCapture(e.pointerId);
+    viewer.scene.screenSpaceCameraController.enableInputs = true;
+  };
+  slider.addEventListener("pointerup", stopDragging);
+  slider.addEventListener("pointercancel", stopDragging);
+}
+
+export { initSwipe };
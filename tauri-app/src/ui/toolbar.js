@@ -1,94 +1,207 @@
-import { toggleSidePanel } from "./sidePanel.js";
+import { toggleSidePanel, initSidePanel } from "./sidePanel.js";
 import { fetchGeometryFromRhino } from "../communication/rhino-bridge.js";
 import { addModelFromRhino, flyToCurrentModel } from "../world/cesium-geometry.js";
-import { logToRhino } from "../communication/rhino-logger.js";
-import { toggleViewMode, getCurrentMode } from "../world/view-mode.js";
-import { exportMapToRhino } from "../world/map-export.js";
+import { logDebug, logInfo, logError } from "../communication/rhino-logger.js";
+import { toggleViewMode, getCurrentMode, onViewModeChanged } from "../world/view-mode.js";
+import { initSnapshots, getSnapshotView, flyToShownSnapshot } from "../world/snapshots.js";
+import { initSwipe } from "./swipe.js";
+import { initShadowStudy } from "../world/shadow-study.js";
+import { initShadowPanel } from "./shadowPanel.js";
+import { initRenderPanel } from "./renderPanel.js";
+import { initMapExportPanel } from "./mapExportPanel.js";
+import { initMeasurePanel } from "./measurePanel.js";
+import { initVisibilityPanel } from "./visibilityPanel.js";
+import { initClipPanel } from "./clipPanel.js";
+import { initZoningPanel } from "./zoningPanel.js";
+import { initPlacementPanel } from "./placementPanel.js";
+import { initCameraPanel } from "./cameraPanel.js";
+import { initProjectPanel } from "./projectPanel.js";
+import { initConnectionPanel } from "./connectionPanel.js";
+import { initBaseDataPanel } from "./baseDataPanel.js";
+import { initLogPanel } from "./logPanel.js";
+import { initSearchPanel } from "./searchPanel.js";
+import { initModelStylePanel } from "./modelStylePanel.js";
+import { notifyError, notifyWarning, showProgress } from "./notifications.js";
+import { connectRhinoEvents, onRhinoStatusChange, onRhinoLayersChanged } from "../communication/rhino-events.js";
 
 // Store tileset reference for clipping
 let _tileset = null;
 
+// Live sync state
+const LIVE_SYNC_DEBOUNCE_MS = 1500;
+let liveSyncTimer = null;
+let isSyncing = false;
+let queuedSync = null;       // { live } of the sync to run after the current one (manual wins over live)
+
+// Connection status dot colours
+const STATUS_STYLES = {
+  connected: { color: "bg-green-500", title: "Live sync: connected to Rhino" },
+  connecting: { color: "bg-amber-400", title: "Live sync: connecting to Rhino..." },
+  disconnected: { color: "bg-red-500", title: "Live sync: Rhino not reachable" }
+};
+
 function initToolbar(viewer, tileset) {
   // Store tileset for later use
   _tileset = tileset;
   
   // Settings panel button
   document.getElementById("btnSettings").addEventListener("click", toggleSidePanel);
+  initSidePanel(viewer);
+
+  // Design option snapshots and swipe comparison
+  initSwipe(viewer);
+  const snapshotsLoaded = initSnapshots(viewer, tileset);
   
   // 2D/3D Toggle button
   const btnToggleView = document.getElementById("btnToggleView");
-  btnToggleView.addEventListener("click", async () => {
+  btnToggleView.addEventListener("click", () => {
     const newMode = toggleViewMode();
-    // Update button text to show what clicking will switch TO
-    btnToggleView.querySelector("span").textContent = newMode === '3D' ? '2D' : '3D';
-    await logToRhino(`VIEW: Switched to ${newMode} mode`);
+    logInfo(`VIEW: Switched to ${newMode} mode`);
   });
-  
-  // Send Map to Rhino button
-  document.getElementById("btnGetMap").addEventListener("click", async () => {
-    await logToRhino("TOOLBAR: Send Map to Rhino clicked!");
-    await exportMapToRhino(viewer);
+  // Button text shows what clicking will switch TO (also when a project changes the mode)
+  onViewModeChanged((mode) => {
+    btnToggleView.querySelector("span").textContent = mode === '3D' ? '2D' : '3D';
   });
   
+  // Sun & shadow study button and panel
+  initShadowStudy(viewer, tileset);
+  initShadowPanel();
+
+  // Clipping polygons drawn in Cesium (side panel)
+  initClipPanel(viewer, tileset);
+
+  // Zoning envelope on a site outline and compliance check (side panel)
+  initZoningPanel(viewer);
+
+  // Camera matching with Rhino's active viewport (side panel)
+  initCameraPanel(viewer);
+
+  // Measure button - distance, area, height and bearing tools
+  initMeasurePanel(viewer);
+
+  // Visibility button - sight lines and viewsheds from a viewpoint
+  initVisibilityPanel(viewer);
+
+  // Place button - move/rotate the model and write the earth anchor back to Rhino
+  initPlacementPanel(viewer);
+
+  // Render button - high-resolution still capture
+  initRenderPanel(viewer, tileset);
+
+  // Send Map to Rhino button - region, zoom and export panel
+  initMapExportPanel(viewer);
+
+  // Log button - filterable log console, save to file
+  initLogPanel();
+  
   // Sync button - fetch from Rhino and display
   document.getElementById("btnSync").addEventListener("click", async () => {
-    await logToRhino("TOOLBAR: Sync/Export button clicked!");
-    const data = await fetchGeometryFromRhino();
-    await logToRhino("TOOLBAR: Got data from Rhino");
-    if (data) {
-      // Pass tileset for clipping polygon support
-      await addModelFromRhino(viewer, _tileset, data);
-    }
+    logDebug("TOOLBAR: Sync/Export button clicked!");
+    await syncFromRhino(viewer);
   });
 
-  // Target button - fly back to model
-  document.getElementById("btnTarget").addEventListener("click", async () => {
-    await flyToCurrentModel(viewer);
-  });
+  // Live sync - re-sync automatically when cesium layers change in Rhino
+  initLiveSync(viewer);
+
+  // Rhino host/port (side panel)
+  initConnectionPanel();
+
+  // 3D tiles, imagery and terrain sources, offline mode (side panel)
+  initBaseDataPanel();
+
+  // Model colours, opacity, x-ray and edges (side panel)
+  initModelStylePanel();
 
-  // Search input - geocode and fly to location
-  const searchInput = document.getElementById("searchInput");
-  searchInput.addEventListener("keypress", async (e) => {
-    if (e.key === "Enter") {
-      const query = searchInput.value.trim();
-      if (query) {
-        await searchLocation(viewer, query);
+  // Target button - fly to selected model (or all models, or the shown snapshot)
+  document.getElementById("btnTarget").addEventListener("click", async () => {
+    if (getSnapshotView().mode === 'live') {
+      if (!flyToCurrentModel(viewer)) {
+        notifyWarning("No model loaded yet.", {
+          actions: [{ label: "Sync now", onClick: () => syncFromRhino(viewer) }]
+        });
       }
+    } else {
+      flyToShownSnapshot();
     }
   });
+
+  // Search box - places, coordinates, recent and pinned places
+  initSearchPanel(viewer);
+
+  // Project files (side panel) - reopens the last project once every panel and the snapshots are ready
+  snapshotsLoaded.then(() => initProjectPanel(viewer, tileset));
 }
 
-// Search and fly to location using Cesium ion Geocoder
-async function searchLocation(viewer, query) {
-  await logToRhino("SEARCH: Searching for: " + query);
-  
+// Fetch from Rhino and display
+// live: triggered by a layer change - no toasts or progress, keep the camera where it is
+async function syncFromRhino(viewer, { live = false } = {}) {
+  // Don't overlap syncs - run once more after the current one finishes
+  if (isSyncing) {
+    queuedSync = { live: live && (!queuedSync || queuedSync.live) };
+    return;
+  }
+
+  isSyncing = true;
+  const progress = live ? null : showProgress("Sync from Rhino");
+  const signal = progress ? progress.signal : undefined;
   try {
-    await logToRhino("SEARCH: Using Cesium ion geocoder...");
-    const geocoder = new Cesium.IonGeocoderService({ scene: viewer.scene });
-    
-    await logToRhino("SEARCH: Calling geocode...");
-    const results = await geocoder.geocode(query);
-    
-    await logToRhino("SEARCH: Results count = " + (results ? results.length : 0));
-    
-    if (results && results.length > 0) {
-      const result = results[0];
-      await logToRhino("SEARCH: Found location, flying...");
-      
-      viewer.camera.flyTo({
-        destination: result.destination,
-        duration: 2.0
-      });
-      
-      await logToRhino("SEARCH: Success!");
+    if (progress) progress.update(null, "Exporting cesium_massing in Rhino...");
+    const data = await fetchGeometryFromRhino({ signal });
+
+    if (signal && signal.aborted) {
+      logInfo("TOOLBAR: Sync cancelled");
+    } else if (data.error) {
+      // Live: e.g. cesium_massing was emptied mid-edit - keep showing the last model
+      if (live) {
+        logInfo("LIVE SYNC: Skipped - " + data.error);
+      } else {
+        logError("SYNC ERROR: " + data.error);
+        notifyError("Sync failed: " + data.error, {
+          actions: [{ label: "Retry sync", onClick: () => syncFromRhino(viewer) }]
+        });
+      }
     } else {
-      await logToRhino("SEARCH: No results found");
-      alert("Location not found");
+      logInfo("TOOLBAR: Got data from Rhino");
+      // Pass tileset for clipping polygon support
+      await addModelFromRhino(viewer, _tileset, data, {
+        flyTo: !live,
+        signal,
+        onProgress: progress ? progress.update : undefined
+      });
     }
-  } catch (error) {
-    await logToRhino("SEARCH ERROR: " + error.message);
-    alert("Search failed: " + error.message);
+  } finally {
+    isSyncing = false;
+    if (progress) progress.close();
+  }
+
+  if (queuedSync) {
+    const next = queuedSync;
+    queuedSync = null;
+    await syncFromRhino(viewer, next);
   }
 }
 
+// Connect to Rhino's event stream and wire up the status indicator
+function initLiveSync(viewer) {
+  const statusDot = document.getElementById("syncStatus");
+
+  onRhinoStatusChange((status) => {
+    const style = STATUS_STYLES[status];
+    Object.values(STATUS_STYLES).forEach(s => statusDot.classList.remove(s.color));
+    statusDot.classList.add(style.color);
+    statusDot.parentElement.title = style.title;
+  });
+
+  // Debounce - designers often make several edits in a row
+  onRhinoLayersChanged((layers) => {
+    clearTimeout(liveSyncTimer);
+    liveSyncTimer = setTimeout(async () => {
+      logInfo(`LIVE SYNC: ${layers.join(", ")} changed, re-syncing...`);
+      await syncFromRhino(viewer, { live: true });
+    }, LIVE_SYNC_DEBOUNCE_MS);
+  });
+
+  connectRhinoEvents();
+}
+
 export { initToolbar };
\ No newline at end of file
@@ -0,0 +1,112 @@
+// Visibility panel: sight line / viewshed tools, eye height and viewshed extent, and the results
+import {
+  VISIBILITY_TOOLS,
+  DETAIL_LEVELS,
+  initVisibility,
+  setVisibilityTool,
+  getVisibilityTool,
+  getVisibilitySettings,
+  setVisibilitySettings,
+  removeAnalysis,
+  clearAnalyses,
+  onAnalysesChanged
+} from "../world/visibility.js";
+import { createRowButton } from "./sidePanel.js";
+
+// Initialize the visibility panel and its toolbar button
+function initVisibilityPanel(viewer) {
+  const panel = document.getElementById("visibilityPanel");
+  const button = document.getElementById("btnVisibility");
+  const tools = document.getElementById("visibilityTools");
+
+  initVisibility(viewer);
+
+  // Toolbar button toggles the panel - closing it leaves the tool
+  button.addEventListener("click", () => {
+    const open = panel.classList.toggle("hidden") === false;
+    if (!open) {
+      setVisibilityTool(null);
+    }
+    button.classList.toggle("bg-cyan-100", open);
+    button.classList.toggle("bg-white", !open);
+  });
+
+  // Clicking the active tool again turns it off
+  for (const [tool, { label }] of Object.entries(VISIBILITY_TOOLS)) {
+    const toolButton = document.createElement("button");
+    toolButton.textContent = label;
+    toolButton.dataset.tool = tool;
+    toolButton.className = "h-8 rounded-lg border border-gray-200 text-xs hover:bg-gray-50 active:scale-95";
+    toolButton.addEventListener("click", () => setVisibilityTool(getVisibilityTool() === tool ? null : tool));
+    tools.append(toolButton);
+  }
+
+  const settings = getVisibilitySettings();
+  const eyeHeightInput = document.getElementById("visibilityEyeHeight");
+  const radiusInput = document.getElementById("visibilityRadius");
+  const fovSelect = document.getElementById("visibilityFov");
+  const detailSelect = document.getElementById("visibilityDetail");
+
+  detailSelect.replaceChildren(...Object.entries(DETAIL_LEVELS).map(([id, { label }]) => new Option(label, id)));
+  eyeHeightInput.value = settings.eyeHeight;
+  radiusInput.value = settings.radius;
+  fovSelect.value = String(settings.fov);
+  detailSelect.value = settings.detail;
+
+  const applySettings = () => setVisibilitySettings({
+    eyeHeight: Number(eyeHeightInput.value),
+    radius: Number(radiusInput.value),
+    fov: Number(fovSelect.value),
+    detail: detailSelect.value
+  });
+  [eyeHeightInput, radiusInput, fovSelect, detailSelect].forEach(input => input.addEventListener("change", applySettings));
+
+  document.getElementById("btnClearVisibility").addEventListener("click", clearAnalyses);
+
+  onAnalysesChanged(renderVisibility);
+  renderVisibility([], { tool: null, pendingPoints: 0, busy: false });
+}
+
+function renderVisibility(analyses, state) {
+  for (const toolButton of document.getElementById("visibilityTools").children) {
+    const active = toolButton.dataset.tool === state.tool;
+    toolButton.classList.toggle("bg-black", active);
+    toolButton.classList.toggle("text-white", active);
+    toolButton.classList.toggle("hover:bg-gray-50", !active);
+  }
+
+  document.getElementById("visibilityHint").textContent = getHint(state);
+
+  const list = document.getElementById("visibilityList");
+  list.replaceChildren(...analyses.map(analysis => {
+    const row = document.createElement("li");
+    row.className = "flex items-start gap-2 rounded-lg px-2 py-1 hover:bg-gray-50";
+
+    const text = document.createElement("span");
+    text.className = "flex-1 min-w-0 text-xs whitespace-pre-line";
+    text.innerHTML = `<span class="text-gray-500">${VISIBILITY_TOOLS[analysis.tool].label}</span> `;
+    text.append(analysis.text);
+
+    const remove = createRowButton("Remove", "M6 18 18 6M6 6l12 12");
+    remove.addEventListener("click", () => removeAnalysis(analysis.id));
+
+    row.append(text, remove);
+    return row;
+  }));
+
+  document.getElementById("btnClearVisibility").disabled = analyses.length === 0 && state.pendingPoints === 0;
+}
+
+function getHint(state) {
+  if (state.busy) return "Analysing...";
+  if (state.pendingPoints > 0) {
+    return (state.tool === 'line' ? "Click the target." : "Click the direction to look in.") + " Esc cancels.";
+  }
+  if (state.tool === 'line') return "Click the viewpoint, then the target.";
+  if (state.tool === 'viewshed') {
+    return getVisibilitySettings().fov < 360 ? "Click the viewpoint, then the direction to look in." : "Click the viewpoint.";
+  }
+  return "Choose a tool, then click in the scene.";
+}
+
+export { initVisibilityPanel };
@@ -0,0 +1,132 @@
+// Zoning section of the side panel: site boundary, envelope limits, compliance check and report
+import {
+  initZoning,
+  getZoningSettings,
+  setZoningSettings,
+  getBoundaryCandidates,
+  setEnvelopeVisible,
+  checkZoningCompliance,
+  saveZoningReport,
+  onZoningChanged
+} from "../world/zoning.js";
+import { onClipPolygonsChanged } from "../world/clip-draw.js";
+import { onModelsChanged } from "../world/cesium-geometry.js";
+
+// Initialize the zoning controls
+function initZoningPanel(viewer) {
+  const boundarySelect = document.getElementById("zoningBoundary");
+  const maxHeightInput = document.getElementById("zoningMaxHeight");
+  const setbackInput = document.getElementById("zoningSetback");
+  const streetWallInput = document.getElementById("zoningStreetWall");
+  const skyAngleInput = document.getElementById("zoningSkyAngle");
+  const checkButton = document.getElementById("btnCheckZoning");
+  const saveButton = document.getElementById("btnSaveZoningReport");
+  const hint = document.getElementById("zoningHint");
+
+  initZoning(viewer);
+
+  // Candidates are listed fresh each time, the select's values index into them
+  let candidates = [];
+
+  boundarySelect.addEventListener("change", () => {
+    if (boundarySelect.value === "current") return;
+    const candidate = candidates[Number(boundarySelect.value)];
+    setZoningSettings({ boundary: candidate ? candidate.polygon : null });
+  });
+
+  const applyLimits = () => setZoningSettings({
+    maxHeight: Number(maxHeightInput.value),
+    setback: Number(setbackInput.value),
+    streetWallHeight: Number(streetWallInput.value),
+    skyPlaneAngle: Number(skyAngleInput.value)
+  });
+  [maxHeightInput, setbackInput, streetWallInput, skyAngleInput].forEach(input => input.addEventListener("change", applyLimits));
+
+  document.getElementById("zoningShowEnvelope").addEventListener("change", (event) => setEnvelopeVisible(event.target.checked));
+
+  checkButton.addEventListener("click", async () => {
+    checkButton.disabled = true;
+    hint.textContent = "Checking...";
+    try {
+      await checkZoningCompliance();
+    } catch (error) {
+      hint.textContent = `Could not check the model: ${error.message}`;
+    } finally {
+      checkButton.disabled = false;
+    }
+  });
+
+  saveButton.addEventListener("click", async () => {
+    saveButton.disabled = true;
+    try {
+      const path = await saveZoningReport();
+      hint.textContent = `Saved to Documents/${path}`;
+    } catch (error) {
+      hint.textContent = `Could not save the report: ${error.message}`;
+    } finally {
+      saveButton.disabled = false;
+    }
+  });
+
+  const renderBoundaries = () => {
+    candidates = getBoundaryCandidates();
+    renderBoundarySelect(candidates, getZoningSettings().boundary);
+  };
+  onClipPolygonsChanged(renderBoundaries);
+  onModelsChanged(renderBoundaries);
+
+  onZoningChanged((state) => {
+    renderBoundarySelect(candidates, state.settings.boundary);
+    renderZoning(state);
+  });
+
+  const settings = getZoningSettings();
+  maxHeightInput.value = settings.maxHeight;
+  setbackInput.value = settings.setback;
+  streetWallInput.value = settings.streetWallHeight;
+  skyAngleInput.value = settings.skyPlaneAngle;
+  renderBoundaries();
+  renderZoning({ settings, hasEnvelope: false, showEnvelope: true, report: null });
+}
+
+// "No zoning", the outlines, and the current boundary when it is none of them (e.g. from a project)
+function renderBoundarySelect(candidates, boundary) {
+  const select = document.getElementById("zoningBoundary");
+  const key = boundary ? boundary.join(",") : null;
+  const selected = candidates.findIndex(candidate => candidate.polygon.join(",") === key);
+
+  const options = [new Option("No zoning", ""), ...candidates.map((candidate, i) => new Option(candidate.label, String(i)))];
+  if (boundary && selected === -1) {
+    options.push(new Option(`Site boundary (${boundary.length / 2} corners)`, "current"));
+  }
+  select.replaceChildren(...options);
+  select.value = !boundary ? "" : selected === -1 ? "current" : String(selected);
+}
+
+function renderZoning(state) {
+  const { settings, report } = state;
+
+  // Settings can change from a project file
+  document.getElementById("zoningMaxHeight").value = settings.maxHeight;
+  document.getElementById("zoningSetback").value = settings.setback;
+  document.getElementById("zoningStreetWall").value = settings.streetWallHeight;
+  document.getElementById("zoningSkyAngle").value = settings.skyPlaneAngle;
+  document.getElementById("zoningShowEnvelope").checked = state.showEnvelope;
+
+  document.getElementById("btnCheckZoning").disabled = !state.hasEnvelope;
+  document.getElementById("btnSaveZoningReport").disabled = !report;
+
+  document.getElementById("zoningHint").textContent = !settings.boundary
+    ? "Draw a clipping outline or sync one from Rhino's cesium_clip layer, then choose it as the site."
+    : !state.hasEnvelope
+      ? "No envelope - the setback is too deep for the site."
+      : report
+        ? (report.passed ? "The model complies." : `${report.violations.length} part(s) break the envelope.`)
+        : "Check the synced model against the envelope.";
+
+  const reportText = document.getElementById("zoningReport");
+  reportText.textContent = report ? report.text : "";
+  reportText.classList.toggle("hidden", !report);
+}
+
+export { initZoningPanel };
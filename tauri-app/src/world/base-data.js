@@ -0,0 +1,368 @@
+// Base data: where the 3D tiles, the 2D imagery and the terrain come from
+// Chosen in the Base Data section of the side panel and saved in the app data directory; applied
+// at startup. Any source may fail (no token, offline, missing folder) - the app then carries on
+// without it and the settings show why.
+
+import { readTextFile, writeTextFile, mkdir, exists, BaseDirectory } from "@tauri-apps/plugin-fs";
+import { notifyWarning } from "../ui/notifications.js";
+import { logInfo, logError } from "../communication/rhino-logger.js";
+
+const SETTINGS_DIR = "settings";
+const CONFIG_PATH = `${SETTINGS_DIR}/base-data.json`;
+const FS_OPTIONS = { baseDir: BaseDirectory.AppData };
+
+// Local sources are folders in Documents/McAtlas/basedata, served through Tauri's asset protocol
+const LOCAL_DIR = "McAtlas/basedata";
+
+// Source types per kind of base data - network: needs the internet (skipped in offline mode)
+const SOURCE_TYPES = {
+  tiles: [
+    { type: 'google', label: "Google Photorealistic 3D Tiles", network: true },
+    { type: 'ion', label: "Cesium ion asset", network: true },
+    { type: 'url', label: "3D Tiles URL (tileset.json)", network: true },
+    { type: 'local', label: "Local folder", network: false },
+    { type: 'none', label: "None (show the globe)", network: false }
+  ],
+  imagery: [
+    { type: 'ion', label: "Cesium ion asset", network: true },
+    { type: 'xyz', label: "XYZ tiles URL", network: true },
+    { type: 'wmts', label: "WMTS (Web Mercator)", network: true },
+    { type: 'local', label: "Local tile folder (e.g. exported MBTiles)", network: false },
+    { type: 'none', label: "None", network: false }
+  ],
+  terrain: [
+    { type: 'ion', label: "Cesium ion asset", network: true },
+    { type: 'url', label: "Quantized-mesh URL", network: true },
+    { type: 'local', label: "Local quantized-mesh folder", network: false },
+    { type: 'none', label: "None (flat ellipsoid)", network: false }
+  ]
+};
+
+// Google Maps 2D Satellite (no labels) and Cesium World Terrain on ion
+// The token comes from VITE_CESIUM_ION_TOKEN or the settings - none is built in
+const DEFAULT_CONFIG = {
+  ionToken: import.meta.env.VITE_CESIUM_ION_TOKEN || "",
+  offline: false,
+  tiles: { type: 'google', googleKey: "", assetId: 96188, url: "", folder: "" },
+  imagery: {
+    type: 'ion',
+    assetId: 3830182,
+    url: "",
+    layer: "",
+    style: "default",
+    tileMatrixSetID: "GoogleMapsCompatible",
+    format: "image/jpeg",
+    folder: "",
+    extension: "png",
+    scheme: 'xyz',
+    maximumLevel: 19
+  },
+  terrain: { type: 'ion', assetId: 1, url: "", folder: "" }
+};
+
+let config = cloneConfig(DEFAULT_CONFIG);
+
+// What actually loaded this session: kind -> { state ('loaded' | 'failed' | 'skipped' | 'off'), message }
+const status = {
+  tiles: { state: 'off', message: "" },
+  imagery: { state: 'off', message: "" },
+  terrain: { state: 'off', message: "" }
+};
+
+const statusListeners = [];
+
+// ============ CONFIGURATION ============
+
+// Read the saved configuration and set the ion token (call once before creating the viewer)
+async function loadBaseDataConfig() {
+  try {
+    if (await exists(CONFIG_PATH, FS_OPTIONS)) {
+      const saved = JSON.parse(await readTextFile(CONFIG_PATH, FS_OPTIONS));
+      config = mergeConfig(saved);
+    }
+  } catch (error) {
+    logError(`BASE DATA ERROR: Failed to read the settings: ${error.message || error}`);
+  }
+
+  Cesium.Ion.defaultAccessToken = config.ionToken;
+  return getBaseDataConfig();
+}
+
+function getBaseDataConfig() {
+  return cloneConfig(config);
+}
+
+// Save a new configuration - it takes effect on the next start (the viewer is built from it)
+async function saveBaseDataConfig(values) {
+  const next = mergeConfig(values);
+  await mkdir(SETTINGS_DIR, { ...FS_OPTIONS, recursive: true });
+  await writeTextFile(CONFIG_PATH, JSON.stringify(next, null, 2), FS_OPTIONS);
+  return cloneConfig(next);
+}
+
+function getSourceTypes(kind) {
+  return SOURCE_TYPES[kind];
+}
+
+// Cesium ion can be used: a token and not offline (also checked by the ion geocoder)
+function isIonAvailable() {
+  return !config.offline && !!config.ionToken;
+}
+
+function isOffline() {
+  return config.offline;
+}
+
+// Saved values over the defaults, kind by kind (unknown types fall back to the default)
+function mergeConfig(values) {
+  const merged = {
+    ionToken: typeof values.ionToken === "string" ? values.ionToken.trim() : DEFAULT_CONFIG.ionToken,
+    offline: values.offline === true
+  };
+  for (const kind of Object.keys(SOURCE_TYPES)) {
+    const source = { ...DEFAULT_CONFIG[kind], ...(values[kind] || {}) };
+    if (!SOURCE_TYPES[kind].some(t => t.type === source.type)) {
+      source.type = DEFAULT_CONFIG[kind].type;
+    }
+    // Numbers may come in as form text
+    source.assetId = Number(source.assetId) || DEFAULT_CONFIG[kind].assetId;
+    if ('maximumLevel' in source) {
+      source.maximumLevel = Number(source.maximumLevel) || DEFAULT_CONFIG[kind].maximumLevel;
+    }
+    merged[kind] = source;
+  }
+  return merged;
+}
+
+function cloneConfig(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// ============ PROVIDERS ============
+
+// 3D tileset for the 3D view, or null (the 3D view then shows the globe)
+async function createBaseTileset() {
+  return await createSource('tiles', "3D tiles", async (source) => {
+    switch (source.type) {
+      case 'google':
+        return await Cesium.createGooglePhotorealistic3DTileset({
+          key: source.googleKey || undefined,
+          onlyUsingWithGoogleGeocoder: true
+        });
+      case 'ion':
+        return await Cesium.Cesium3DTileset.fromIonAssetId(Number(source.assetId));
+      case 'url':
+        return await Cesium.Cesium3DTileset.fromUrl(requireValue(source.url, "No tileset URL set"));
+      case 'local':
+        return await Cesium.Cesium3DTileset.fromUrl(`${await getLocalUrl(source.folder)}/tileset.json`);
+    }
+    return null;
+  });
+}
+
+// Imagery provider for the 2D globe, or null
+async function createBaseImageryProvider() {
+  const provider = await createSource('imagery', "Imagery", async (source) => {
+    const maximumLevel = Number(source.maximumLevel) || undefined;
+    switch (source.type) {
+      case 'ion':
+        return await Cesium.IonImageryProvider.fromAssetId(Number(source.assetId));
+      case 'xyz':
+        return new Cesium.UrlTemplateImageryProvider({
+          url: requireValue(source.url, "No tile URL set"),
+          maximumLevel
+        });
+      case 'wmts':
+        return new Cesium.WebMapTileServiceImageryProvider({
+          url: requireValue(source.url, "No WMTS URL set"),
+          layer: requireValue(source.layer, "No WMTS layer set"),
+          style: source.style || "default",
+          tileMatrixSetID: source.tileMatrixSetID,
+          format: source.format,
+          tilingScheme: new Cesium.WebMercatorTilingScheme(),
+          maximumLevel
+        });
+      case 'local': {
+        const y = source.scheme === 'tms' ? "{reverseY}" : "{y}";
+        return new Cesium.UrlTemplateImageryProvider({
+          url: `${await getLocalUrl(source.folder)}/{z}/{x}/${y}.${source.extension || "png"}`,
+          maximumLevel
+        });
+      }
+    }
+    return null;
+  });
+
+  if (provider) {
+    reportTileErrors('imagery', "Imagery", provider);
+  }
+  return provider;
+}
+
+// Terrain provider for the 2D globe and elevation sampling (flat ellipsoid if none loads)
+async function createBaseTerrainProvider() {
+  const provider = await createSource('terrain', "Terrain", async (source) => {
+    switch (source.type) {
+      case 'ion':
+        return await Cesium.CesiumTerrainProvider.fromIonAssetId(Number(source.assetId));
+      case 'url':
+        return await Cesium.CesiumTerrainProvider.fromUrl(requireValue(source.url, "No terrain URL set"));
+      case 'local':
+        return await Cesium.CesiumTerrainProvider.fromUrl(await getLocalUrl(source.folder));
+    }
+    return null;
+  });
+  return provider || new Cesium.EllipsoidTerrainProvider();
+}
+
+// Create one source, recording why it did not load
+async function createSource(kind, title, create) {
+  const source = config[kind];
+  const sourceType = SOURCE_TYPES[kind].find(t => t.type === source.type);
+
+  if (source.type === 'none') {
+    setStatus(kind, 'off', "Off");
+    return null;
+  }
+  if (sourceType.network && config.offline && !isLocalServer(source)) {
+    setStatus(kind, 'skipped', `${sourceType.label} skipped - offline mode`);
+    return null;
+  }
+  if (needsIon(kind, source) && !config.ionToken) {
+    setStatus(kind, 'failed', `${sourceType.label}: no Cesium ion token set`);
+    notifyWarning(`${title} not loaded - no Cesium ion token set (side panel > Base Data).`);
+    return null;
+  }
+
+  try {
+    const result = await create(source);
+    setStatus(kind, 'loaded', sourceType.label);
+    logInfo(`BASE DATA: ${title} loaded: ${sourceType.label}`);
+    return result;
+  } catch (error) {
+    const message = error && error.message ? error.message : String(error);
+    logError(`BASE DATA ERROR: Failed to load ${title.toLowerCase()} (${sourceType.label}): ${message}`);
+    setStatus(kind, 'failed', `${sourceType.label}: ${message}`);
+    notifyWarning(`${title} not loaded (${sourceType.label}): ${message}`);
+    return null;
+  }
+}
+
+// Tile sources only fail tile by tile (wrong URL, missing folder) - report the first failure
+function reportTileErrors(kind, title, provider) {
+  let reported = false;
+  provider.errorEvent.addEventListener((error) => {
+    if (reported) return;
+    reported = true;
+    setStatus(kind, 'failed', `${status[kind].message}: tiles fail to load (${error.message})`);
+    notifyWarning(`${title}: tiles fail to load - ${error.message}`);
+  });
+}
+
+// Google tiles go through ion unless a Google API key is set
+function needsIon(kind, source) {
+  return source.type === 'ion' || (kind === 'tiles' && source.type === 'google' && !source.googleKey);
+}
+
+// Asset protocol URL of a folder in Documents/McAtlas/basedata
+async function getLocalUrl(folder) {
+  const name = requireValue(folder, "No local folder set").replace(/^[\\/]+|[\\/]+$/g, "");
+  if (name.split(/[\\/]/).includes("..")) {
+    throw new Error(`Local folders must be inside Documents/${LOCAL_DIR}`);
+  }
+
+  const { documentDir, join } = window.__TAURI__.path;
+  const path = await join(await documentDir(), LOCAL_DIR, name);
+  return window.__TAURI__.core.convertFileSrc(path);
+}
+
+// A server on this machine works offline too
+function isLocalServer(source) {
+  return ['url', 'xyz', 'wmts'].includes(source.type) && /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?\//i.test(source.url);
+}
+
+function requireValue(value, message) {
+  const text = String(value || "").trim();
+  if (!text) throw new Error(message);
+  return text;
+}
+
+// ============ STATUS ============
+
+// Load state of each kind this session: { tiles, imagery, terrain } -> { state, message }
+function getBaseDataStatus() {
+  return cloneConfig(status);
+}
+
+// Register a callback for status changes: (status) => {}
+function onBaseDataStatusChanged(listener) {
+  statusListeners.push(listener);
+}
+
+function setStatus(kind, state, message) {
+  status[kind] = { state, message };
+  statusListeners.forEach(listener => listener(getBaseDataStatus()));
+}
+
+// Key identifying the 2D imagery source (for the map export tile cache)
+function getImageryCacheKey() {
+  const source = config.imagery;
+  switch (source.type) {
+    case 'ion':
+      return `ion-${source.assetId}`;
+    case 'xyz':
+      return `xyz-${hashString(source.url)}`;
+    case 'wmts':
+      return `wmts-${hashString([source.url, source.layer, source.style, source.tileMatrixSetID].join("|"))}`;
+    case 'local':
+      return `local-${hashString(source.folder)}`;
+  }
+  return null;
+}
+
+// Description of the 2D imagery source (for export metadata)
+function getImageryProviderInfo() {
+  const source = config.imagery;
+  const label = SOURCE_TYPES.imagery.find(t => t.type === source.type).label;
+  switch (source.type) {
+    case 'ion': {
+      const name = source.assetId === DEFAULT_CONFIG.imagery.assetId
+        ? "Google Maps 2D Satellite (Cesium ion)"
+        : `Cesium ion asset ${source.assetId}`;
+      return { name, ionAssetId: source.assetId };
+    }
+    case 'xyz':
+      return { name: label, url: source.url };
+    case 'wmts':
+      return { name: label, url: source.url, layer: source.layer, tileMatrixSetID: source.tileMatrixSetID };
+    case 'local':
+      return { name: label, folder: `${LOCAL_DIR}/${source.folder}` };
+  }
+  return { name: label };
+}
+
+// Short stable hash for cache folder names
+function hashString(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(16);
+}
+
+export {
+  LOCAL_DIR,
+  loadBaseDataConfig,
+  getBaseDataConfig,
+  saveBaseDataConfig,
+  getSourceTypes,
+  isIonAvailable,
+  isOffline,
+  createBaseTileset,
+  createBaseImageryProvider,
+  createBaseTerrainProvider,
+  getBaseDataStatus,
+  onBaseDataStatusChanged,
+  getImageryCacheKey,
+  getImageryProviderInfo
+};
@@ -0,0 +1,214 @@
+// Camera matching between Cesium and Rhino's active viewport, plus live-follow of Rhino
+// Cameras travel in meters east/north/up of the ground at the earth anchor (like the terrain export),
+// Rhino converts to model units and the site grid's rotation
+
+import { logInfo, logWarn, logError } from "../communication/rhino-logger.js";
+import { getCamera, setCamera } from "../communication/rhino-client.js";
+import { onRhinoCameraChanged } from "../communication/rhino-events.js";
+import { getLastSync } from "./cesium-geometry.js";
+import { getGlobe2D } from "./view-mode.js";
+import { notifyError } from "../ui/notifications.js";
+
+const MATCH_FLIGHT_SECONDS = 1.0;
+
+let viewer = null;
+let following = false;
+
+// East/north/up frame at the anchor ground: { lat, lon, toFixed, toLocal } (cached per anchor)
+let anchorFrame = null;
+let pendingFrame = null;    // { lat, lon, promise } while a frame is built
+
+const followListeners = [];
+
+// Initialize camera sync (live-follow listens on the Rhino event stream)
+function initCameraSync(cesiumViewer) {
+  viewer = cesiumViewer;
+
+  onRhinoCameraChanged(async (camera) => {
+    if (!following || camera.error) return;
+
+    const frame = await getAnchorFrame(camera.anchor);
+    if (following) {
+      applyRhinoCamera(camera, frame, 0);
+    }
+  });
+}
+
+// Cesium -> Rhino: set the active viewport to the Cesium camera
+async function sendCameraToRhino() {
+  logInfo("CAMERA: Matching Rhino viewport to Cesium...");
+
+  try {
+    const anchor = await getRhinoAnchor();
+    const frame = await getAnchorFrame(anchor);
+    const camera = viewer.camera;
+
+    const location = Cesium.Matrix4.multiplyByPoint(frame.toLocal, camera.positionWC, new Cesium.Cartesian3());
+    const direction = Cesium.Matrix4.multiplyByPointAsVector(frame.toLocal, camera.directionWC, new Cesium.Cartesian3());
+    const up = Cesium.Matrix4.multiplyByPointAsVector(frame.toLocal, camera.upWC, new Cesium.Cartesian3());
+
+    const result = await setCamera({
+      location: [location.x, location.y, location.z],
+      direction: [direction.x, direction.y, direction.z],
+      up: [up.x, up.y, up.z],
+      halfAngle: Cesium.Math.toDegrees(getSmallerHalfAngle(camera.frustum))
+    });
+
+    logInfo(`CAMERA: Rhino viewport set from ${location.x.toFixed(1)}, ${location.y.toFixed(1)}, ${location.z.toFixed(1)}m`);
+    return result;
+  } catch (error) {
+    logError(`CAMERA ERROR: ${error.message}`);
+    notifyError("Failed to match the Rhino camera: " + error.message);
+    return null;
+  }
+}
+
+// Rhino -> Cesium: fly the Cesium camera to the active viewport
+async function matchRhinoCamera() {
+  logInfo("CAMERA: Matching Cesium to the Rhino viewport...");
+
+  try {
+    const camera = await getCamera();
+    const frame = await getAnchorFrame(camera.anchor);
+    applyRhinoCamera(camera, frame, MATCH_FLIGHT_SECONDS);
+    return camera;
+  } catch (error) {
+    logError(`CAMERA ERROR: ${error.message}`);
+    notifyError("Failed to read the Rhino camera: " + error.message);
+    return null;
+  }
+}
+
+// Live-follow: keep Cesium locked to the Rhino viewport while orbiting there
+async function setCameraFollow(enabled) {
+  following = enabled;
+  followListeners.forEach(listener => listener(following));
+  logInfo(`CAMERA: Live follow ${following ? "on" : "off"}`);
+
+  // Jump to the current viewport right away - Rhino only pushes on change
+  if (following) {
+    await matchRhinoCamera();
+  }
+}
+
+function isCameraFollowing() {
+  return following;
+}
+
+// Register a callback for live-follow changes: (following) => {}
+function onCameraFollowChanged(listener) {
+  followListeners.push(listener);
+}
+
+// ============ CAMERA ============
+
+// Move the Cesium camera to a Rhino camera (duration 0 = jump)
+function applyRhinoCamera(camera, frame, duration) {
+  const destination = Cesium.Matrix4.multiplyByPoint(frame.toFixed, Cesium.Cartesian3.fromArray(camera.location), new Cesium.Cartesian3());
+  const direction = Cesium.Matrix4.multiplyByPointAsVector(frame.toFixed, Cesium.Cartesian3.fromArray(camera.direction), new Cesium.Cartesian3());
+  const up = Cesium.Matrix4.multiplyByPointAsVector(frame.toFixed, Cesium.Cartesian3.fromArray(camera.up), new Cesium.Cartesian3());
+  Cesium.Cartesian3.normalize(direction, direction);
+  Cesium.Cartesian3.normalize(up, up);
+
+  // Parallel Rhino views keep Cesium's field of view
+  if (camera.perspective && camera.halfAngle > 0) {
+    setSmallerHalfAngle(viewer.camera.frustum, Cesium.Math.toRadians(camera.halfAngle));
+  }
+
+  const orientation = { direction, up };
+  if (duration > 0) {
+    viewer.camera.flyTo({ destination, orientation, duration });
+  } else {
+    viewer.camera.setView({ destination, orientation });
+  }
+}
+
+// Rhino's lens is based on the smaller side of the frame, Cesium's fov on the larger one
+function getSmallerHalfAngle(frustum) {
+  const halfFovy = frustum.fovy / 2;
+  return frustum.aspectRatio >= 1 ? halfFovy : Math.atan(frustum.aspectRatio * Math.tan(halfFovy));
+}
+
+function setSmallerHalfAngle(frustum, halfAngle) {
+  const aspect = frustum.aspectRatio;
+  frustum.fov = aspect >= 1
+    ? 2 * Math.atan(aspect * Math.tan(halfAngle))
+    : 2 * Math.atan(Math.tan(halfAngle) / aspect);
+}
+
+// ============ ANCHOR FRAME ============
+
+// Rhino's earth anchor: the synced model's origin, else ask Rhino
+async function getRhinoAnchor() {
+  const sync = getLastSync();
+  if (sync) {
+    return { lat: sync.position.lat, lon: sync.position.lon };
+  }
+  const camera = await getCamera();
+  return camera.anchor;
+}
+
+// Frame at the ground under the anchor (ground height from the sync, else sampled terrain)
+// A frame still being built is only shared for the same anchor - a sync may have moved it meanwhile
+async function getAnchorFrame(anchor) {
+  if (anchorFrame && isSameAnchor(anchorFrame, anchor)) return anchorFrame;
+  if (pendingFrame && isSameAnchor(pendingFrame, anchor)) return pendingFrame.promise;
+
+  const pending = { lat: anchor.lat, lon: anchor.lon, promise: null };
+  pending.promise = (async () => {
+    const groundHeight = await getGroundHeight(anchor);
+    const toFixed = Cesium.Transforms.eastNorthUpToFixedFrame(Cesium.Cartesian3.fromDegrees(anchor.lon, anchor.lat, groundHeight));
+    const frame = {
+      lat: anchor.lat,
+      lon: anchor.lon,
+      toFixed,
+      toLocal: Cesium.Matrix4.inverseTransformation(toFixed, new Cesium.Matrix4())
+    };
+    // An older request finishing late must not replace the newer anchor's frame
+    if (pendingFrame === pending) {
+      anchorFrame = frame;
+    }
+    return frame;
+  })();
+  pendingFrame = pending;
+
+  try {
+    return await pending.promise;
+  } finally {
+    if (pendingFrame === pending) {
+      pendingFrame = null;
+    }
+  }
+}
+
+async function getGroundHeight(anchor) {
+  const sync = getLastSync();
+  if (sync && isSameAnchor(sync.position, anchor)) {
+    return sync.groundHeight;
+  }
+
+  const globe = getGlobe2D();
+  if (!globe || !globe.terrainProvider) return 0;
+
+  try {
+    const [sample] = await Cesium.sampleTerrainMostDetailed(globe.terrainProvider, [Cesium.Cartographic.fromDegrees(anchor.lon, anchor.lat)]);
+    return sample.height || 0;
+  } catch (error) {
+    logWarn(`CAMERA WARNING: Terrain sampling failed: ${error.message}`);
+    return 0;
+  }
+}
+
+// Within about a centimeter (the sync's origin has been through Rhino's earth transform)
+function isSameAnchor(a, b) {
+  return Math.abs(a.lat - b.lat) < 1e-7 && Math.abs(a.lon - b.lon) < 1e-7;
+}
+
+export {
+  initCameraSync,
+  sendCameraToRhino,
+  matchRhinoCamera,
+  setCameraFollow,
+  isCameraFollowing,
+  onCameraFollowChanged
+};
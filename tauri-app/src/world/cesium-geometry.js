@@ -2,73 +2,101 @@
 // Uses World Terrain (from view-mode's globe) for ground elevation
 
 import { readFile, BaseDirectory } from "@tauri-apps/plugin-fs";
-import { logToRhino } from "../communication/rhino-logger.js";
+import { logDebug, logInfo, logWarn, logError } from "../communication/rhino-logger.js";
 import { getGlobe2D, getCurrentMode } from "../world/view-mode.js";
-
-// Store references to current entities
-let currentModel = null;
+import { notifyError } from "../ui/notifications.js";
+import { resolveModelStyle, restyleGlb, readGlbMaterialNames, onModelStylesChanged } from "./model-style.js";
+import { computeModelPlacement } from "./model-placement.js";
+
+// Loaded models by name (one per cesium_massing sublayer)
+// name -> { name, glbFile, layerColor, materials, bytes, entity, url, materialsKey }
+// url: blob URL of the GLB as displayed (restyled when materials are overridden, see model-style.js)
+const models = new Map();
+let selectedModelName = null;
 let currentClippingPolygons = null;
 
+// Data source holding the live model entities (hidden while a snapshot is shown)
+let modelSource = null;
+let liveViewActive = true;
+
+// Placement and clipping of the last successful sync (for snapshots)
+let lastSync = null;
+
+// Notified whenever models are added, removed, shown/hidden or selected
+const modelListeners = [];
+
 // Setup scene lighting (call once after viewer is created)
 function setupSceneLighting(viewer) {
   viewer.scene.light.intensity = 20.0;
 }
 
-// Load GLB from disk and add to Cesium viewer with clipping
-async function addModelFromRhino(viewer, tileset, data) {
-  await logToRhino("========== CESIUM SYNC START ==========");
-
-  // Remove old model if exists
-  if (currentModel) {
-    viewer.entities.remove(currentModel);
-    await logToRhino("Removed previous model");
-  }
+// Load GLBs from disk and add to Cesium viewer with clipping
+// flyTo: move the camera to the models after loading (off for live sync)
+// readGlb(info) returns a model's GLB bytes - Rhino's export folder unless restoring a project
+// signal: cancels while the GLBs are read - the previous models and clipping stay as they were
+// onProgress(fraction, label): reports the read progress
+async function addModelFromRhino(viewer, tileset, data, { flyTo = true, readGlb = readExportedGlb, signal, onProgress } = {}) {
+  logInfo("========== CESIUM SYNC START ==========");
 
   // Check for errors
   if (!data || data.error) {
-    await logToRhino("ERROR: " + (data && data.error));
-    console.error("Rhino error:", data && data.error);
-    alert("Error from Rhino: " + (data && data.error));
+    logError("Error from Rhino: " + (data && data.error));
+    notifyError("Error from Rhino: " + (data && data.error));
     return;
   }
 
-  const { glbPath, position, clippingPolygons } = data;
+  const { position, clippingPolygons } = data;
+
+  // Older plugin builds send a single glbPath instead of a models list
+  const modelInfos = data.models || (data.glbPath ? [{ name: "cesium_massing", glbFile: "mcatlas_massing.glb" }] : []);
 
-  await logToRhino("RECEIVED FROM RHINO:");
-  await logToRhino(`  position.lat: ${position.lat}`);
-  await logToRhino(`  position.lon: ${position.lon}`);
-  await logToRhino(`  position.height: ${position.height}`);
-  await logToRhino(`  clippingPolygons: ${clippingPolygons ? clippingPolygons.length : 0}`);
+  logDebug("RECEIVED FROM RHINO:");
+  logDebug(`  position.lat: ${position.lat}`);
+  logDebug(`  position.lon: ${position.lon}`);
+  logDebug(`  position.height: ${position.height}`);
+  logDebug(`  position.northAngle: ${position.northAngle || 0}`);
+  logDebug(`  units: ${position.units || "Meters"} (${position.metersPerUnit || 1} m per unit)`);
+  logDebug(`  models: ${modelInfos.map(m => m.name).join(", ")}`);
+  logDebug(`  clippingPolygons: ${clippingPolygons ? clippingPolygons.length : 0}`);
 
-  if (!glbPath) {
-    await logToRhino("ERROR: No glbPath");
+  if (modelInfos.length === 0) {
+    logError("No models");
     return;
   }
 
   try {
-    // ============ APPLY CLIPPING POLYGONS ============
-    if (clippingPolygons && clippingPolygons.length > 0 && tileset) {
-      await applyClippingPolygons(viewer, tileset, clippingPolygons);
-    } else {
-      // Remove existing clipping if no polygons provided
-      await removeClipping(viewer, tileset);
+    // ============ READ GLBS ============
+    // Everything is read before the scene changes, so a cancel leaves it untouched
+    const loaded = [];
+    for (const [i, info] of modelInfos.entries()) {
+      if (signal && signal.aborted) {
+        logInfo("Sync cancelled - previous models kept");
+        return;
+      }
+      if (onProgress) onProgress(i / modelInfos.length, `Loading ${info.name}...`);
+
+      logDebug(`Reading GLB file for '${info.name}'...`);
+      const bytes = await readGlb(info);
+      logDebug(`  GLB file read: ${bytes.length} bytes`);
+      loaded.push({ info, bytes });
     }
 
-    // ============ READ GLB FILE ============
-    await logToRhino("Reading GLB file...");
-    const relativePath = "McAtlas/mcatlas_massing.glb";
-    const bytes = await readFile(relativePath, {
-      baseDir: BaseDirectory.Document,
-    });
-    await logToRhino(`GLB file read: ${bytes.length} bytes`);
+    if (signal && signal.aborted) {
+      logInfo("Sync cancelled - previous models kept");
+      return;
+    }
+    if (onProgress) onProgress(1, "Placing models...");
 
-    const blob = new Blob([bytes], { type: "model/gltf-binary" });
-    const url = URL.createObjectURL(blob);
+    // ============ APPLY CLIPPING POLYGONS ============
+    // While a snapshot is shown, its clipping stays until the live view returns
+    if (liveViewActive) {
+      await applyLiveClipping(viewer, tileset, clippingPolygons);
+    }
 
     // ============ SAMPLE TERRAIN ELEVATION ============
     // Use the 2D globe's terrain (World Terrain) for ground elevation
     // This gives us true ground level, not building roofs from 3D tiles
-    await logToRhino("Sampling terrain elevation...");
+    logInfo("Sampling terrain elevation...");
 
     const cartographic = Cesium.Cartographic.fromDegrees(position.lon, position.lat);
     let terrainHeight = 0;
@@ -78,79 +106,193 @@ async function addModelFromRhino(viewer, tileset, data) {
       try {
         const positions = await Cesium.sampleTerrainMostDetailed(globe.terrainProvider, [cartographic]);
         terrainHeight = positions[0].height || 0;
-        await logToRhino(`  Terrain elevation: ${terrainHeight.toFixed(2)}m`);
+        logDebug(`  Terrain elevation: ${terrainHeight.toFixed(2)}m`);
       } catch (terrainError) {
-        await logToRhino(`  WARNING: Terrain sampling failed: ${terrainError.message}`);
+        logWarn(`  Terrain sampling failed: ${terrainError.message}`);
         terrainHeight = 0;
       }
     } else {
-      await logToRhino("  WARNING: Globe/terrain not ready, using height 0");
+      logWarn("  Globe/terrain not ready, using height 0");
     }
 
     // Final height = terrain ground level + model's Z offset from Rhino
     const finalHeight = terrainHeight + position.height;
-    await logToRhino(`  Final height: ${finalHeight.toFixed(2)}m (terrain: ${terrainHeight.toFixed(2)} + model Z: ${position.height})`);
-
-    // ============ CREATE MODEL ENTITY ============
-    const positionCartesian = Cesium.Cartesian3.fromDegrees(
-      position.lon,
-      position.lat,
-      finalHeight
-    );
-
-    // Orientation - 90° heading to align Rhino Y-North with Cesium
-    const heading = Cesium.Math.toRadians(90);
-    const pitch = 0;
-    const roll = 0;
-    const hpr = new Cesium.HeadingPitchRoll(heading, pitch, roll);
-    const orientation = Cesium.Transforms.headingPitchRollQuaternion(positionCartesian, hpr);
-
-    await logToRhino("Creating model entity...");
-
-    const modelEntity = viewer.entities.add({
-      position: positionCartesian,
-      orientation: orientation,
-      model: {
-        uri: url,
-        environmentMapOptions: {
-          enabled: false  // Disables the blue tint completely
-        }
+    logInfo(`  Final height: ${finalHeight.toFixed(2)}m (terrain: ${terrainHeight.toFixed(2)} + model Z: ${position.height})`);
+
+    // ============ MODEL PLACEMENT ============
+    // All models share the Rhino origin, so they share position and orientation
+    const { positionCartesian, orientation, scale } = computeModelPlacement(position, terrainHeight);
+    const source = await getModelSource(viewer);
+
+    // ============ REMOVE STALE MODELS ============
+    // Sublayers that no longer exist (or were emptied) in Rhino
+    const incomingNames = new Set(modelInfos.map(m => m.name));
+    for (const name of [...models.keys()]) {
+      if (!incomingNames.has(name)) {
+        removeModelEntity(viewer, name);
+        logInfo(`Removed model: ${name}`);
+      }
+    }
+
+    // ============ ADD EACH MODEL ============
+    for (const { info, bytes } of loaded) {
+      // Keep visibility when replacing a model that was already loaded
+      const previous = models.get(info.name);
+      const show = previous ? previous.entity.show : true;
+      if (previous) {
+        removeModelEntity(viewer, info.name);
       }
-    });
 
-    currentModel = modelEntity;
+      const style = resolveModelStyle(info.name, info.layerColor);
+      const materialsKey = JSON.stringify(style.materials);
+      const url = createModelUrl(bytes, style.materials);
+
+      const modelEntity = source.entities.add({
+        name: info.name,
+        show: show,
+        position: positionCartesian,
+        orientation: orientation,
+        model: {
+          uri: url,
+          scale: scale,
+          environmentMapOptions: {
+            enabled: false  // Disables the blue tint completely
+          },
+          color: style.color,
+          colorBlendMode: style.colorBlendMode,
+          silhouetteColor: style.silhouetteColor,
+          silhouetteSize: style.silhouetteSize
+        }
+      });
 
-    await logToRhino("Model entity created successfully");
+      models.set(info.name, {
+        name: info.name,
+        glbFile: info.glbFile,
+        layerColor: info.layerColor,
+        materials: readGlbMaterialNames(bytes),
+        bytes,
+        entity: modelEntity,
+        url,
+        materialsKey
+      });
+      logDebug(`  Model entity '${info.name}' created`);
+    }
 
-    // Fly to model - but respect current view mode
-    if (getCurrentMode() === '2D') {
+    // Drop the selection if the selected model is gone
+    if (selectedModelName && !models.has(selectedModelName)) {
+      selectedModelName = null;
+    }
+
+    lastSync = { position, groundHeight: terrainHeight, clippingPolygons: clippingPolygons || [] };
+    notifyModelsChanged();
+
+    logInfo(`${models.size} model(s) loaded successfully`);
+
+    // Fly to models - but respect current view mode (skipped for live sync and snapshots)
+    if (!liveViewActive) {
+      logInfo("Snapshot view active - live models stay hidden");
+    } else if (flyTo && getCurrentMode() === '2D') {
       // In 2D mode, pan/zoom to model but stay top-down
       const boundingSphere = new Cesium.BoundingSphere(positionCartesian, 200); // 200m radius
       viewer.camera.flyToBoundingSphere(boundingSphere, {
         duration: 1.5,
         offset: new Cesium.HeadingPitchRange(0, Cesium.Math.toRadians(-90), 0) // Top-down
       });
-    } else {
+    } else if (flyTo) {
       // In 3D mode, normal flyTo
-      viewer.flyTo(modelEntity);
+      viewer.flyTo(getModelEntities());
     }
 
-    await logToRhino("========== CESIUM SYNC COMPLETE ==========");
+    logInfo("========== CESIUM SYNC COMPLETE ==========");
 
   } catch (error) {
-    await logToRhino("ERROR: " + error.message);
-    console.error("Error loading model:", error);
-    alert("Failed to load model: " + error.message);
+    logError("Failed to load model: " + error.message);
+    logDebug(error.stack || String(error));
+    notifyError("Failed to load model: " + error.message);
+  }
+}
+
+// GLB written by Rhino's export (Documents/McAtlas)
+async function readExportedGlb(info) {
+  return await readFile(`McAtlas/${info.glbFile}`, {
+    baseDir: BaseDirectory.Document,
+  });
+}
+
+// Get (or create) the data source holding live model entities
+async function getModelSource(viewer) {
+  if (!modelSource) {
+    modelSource = new Cesium.CustomDataSource("rhino-models");
+    await viewer.dataSources.add(modelSource);
+  }
+  return modelSource;
+}
+
+// Apply or clear the live sync's clipping polygons
+async function applyLiveClipping(viewer, tileset, clippingPolygons) {
+  if (clippingPolygons && clippingPolygons.length > 0 && tileset) {
+    await applyClippingPolygons(viewer, tileset, clippingPolygons);
+  } else {
+    // Remove existing clipping if no polygons provided
+    await removeClipping(viewer, tileset);
+  }
+}
+
+// False while a snapshot is displayed instead of the live models
+function isLiveViewActive() {
+  return liveViewActive;
+}
+
+// Show or hide the live models - hidden while a snapshot is displayed
+async function setLiveViewActive(viewer, tileset, active) {
+  liveViewActive = active;
+  const source = await getModelSource(viewer);
+  source.show = active;
+
+  // Returning to live: restore the live clipping
+  if (active) {
+    await applyLiveClipping(viewer, tileset, lastSync ? lastSync.clippingPolygons : []);
+  }
+}
+
+// Get placement, clipping and GLB bytes of the last sync (null if nothing synced)
+function getLastSync() {
+  if (!lastSync || models.size === 0) return null;
+
+  return {
+    ...lastSync,
+    models: [...models.values()].map(({ name, glbFile, layerColor, bytes }) => ({ name, glbFile, layerColor, bytes }))
+  };
+}
+
+// Move the live models to a new placement { lat, lon, height, northAngle } (keeps the ground height)
+function setModelPlacement(position) {
+  if (!lastSync) return;
+
+  lastSync.position = { ...lastSync.position, ...position };
+  const { positionCartesian, orientation } = computeModelPlacement(lastSync.position, lastSync.groundHeight);
+  for (const model of models.values()) {
+    model.entity.position = positionCartesian;
+    model.entity.orientation = orientation;
+  }
+}
+
+// Add polygons to the live sync's clipping (e.g. just sent to Rhino, until the next sync replaces them)
+function addLiveClippingPolygons(polygons) {
+  if (lastSync) {
+    lastSync.clippingPolygons = [...lastSync.clippingPolygons, ...polygons];
   }
 }
 
 // Apply clipping polygons to cut holes in 3D tiles
 async function applyClippingPolygons(viewer, tileset, polygons) {
-  await logToRhino(`Applying ${polygons.length} clipping polygon(s)...`);
+  logInfo(`Applying ${polygons.length} clipping polygon(s)...`);
 
   // Remove existing clipping first
   if (currentClippingPolygons) {
-    tileset.clippingPolygons = undefined;
+    if (tileset) {
+      tileset.clippingPolygons = undefined;
+    }
     if (viewer.scene.globe) {
       viewer.scene.globe.clippingPolygons = undefined;
     }
@@ -161,7 +303,7 @@ async function applyClippingPolygons(viewer, tileset, polygons) {
 
   for (let i = 0; i < polygons.length; i++) {
     const polygon = polygons[i];
-    await logToRhino(`  Polygon ${i + 1}: ${polygon.length / 2} points`);
+    logDebug(`  Polygon ${i + 1}: ${polygon.length / 2} points`);
 
     try {
       // polygon is array of [lon, lat, lon, lat, ...] in degrees
@@ -173,17 +315,19 @@ async function applyClippingPolygons(viewer, tileset, polygons) {
 
       cesiumPolygons.push(clippingPolygon);
     } catch (error) {
-      await logToRhino(`  ERROR creating polygon ${i + 1}: ${error.message}`);
+      logError(`  Failed to create polygon ${i + 1}: ${error.message}`);
     }
   }
 
   if (cesiumPolygons.length > 0) {
-    // Apply to 3D tileset
+    // Apply to 3D tileset (none when the base data has no 3D tiles)
     const clippingCollection = new Cesium.ClippingPolygonCollection({
       polygons: cesiumPolygons
     });
 
-    tileset.clippingPolygons = clippingCollection;
+    if (tileset) {
+      tileset.clippingPolygons = clippingCollection;
+    }
 
     // Also apply to globe (for terrain mode)
     if (viewer.scene.globe) {
@@ -193,14 +337,14 @@ async function applyClippingPolygons(viewer, tileset, polygons) {
     }
 
     currentClippingPolygons = clippingCollection;
-    await logToRhino(`Applied ${cesiumPolygons.length} clipping polygon(s) to 3D tiles`);
+    logInfo(`Applied ${cesiumPolygons.length} clipping polygon(s) to 3D tiles`);
   }
 }
 
 // Remove all clipping
 async function removeClipping(viewer, tileset) {
   if (currentClippingPolygons) {
-    await logToRhino("Removing existing clipping polygons...");
+    logDebug("Removing existing clipping polygons...");
 
     if (tileset) {
       tileset.clippingPolygons = undefined;
@@ -213,13 +357,160 @@ async function removeClipping(viewer, tileset) {
   }
 }
 
-// Fly to current model (for Target button)
-async function flyToCurrentModel(viewer) {
-  if (currentModel) {
-    viewer.flyTo(currentModel);
+// ============ MODEL MANAGEMENT ============
+
+// Remove a model entity and free its blob URL
+function removeModelEntity(viewer, name) {
+  const model = models.get(name);
+  if (!model) return;
+
+  modelSource.entities.remove(model.entity);
+  URL.revokeObjectURL(model.url);
+  models.delete(name);
+}
+
+// Remove a model from the viewer (it comes back on the next sync)
+async function removeModel(viewer, name) {
+  removeModelEntity(viewer, name);
+  if (selectedModelName === name) {
+    selectedModelName = null;
+  }
+  logInfo(`Removed model: ${name}`);
+  notifyModelsChanged();
+}
+
+// Show or hide a model
+function setModelVisibility(name, visible) {
+  const model = models.get(name);
+  if (!model) return;
+
+  model.entity.show = visible;
+  notifyModelsChanged();
+}
+
+// Select a model (target of the Target button), null to clear
+function selectModel(name) {
+  selectedModelName = models.has(name) ? name : null;
+  notifyModelsChanged();
+}
+
+// Get selected model name (or null)
+function getSelectedModelName() {
+  return selectedModelName;
+}
+
+// Get a snapshot of loaded models for UI: [{ name, visible, selected }]
+function getModels() {
+  return [...models.values()].map(model => ({
+    name: model.name,
+    visible: model.entity.show,
+    selected: model.name === selectedModelName
+  }));
+}
+
+// Material names of a model's GLB (for the per-material styles)
+function getModelMaterials(name) {
+  const model = models.get(name);
+  return model ? [...model.materials] : [];
+}
+
+// Get all model entities (for flyTo)
+function getModelEntities() {
+  return [...models.values()].map(model => model.entity);
+}
+
+// Register a callback for model list changes
+function onModelsChanged(listener) {
+  modelListeners.push(listener);
+}
+
+function notifyModelsChanged() {
+  const snapshot = getModels();
+  modelListeners.forEach(listener => listener(snapshot));
+}
+
+// Fly to a single model by name
+async function flyToModel(viewer, name) {
+  const model = models.get(name);
+  if (model) {
+    viewer.flyTo(model.entity);
+  }
+}
+
+// Fly to selected model, or all models if none is selected (for Target button)
+// Returns false when no model is loaded
+function flyToCurrentModel(viewer) {
+  if (selectedModelName) {
+    flyToModel(viewer, selectedModelName);
+  } else if (models.size > 0) {
+    viewer.flyTo(getModelEntities());
   } else {
-    alert("No model loaded yet. Click Sync first!");
+    return false;
+  }
+  return true;
+}
+
+// ============ DISPLAY STYLES ============
+
+// Restyle the changed model (name null: all models)
+onModelStylesChanged((name) => {
+  for (const model of models.values()) {
+    if (!name || model.name === name) {
+      applyModelStyle(model);
+    }
+  }
+});
+
+// Set a loaded model's colour, opacity and edges - reloads the GLB only when its materials change
+function applyModelStyle(model) {
+  const style = resolveModelStyle(model.name, model.layerColor);
+  const graphics = model.entity.model;
+  graphics.color = style.color;
+  graphics.colorBlendMode = style.colorBlendMode;
+  graphics.silhouetteColor = style.silhouetteColor;
+  graphics.silhouetteSize = style.silhouetteSize;
+
+  const materialsKey = JSON.stringify(style.materials);
+  if (materialsKey !== model.materialsKey) {
+    const previousUrl = model.url;
+    model.url = createModelUrl(model.bytes, style.materials);
+    model.materialsKey = materialsKey;
+    graphics.uri = model.url;
+    URL.revokeObjectURL(previousUrl);
+  }
+}
+
+// Blob URL of a model's GLB, with its materials restyled when overridden
+function createModelUrl(bytes, materials) {
+  let glb = bytes;
+  if (materials) {
+    try {
+      glb = restyleGlb(bytes, materials);
+    } catch (error) {
+      logWarn(`Material styles not applied: ${error.message}`);
+    }
   }
+  return URL.createObjectURL(new Blob([glb], { type: "model/gltf-binary" }));
 }
 
-export { addModelFromRhino, flyToCurrentModel, setupSceneLighting };
\ No newline at end of file
+export {
+  addModelFromRhino,
+  flyToCurrentModel,
+  flyToModel,
+  removeModel,
+  setModelVisibility,
+  selectModel,
+  getSelectedModelName,
+  getModels,
+  getModelMaterials,
+  onModelsChanged,
+  applyClippingPolygons,
+  removeClipping,
+  setLiveViewActive,
+  isLiveViewActive,
+  getLastSync,
+  setModelPlacement,
+  getModelEntities,
+  addLiveClippingPolygons,
+  setupSceneLighting
+};
\ No newline at end of file
@@ -0,0 +1,366 @@
+// Clipping polygon drawing: draw outlines on the 3D tiles (or 2D globe), edit their vertices with a live
+// clipping preview, then send them to Rhino as closed polylines on the cesium_clip layer
+
+import { logInfo, logError } from "../communication/rhino-logger.js";
+import { addClipPolygons } from "../communication/rhino-client.js";
+import { notifyError } from "../ui/notifications.js";
+import { applyClippingPolygons, removeClipping, addLiveClippingPolygons, getLastSync, isLiveViewActive } from "./cesium-geometry.js";
+import { activateTool, releaseTool, pickLonLat, setCameraInputs } from "./scene-tools.js";
+import { onSnapshotsChanged } from "./snapshots.js";
+
+const CLIP_COLOR = Cesium.Color.fromCssColorString("#ef4444");
+const DRAG_PREVIEW_INTERVAL_MS = 200;   // Re-clip at most this often while a vertex is dragged
+
+let viewer = null;
+let tileset = null;
+let handler = null;
+
+// Drawn polygons not yet sent to Rhino: [{ id, vertices: [{ lon, lat }] }]
+let polygons = [];
+let nextId = 1;
+
+// Interaction: 'idle' | 'drawing'; drawingPolygon is the outline being placed
+let mode = 'idle';
+let drawingPolygon = null;
+let cursor = null;
+
+// Vertex drag: { polygon, index } while a handle is held
+let dragging = null;
+let dragPreviewTimer = null;
+
+// Handle entity -> { polygon, index, type: 'vertex' | 'midpoint' }
+const handles = new Map();
+let outlineEntities = [];
+
+const listeners = [];
+
+// Initialize clip drawing
+function initClipDraw(cesiumViewer, googleTileset) {
+  viewer = cesiumViewer;
+  tileset = googleTileset;
+  handler = new Cesium.ScreenSpaceEventHandler(viewer.scene.canvas);
+
+  handler.setInputAction(onLeftDown, Cesium.ScreenSpaceEventType.LEFT_DOWN);
+  handler.setInputAction(onLeftClick, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+  handler.setInputAction(onMouseMove, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+  handler.setInputAction(onLeftUp, Cesium.ScreenSpaceEventType.LEFT_UP);
+  handler.setInputAction(onRightClick, Cesium.ScreenSpaceEventType.RIGHT_CLICK);
+
+  document.addEventListener("keydown", (event) => {
+    if (event.key === "Escape" && mode === 'drawing') {
+      stopDrawing();
+    }
+  });
+
+  // Back from a snapshot the live clipping is Rhino's only - add the drawn outlines again
+  let showingLive = true;
+  onSnapshotsChanged((snapshots, view) => {
+    const live = view.mode === 'live';
+    if (live && !showingLive && polygons.length > 0) {
+      applyPreview();
+    }
+    showingLive = live;
+  });
+}
+
+// Start drawing a new polygon: click to add vertices, right click to close
+function startDrawingClip() {
+  stopDrawing();
+  activateTool('clip', stopDrawing);
+  mode = 'drawing';
+  drawingPolygon = { id: nextId++, vertices: [] };
+  viewer.scene.canvas.style.cursor = "crosshair";
+  rebuildEntities();
+  notify();
+}
+
+// Leave drawing mode (an unfinished outline is discarded)
+function stopDrawing() {
+  if (mode !== 'drawing') return;
+
+  mode = 'idle';
+  drawingPolygon = null;
+  cursor = null;
+  viewer.scene.canvas.style.cursor = "";
+  releaseTool('clip');
+  rebuildEntities();
+  notify();
+}
+
+// Remove one drawn polygon
+async function removeClipPolygon(id) {
+  polygons = polygons.filter(p => p.id !== id);
+  rebuildEntities();
+  await applyPreview();
+  notify();
+}
+
+// Remove all drawn polygons
+async function clearClipPolygons() {
+  stopDrawing();
+  polygons = [];
+  rebuildEntities();
+  await applyPreview();
+  notify();
+}
+
+function getClipPolygons() {
+  return polygons.map(({ id, vertices }) => ({ id, vertexCount: vertices.length }));
+}
+
+// Drawn polygons as [lon, lat, lon, lat, ...] arrays (for project files)
+function getDrawnClipPolygons() {
+  return polygons.map(p => p.vertices.flatMap(v => [v.lon, v.lat]));
+}
+
+// Replace the drawn polygons, e.g. when opening a project
+async function setDrawnClipPolygons(flatPolygons) {
+  stopDrawing();
+  polygons = flatPolygons.map(flat => {
+    const vertices = [];
+    for (let i = 0; i < flat.length; i += 2) {
+      vertices.push({ lon: flat[i], lat: flat[i + 1] });
+    }
+    return { id: nextId++, vertices };
+  });
+  rebuildEntities();
+  await applyPreview();
+  notify();
+}
+
+// Register a callback for changes: (polygons, { drawing, drawingVertices }) => {}
+function onClipPolygonsChanged(listener) {
+  listeners.push(listener);
+}
+
+// Send the drawn polygons to Rhino - they become closed polylines on cesium_clip
+async function sendClipPolygonsToRhino() {
+  if (polygons.length === 0) return null;
+
+  const flat = polygons.map(p => p.vertices.flatMap(v => [v.lon, v.lat]));
+  logInfo(`CLIP: Sending ${flat.length} polygon(s) to cesium_clip...`);
+
+  try {
+    const result = await addClipPolygons(flat);
+
+    // They are Rhino's now - keep them clipping until the next sync replaces them
+    addLiveClippingPolygons(flat);
+    polygons = [];
+    rebuildEntities();
+    await applyPreview();
+    notify();
+
+    logInfo(`CLIP: Added ${result.count} polyline(s) to cesium_clip`);
+    return result;
+  } catch (error) {
+    logError(`CLIP ERROR: ${error.message}`);
+    notifyError("Failed to send clipping polygons to Rhino: " + error.message);
+    return null;
+  }
+}
+
+// ============ MOUSE INTERACTION ============
+
+// Handles can be dragged whenever drawn polygons are shown
+function onLeftDown(event) {
+  if (mode !== 'idle') return;
+
+  const picked = viewer.scene.pick(event.position);
+  const handle = picked ? handles.get(picked.id) : null;
+
+  if (handle) {
+    if (handle.type === 'midpoint') {
+      // Insert a vertex at the edge midpoint and drag it
+      const { polygon, index } = handle;
+      const a = polygon.vertices[index];
+      const b = polygon.vertices[(index + 1) % polygon.vertices.length];
+      polygon.vertices.splice(index + 1, 0, { lon: (a.lon + b.lon) / 2, lat: (a.lat + b.lat) / 2 });
+      dragging = { polygon, index: index + 1 };
+      rebuildEntities();
+    } else {
+      dragging = { polygon: handle.polygon, index: handle.index };
+    }
+    setCameraInputs(viewer, false);
+  }
+}
+
+// While drawing, each click adds a vertex (a drag still moves the camera)
+function onLeftClick(event) {
+  if (mode !== 'drawing') return;
+
+  const position = pickLonLat(viewer, event.position);
+  if (!position) return;
+
+  drawingPolygon.vertices.push(position);
+  rebuildEntities();
+  notify();
+}
+
+function onMouseMove(event) {
+  if (!dragging && mode !== 'drawing') return;
+
+  const position = pickLonLat(viewer, event.endPosition);
+  if (!position) return;
+
+  if (dragging) {
+    dragging.polygon.vertices[dragging.index] = position;
+    scheduleDragPreview();
+  } else {
+    cursor = position;
+  }
+}
+
+async function onLeftUp() {
+  if (!dragging) return;
+
+  dragging = null;
+  setCameraInputs(viewer, true);
+  clearTimeout(dragPreviewTimer);
+  dragPreviewTimer = null;
+  await applyPreview();
+  notify();
+}
+
+// Right click: close the outline while drawing, otherwise delete the vertex under the cursor
+async function onRightClick(event) {
+  if (mode === 'drawing') {
+    if (drawingPolygon.vertices.length >= 3) {
+      polygons.push(drawingPolygon);
+      logInfo(`CLIP: Drew polygon with ${drawingPolygon.vertices.length} vertices`);
+    }
+    drawingPolygon = null;
+    mode = 'idle';
+    cursor = null;
+    viewer.scene.canvas.style.cursor = "";
+    releaseTool('clip');
+    rebuildEntities();
+    await applyPreview();
+    notify();
+    return;
+  }
+
+  const picked = viewer.scene.pick(event.position);
+  const handle = picked ? handles.get(picked.id) : null;
+  if (handle && handle.type === 'vertex' && handle.polygon.vertices.length > 3) {
+    handle.polygon.vertices.splice(handle.index, 1);
+    rebuildEntities();
+    await applyPreview();
+    notify();
+  }
+}
+
+// ============ PREVIEW ============
+
+// Clip the tiles with Rhino's polygons plus the drawn ones
+// (not while a snapshot is shown - it has its own clipping)
+async function applyPreview() {
+  if (!tileset || !isLiveViewActive()) return;
+
+  const sync = getLastSync();
+  const synced = sync ? sync.clippingPolygons : [];
+  const drawn = polygons.map(p => p.vertices.flatMap(v => [v.lon, v.lat]));
+  const all = [...synced, ...drawn];
+
+  if (all.length > 0) {
+    await applyClippingPolygons(viewer, tileset, all);
+  } else {
+    await removeClipping(viewer, tileset);
+  }
+}
+
+// Live preview while dragging - throttled, the next one waits until the last has been applied
+function scheduleDragPreview() {
+  if (dragPreviewTimer) return;
+  dragPreviewTimer = setTimeout(async () => {
+    await applyPreview();
+    dragPreviewTimer = null;
+  }, DRAG_PREVIEW_INTERVAL_MS);
+}
+
+// ============ ENTITIES ============
+
+// Outlines and handles are rebuilt when vertices are added or removed,
+// positions are callbacks so dragging updates them without a rebuild
+function rebuildEntities() {
+  outlineEntities.forEach(entity => viewer.entities.remove(entity));
+  handles.forEach((_, entity) => viewer.entities.remove(entity));
+  outlineEntities = [];
+  handles.clear();
+
+  for (const polygon of polygons) {
+    outlineEntities.push(createOutline(() => [...polygon.vertices, polygon.vertices[0]], false));
+
+    polygon.vertices.forEach((_, index) => {
+      handles.set(createHandle(() => polygon.vertices[index], 10, Cesium.Color.WHITE), { polygon, index, type: 'vertex' });
+      handles.set(createHandle(() => {
+        const a = polygon.vertices[index];
+        const b = polygon.vertices[(index + 1) % polygon.vertices.length];
+        return { lon: (a.lon + b.lon) / 2, lat: (a.lat + b.lat) / 2 };
+      }, 7, CLIP_COLOR.withAlpha(0.6)), { polygon, index, type: 'midpoint' });
+    });
+  }
+
+  if (drawingPolygon) {
+    const polygon = drawingPolygon;
+    outlineEntities.push(createOutline(() => cursor ? [...polygon.vertices, cursor] : polygon.vertices, true));
+    polygon.vertices.forEach((_, index) => {
+      outlineEntities.push(createHandle(() => polygon.vertices[index], 10, Cesium.Color.WHITE));
+    });
+  }
+}
+
+function createOutline(getVertices, dashed) {
+  return viewer.entities.add({
+    name: "Clipping polygon",
+    polyline: {
+      positions: new Cesium.CallbackProperty(() => {
+        const vertices = getVertices();
+        return vertices.length >= 2 ? Cesium.Cartesian3.fromDegreesArray(vertices.flatMap(v => [v.lon, v.lat])) : [];
+      }, false),
+      width: 3,
+      material: dashed ? new Cesium.PolylineDashMaterialProperty({ color: CLIP_COLOR }) : CLIP_COLOR,
+      clampToGround: true,
+      classificationType: Cesium.ClassificationType.BOTH
+    }
+  });
+}
+
+function createHandle(getVertex, pixelSize, color) {
+  return viewer.entities.add({
+    name: "Clipping polygon vertex",
+    position: new Cesium.CallbackProperty(() => {
+      const vertex = getVertex();
+      return Cesium.Cartesian3.fromDegrees(vertex.lon, vertex.lat);
+    }, false),
+    point: {
+      pixelSize,
+      color,
+      outlineColor: CLIP_COLOR,
+      outlineWidth: 2,
+      heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+      disableDepthTestDistance: Number.POSITIVE_INFINITY
+    }
+  });
+}
+
+function notify() {
+  const state = {
+    drawing: mode === 'drawing',
+    drawingVertices: drawingPolygon ? drawingPolygon.vertices.length : 0
+  };
+  const list = getClipPolygons();
+  listeners.forEach(listener => listener(list, state));
+}
+
+export {
+  initClipDraw,
+  startDrawingClip,
+  stopDrawing,
+  removeClipPolygon,
+  clearClipPolygons,
+  getClipPolygons,
+  getDrawnClipPolygons,
+  setDrawnClipPolygons,
+  sendClipPolygonsToRhino,
+  onClipPolygonsChanged
+};
@@ -0,0 +1,268 @@
+// Map export region: an editable rectangle on the map (draw, drag corners, or set size in meters)
+// Works on the 2D globe and on the 3D tiles
+
+import { getViewCenter } from "./map-export.js";
+import { activateTool, releaseTool, pickLonLat, setCameraInputs } from "./scene-tools.js";
+
+const DEFAULT_EXPORT_SIZE_METERS = 2000;  // Initial region: 2km x 2km around the view
+const METERS_PER_DEGREE_LAT = 111320;
+const REGION_COLOR = Cesium.Color.fromCssColorString("#f59e0b");
+
+let viewer = null;
+let handler = null;
+
+// Region in degrees: { west, south, east, north } (null until first shown)
+let region = null;
+let isVisible = false;
+
+// Interaction state: 'idle' | 'drawing' | 'dragging'
+let interaction = 'idle';
+let anchorCorner = null;       // Fixed corner while drawing/dragging { lon, lat }
+let regionEntity = null;
+let cornerEntities = [];
+
+const listeners = [];
+
+// Initialize region editing
+function initExportRegion(cesiumViewer) {
+  viewer = cesiumViewer;
+  handler = new Cesium.ScreenSpaceEventHandler(viewer.scene.canvas);
+
+  handler.setInputAction(onLeftDown, Cesium.ScreenSpaceEventType.LEFT_DOWN);
+  handler.setInputAction(onMouseMove, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+  handler.setInputAction(onLeftUp, Cesium.ScreenSpaceEventType.LEFT_UP);
+}
+
+// Show the region on the map (creates a default region around the view the first time)
+function showExportRegion() {
+  if (!region) {
+    const center = getViewCenter(viewer);
+    setRegionSize(DEFAULT_EXPORT_SIZE_METERS, DEFAULT_EXPORT_SIZE_METERS, center);
+  }
+
+  if (!regionEntity) {
+    createRegionEntities();
+  }
+
+  isVisible = true;
+  setEntitiesShown(true);
+  notify();
+}
+
+// Hide the region and cancel any drawing
+function hideExportRegion() {
+  isVisible = false;
+  stopInteraction();
+  setEntitiesShown(false);
+  notify();
+}
+
+// Next click-drag on the map draws a new region
+function startDrawingRegion() {
+  showExportRegion();
+  activateTool('region', () => {
+    stopInteraction();
+    notify();
+  });
+  interaction = 'drawing';
+  anchorCorner = null;
+  // Camera stays still so the drag draws instead of panning
+  setCameraInputs(viewer, false);
+  notify();
+}
+
+// Set region size in meters, keeping its center (or around a given center { lat, lon })
+function setRegionSize(widthMeters, heightMeters, center = getRegionCenter()) {
+  const halfLat = heightMeters / 2 / METERS_PER_DEGREE_LAT;
+  const halfLon = widthMeters / 2 / (METERS_PER_DEGREE_LAT * Math.cos(Cesium.Math.toRadians(center.lat)));
+
+  region = {
+    west: center.lon - halfLon,
+    east: center.lon + halfLon,
+    south: center.lat - halfLat,
+    north: center.lat + halfLat
+  };
+  notify();
+}
+
+// Move the region to the current view center
+function centerRegionOnView() {
+  const { widthMeters, heightMeters } = getRegionSizeMeters();
+  setRegionSize(widthMeters, heightMeters, getViewCenter(viewer));
+}
+
+// Replace the region (degrees)
+function setExportRegion(newRegion) {
+  region = normalizeRegion(newRegion);
+  notify();
+}
+
+// Get region in degrees (null if never shown)
+function getExportRegion() {
+  return region ? { ...region } : null;
+}
+
+// Approximate region size in meters (at the region's center latitude)
+function getRegionSizeMeters() {
+  if (!region) {
+    return { widthMeters: DEFAULT_EXPORT_SIZE_METERS, heightMeters: DEFAULT_EXPORT_SIZE_METERS };
+  }
+
+  const center = getRegionCenter();
+  return {
+    widthMeters: (region.east - region.west) * METERS_PER_DEGREE_LAT * Math.cos(Cesium.Math.toRadians(center.lat)),
+    heightMeters: (region.north - region.south) * METERS_PER_DEGREE_LAT
+  };
+}
+
+function getRegionCenter() {
+  return {
+    lat: (region.north + region.south) / 2,
+    lon: (region.east + region.west) / 2
+  };
+}
+
+// Register a callback for region changes: (region, { visible, drawing }) => {}
+function onExportRegionChanged(listener) {
+  listeners.push(listener);
+}
+
+// ============ MOUSE INTERACTION ============
+
+function onLeftDown(event) {
+  if (!isVisible) return;
+
+  const position = pickLonLat(viewer, event.position);
+  if (!position) return;
+
+  if (interaction === 'drawing') {
+    // First corner of a new region
+    anchorCorner = position;
+    region = normalizeRegion({ west: position.lon, east: position.lon, south: position.lat, north: position.lat });
+    return;
+  }
+
+  // Grab a corner handle - the opposite corner stays fixed
+  const picked = viewer.scene.pick(event.position);
+  const cornerIndex = picked ? cornerEntities.indexOf(picked.id) : -1;
+  if (cornerIndex >= 0) {
+    const corners = getCorners();
+    anchorCorner = corners[(cornerIndex + 2) % 4];
+    interaction = 'dragging';
+    setCameraInputs(viewer, false);
+  }
+}
+
+function onMouseMove(event) {
+  if (!anchorCorner) return;
+
+  const position = pickLonLat(viewer, event.endPosition);
+  if (!position) return;
+
+  region = normalizeRegion({
+    west: anchorCorner.lon,
+    east: position.lon,
+    south: anchorCorner.lat,
+    north: position.lat
+  });
+  notify();
+}
+
+function onLeftUp() {
+  if (!anchorCorner) return;
+  stopInteraction();
+  notify();
+}
+
+function stopInteraction() {
+  interaction = 'idle';
+  anchorCorner = null;
+  setCameraInputs(viewer, true);
+  releaseTool('region');
+}
+
+// ============ ENTITIES ============
+
+// Corners in order NW, NE, SE, SW (opposite corner = index + 2)
+function getCorners() {
+  return [
+    { lon: region.west, lat: region.north },
+    { lon: region.east, lat: region.north },
+    { lon: region.east, lat: region.south },
+    { lon: region.west, lat: region.south }
+  ];
+}
+
+function createRegionEntities() {
+  regionEntity = viewer.entities.add({
+    name: "Map export region",
+    rectangle: {
+      coordinates: new Cesium.CallbackProperty(() => Cesium.Rectangle.fromDegrees(
+        region.west, region.south, region.east, region.north
+      ), false),
+      material: REGION_COLOR.withAlpha(0.15),
+      classificationType: Cesium.ClassificationType.BOTH
+    },
+    polyline: {
+      positions: new Cesium.CallbackProperty(() => {
+        const corners = getCorners();
+        return Cesium.Cartesian3.fromDegreesArray(
+          [...corners, corners[0]].flatMap(corner => [corner.lon, corner.lat])
+        );
+      }, false),
+      width: 2,
+      material: REGION_COLOR,
+      clampToGround: true
+    }
+  });
+
+  cornerEntities = [0, 1, 2, 3].map(i => viewer.entities.add({
+    name: "Map export region corner",
+    position: new Cesium.CallbackProperty(() => {
+      const corner = getCorners()[i];
+      return Cesium.Cartesian3.fromDegrees(corner.lon, corner.lat);
+    }, false),
+    point: {
+      pixelSize: 12,
+      color: Cesium.Color.WHITE,
+      outlineColor: REGION_COLOR,
+      outlineWidth: 3,
+      heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+      disableDepthTestDistance: Number.POSITIVE_INFINITY
+    }
+  }));
+}
+
+function setEntitiesShown(show) {
+  if (regionEntity) regionEntity.show = show;
+  cornerEntities.forEach(entity => { entity.show = show; });
+}
+
+// Make sure west < east and south < north
+function normalizeRegion({ west, south, east, north }) {
+  return {
+    west: Math.min(west, east),
+    east: Math.max(west, east),
+    south: Math.min(south, north),
+    north: Math.max(south, north)
+  };
+}
+
+function notify() {
+  const state = { visible: isVisible, drawing: interaction === 'drawing' };
+  listeners.forEach(listener => listener(getExportRegion(), state));
+}
+
+export {
+  DEFAULT_EXPORT_SIZE_METERS,
+  initExportRegion,
+  showExportRegion,
+  hideExportRegion,
+  startDrawingRegion,
+  setRegionSize,
+  centerRegionOnView,
+  setExportRegion,
+  getExportRegion,
+  getRegionSizeMeters,
+  onExportRegionChanged
+};
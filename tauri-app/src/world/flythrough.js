@@ -0,0 +1,421 @@
+// Camera flythroughs: named paths of camera keyframes (view, dwell time, travel time to the next),
+// played back along a Catmull-Rom spline and exported as numbered PNG frames for video editing
+// Frames and a path.json sidecar go to Documents/McAtlas/flythroughs/<name>_<timestamp>
+
+import { writeTextFile, BaseDirectory } from "@tauri-apps/plugin-fs";
+import { logInfo } from "../communication/rhino-logger.js";
+import { notifyWarning } from "../ui/notifications.js";
+import { renderSequence, formatTimestamp } from "./render-still.js";
+import { getCameraState, setCameraState } from "./project.js";
+
+const FLYTHROUGH_DIR = "McAtlas/flythroughs";
+const FS_OPTIONS = { baseDir: BaseDirectory.Document };
+
+const DEFAULT_TRAVEL = 4;     // Seconds to the next keyframe
+const MIN_TRAVEL = 0.5;
+const GO_TO_DURATION = 1.5;   // Seconds for "go to keyframe"
+const PREVIEW_SAMPLES_PER_SECOND = 10;
+const PREVIEW_COLOR = Cesium.Color.fromCssColorString("#0891b2");
+
+let viewer = null;
+let tileset = null;
+
+// Paths: [{ id, name, keyframes: [{ camera: { position, heading, pitch, roll }, dwell, travel }] }]
+// travel of the last keyframe is unused
+let paths = [];
+let activeId = null;
+let nextId = 1;
+
+let playback = null;          // { frame (requestAnimationFrame id) } while playing
+let exporting = false;
+let previewVisible = false;
+let previewEntities = [];
+
+const listeners = [];
+
+function initFlythrough(cesiumViewer, cesiumTileset) {
+  viewer = cesiumViewer;
+  tileset = cesiumTileset;
+
+  // Esc stops playback
+  document.addEventListener("keydown", (event) => {
+    if (event.key === "Escape" && playback) {
+      stopFlythrough();
+    }
+  });
+}
+
+// ============ PATHS ============
+
+// [{ id, name, keyframeCount, duration }]
+function getFlythroughs() {
+  return paths.map(path => ({
+    id: path.id,
+    name: path.name,
+    keyframeCount: path.keyframes.length,
+    duration: buildTimeline(path.keyframes).duration
+  }));
+}
+
+// Path being edited, with copies of its keyframes (null when there are no paths)
+function getActiveFlythrough() {
+  const path = getActivePath();
+  return path ? { id: path.id, name: path.name, keyframes: path.keyframes.map(k => ({ ...k })) } : null;
+}
+
+function createFlythrough(name) {
+  const path = { id: nextId++, name: name || `Flythrough ${paths.length + 1}`, keyframes: [] };
+  paths.push(path);
+  activeId = path.id;
+  notify();
+  return path.id;
+}
+
+function removeFlythrough(id) {
+  stopFlythrough();
+  paths = paths.filter(path => path.id !== id);
+  if (activeId === id) {
+    activeId = paths.length > 0 ? paths[paths.length - 1].id : null;
+  }
+  notify();
+}
+
+function setActiveFlythrough(id) {
+  if (!paths.some(path => path.id === id)) return;
+  stopFlythrough();
+  activeId = id;
+  notify();
+}
+
+function renameFlythrough(id, name) {
+  const path = paths.find(p => p.id === id);
+  if (path && name.trim()) {
+    path.name = name.trim();
+    notify();
+  }
+}
+
+// ============ KEYFRAMES ============
+
+// Add the current view to the active path (a new path if there is none)
+function addKeyframe() {
+  if (!getActivePath()) {
+    createFlythrough();
+  }
+  const path = getActivePath();
+  path.keyframes.push({ camera: getCameraState(), dwell: 0, travel: DEFAULT_TRAVEL });
+  notify();
+}
+
+// Replace a keyframe's view with the current one
+function updateKeyframe(index) {
+  const keyframe = getActivePath().keyframes[index];
+  keyframe.camera = getCameraState();
+  notify();
+}
+
+// timing: { dwell?, travel? } in seconds
+function setKeyframeTiming(index, timing) {
+  const keyframe = getActivePath().keyframes[index];
+  if (Number.isFinite(timing.dwell)) keyframe.dwell = Math.max(timing.dwell, 0);
+  if (Number.isFinite(timing.travel)) keyframe.travel = Math.max(timing.travel, MIN_TRAVEL);
+  notify();
+}
+
+function moveKeyframe(index, offset) {
+  const keyframes = getActivePath().keyframes;
+  const target = index + offset;
+  if (target < 0 || target >= keyframes.length) return;
+  [keyframes[index], keyframes[target]] = [keyframes[target], keyframes[index]];
+  notify();
+}
+
+function removeKeyframe(index) {
+  getActivePath().keyframes.splice(index, 1);
+  notify();
+}
+
+function goToKeyframe(index) {
+  stopFlythrough();
+  setCameraState(getActivePath().keyframes[index].camera, GO_TO_DURATION);
+}
+
+// ============ PLAYBACK ============
+
+function playFlythrough() {
+  const sampler = createActiveSampler();
+  if (!sampler) return;
+
+  stopFlythrough();
+  viewer.camera.cancelFlight();
+
+  const start = performance.now();
+  const step = () => {
+    const time = (performance.now() - start) / 1000;
+    applyCamera(sampler.sample(Math.min(time, sampler.duration)));
+    if (time >= sampler.duration) {
+      stopFlythrough();
+    } else {
+      playback.frame = requestAnimationFrame(step);
+    }
+  };
+
+  playback = { frame: requestAnimationFrame(step) };
+  logInfo(`FLYTHROUGH: Playing "${getActivePath().name}" (${sampler.duration.toFixed(1)} s)`);
+  notify();
+}
+
+function stopFlythrough() {
+  if (!playback) return;
+  cancelAnimationFrame(playback.frame);
+  playback = null;
+  notify();
+}
+
+// ============ EXPORT ============
+
+// Render the active path as PNG frames - options: { width, height, supersample, fps, hideChrome, signal, onProgress(done, total) }
+// Returns { directory, frameCount, cancelled }, or null when the path is too short
+async function exportFlythroughFrames(options) {
+  const sampler = createActiveSampler();
+  if (!sampler) return null;
+
+  const path = getActivePath();
+  const { fps, signal } = options;
+  const frameCount = Math.floor(sampler.duration * fps) + 1;
+  const safeName = path.name.replace(/[^\w-]+/g, "_") || "flythrough";
+  const directory = `${FLYTHROUGH_DIR}/${safeName}_${formatTimestamp(new Date())}`;
+
+  stopFlythrough();
+  viewer.camera.cancelFlight();
+  exporting = true;
+  notify();
+
+  try {
+    const result = await renderSequence(viewer, tileset, {
+      width: options.width,
+      height: options.height,
+      supersample: options.supersample,
+      hideChrome: options.hideChrome,
+      directory,
+      frameCount,
+      setFrame: (index) => applyCamera(sampler.sample(index / fps)),
+      onProgress: (done) => { if (options.onProgress) options.onProgress(done, frameCount); },
+      signal
+    });
+
+    // What was rendered, to line the frames up with the path later
+    const sidecar = {
+      createdAt: new Date().toISOString(),
+      name: path.name,
+      output: { width: options.width, height: options.height, fps, frameCount: result.frameCount },
+      keyframes: path.keyframes
+    };
+    await writeTextFile(`${directory}/path.json`, JSON.stringify(sidecar, null, 2), FS_OPTIONS);
+
+    return { ...result, cancelled: result.frameCount < frameCount };
+  } finally {
+    exporting = false;
+    notify();
+  }
+}
+
+// ============ PREVIEW ============
+
+// Path line and numbered keyframes in the scene (e.g. while the flythrough panel is open)
+function setPathPreviewVisible(visible) {
+  previewVisible = visible;
+  updatePreview();
+}
+
+function updatePreview() {
+  previewEntities.forEach(entity => viewer.entities.remove(entity));
+  previewEntities = [];
+
+  const path = getActivePath();
+  if (!previewVisible || playback || exporting || !path) return;
+
+  path.keyframes.forEach((keyframe, i) => {
+    previewEntities.push(viewer.entities.add({
+      position: Cesium.Cartesian3.unpack(keyframe.camera.position),
+      point: { pixelSize: 8, color: PREVIEW_COLOR, outlineColor: Cesium.Color.WHITE, outlineWidth: 2 },
+      label: {
+        text: String(i + 1),
+        font: "12px sans-serif",
+        fillColor: Cesium.Color.WHITE,
+        showBackground: true,
+        backgroundColor: PREVIEW_COLOR,
+        pixelOffset: new Cesium.Cartesian2(0, -16),
+        disableDepthTestDistance: Number.POSITIVE_INFINITY
+      }
+    }));
+  });
+
+  if (path.keyframes.length >= 2) {
+    const sampler = createSampler(path.keyframes);
+    const count = Math.max(2, Math.ceil(sampler.duration * PREVIEW_SAMPLES_PER_SECOND));
+    const positions = [];
+    for (let i = 0; i <= count; i++) {
+      positions.push(sampler.sample(sampler.duration * i / count).position);
+    }
+    previewEntities.push(viewer.entities.add({
+      polyline: { positions, width: 2, material: new Cesium.PolylineDashMaterialProperty({ color: PREVIEW_COLOR }) }
+    }));
+  }
+}
+
+// ============ INTERPOLATION ============
+
+// When each keyframe is reached and left: [{ arrive, leave }], and the total duration in seconds
+function buildTimeline(keyframes) {
+  const stops = [];
+  let time = 0;
+  keyframes.forEach((keyframe, i) => {
+    const arrive = time;
+    const leave = arrive + keyframe.dwell;
+    stops.push({ arrive, leave });
+    time = leave + (i < keyframes.length - 1 ? keyframe.travel : 0);
+  });
+  return { stops, duration: time };
+}
+
+// Camera at any time of a path: { duration, sample(seconds) -> { position, heading, pitch, roll } }
+// Position and orientation follow Catmull-Rom splines through the keyframes, timed by the travel
+// times only - dwells hold the view, and the camera eases in and out of the keyframes it stops at
+function createSampler(keyframes) {
+  const { stops, duration } = buildTimeline(keyframes);
+  const last = keyframes.length - 1;
+
+  const knots = [0];
+  keyframes.slice(0, -1).forEach((keyframe, i) => knots.push(knots[i] + keyframe.travel));
+
+  // Unwrapped headings, so the camera turns the short way round
+  let heading = keyframes[0].camera.heading;
+  const orientations = keyframes.map((keyframe, i) => {
+    if (i > 0) {
+      heading += Cesium.Math.negativePiToPi(keyframe.camera.heading - keyframes[i - 1].camera.heading);
+    }
+    return new Cesium.Cartesian3(heading, keyframe.camera.pitch, keyframe.camera.roll);
+  });
+
+  const positionSpline = new Cesium.CatmullRomSpline({
+    times: knots,
+    points: keyframes.map(keyframe => Cesium.Cartesian3.unpack(keyframe.camera.position))
+  });
+  const orientationSpline = new Cesium.CatmullRomSpline({ times: knots, points: orientations });
+
+  const sample = (seconds) => {
+    let splineTime = knots[last];
+    for (let i = 0; i < last; i++) {
+      if (seconds <= stops[i].leave) {
+        splineTime = knots[i];
+        break;
+      }
+      if (seconds < stops[i + 1].arrive) {
+        const u = (seconds - stops[i].leave) / keyframes[i].travel;
+        const easeIn = i === 0 || keyframes[i].dwell > 0;
+        const easeOut = i + 1 === last || keyframes[i + 1].dwell > 0;
+        splineTime = Math.min(knots[i] + ease(u, easeIn, easeOut) * keyframes[i].travel, knots[i + 1]);
+        break;
+      }
+    }
+
+    const orientation = orientationSpline.evaluate(splineTime);
+    return {
+      position: positionSpline.evaluate(splineTime),
+      heading: orientation.x,
+      pitch: orientation.y,
+      roll: orientation.z
+    };
+  };
+
+  return { duration, sample };
+}
+
+// 0..1 -> 0..1 starting and/or ending with zero speed, else at constant speed
+function ease(u, easeIn, easeOut) {
+  if (easeIn && easeOut) return u * u * (3 - 2 * u);
+  if (easeIn) return u * u * (2 - u);
+  if (easeOut) return 1 - (1 - u) * (1 - u) * (1 + u);
+  return u;
+}
+
+// ============ PROJECT STATE ============
+
+function getFlythroughState() {
+  return { paths: paths.map(path => ({ ...path, keyframes: path.keyframes.map(k => ({ ...k })) })), activeId };
+}
+
+// Restore getFlythroughState's result (missing: no paths)
+function setFlythroughState(state) {
+  stopFlythrough();
+  paths = ((state && state.paths) || [])
+    .filter(path => Array.isArray(path.keyframes))
+    .map(path => ({
+      id: path.id,
+      name: path.name,
+      keyframes: path.keyframes.filter(k => k.camera && Array.isArray(k.camera.position)).map(k => ({
+        camera: k.camera,
+        dwell: Number.isFinite(k.dwell) ? Math.max(k.dwell, 0) : 0,
+        travel: Number.isFinite(k.travel) ? Math.max(k.travel, MIN_TRAVEL) : DEFAULT_TRAVEL
+      }))
+    }));
+  nextId = paths.reduce((max, path) => Math.max(max, path.id), 0) + 1;
+  activeId = paths.some(path => path.id === (state && state.activeId)) ? state.activeId
+    : paths.length > 0 ? paths[0].id : null;
+  notify();
+}
+
+// Register a callback for changes: ({ paths, active, playing, exporting }) => {}
+function onFlythroughChanged(listener) {
+  listeners.push(listener);
+}
+
+// ============ HELPERS ============
+
+function getActivePath() {
+  return paths.find(path => path.id === activeId) || null;
+}
+
+// Sampler for the active path, or null (with a warning) when it has fewer than two keyframes
+function createActiveSampler() {
+  const path = getActivePath();
+  if (!path || path.keyframes.length < 2) {
+    notifyWarning("Add at least two keyframes first.");
+    return null;
+  }
+  return createSampler(path.keyframes);
+}
+
+function applyCamera({ position, heading, pitch, roll }) {
+  viewer.camera.setView({ destination: position, orientation: { heading, pitch, roll } });
+}
+
+function notify() {
+  updatePreview();
+  const state = { paths: getFlythroughs(), active: getActiveFlythrough(), playing: playback !== null, exporting };
+  listeners.forEach(listener => listener(state));
+}
+
+export {
+  initFlythrough,
+  getFlythroughs,
+  getActiveFlythrough,
+  createFlythrough,
+  removeFlythrough,
+  setActiveFlythrough,
+  renameFlythrough,
+  addKeyframe,
+  updateKeyframe,
+  setKeyframeTiming,
+  moveKeyframe,
+  removeKeyframe,
+  goToKeyframe,
+  playFlythrough,
+  stopFlythrough,
+  exportFlythroughFrames,
+  setPathPreviewVisible,
+  getFlythroughState,
+  setFlythroughState,
+  onFlythroughChanged
+};
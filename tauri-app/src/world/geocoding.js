@@ -0,0 +1,208 @@
+// Geocoding: coordinate input (decimal degrees, DMS, "lat, lon") and pluggable geocoders
+// A geocoder is { id, name, search(query) => Promise<[place]> } - they are tried in order until one
+// finds something, so an offline gazetteer or a company site list can stand in when ion is unavailable
+// A place is { name, lat, lon, height?, rectangle?: { west, south, east, north } (degrees), source? }
+
+import { isIonAvailable } from "./base-data.js";
+import { logWarn } from "../communication/rhino-logger.js";
+
+const geocoders = [];
+
+// ============ COORDINATES ============
+
+// Parse coordinates typed or pasted into the search box - returns { lat, lon } or null
+//   40.6976, -73.9986        40.6976 -73.9986         40.6976N 73.9986W       N40.6976 W73.9986
+//   40°41'51.4"N 73°59'55.0"W                         40 41 51.4 N, 73 59 55 W
+// Without hemisphere letters the order is lat, lon
+function parseCoordinates(text) {
+  const clean = String(text).trim().toUpperCase()
+    .replace(/[′’]/g, "'")
+    .replace(/[″”]|''/g, '"')
+    .replace(/º/g, "°");
+  if (!/^[\d\s.,;:°'"+\-NSEW]+$/.test(clean) || !/\d/.test(clean)) return null;
+
+  const parts = splitCoordinatePair(clean);
+  if (!parts) return null;
+
+  const first = parseCoordinatePart(parts[0]);
+  const second = parseCoordinatePart(parts[1]);
+  if (!first || !second) return null;
+
+  // Hemisphere letters decide which one is the latitude
+  const swap = first.axis === 'lon' || second.axis === 'lat';
+  const lat = swap ? second : first;
+  const lon = swap ? first : second;
+  if ((lat.axis && lat.axis !== 'lat') || (lon.axis && lon.axis !== 'lon')) return null;
+  if (Math.abs(lat.value) > 90 || Math.abs(lon.value) > 180) return null;
+
+  return { lat: lat.value, lon: lon.value };
+}
+
+// "40.69760, -73.99860"
+function formatCoordinates({ lat, lon }, digits = 5) {
+  return `${lat.toFixed(digits)}, ${lon.toFixed(digits)}`;
+}
+
+// Split into latitude and longitude text: at a comma/semicolon, at hemisphere letters, or
+// halfway through the numbers ("40 41 51 73 59 55")
+function splitCoordinatePair(text) {
+  const separated = text.split(/[,;]/).map(part => part.trim()).filter(Boolean);
+  if (separated.length === 2) return separated;
+  if (separated.length !== 1) return null;
+
+  const prefixed = text.match(/^([NSEW][^NSEW]+)([NSEW][^NSEW]+)$/);
+  if (prefixed) return [prefixed[1], prefixed[2]];
+
+  const suffixed = text.match(/^([^NSEW]+[NSEW])([^NSEW]+[NSEW])$/);
+  if (suffixed) return [suffixed[1], suffixed[2]];
+
+  if (/[NSEW]/.test(text)) return null;
+
+  const numbers = text.match(/[-+]?\d+(?:\.\d+)?/g) || [];
+  if (![2, 4, 6].includes(numbers.length)) return null;
+  const half = numbers.length / 2;
+  return [numbers.slice(0, half).join(" "), numbers.slice(half).join(" ")];
+}
+
+// One coordinate: degrees with optional minutes and seconds and an optional hemisphere letter
+// Returns { value, axis ('lat' | 'lon' | null) } or null
+function parseCoordinatePart(text) {
+  const letters = text.match(/[NSEW]/g) || [];
+  const numbers = text.match(/[-+]?\d+(?:\.\d+)?/g) || [];
+  if (letters.length > 1 || numbers.length < 1 || numbers.length > 3) return null;
+
+  const [degrees, minutes = 0, seconds = 0] = numbers.map(Number);
+  if (numbers.slice(1).some(n => /^[-+]/.test(n)) || minutes >= 60 || seconds >= 60) return null;
+
+  let negative = numbers[0].startsWith("-");
+  const letter = letters[0];
+  if (letter === 'S' || letter === 'W') {
+    if (negative) return null;   // "-40 S" is ambiguous
+    negative = true;
+  }
+
+  const value = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+  return {
+    value: negative ? -value : value,
+    axis: !letter ? null : (letter === 'N' || letter === 'S' ? 'lat' : 'lon')
+  };
+}
+
+// ============ GEOCODERS ============
+
+// Add a geocoder - first: try it before the others (e.g. a site list that should win over ion)
+function registerGeocoder(geocoder, { first = false } = {}) {
+  unregisterGeocoder(geocoder.id);
+  if (first) {
+    geocoders.unshift(geocoder);
+  } else {
+    geocoders.push(geocoder);
+  }
+}
+
+function unregisterGeocoder(id) {
+  const index = geocoders.findIndex(geocoder => geocoder.id === id);
+  if (index >= 0) {
+    geocoders.splice(index, 1);
+  }
+}
+
+function getGeocoders() {
+  return [...geocoders];
+}
+
+// Search with each geocoder in turn until one finds something
+// Returns { places, geocoder (name of the one that answered), errors: [{ geocoder, message }] }
+// A geocoder that throws (offline, no token) is skipped - errors lists why
+async function searchPlaces(query) {
+  const errors = [];
+
+  for (const geocoder of geocoders) {
+    try {
+      const places = await geocoder.search(query);
+      if (places && places.length > 0) {
+        return {
+          places: places.map(place => ({ ...place, source: place.source || geocoder.name })),
+          geocoder: geocoder.name,
+          errors
+        };
+      }
+    } catch (error) {
+      const message = error.message || String(error);
+      logWarn(`SEARCH WARNING: ${geocoder.name} failed - ${message}`);
+      errors.push({ geocoder: geocoder.name, message });
+    }
+  }
+
+  return { places: [], geocoder: null, errors };
+}
+
+// Cesium ion geocoder (needs the ion token and a connection)
+function createIonGeocoder(scene) {
+  const service = new Cesium.IonGeocoderService({ scene });
+
+  return {
+    id: "ion",
+    name: "Cesium ion",
+    async search(query) {
+      if (!isIonAvailable()) {
+        throw new Error("not used in offline mode or without a token");
+      }
+      const results = await service.geocode(query);
+      return (results || []).map(result => placeFromDestination(result.displayName, result.destination));
+    }
+  };
+}
+
+// Geocoder over a fixed list of places (offline gazetteer, company sites) - matches names
+// containing every word of the query
+function createListGeocoder({ id, name, places }) {
+  return {
+    id,
+    name,
+    async search(query) {
+      const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+      return places.filter(place => {
+        const text = place.name.toLowerCase();
+        return words.every(word => text.includes(word));
+      });
+    }
+  };
+}
+
+// Place from a Cesium destination (Rectangle or Cartesian3)
+function placeFromDestination(name, destination) {
+  if (destination instanceof Cesium.Rectangle) {
+    const center = Cesium.Rectangle.center(destination);
+    return {
+      name,
+      lat: Cesium.Math.toDegrees(center.latitude),
+      lon: Cesium.Math.toDegrees(center.longitude),
+      rectangle: {
+        west: Cesium.Math.toDegrees(destination.west),
+        south: Cesium.Math.toDegrees(destination.south),
+        east: Cesium.Math.toDegrees(destination.east),
+        north: Cesium.Math.toDegrees(destination.north)
+      }
+    };
+  }
+
+  const cartographic = Cesium.Cartographic.fromCartesian(destination);
+  return {
+    name,
+    lat: Cesium.Math.toDegrees(cartographic.latitude),
+    lon: Cesium.Math.toDegrees(cartographic.longitude),
+    height: cartographic.height
+  };
+}
+
+export {
+  parseCoordinates,
+  formatCoordinates,
+  registerGeocoder,
+  unregisterGeocoder,
+  getGeocoders,
+  searchPlaces,
+  createIonGeocoder,
+  createListGeocoder
+};
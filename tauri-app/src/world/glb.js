@@ -0,0 +1,154 @@
+// Minimal GLB (binary glTF) reading and writing for the synced models: the JSON chunk (materials)
+// and the mesh positions (zoning checks). Draco-compressed meshes are not decoded.
+
+const GLB_MAGIC = 0x46546C67;        // "glTF"
+const GLB_CHUNK_JSON = 0x4E4F534A;   // "JSON"
+const GLB_CHUNK_BIN = 0x004E4942;    // "BIN"
+const FLOAT = 5126;
+
+// Split a GLB into its JSON, the raw chunks after it and the binary chunk's data (null if none)
+function readGlb(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint32(0, true) !== GLB_MAGIC) {
+    throw new Error("Not a GLB file");
+  }
+
+  const jsonLength = view.getUint32(12, true);
+  if (view.getUint32(16, true) !== GLB_CHUNK_JSON) {
+    throw new Error("GLB has no JSON chunk");
+  }
+
+  const json = JSON.parse(new TextDecoder().decode(bytes.subarray(20, 20 + jsonLength)));
+  const chunks = bytes.subarray(20 + jsonLength);
+
+  let bin = null;
+  if (chunks.length >= 8 && view.getUint32(24 + jsonLength, true) === GLB_CHUNK_BIN) {
+    const binLength = view.getUint32(20 + jsonLength, true);
+    bin = chunks.subarray(8, 8 + binLength);
+  }
+
+  return { json, chunks, bin };
+}
+
+// Build a GLB from its JSON and the raw chunks that followed it
+function writeGlb(json, chunks) {
+  let jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+  const padding = (4 - (jsonBytes.length % 4)) % 4;
+  if (padding) {
+    const padded = new Uint8Array(jsonBytes.length + padding).fill(0x20);
+    padded.set(jsonBytes);
+    jsonBytes = padded;
+  }
+
+  const length = 20 + jsonBytes.length + chunks.length;
+  const result = new Uint8Array(length);
+  const view = new DataView(result.buffer);
+  view.setUint32(0, GLB_MAGIC, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, length, true);
+  view.setUint32(12, jsonBytes.length, true);
+  view.setUint32(16, GLB_CHUNK_JSON, true);
+  result.set(jsonBytes, 20);
+  result.set(chunks, 20 + jsonBytes.length);
+  return result;
+}
+
+// Vertex positions of every mesh in the default scene, one entry per node with a mesh:
+// { parts: [{ name, positions (x, y, z, ... in the node's space), matrix (node -> glTF root) }], skipped }
+// skipped: primitives whose positions could not be read (Draco-compressed, or not float)
+function readGlbMeshes(bytes) {
+  const { json, bin } = readGlb(bytes);
+  const nodes = json.nodes || [];
+  const parts = [];
+  let skipped = 0;
+
+  const visit = (index, parentMatrix) => {
+    const node = nodes[index];
+    const matrix = Cesium.Matrix4.multiply(parentMatrix, getNodeMatrix(node), new Cesium.Matrix4());
+
+    if (node.mesh !== undefined) {
+      const mesh = json.meshes[node.mesh];
+      const arrays = [];
+      for (const primitive of mesh.primitives) {
+        const positions = readPositions(json, bin, primitive.attributes.POSITION);
+        if (positions) {
+          arrays.push(positions);
+        } else {
+          skipped++;
+        }
+      }
+
+      if (arrays.length > 0) {
+        parts.push({
+          name: node.name || mesh.name || `Part ${parts.length + 1}`,
+          positions: concat(arrays),
+          matrix
+        });
+      }
+    }
+
+    (node.children || []).forEach(child => visit(child, matrix));
+  };
+
+  getRootNodes(json).forEach(index => visit(index, Cesium.Matrix4.IDENTITY));
+  return { parts, skipped };
+}
+
+// ============ HELPERS ============
+
+function getRootNodes(json) {
+  if (json.scenes && json.scenes.length > 0) {
+    return json.scenes[json.scene || 0].nodes || [];
+  }
+  const children = new Set((json.nodes || []).flatMap(node => node.children || []));
+  return (json.nodes || []).map((node, index) => index).filter(index => !children.has(index));
+}
+
+function getNodeMatrix(node) {
+  if (node.matrix) {
+    return Cesium.Matrix4.fromColumnMajorArray(node.matrix);
+  }
+  const [tx, ty, tz] = node.translation || [0, 0, 0];
+  const [rx, ry, rz, rw] = node.rotation || [0, 0, 0, 1];
+  const [sx, sy, sz] = node.scale || [1, 1, 1];
+  return Cesium.Matrix4.fromTranslationQuaternionRotationScale(
+    new Cesium.Cartesian3(tx, ty, tz),
+    new Cesium.Quaternion(rx, ry, rz, rw),
+    new Cesium.Cartesian3(sx, sy, sz)
+  );
+}
+
+// Float VEC3 accessor -> Float32Array (x, y, z, ...), or null if it can't be read
+function readPositions(json, bin, accessorIndex) {
+  const accessor = accessorIndex !== undefined ? json.accessors[accessorIndex] : null;
+  if (!accessor || !bin || accessor.bufferView === undefined || accessor.componentType !== FLOAT || accessor.type !== "VEC3") {
+    return null;
+  }
+
+  const bufferView = json.bufferViews[accessor.bufferView];
+  const stride = bufferView.byteStride || 12;
+  const start = bin.byteOffset + (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+  const view = new DataView(bin.buffer);
+  const positions = new Float32Array(accessor.count * 3);
+
+  for (let i = 0; i < accessor.count; i++) {
+    const offset = start + i * stride;
+    positions[i * 3] = view.getFloat32(offset, true);
+    positions[i * 3 + 1] = view.getFloat32(offset + 4, true);
+    positions[i * 3 + 2] = view.getFloat32(offset + 8, true);
+  }
+  return positions;
+}
+
+function concat(arrays) {
+  if (arrays.length === 1) return arrays[0];
+  const result = new Float32Array(arrays.reduce((sum, array) => sum + array.length, 0));
+  let offset = 0;
+  for (const array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+}
+
+export { readGlb, writeGlb, readGlbMeshes };
@@ -1,11 +1,21 @@
-// Map export: captures 2D map region and sends to Rhino
-import { logToRhino } from "../communication/rhino-logger.js";
-import { getCurrentMode } from "./view-mode.js";
+// Map export: captures a 2D map region and sends to Rhino
+// Web Mercator tiles are resampled to a local metric grid, so the image has true scale in Rhino
+import { logDebug, logInfo, logWarn, logError } from "../communication/rhino-logger.js";
+import { setEarthAnchor, importMapImage } from "../communication/rhino-client.js";
+import { getGlobe2D } from "./view-mode.js";
+import { getImageryCacheKey, getImageryProviderInfo } from "./base-data.js";
+import { fetchTiles } from "./tile-fetcher.js";
+import { planMetricExport, reprojectToLocalGrid } from "./map-reproject.js";
+import { saveGeoreferencedMap } from "./map-files.js";
+import { notifyError } from "../ui/notifications.js";
 
 // Configuration
-const EXPORT_SIZE_METERS = 2000; // 2km x 2km area
 const TILE_SIZE = 256;           // Google tiles are 256x256
-const ZOOM_LEVEL = 18;           // Good balance: ~0.6m/pixel
+const DEFAULT_ZOOM_LEVEL = 18;   // Good balance: ~0.6m/pixel
+const MIN_ZOOM_LEVEL = 12;
+const MAX_ZOOM_LEVEL = 21;
+const MAX_OUTPUT_PIXELS = 16384; // Largest canvas side we can safely stitch
+const MAX_OUTPUT_MEGAPIXELS = 64; // Largest canvas area - each is held as RGBA more than once while exporting
 
 // Get the center coordinates of the current view
 function getViewCenter(viewer) {
@@ -17,16 +27,21 @@ function getViewCenter(viewer) {
   const ray = viewer.camera.getPickRay(windowCenter);
   const globe = viewer.scene.globe;
 
+  // 2D: pick the globe, 3D: pick the photorealistic tiles
+  let position;
   if (globe && globe.show) {
-    const position = globe.pick(ray, viewer.scene);
-    if (position) {
-      const cartographic = Cesium.Cartographic.fromCartesian(position);
-      return {
-        lon: Cesium.Math.toDegrees(cartographic.longitude),
-        lat: Cesium.Math.toDegrees(cartographic.latitude),
-        height: cartographic.height
-      };
-    }
+    position = globe.pick(ray, viewer.scene);
+  } else if (viewer.scene.pickPositionSupported) {
+    position = viewer.scene.pickPosition(windowCenter);
+  }
+
+  if (position) {
+    const cartographic = Cesium.Cartographic.fromCartesian(position);
+    return {
+      lon: Cesium.Math.toDegrees(cartographic.longitude),
+      lat: Cesium.Math.toDegrees(cartographic.latitude),
+      height: cartographic.height
+    };
   }
 
   const cartographic = viewer.camera.positionCartographic;
@@ -37,22 +52,26 @@ function getViewCenter(viewer) {
   };
 }
 
-// Convert lat/lon to tile coordinates at a given zoom level
-function latLonToTile(lat, lon, zoom) {
-  const n = Math.pow(2, zoom);
-  const x = Math.floor((lon + 180) / 360 * n);
+// Convert longitude to global Web Mercator pixel X at a given zoom level
+function lonToPixelX(lon, zoom) {
+  return (lon + 180) / 360 * TILE_SIZE * Math.pow(2, zoom);
+}
+
+// Convert latitude to global Web Mercator pixel Y at a given zoom level
+function latToPixelY(lat, zoom) {
   const latRad = lat * Math.PI / 180;
-  const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
-  return { x, y };
+  return (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * TILE_SIZE * Math.pow(2, zoom);
+}
+
+// Convert global pixel X back to longitude
+function pixelXToLon(x, zoom) {
+  return x / (TILE_SIZE * Math.pow(2, zoom)) * 360 - 180;
 }
 
-// Convert tile coordinates to lat/lon (top-left corner of tile)
-function tileToLatLon(x, y, zoom) {
-  const n = Math.pow(2, zoom);
-  const lon = x / n * 360 - 180;
-  const latRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * y / n)));
-  const lat = latRad * 180 / Math.PI;
-  return { lat, lon };
+// Convert global pixel Y back to latitude
+function pixelYToLat(y, zoom) {
+  const latRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * y / (TILE_SIZE * Math.pow(2, zoom)))));
+  return latRad * 180 / Math.PI;
 }
 
 // Calculate meters per pixel at a given latitude and zoom
@@ -60,240 +79,311 @@ function metersPerPixel(lat, zoom) {
   return 156543.03392 * Math.cos(lat * Math.PI / 180) / Math.pow(2, zoom);
 }
 
-// Calculate tile bounds for export area
-function calculateTileBounds(centerLat, centerLon, sizeMeters, zoom) {
-  const mpp = metersPerPixel(centerLat, zoom);
-  const pixelsNeeded = sizeMeters / mpp;
-  const tilesNeeded = Math.ceil(pixelsNeeded / TILE_SIZE);
-  
-  // Make sure we have an odd number of tiles so center tile is truly centered
-  const tilesCount = tilesNeeded % 2 === 0 ? tilesNeeded + 1 : tilesNeeded;
-  
-  const centerTile = latLonToTile(centerLat, centerLon, zoom);
-  
-  const halfTiles = Math.floor(tilesCount / 2);
-  const startX = centerTile.x - halfTiles;
-  const startY = centerTile.y - halfTiles;
-  const endX = centerTile.x + halfTiles;
-  const endY = centerTile.y + halfTiles;
-  
-  // Calculate the ACTUAL bounds of the stitched image
-  const topLeft = tileToLatLon(startX, startY, zoom);
-  const bottomRight = tileToLatLon(endX + 1, endY + 1, zoom);
-  
-  // Calculate the ACTUAL center of the stitched image
-  const actualCenterLat = (topLeft.lat + bottomRight.lat) / 2;
-  const actualCenterLon = (topLeft.lon + bottomRight.lon) / 2;
-  
+// Calculate tiles and output pixels for an export region { west, south, east, north } in degrees
+// The stitched tiles are cropped to the region (snapped to whole pixels)
+function calculateTileBounds(region, zoom) {
+  // Region in global pixel coordinates, snapped outwards to whole pixels
+  const left = Math.floor(lonToPixelX(region.west, zoom));
+  const right = Math.ceil(lonToPixelX(region.east, zoom));
+  const top = Math.floor(latToPixelY(region.north, zoom));
+  const bottom = Math.ceil(latToPixelY(region.south, zoom));
+
+  // Tiles covering those pixels
+  const startX = Math.floor(left / TILE_SIZE);
+  const endX = Math.floor((right - 1) / TILE_SIZE);
+  const startY = Math.floor(top / TILE_SIZE);
+  const endY = Math.floor((bottom - 1) / TILE_SIZE);
+
+  // Calculate the ACTUAL bounds of the cropped image
+  const bounds = {
+    north: pixelYToLat(top, zoom),
+    south: pixelYToLat(bottom, zoom),
+    west: pixelXToLon(left, zoom),
+    east: pixelXToLon(right, zoom)
+  };
+
+  // Calculate the ACTUAL center of the cropped image
+  const actualCenterLat = (bounds.north + bounds.south) / 2;
+  const actualCenterLon = (bounds.west + bounds.east) / 2;
+
+  const mpp = metersPerPixel(actualCenterLat, zoom);
+  const pixelWidth = right - left;
+  const pixelHeight = bottom - top;
+
   return {
     zoom,
     startX,
     startY,
     endX,
     endY,
-    centerTile,
     tilesX: endX - startX + 1,
     tilesY: endY - startY + 1,
     totalTiles: (endX - startX + 1) * (endY - startY + 1),
-    pixelWidth: (endX - startX + 1) * TILE_SIZE,
-    pixelHeight: (endY - startY + 1) * TILE_SIZE,
-    bounds: {
-      north: topLeft.lat,
-      south: bottomRight.lat,
-      west: topLeft.lon,
-      east: bottomRight.lon
-    },
-    // The ACTUAL center of the stitched image
+    // Offset of the crop inside the stitched tile grid
+    cropX: left - startX * TILE_SIZE,
+    cropY: top - startY * TILE_SIZE,
+    pixelWidth,
+    pixelHeight,
+    bounds,
+    // The ACTUAL center of the cropped image
     actualCenter: {
       lat: actualCenterLat,
       lon: actualCenterLon
     },
     metersPerPixel: mpp,
-    actualSizeMeters: (endX - startX + 1) * TILE_SIZE * mpp
+    widthMeters: pixelWidth * mpp,
+    heightMeters: pixelHeight * mpp
+  };
+}
+
+// Estimate an export before running it: tile count, output size and whether it is too large
+// Output is the metric grid (at the zoom's ground resolution at the region center),
+// source is the Mercator tile area that must be stitched to cover it
+function estimateMapExport(region, zoom) {
+  const centerLat = (region.north + region.south) / 2;
+  const plan = planMetricExport(region, metersPerPixel(centerLat, zoom));
+  const source = calculateTileBounds(plan.sourceRegion, zoom);
+
+  return {
+    tilesX: source.tilesX,
+    tilesY: source.tilesY,
+    totalTiles: source.totalTiles,
+    pixelWidth: plan.outputWidth,
+    pixelHeight: plan.outputHeight,
+    metersPerPixel: plan.resolution,
+    widthMeters: plan.widthMeters,
+    heightMeters: plan.heightMeters,
+    plan,
+    source,
+    tooLarge: Math.max(source.pixelWidth, source.pixelHeight, plan.outputWidth, plan.outputHeight) > MAX_OUTPUT_PIXELS ||
+      Math.max(source.pixelWidth * source.pixelHeight, plan.outputWidth * plan.outputHeight) > MAX_OUTPUT_MEGAPIXELS * 1e6
   };
 }
 
-// Fetch and stitch tiles into a single canvas
-async function fetchAndStitchTiles(viewer, tileBounds) {
-  const { startX, startY, endX, endY, zoom, tilesX, tilesY, pixelWidth, pixelHeight } = tileBounds;
+// Resample the stitched Mercator canvas to the local metric grid and log the accuracy report
+async function reprojectMapImage(mercatorCanvas, estimate) {
+  const { plan, source } = estimate;
+  const zoom = source.zoom;
+  const left = source.startX * TILE_SIZE + source.cropX;
+  const top = source.startY * TILE_SIZE + source.cropY;
+
+  const { canvas, accuracy } = reprojectToLocalGrid(
+    mercatorCanvas,
+    plan,
+    ({ lon, lat }) => ({ x: lonToPixelX(lon, zoom) - left, y: latToPixelY(lat, zoom) - top }),
+    (lat) => metersPerPixel(lat, zoom)
+  );
+
+  logInfo(`=== ACCURACY REPORT ===`);
+  logInfo(`Grid: ${plan.outputWidth} x ${plan.outputHeight} px at ${plan.resolution.toFixed(3)} m/px (local east/north)`);
+  logInfo(`Worst-case reprojection error: ${accuracy.maxResidualMeters.toFixed(3)} m (+ ${accuracy.halfPixelMeters.toFixed(3)} m pixel sampling)`);
+  logInfo(`Without reprojection the worst case would have been: ${accuracy.uncorrectedMaxMeters.toFixed(3)} m`);
+  logInfo(`=== END ACCURACY REPORT ===`);
+
+  return { canvas, accuracy };
+}
+
+// Fetch tiles and stitch them into a single canvas cropped to the region
+// Uses the 2D globe's imagery, so it also works while the 3D view is shown
+// Cached tiles are used even when the imagery provider is unavailable (offline)
+async function fetchAndStitchTiles(viewer, tileBounds, onProgress, signal) {
+  const { startX, startY, cropX, cropY, pixelWidth, pixelHeight } = tileBounds;
   
   const canvas = document.createElement('canvas');
   canvas.width = pixelWidth;
   canvas.height = pixelHeight;
   const ctx = canvas.getContext('2d');
   
-  const globe = viewer.scene.globe;
-  if (!globe || !globe.imageryLayers || globe.imageryLayers.length === 0) {
-    throw new Error('No imagery layers available');
+  const globe = getGlobe2D();
+  const imageryProvider = globe && globe.imageryLayers.length > 0
+    ? globe.imageryLayers.get(0).imageryProvider
+    : null;
+  if (!imageryProvider) {
+    logWarn('No imagery provider available - using cached tiles only');
   }
   
-  const imageryLayer = globe.imageryLayers.get(0);
-  const imageryProvider = imageryLayer.imageryProvider;
+  logInfo(`Fetching ${tileBounds.totalTiles} tiles...`);
   
-  await logToRhino(`Fetching ${tileBounds.totalTiles} tiles...`);
-  
-  let fetchedCount = 0;
-  const totalTiles = tileBounds.totalTiles;
-  
-  for (let y = startY; y <= endY; y++) {
-    for (let x = startX; x <= endX; x++) {
-      try {
-        const image = await imageryProvider.requestImage(x, y, zoom);
-        
-        if (image) {
-          const canvasX = (x - startX) * TILE_SIZE;
-          const canvasY = (y - startY) * TILE_SIZE;
-          ctx.drawImage(image, canvasX, canvasY, TILE_SIZE, TILE_SIZE);
-        }
-        
-        fetchedCount++;
-        
-        if (fetchedCount % Math.ceil(totalTiles / 10) === 0) {
-          const pct = Math.round(fetchedCount / totalTiles * 100);
-          await logToRhino(`Progress: ${pct}% (${fetchedCount}/${totalTiles} tiles)`);
-        }
-      } catch (error) {
-        await logToRhino(`Warning: Failed to fetch tile (${x}, ${y}): ${error.message}`);
+  let nextLoggedPct = 10;
+  const result = await fetchTiles(tileBounds, (image, x, y) => {
+    const canvasX = (x - startX) * TILE_SIZE - cropX;
+    const canvasY = (y - startY) * TILE_SIZE - cropY;
+    ctx.drawImage(image, canvasX, canvasY, TILE_SIZE, TILE_SIZE);
+  }, {
+    imageryProvider,
+    cacheKey: getImageryCacheKey(),
+    signal,
+    onProgress: (progress) => {
+      if (onProgress) onProgress(progress);
+
+      // Log every 10%
+      const pct = Math.round(progress.done / progress.total * 100);
+      if (pct >= nextLoggedPct) {
+        nextLoggedPct = Math.floor(pct / 10) * 10 + 10;
+        logInfo(`Progress: ${pct}% (${progress.done}/${progress.total} tiles, ${progress.cached} cached)`);
       }
     }
-  }
+  });
   
-  await logToRhino(`Fetched ${fetchedCount}/${totalTiles} tiles`);
+  logInfo(`Fetched ${result.done}/${result.total} tiles (${result.cached} from cache)`);
   
   return canvas;
 }
 
-// Convert canvas to base64 JPEG
-function canvasToBase64(canvas, quality = 0.9) {
-  return canvas.toDataURL('image/jpeg', quality).split(',')[1];
+// Convert canvas to base64 ('jpeg' or 'png')
+function canvasToBase64(canvas, imageFormat = 'jpeg', quality = 0.9) {
+  return canvas.toDataURL(`image/${imageFormat}`, quality).split(',')[1];
 }
 
 // Send earth anchor coordinates to Rhino
-async function setEarthAnchorInRhino(lat, lon) {
+async function setEarthAnchorInRhino(lat, lon, { signal } = {}) {
   try {
-    const response = await fetch('http://localhost:8080/set-earth-anchor', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ lat, lon })
-    });
-
-    if (!response.ok) {
-      throw new Error('Failed to set earth anchor');
-    }
-
-    return await response.json();
+    return await setEarthAnchor({ lat, lon }, { signal });
   } catch (error) {
-    await logToRhino(`ERROR setting earth anchor: ${error.message}`);
+    logError(`Failed to set earth anchor: ${error.message}`);
     return { error: error.message };
   }
 }
 
 // Send map image to Rhino
-async function sendMapImageToRhino(base64Image, sizeMeters, pixelWidth, pixelHeight) {
+async function sendMapImageToRhino(base64Image, imageFormat, widthMeters, heightMeters, pixelWidth, pixelHeight, signal) {
   try {
-    const response = await fetch('http://localhost:8080/import-map-image', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        imageBase64: base64Image,
-        sizeMeters: sizeMeters,
-        pixelWidth: pixelWidth,
-        pixelHeight: pixelHeight
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error('Failed to send map image');
-    }
-
-    return await response.json();
+    return await importMapImage({
+      imageBase64: base64Image,
+      imageFormat: imageFormat,
+      widthMeters: widthMeters,
+      heightMeters: heightMeters,
+      pixelWidth: pixelWidth,
+      pixelHeight: pixelHeight
+    }, { signal });
   } catch (error) {
-    await logToRhino(`ERROR sending map image: ${error.message}`);
+    logError(`Failed to send map image: ${error.message}`);
     return { error: error.message };
   }
 }
 
 // Main export function
-async function exportMapToRhino(viewer) {
-  await logToRhino("=== MAP EXPORT START ===");
+// options: { region: { west, south, east, north } in degrees, zoom, format ('jpeg'|'png'|'geotiff'),
+//            onProgress({ done, total, cached, failed }), signal (cancel - Rhino is left untouched
+//            unless the anchor was already set) }
+// Returns null when the export failed or was cancelled
+async function exportMapToRhino(viewer, { region, zoom = DEFAULT_ZOOM_LEVEL, format = 'jpeg', onProgress, signal }) {
+  logInfo("=== MAP EXPORT START ===");
 
-  // Only works in 2D mode
-  if (getCurrentMode() !== '2D') {
-    await logToRhino("ERROR: Please switch to 2D mode first");
-    alert("Please switch to 2D mode before exporting the map.");
+  // Step 1: Plan the metric grid and the tiles covering it
+  logInfo(`Region: W=${region.west.toFixed(8)} S=${region.south.toFixed(8)} E=${region.east.toFixed(8)} N=${region.north.toFixed(8)}`);
+  logInfo(`Calculating tiles at zoom ${zoom}...`);
+  const estimate = estimateMapExport(region, zoom);
+  const tileBounds = estimate.source;
+
+  logInfo(`Tiles: ${tileBounds.tilesX} x ${tileBounds.tilesY} = ${tileBounds.totalTiles} total`);
+  logInfo(`Output: ${estimate.pixelWidth} x ${estimate.pixelHeight} pixels`);
+  logInfo(`Actual size: ${estimate.widthMeters.toFixed(0)}m x ${estimate.heightMeters.toFixed(0)}m`);
+
+  if (estimate.tooLarge) {
+    logError(`Output larger than ${MAX_OUTPUT_PIXELS}px per side or ${MAX_OUTPUT_MEGAPIXELS} MP - use a smaller region or lower zoom`);
+    notifyError(`The export would be ${estimate.pixelWidth} x ${estimate.pixelHeight} pixels. ` +
+      `Please use a smaller region or a lower zoom level (max ${MAX_OUTPUT_PIXELS}px per side, ${MAX_OUTPUT_MEGAPIXELS} megapixels).`);
     return null;
   }
 
-  // Step 1: Get center coordinates from camera
-  const viewCenter = getViewCenter(viewer);
-  await logToRhino(`Camera center: lat=${viewCenter.lat.toFixed(8)}, lon=${viewCenter.lon.toFixed(8)}`);
-
-  // Step 2: Calculate tile bounds for 2km area
-  await logToRhino(`Calculating tiles for ${EXPORT_SIZE_METERS}m area at zoom ${ZOOM_LEVEL}...`);
-  const tileBounds = calculateTileBounds(viewCenter.lat, viewCenter.lon, EXPORT_SIZE_METERS, ZOOM_LEVEL);
-  
-  await logToRhino(`Tiles: ${tileBounds.tilesX} x ${tileBounds.tilesY} = ${tileBounds.totalTiles} total`);
-  await logToRhino(`Output: ${tileBounds.pixelWidth} x ${tileBounds.pixelHeight} pixels`);
-  await logToRhino(`Actual size: ${tileBounds.actualSizeMeters.toFixed(0)}m x ${tileBounds.actualSizeMeters.toFixed(0)}m`);
-  
   // === DEBUG: Show tile grid details ===
-  await logToRhino(`=== TILE GRID DEBUG ===`);
-  await logToRhino(`Center tile: (${tileBounds.centerTile.x}, ${tileBounds.centerTile.y})`);
-  await logToRhino(`Tile range X: ${tileBounds.startX} to ${tileBounds.endX}`);
-  await logToRhino(`Tile range Y: ${tileBounds.startY} to ${tileBounds.endY}`);
-  await logToRhino(`Bounds N/S: ${tileBounds.bounds.north.toFixed(8)} / ${tileBounds.bounds.south.toFixed(8)}`);
-  await logToRhino(`Bounds W/E: ${tileBounds.bounds.west.toFixed(8)} / ${tileBounds.bounds.east.toFixed(8)}`);
-  await logToRhino(`ACTUAL image center: lat=${tileBounds.actualCenter.lat.toFixed(8)}, lon=${tileBounds.actualCenter.lon.toFixed(8)}`);
-  
-  // Calculate offset between camera center and actual image center
-  const mpp = tileBounds.metersPerPixel;
-  const latOffset = (tileBounds.actualCenter.lat - viewCenter.lat) * 111320;
-  const lonOffset = (tileBounds.actualCenter.lon - viewCenter.lon) * 111320 * Math.cos(viewCenter.lat * Math.PI / 180);
-  await logToRhino(`Offset from camera to image center: X=${lonOffset.toFixed(2)}m, Y=${latOffset.toFixed(2)}m`);
-  await logToRhino(`=== END TILE DEBUG ===`);
+  logDebug(`=== TILE GRID DEBUG ===`);
+  logDebug(`Tile range X: ${tileBounds.startX} to ${tileBounds.endX}`);
+  logDebug(`Tile range Y: ${tileBounds.startY} to ${tileBounds.endY}`);
+  logDebug(`Crop offset: ${tileBounds.cropX}, ${tileBounds.cropY} pixels`);
+  logDebug(`Mercator bounds N/S: ${tileBounds.bounds.north.toFixed(8)} / ${tileBounds.bounds.south.toFixed(8)}`);
+  logDebug(`Mercator bounds W/E: ${tileBounds.bounds.west.toFixed(8)} / ${tileBounds.bounds.east.toFixed(8)}`);
+  logDebug(`Metric grid center: lat=${estimate.plan.center.lat.toFixed(8)}, lon=${estimate.plan.center.lon.toFixed(8)}`);
+  logDebug(`=== END TILE DEBUG ===`);
 
-  // Step 3: Set EarthAnchorPoint in Rhino using ACTUAL image center (not camera center!)
-  await logToRhino("Setting EarthAnchorPoint in Rhino (using actual image center)...");
-  const anchorResult = await setEarthAnchorInRhino(tileBounds.actualCenter.lat, tileBounds.actualCenter.lon);
+  // Step 2: Fetch & stitch tiles (before touching Rhino, so a failed fetch changes nothing)
+  // Failed tiles abort the export - successful ones are cached, so a retry resumes
+  let mercatorCanvas;
+  try {
+    mercatorCanvas = await fetchAndStitchTiles(viewer, tileBounds, onProgress, signal);
+    logInfo(`Stitched image: ${mercatorCanvas.width} x ${mercatorCanvas.height} pixels`);
+  } catch (error) {
+    if (signal && signal.aborted) {
+      logInfo("Map export cancelled - tiles fetched so far are cached");
+      return null;
+    }
+    logError(`Failed to fetch tiles: ${error.message}`);
+    notifyError("Map export failed: " + error.message + "\n\nTiles fetched so far are cached - export again to resume.");
+    return null;
+  }
 
-  if (anchorResult.error) {
-    await logToRhino(`ERROR: ${anchorResult.error}`);
+  if (signal && signal.aborted) {
+    logInfo("Map export cancelled");
     return null;
   }
-  await logToRhino("EarthAnchorPoint set successfully!");
 
-  // Step 4: Fetch & stitch tiles
-  let canvas;
+  // Step 3: Reproject Web Mercator -> local east/north meters around the anchor
+  logInfo("Reprojecting to local metric grid...");
+  const { canvas, accuracy } = await reprojectMapImage(mercatorCanvas, estimate);
+
+  // Georeferenced copy for GIS tools - a failed write must not stop the Rhino import
+  let files = null;
   try {
-    canvas = await fetchAndStitchTiles(viewer, tileBounds);
-    await logToRhino(`Stitched image: ${canvas.width} x ${canvas.height} pixels`);
+    files = await saveGeoreferencedMap(canvas, format, {
+      estimate,
+      accuracy,
+      provider: getImageryProviderInfo()
+    });
+    logInfo(`Georeferenced map saved: Documents/${files.image} (+ world file, .prj, .json)`);
   } catch (error) {
-    await logToRhino(`ERROR fetching tiles: ${error.message}`);
+    logWarn(`Could not save georeferenced map files: ${error.message}`);
+  }
+
+  // Step 4: Set EarthAnchorPoint in Rhino at the metric grid center (not camera center!)
+  logInfo("Setting EarthAnchorPoint in Rhino (using metric grid center)...");
+  const anchorResult = await setEarthAnchorInRhino(estimate.plan.center.lat, estimate.plan.center.lon, { signal });
+
+  if (anchorResult.error) {
+    if (!(signal && signal.aborted)) {
+      notifyError("Map export failed - could not set the earth anchor in Rhino: " + anchorResult.error);
+    }
     return null;
   }
+  logInfo("EarthAnchorPoint set successfully!");
 
-  // Convert to base64 JPEG
-  const base64Image = canvasToBase64(canvas);
-  await logToRhino(`Image encoded: ${Math.round(base64Image.length / 1024)} KB`);
+  // Rhino picture frames take JPEG or PNG - lossless exports go over as PNG
+  const imageFormat = format === 'jpeg' ? 'jpeg' : 'png';
+  const base64Image = canvasToBase64(canvas, imageFormat);
+  logInfo(`Image encoded: ${Math.round(base64Image.length / 1024)} KB`);
 
   // Step 5: Send image to Rhino
-  await logToRhino("Sending image to Rhino...");
+  logInfo("Sending image to Rhino...");
   const importResult = await sendMapImageToRhino(
     base64Image,
-    tileBounds.actualSizeMeters,
-    tileBounds.pixelWidth,
-    tileBounds.pixelHeight
+    imageFormat,
+    estimate.widthMeters,
+    estimate.heightMeters,
+    estimate.pixelWidth,
+    estimate.pixelHeight,
+    signal
   );
 
   if (importResult.error) {
-    await logToRhino(`ERROR: ${importResult.error}`);
+    if (!(signal && signal.aborted)) {
+      notifyError("Map export failed - Rhino could not import the image: " + importResult.error);
+    }
     return null;
   }
-  await logToRhino(`Image placed in Rhino: ${importResult.imagePath}`);
+  logInfo(`Image placed in Rhino: ${importResult.imagePath}`);
 
-  await logToRhino("=== MAP EXPORT COMPLETE ===");
+  logInfo("=== MAP EXPORT COMPLETE ===");
 
-  return { center: tileBounds.actualCenter, tileBounds };
+  return { center: estimate.plan.center, estimate, accuracy, files };
 }
 
-export { exportMapToRhino, getViewCenter };
\ No newline at end of file
+export {
+  DEFAULT_ZOOM_LEVEL,
+  MIN_ZOOM_LEVEL,
+  MAX_ZOOM_LEVEL,
+  exportMapToRhino,
+  estimateMapExport,
+  setEarthAnchorInRhino,
+  metersPerPixel,
+  getViewCenter
+};
\ No newline at end of file
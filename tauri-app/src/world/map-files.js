@@ -0,0 +1,244 @@
+// Georeferenced map files: writes each map export to Documents/McAtlas/maps as PNG, JPEG or GeoTIFF
+// with a world file (.pgw/.jgw/.tfw), a .prj and a JSON sidecar, so GIS tools (QGIS, AutoCAD Map) can open it
+// The image is the local metric grid from map-reproject.js, described as an orthographic projection
+// centred on the earth anchor (x = east, y = north, meters)
+
+import { writeFile, writeTextFile, mkdir, BaseDirectory } from "@tauri-apps/plugin-fs";
+import { getGridCorners } from "./map-reproject.js";
+import { formatTimestamp } from "./render-still.js";
+
+const MAPS_DIR = "McAtlas/maps";
+const FS_OPTIONS = { baseDir: BaseDirectory.Document };
+
+// Output formats: file extension and world file extension
+const MAP_FORMATS = {
+  jpeg: { label: "JPEG", extension: "jpg", worldFileExtension: "jgw" },
+  png: { label: "PNG", extension: "png", worldFileExtension: "pgw" },
+  geotiff: { label: "GeoTIFF", extension: "tif", worldFileExtension: "tfw" }
+};
+
+// Write the image, world file, .prj and metadata sidecar
+// details: { estimate, accuracy, provider } from the export
+// Returns the paths written (relative to Documents)
+async function saveGeoreferencedMap(canvas, format, { estimate, accuracy, provider }) {
+  const { plan } = estimate;
+  const { extension, worldFileExtension } = MAP_FORMATS[format];
+
+  const baseName = `mcatlas_map_${formatTimestamp(new Date())}`;
+  const paths = {
+    image: `${MAPS_DIR}/${baseName}.${extension}`,
+    worldFile: `${MAPS_DIR}/${baseName}.${worldFileExtension}`,
+    projection: `${MAPS_DIR}/${baseName}.prj`,
+    metadata: `${MAPS_DIR}/${baseName}.json`
+  };
+
+  await mkdir(MAPS_DIR, { ...FS_OPTIONS, recursive: true });
+  await writeFile(paths.image, await encodeImage(canvas, format, plan), FS_OPTIONS);
+  await writeTextFile(paths.worldFile, createWorldFile(plan), FS_OPTIONS);
+  await writeTextFile(paths.projection, createProjectionWkt(plan.center), FS_OPTIONS);
+
+  const metadata = createMetadata(format, baseName, estimate, accuracy, provider);
+  await writeTextFile(paths.metadata, JSON.stringify(metadata, null, 2), FS_OPTIONS);
+
+  return paths;
+}
+
+async function encodeImage(canvas, format, plan) {
+  if (format === 'geotiff') {
+    return encodeGeoTiff(canvas, plan);
+  }
+
+  const mimeType = format === 'png' ? 'image/png' : 'image/jpeg';
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, mimeType, 0.9));
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+// ============ WORLD FILE / PRJ ============
+
+// Six lines: pixel size x, rotation terms, negative pixel size y, then the CENTER of the top-left pixel
+function createWorldFile(plan) {
+  const { resolution, widthMeters, heightMeters } = plan;
+  return [
+    resolution,
+    0,
+    0,
+    -resolution,
+    -widthMeters / 2 + resolution / 2,
+    heightMeters / 2 - resolution / 2
+  ].map(value => value.toFixed(10)).join("\n") + "\n";
+}
+
+// OGC WKT for the local grid: orthographic projection on WGS 84 centred on the anchor
+function createProjectionWkt(center) {
+  return 'PROJCS["McAtlas local grid",' +
+    'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],' +
+    'AUTHORITY["EPSG","6326"]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433],AUTHORITY["EPSG","4326"]],' +
+    'PROJECTION["Orthographic"],' +
+    `PARAMETER["latitude_of_origin",${center.lat.toFixed(10)}],` +
+    `PARAMETER["central_meridian",${center.lon.toFixed(10)}],` +
+    'PARAMETER["false_easting",0],PARAMETER["false_northing",0],' +
+    'UNIT["metre",1],AXIS["Easting",EAST],AXIS["Northing",NORTH]]';
+}
+
+// ============ METADATA ============
+
+function createMetadata(format, baseName, estimate, accuracy, provider) {
+  const { plan, source } = estimate;
+  const corners = getGridCorners(plan);
+  const lons = corners.map(c => c.lon);
+  const lats = corners.map(c => c.lat);
+
+  return {
+    createdAt: new Date().toISOString(),
+    image: {
+      file: `${baseName}.${MAP_FORMATS[format].extension}`,
+      format,
+      width: plan.outputWidth,
+      height: plan.outputHeight
+    },
+    zoom: source.zoom,
+    provider,
+    // Grid in local meters around the earth anchor (see .prj)
+    crs: {
+      type: "orthographic",
+      origin: { lat: plan.center.lat, lon: plan.center.lon },
+      units: "m"
+    },
+    grid: {
+      metersPerPixel: plan.resolution,
+      widthMeters: plan.widthMeters,
+      heightMeters: plan.heightMeters,
+      west: -plan.widthMeters / 2,
+      east: plan.widthMeters / 2,
+      south: -plan.heightMeters / 2,
+      north: plan.heightMeters / 2
+    },
+    // Lat/lon of the grid's corners (NW, NE, SE, SW) and their bounding box
+    corners,
+    bounds: {
+      west: Math.min(...lons),
+      south: Math.min(...lats),
+      east: Math.max(...lons),
+      north: Math.max(...lats)
+    },
+    // Web Mercator tile area that was stitched and resampled
+    sourceBounds: source.bounds,
+    accuracy
+  };
+}
+
+// ============ GEOTIFF ============
+
+// TIFF field types
+const SHORT = 3;
+const LONG = 4;
+const ASCII = 2;
+const DOUBLE = 12;
+const TYPE_SIZES = { [ASCII]: 1, [SHORT]: 2, [LONG]: 4, [DOUBLE]: 8 };
+
+// GeoKey values (GeoTIFF 1.0)
+const USER_DEFINED = 32767;
+const CT_ORTHOGRAPHIC = 21;
+const LINEAR_METER = 9001;
+const GCS_WGS_84 = 4326;
+
+// Uncompressed baseline RGB TIFF, single strip, with GeoTIFF tags for the local orthographic grid
+function encodeGeoTiff(canvas, plan) {
+  const { width, height } = canvas;
+  const rgba = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+  const citation = "McAtlas local grid|";
+
+  const geoKeys = [
+    [1024, 0, 1, 1],                            // GTModelTypeGeoKey: projected
+    [1025, 0, 1, 1],                            // GTRasterTypeGeoKey: pixel is area
+    [2048, 0, 1, GCS_WGS_84],                   // GeographicTypeGeoKey
+    [3072, 0, 1, USER_DEFINED],                 // ProjectedCSTypeGeoKey
+    [3073, 34737, citation.length, 0],          // PCSCitationGeoKey
+    [3074, 0, 1, USER_DEFINED],                 // ProjectionGeoKey
+    [3075, 0, 1, CT_ORTHOGRAPHIC],              // ProjCoordTransGeoKey
+    [3076, 0, 1, LINEAR_METER],                 // ProjLinearUnitsGeoKey
+    [3082, 34736, 1, 2],                        // ProjFalseEastingGeoKey
+    [3083, 34736, 1, 3],                        // ProjFalseNorthingGeoKey
+    [3088, 34736, 1, 1],                        // ProjCenterLongGeoKey (GDAL reads the orthographic centre here)
+    [3089, 34736, 1, 0]                         // ProjCenterLatGeoKey
+  ];
+  const geoKeyDirectory = [1, 1, 0, geoKeys.length, ...geoKeys.flat()];
+
+  const pixelBytes = width * height * 3;
+  const tags = [
+    [256, LONG, [width]],                       // ImageWidth
+    [257, LONG, [height]],                      // ImageLength
+    [258, SHORT, [8, 8, 8]],                    // BitsPerSample
+    [259, SHORT, [1]],                          // Compression: none
+    [262, SHORT, [2]],                          // PhotometricInterpretation: RGB
+    [273, LONG, [0]],                           // StripOffsets (patched below)
+    [277, SHORT, [3]],                          // SamplesPerPixel
+    [278, LONG, [height]],                      // RowsPerStrip
+    [279, LONG, [pixelBytes]],                  // StripByteCounts
+    [284, SHORT, [1]],                          // PlanarConfiguration: chunky
+    [33550, DOUBLE, [plan.resolution, plan.resolution, 0]],   // ModelPixelScaleTag
+    [33922, DOUBLE, [0, 0, 0, -plan.widthMeters / 2, plan.heightMeters / 2, 0]], // ModelTiepointTag
+    [34735, SHORT, geoKeyDirectory],            // GeoKeyDirectoryTag
+    [34736, DOUBLE, [plan.center.lat, plan.center.lon, 0, 0]], // GeoDoubleParamsTag
+    [34737, ASCII, citation + "\0"]             // GeoAsciiParamsTag
+  ];
+
+  // Layout: header | IFD | out-of-line tag values | pixels
+  const ifdOffset = 8;
+  const ifdSize = 2 + tags.length * 12 + 4;
+  let dataOffset = ifdOffset + ifdSize;
+  const placed = tags.map(([tag, type, values]) => {
+    const size = values.length * TYPE_SIZES[type];
+    const entry = { tag, type, values, size, offset: null };
+    if (size > 4) {
+      entry.offset = dataOffset;
+      dataOffset += size + (size % 2);  // Keep values word aligned
+    }
+    return entry;
+  });
+  const pixelOffset = dataOffset;
+  placed.find(entry => entry.tag === 273).values = [pixelOffset];
+
+  const bytes = new Uint8Array(pixelOffset + pixelBytes);
+  const view = new DataView(bytes.buffer);
+
+  // Header: little endian, magic 42, first IFD
+  view.setUint16(0, 0x4949, true);
+  view.setUint16(2, 42, true);
+  view.setUint32(4, ifdOffset, true);
+
+  view.setUint16(ifdOffset, placed.length, true);
+  placed.forEach((entry, i) => {
+    const position = ifdOffset + 2 + i * 12;
+    view.setUint16(position, entry.tag, true);
+    view.setUint16(position + 2, entry.type, true);
+    view.setUint32(position + 4, entry.values.length, true);
+    if (entry.offset !== null) {
+      view.setUint32(position + 8, entry.offset, true);
+      writeValues(view, entry.offset, entry.type, entry.values);
+    } else {
+      writeValues(view, position + 8, entry.type, entry.values);
+    }
+  });
+  view.setUint32(ifdOffset + 2 + placed.length * 12, 0, true);  // No next IFD
+
+  // RGBA -> RGB
+  for (let src = 0, dst = pixelOffset; src < rgba.length; src += 4, dst += 3) {
+    bytes[dst] = rgba[src];
+    bytes[dst + 1] = rgba[src + 1];
+    bytes[dst + 2] = rgba[src + 2];
+  }
+
+  return bytes;
+}
+
+function writeValues(view, offset, type, values) {
+  for (let i = 0; i < values.length; i++) {
+    if (type === ASCII) view.setUint8(offset + i, values.charCodeAt(i));
+    else if (type === SHORT) view.setUint16(offset + i * 2, values[i], true);
+    else if (type === LONG) view.setUint32(offset + i * 4, values[i], true);
+    else if (type === DOUBLE) view.setFloat64(offset + i * 8, values[i], true);
+  }
+}
+
+export { MAP_FORMATS, saveGeoreferencedMap };
@@ -0,0 +1,235 @@
+// Map reprojection: resamples stitched Web Mercator tiles into a local east/north metric grid
+// centred on the earth anchor, so the image can be placed in Rhino at true scale
+// Uses the same east-north-up frame Cesium uses to place the synced model
+
+const MAPPING_GRID_STEP = 16;   // Exact mapping every 16 output pixels, bilinear in between
+const MAX_ACCURACY_SAMPLES = 4000;
+
+// Local east/north frame around a center { lat, lon }
+function createLocalFrame(center) {
+  const origin = Cesium.Cartesian3.fromDegrees(center.lon, center.lat, 0);
+  const enuToFixed = Cesium.Transforms.eastNorthUpToFixedFrame(origin);
+  const fixedToEnu = Cesium.Matrix4.inverseTransformation(enuToFixed, new Cesium.Matrix4());
+  const scratch = new Cesium.Cartesian3();
+
+  return {
+    // Local meters -> { lon, lat } in degrees
+    toLonLat(east, north) {
+      const fixed = Cesium.Matrix4.multiplyByPoint(enuToFixed, new Cesium.Cartesian3(east, north, 0), scratch);
+      const cartographic = Cesium.Cartographic.fromCartesian(fixed);
+      return {
+        lon: Cesium.Math.toDegrees(cartographic.longitude),
+        lat: Cesium.Math.toDegrees(cartographic.latitude)
+      };
+    },
+    // { lon, lat } in degrees -> local meters { east, north }
+    toLocal(lon, lat) {
+      const fixed = Cesium.Cartesian3.fromDegrees(lon, lat, 0, undefined, scratch);
+      const local = Cesium.Matrix4.multiplyByPoint(fixedToEnu, fixed, new Cesium.Cartesian3());
+      return { east: local.x, north: local.y };
+    },
+    // Cartographic (radians, height above ellipsoid) -> local meters { east, north, up }
+    toLocalPoint(cartographic) {
+      const fixed = Cesium.Cartographic.toCartesian(cartographic, undefined, scratch);
+      const local = Cesium.Matrix4.multiplyByPoint(fixedToEnu, fixed, new Cesium.Cartesian3());
+      return { east: local.x, north: local.y, up: local.z };
+    }
+  };
+}
+
+// Plan a metric export for a region { west, south, east, north } at a ground resolution (m/px)
+// Returns the output grid and the (slightly larger) lat/lon region the source tiles must cover
+function planMetricExport(region, resolution) {
+  const center = {
+    lat: (region.north + region.south) / 2,
+    lon: (region.east + region.west) / 2
+  };
+  const frame = createLocalFrame(center);
+
+  // True metric extent of the region, measured through its center lines
+  const widthMeters = frame.toLocal(region.east, center.lat).east - frame.toLocal(region.west, center.lat).east;
+  const heightMeters = frame.toLocal(center.lon, region.north).north - frame.toLocal(center.lon, region.south).north;
+
+  const outputWidth = Math.max(1, Math.round(widthMeters / resolution));
+  const outputHeight = Math.max(1, Math.round(heightMeters / resolution));
+
+  // Source region: bounding box of the output grid's outline in lat/lon (+ 2 pixels margin)
+  const halfW = outputWidth * resolution / 2 + 2 * resolution;
+  const halfH = outputHeight * resolution / 2 + 2 * resolution;
+  const outline = [];
+  for (let t = 0; t <= 1; t += 0.25) {
+    outline.push(frame.toLonLat(-halfW + 2 * halfW * t, halfH));
+    outline.push(frame.toLonLat(-halfW + 2 * halfW * t, -halfH));
+    outline.push(frame.toLonLat(-halfW, -halfH + 2 * halfH * t));
+    outline.push(frame.toLonLat(halfW, -halfH + 2 * halfH * t));
+  }
+
+  return {
+    center,
+    resolution,
+    outputWidth,
+    outputHeight,
+    widthMeters: outputWidth * resolution,
+    heightMeters: outputHeight * resolution,
+    sourceRegion: {
+      west: Math.min(...outline.map(p => p.lon)),
+      east: Math.max(...outline.map(p => p.lon)),
+      south: Math.min(...outline.map(p => p.lat)),
+      north: Math.max(...outline.map(p => p.lat))
+    }
+  };
+}
+
+// Outer corners of the plan's grid in lat/lon, in order NW, NE, SE, SW
+function getGridCorners(plan) {
+  const frame = createLocalFrame(plan.center);
+  const halfW = plan.widthMeters / 2;
+  const halfH = plan.heightMeters / 2;
+  return [
+    frame.toLonLat(-halfW, halfH),
+    frame.toLonLat(halfW, halfH),
+    frame.toLonLat(halfW, -halfH),
+    frame.toLonLat(-halfW, -halfH)
+  ];
+}
+
+// Resample the stitched Mercator canvas into the plan's metric grid
+// project: { lon, lat } -> source canvas pixel { x, y }
+// sourceMetersPerPixel: lat -> ground size of a source pixel (for the accuracy report)
+// Returns { canvas, accuracy: { maxResidualMeters, halfPixelMeters, uncorrectedMaxMeters } }
+function reprojectToLocalGrid(sourceCanvas, plan, project, sourceMetersPerPixel) {
+  const { outputWidth, outputHeight, resolution } = plan;
+  const frame = createLocalFrame(plan.center);
+
+  // Output pixel center -> exact source pixel position
+  const exactSource = (col, row) => {
+    const east = (col + 0.5 - outputWidth / 2) * resolution;
+    const north = (outputHeight / 2 - row - 0.5) * resolution;
+    const lonLat = frame.toLonLat(east, north);
+    return { ...project(lonLat), lat: lonLat.lat };
+  };
+
+  // ============ MAPPING GRID ============
+  const gridCols = Math.ceil(outputWidth / MAPPING_GRID_STEP) + 1;
+  const gridRows = Math.ceil(outputHeight / MAPPING_GRID_STEP) + 1;
+  const gridX = new Float64Array(gridCols * gridRows);
+  const gridY = new Float64Array(gridCols * gridRows);
+
+  for (let gr = 0; gr < gridRows; gr++) {
+    for (let gc = 0; gc < gridCols; gc++) {
+      const source = exactSource(gc * MAPPING_GRID_STEP, gr * MAPPING_GRID_STEP);
+      gridX[gr * gridCols + gc] = source.x;
+      gridY[gr * gridCols + gc] = source.y;
+    }
+  }
+
+  const interpolate = (grid, col, row) => {
+    const fc = col / MAPPING_GRID_STEP;
+    const fr = row / MAPPING_GRID_STEP;
+    const c0 = Math.min(Math.floor(fc), gridCols - 2);
+    const r0 = Math.min(Math.floor(fr), gridRows - 2);
+    const tc = fc - c0;
+    const tr = fr - r0;
+    const i = r0 * gridCols + c0;
+    const top = grid[i] + (grid[i + 1] - grid[i]) * tc;
+    const bottom = grid[i + gridCols] + (grid[i + gridCols + 1] - grid[i + gridCols]) * tc;
+    return top + (bottom - top) * tr;
+  };
+
+  // ============ RESAMPLE (bilinear) ============
+  const srcWidth = sourceCanvas.width;
+  const srcHeight = sourceCanvas.height;
+  const src = sourceCanvas.getContext('2d').getImageData(0, 0, srcWidth, srcHeight).data;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = outputWidth;
+  canvas.height = outputHeight;
+  const ctx = canvas.getContext('2d');
+  const output = ctx.createImageData(outputWidth, outputHeight);
+  const out = output.data;
+
+  for (let row = 0; row < outputHeight; row++) {
+    for (let col = 0; col < outputWidth; col++) {
+      // Pixel centers: sample at source position - 0.5 so integer positions hit pixel centers
+      const sx = Math.min(Math.max(interpolate(gridX, col, row) - 0.5, 0), srcWidth - 1);
+      const sy = Math.min(Math.max(interpolate(gridY, col, row) - 0.5, 0), srcHeight - 1);
+
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const x1 = Math.min(x0 + 1, srcWidth - 1);
+      const y1 = Math.min(y0 + 1, srcHeight - 1);
+      const tx = sx - x0;
+      const ty = sy - y0;
+
+      const i00 = (y0 * srcWidth + x0) * 4;
+      const i10 = (y0 * srcWidth + x1) * 4;
+      const i01 = (y1 * srcWidth + x0) * 4;
+      const i11 = (y1 * srcWidth + x1) * 4;
+      const o = (row * outputWidth + col) * 4;
+
+      for (let ch = 0; ch < 4; ch++) {
+        const top = src[i00 + ch] + (src[i10 + ch] - src[i00 + ch]) * tx;
+        const bottom = src[i01 + ch] + (src[i11 + ch] - src[i01 + ch]) * tx;
+        out[o + ch] = top + (bottom - top) * ty;
+      }
+    }
+  }
+
+  ctx.putImageData(output, 0, 0);
+
+  // ============ ACCURACY ============
+  // Residual: interpolated mapping vs exact mapping, checked at mapping cell centers
+  let maxResidualMeters = 0;
+  const cellCount = (gridCols - 1) * (gridRows - 1);
+  const stride = Math.max(1, Math.floor(cellCount / MAX_ACCURACY_SAMPLES));
+
+  for (let cell = 0; cell < cellCount; cell += stride) {
+    const col = Math.min((cell % (gridCols - 1)) * MAPPING_GRID_STEP + MAPPING_GRID_STEP / 2, outputWidth - 1);
+    const row = Math.min(Math.floor(cell / (gridCols - 1)) * MAPPING_GRID_STEP + MAPPING_GRID_STEP / 2, outputHeight - 1);
+    const exact = exactSource(col, row);
+    const dx = interpolate(gridX, col, row) - exact.x;
+    const dy = interpolate(gridY, col, row) - exact.y;
+    maxResidualMeters = Math.max(maxResidualMeters, Math.hypot(dx, dy) * sourceMetersPerPixel(exact.lat));
+  }
+
+  return {
+    canvas,
+    accuracy: {
+      maxResidualMeters,
+      halfPixelMeters: resolution / 2,
+      uncorrectedMaxMeters: estimateUncorrectedError(plan, frame, project)
+    }
+  };
+}
+
+// How far off the image would be if the Mercator pixels were placed as a plain metric square
+// (what the export did before reprojection) - checked on the outline of the export
+function estimateUncorrectedError(plan, frame, project) {
+  const { outputWidth, outputHeight, resolution } = plan;
+  const halfW = outputWidth * resolution / 2;
+  const halfH = outputHeight * resolution / 2;
+
+  const centerPixel = project(plan.center);
+  const edge = project(frame.toLonLat(halfW, 0));
+  // Meters per source pixel at the center, as the old export assumed
+  const centerScale = halfW / (edge.x - centerPixel.x);
+
+  let maxError = 0;
+  for (let t = 0; t <= 1; t += 0.125) {
+    const points = [
+      [-halfW + 2 * halfW * t, halfH],
+      [-halfW + 2 * halfW * t, -halfH],
+      [-halfW, -halfH + 2 * halfH * t],
+      [halfW, -halfH + 2 * halfH * t]
+    ];
+    for (const [east, north] of points) {
+      const pixel = project(frame.toLonLat(east, north));
+      const naiveEast = (pixel.x - centerPixel.x) * centerScale;
+      const naiveNorth = (centerPixel.y - pixel.y) * centerScale;
+      maxError = Math.max(maxError, Math.hypot(naiveEast - east, naiveNorth - north));
+    }
+  }
+  return maxError;
+}
+
+export { createLocalFrame, planMetricExport, getGridCorners, reprojectToLocalGrid };
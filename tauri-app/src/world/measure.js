@@ -0,0 +1,329 @@
+// Measure mode: distance, area, height difference and bearing on the 3D tiles, the synced model,
+// or the 2D globe surface. Results are labelled in the scene and kept in a clearable list
+
+import { activateTool, releaseTool, pickPoint, formatLength } from "./scene-tools.js";
+
+const MEASURE_COLOR = Cesium.Color.fromCssColorString("#06b6d4");
+const LABEL_FONT = "13px sans-serif";
+
+// Tools: how many points complete a measurement (area: any number, finished with a right click)
+const MEASURE_TOOLS = {
+  distance: { label: "Distance", points: 2 },
+  area: { label: "Area", points: Infinity },
+  height: { label: "Height", points: 2 },
+  bearing: { label: "Bearing", points: 2 }
+};
+
+let viewer = null;
+let handler = null;
+let activeTool = null;
+
+// Measurement being placed: picked points + preview entities
+let pending = null;
+let cursorPosition = null;
+
+// Finished measurements: { id, tool, value, text, entities }
+let measurements = [];
+let nextId = 1;
+
+const listeners = [];
+
+// Initialize measure mode (inactive until a tool is chosen)
+function initMeasure(cesiumViewer) {
+  viewer = cesiumViewer;
+  handler = new Cesium.ScreenSpaceEventHandler(viewer.scene.canvas);
+
+  handler.setInputAction(onLeftClick, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+  handler.setInputAction(onMouseMove, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+  handler.setInputAction(onRightClick, Cesium.ScreenSpaceEventType.RIGHT_CLICK);
+
+  document.addEventListener("keydown", (event) => {
+    if (event.key === "Escape" && activeTool) {
+      cancelPending();
+      notify();
+    }
+  });
+}
+
+// Choose a tool ('distance' | 'area' | 'height' | 'bearing'), or null to leave measure mode
+function setMeasureTool(tool) {
+  cancelPending();
+  activeTool = tool && MEASURE_TOOLS[tool] ? tool : null;
+  if (activeTool) {
+    activateTool('measure', () => setMeasureTool(null));
+  } else {
+    releaseTool('measure');
+  }
+  viewer.scene.canvas.style.cursor = activeTool ? "crosshair" : "";
+  notify();
+}
+
+function getMeasureTool() {
+  return activeTool;
+}
+
+// Remove one measurement
+function removeMeasurement(id) {
+  const measurement = measurements.find(m => m.id === id);
+  if (!measurement) return;
+
+  measurement.entities.forEach(entity => viewer.entities.remove(entity));
+  measurements = measurements.filter(m => m.id !== id);
+  notify();
+}
+
+// Remove all measurements (and the one being placed)
+function clearMeasurements() {
+  cancelPending();
+  measurements.forEach(m => m.entities.forEach(entity => viewer.entities.remove(entity)));
+  measurements = [];
+  notify();
+}
+
+function getMeasurements() {
+  return measurements.map(({ id, tool, value, text }) => ({ id, tool, value, text }));
+}
+
+// Register a callback for changes: (measurements, { tool, pendingPoints }) => {}
+function onMeasurementsChanged(listener) {
+  listeners.push(listener);
+}
+
+// ============ MOUSE INTERACTION ============
+
+function onLeftClick(event) {
+  if (!activeTool) return;
+
+  const position = pickPoint(viewer, event.position);
+  if (!position) return;
+
+  if (!pending) {
+    pending = { points: [], entities: [] };
+    pending.entities.push(...createPreviewEntities());
+  }
+
+  pending.points.push(position);
+  pending.entities.push(createPointEntity(position));
+
+  if (pending.points.length >= MEASURE_TOOLS[activeTool].points) {
+    finishPending();
+  }
+  notify();
+}
+
+function onMouseMove(event) {
+  if (!activeTool || !pending) return;
+  cursorPosition = pickPoint(viewer, event.endPosition) || cursorPosition;
+}
+
+// Right click finishes an area (needs 3+ points)
+function onRightClick() {
+  if (activeTool !== 'area' || !pending) return;
+
+  if (pending.points.length >= 3) {
+    finishPending();
+  } else {
+    cancelPending();
+  }
+  notify();
+}
+
+// ============ MEASUREMENTS ============
+
+// Turn the pending points into a labelled measurement
+function finishPending() {
+  const points = pending.points;
+  const tool = activeTool;
+  const result = computeMeasurement(tool, points);
+
+  // Replace preview entities with final geometry
+  pending.entities.forEach(entity => viewer.entities.remove(entity));
+  const entities = [
+    ...points.map(point => createPointEntity(point)),
+    ...createResultEntities(tool, points, result)
+  ];
+
+  measurements.push({ id: nextId++, tool, value: result.value, text: result.text, entities });
+  pending = null;
+  cursorPosition = null;
+}
+
+function cancelPending() {
+  if (pending) {
+    pending.entities.forEach(entity => viewer.entities.remove(entity));
+  }
+  pending = null;
+  cursorPosition = null;
+}
+
+// Value (meters, square meters or degrees) and label text for a set of points
+function computeMeasurement(tool, points) {
+  if (tool === 'distance') {
+    const distance = Cesium.Cartesian3.distance(points[0], points[1]);
+    const { east, north } = toLocal(points[0], points[1]);
+    return {
+      value: distance,
+      text: `${formatLength(distance)} (horizontal ${formatLength(Math.hypot(east, north))})`
+    };
+  }
+
+  if (tool === 'height') {
+    const delta = toCartographic(points[1]).height - toCartographic(points[0]).height;
+    return { value: delta, text: `Δh ${delta >= 0 ? "+" : "−"}${formatLength(Math.abs(delta))}` };
+  }
+
+  if (tool === 'bearing') {
+    const { east, north } = toLocal(points[0], points[1]);
+    const bearing = (Cesium.Math.toDegrees(Math.atan2(east, north)) + 360) % 360;
+    return {
+      value: bearing,
+      text: `${bearing.toFixed(1).padStart(5, "0")}° ${compassPoint(bearing)} · ${formatLength(Math.hypot(east, north))}`
+    };
+  }
+
+  // Area: plan area on the tangent plane at the first point (shoelace)
+  const local = points.map(point => toLocal(points[0], point));
+  let area = 0;
+  let perimeter = 0;
+  for (let i = 0; i < local.length; i++) {
+    const a = local[i];
+    const b = local[(i + 1) % local.length];
+    area += a.east * b.north - b.east * a.north;
+    perimeter += Cesium.Cartesian3.distance(points[i], points[(i + 1) % points.length]);
+  }
+  area = Math.abs(area) / 2;
+  return { value: area, text: `${formatArea(area)} · perimeter ${formatLength(perimeter)}` };
+}
+
+// Position of `point` in the east/north/up frame at `origin` (meters)
+function toLocal(origin, point) {
+  const toFixed = Cesium.Transforms.eastNorthUpToFixedFrame(origin);
+  const toEnu = Cesium.Matrix4.inverseTransformation(toFixed, new Cesium.Matrix4());
+  const local = Cesium.Matrix4.multiplyByPoint(toEnu, point, new Cesium.Cartesian3());
+  return { east: local.x, north: local.y, up: local.z };
+}
+
+function toCartographic(point) {
+  return Cesium.Cartographic.fromCartesian(point);
+}
+
+// ============ ENTITIES ============
+
+function createPointEntity(position) {
+  return viewer.entities.add({
+    position,
+    point: {
+      pixelSize: 8,
+      color: Cesium.Color.WHITE,
+      outlineColor: MEASURE_COLOR,
+      outlineWidth: 2,
+      disableDepthTestDistance: Number.POSITIVE_INFINITY
+    }
+  });
+}
+
+// Rubber-band line (or polygon outline) from the picked points to the cursor
+function createPreviewEntities() {
+  const previewPositions = new Cesium.CallbackProperty(() => {
+    if (!pending) return [];
+    const positions = cursorPosition ? [...pending.points, cursorPosition] : [...pending.points];
+    if (activeTool === 'area' && positions.length > 2) positions.push(positions[0]);
+    return positions;
+  }, false);
+
+  return [viewer.entities.add({
+    polyline: {
+      positions: previewPositions,
+      width: 2,
+      material: new Cesium.PolylineDashMaterialProperty({ color: MEASURE_COLOR }),
+      depthFailMaterial: new Cesium.PolylineDashMaterialProperty({ color: MEASURE_COLOR.withAlpha(0.5) })
+    }
+  })];
+}
+
+// Lines, fill and label for a finished measurement
+function createResultEntities(tool, points, result) {
+  const entities = [];
+  const line = (positions, dashed = false) => viewer.entities.add({
+    polyline: {
+      positions,
+      width: 2,
+      material: dashed ? new Cesium.PolylineDashMaterialProperty({ color: MEASURE_COLOR }) : MEASURE_COLOR,
+      depthFailMaterial: MEASURE_COLOR.withAlpha(0.5)
+    }
+  });
+
+  let labelPosition;
+
+  if (tool === 'area') {
+    entities.push(viewer.entities.add({
+      polygon: {
+        hierarchy: new Cesium.PolygonHierarchy(points),
+        perPositionHeight: true,
+        material: MEASURE_COLOR.withAlpha(0.25)
+      }
+    }));
+    entities.push(line([...points, points[0]]));
+    labelPosition = Cesium.BoundingSphere.fromPoints(points).center;
+
+  } else if (tool === 'height') {
+    // Vertical leg at the lower point up to the higher point's height, then across
+    const [a, b] = points.map(toCartographic);
+    const [low, high] = a.height <= b.height ? [a, b] : [b, a];
+    const corner = Cesium.Cartesian3.fromRadians(low.longitude, low.latitude, high.height);
+    const lowPoint = Cesium.Cartographic.toCartesian(low);
+    const highPoint = Cesium.Cartographic.toCartesian(high);
+    entities.push(line([lowPoint, corner]));
+    entities.push(line([corner, highPoint], true));
+    labelPosition = Cesium.Cartesian3.midpoint(lowPoint, corner, new Cesium.Cartesian3());
+
+  } else {
+    entities.push(line(points));
+    labelPosition = Cesium.Cartesian3.midpoint(points[0], points[1], new Cesium.Cartesian3());
+  }
+
+  entities.push(viewer.entities.add({
+    position: labelPosition,
+    label: {
+      text: result.text,
+      font: LABEL_FONT,
+      fillColor: Cesium.Color.BLACK,
+      showBackground: true,
+      backgroundColor: Cesium.Color.WHITE.withAlpha(0.9),
+      backgroundPadding: new Cesium.Cartesian2(8, 4),
+      pixelOffset: new Cesium.Cartesian2(0, -16),
+      disableDepthTestDistance: Number.POSITIVE_INFINITY
+    }
+  }));
+
+  return entities;
+}
+
+// ============ FORMATTING ============
+
+function formatArea(squareMeters) {
+  return squareMeters >= 10000 ? `${(squareMeters / 10000).toFixed(3)} ha` : `${squareMeters.toFixed(1)} m²`;
+}
+
+// 0-360° -> N, NNE, NE, ...
+function compassPoint(bearing) {
+  const points = ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE", "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"];
+  return points[Math.round(bearing / 22.5) % 16];
+}
+
+function notify() {
+  const state = { tool: activeTool, pendingPoints: pending ? pending.points.length : 0 };
+  const list = getMeasurements();
+  listeners.forEach(listener => listener(list, state));
+}
+
+export {
+  MEASURE_TOOLS,
+  initMeasure,
+  setMeasureTool,
+  getMeasureTool,
+  removeMeasurement,
+  clearMeasurements,
+  getMeasurements,
+  onMeasurementsChanged
+};
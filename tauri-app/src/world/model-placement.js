@@ -0,0 +1,31 @@
+// Where a synced Rhino model sits on the globe - kept free of app imports so it can be tested under Node
+// (Cesium is the page's global, see test/model-placement.test.js)
+
+// Compute position, orientation, scale and model matrix for a synced model
+// position: lat/lon/height from Rhino (height above the terrain), northAngle: degrees true north is
+// rotated counterclockwise from model +Y (0 if not sent), metersPerUnit: GLBs are in Rhino model
+// units (1 if not sent), groundHeight: sampled terrain height
+function computeModelPlacement(position, groundHeight) {
+  const positionCartesian = Cesium.Cartesian3.fromDegrees(
+    position.lon,
+    position.lat,
+    groundHeight + position.height
+  );
+
+  // Orientation - 90° heading to align Rhino Y-North with Cesium, plus the model's north rotation
+  const heading = Cesium.Math.toRadians(90 + (position.northAngle || 0));
+  const pitch = 0;
+  const roll = 0;
+  const hpr = new Cesium.HeadingPitchRoll(heading, pitch, roll);
+  const orientation = Cesium.Transforms.headingPitchRollQuaternion(positionCartesian, hpr);
+  const scale = position.metersPerUnit || 1;
+  const modelMatrix = Cesium.Matrix4.multiplyByUniformScale(
+    Cesium.Transforms.headingPitchRollToFixedFrame(positionCartesian, hpr),
+    scale,
+    new Cesium.Matrix4()
+  );
+
+  return { positionCartesian, orientation, scale, modelMatrix };
+}
+
+export { computeModelPlacement };
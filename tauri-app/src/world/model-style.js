@@ -0,0 +1,268 @@
+// Display styles for the synced models: colour (materials, Rhino layer colour or a solid colour),
+// opacity, x-ray and edge lines, for all models at once or per model, plus per-material overrides
+// Model-wide styles go on the entity (instant); material overrides rewrite the GLB's materials,
+// so changing them reloads the model
+
+import { readGlb, writeGlb } from "./glb.js";
+import { logWarn } from "../communication/rhino-logger.js";
+
+// How a style colours the model
+const COLOR_BY = ['material', 'layer', 'custom'];
+
+const DEFAULT_STYLE = {
+  colorBy: 'material',
+  color: '#ffffff',
+  opacity: 1,
+  xray: false,
+  edges: false,
+  edgeColor: '#000000'
+};
+
+const PRESETS = [
+  { id: 'original', label: "Original", style: DEFAULT_STYLE },
+  // Planning submissions: plain white with fine grey edges
+  { id: 'massing', label: "Massing", style: { ...DEFAULT_STYLE, colorBy: 'custom', color: '#ffffff', edges: true, edgeColor: '#808080' } },
+  // See what is being replaced behind it
+  { id: 'ghost', label: "Ghost", style: { ...DEFAULT_STYLE, colorBy: 'custom', color: '#dce6f0', xray: true, edgeColor: '#404040' } },
+  { id: 'layer', label: "Layers", style: { ...DEFAULT_STYLE, colorBy: 'layer' } }
+];
+
+const XRAY_OPACITY = 0.3;
+const EDGE_WIDTH = 1.0;   // Pixels
+
+// Style of all models, and the per-model changes to it: name -> { ...some style fields }
+let allModelsStyle = { ...DEFAULT_STYLE };
+const modelStyles = new Map();
+
+// Per-material overrides: model name -> { materialName: { color?, opacity? } }
+const materialStyles = new Map();
+
+const listeners = [];
+
+// ============ STYLES ============
+
+// Style of one model (null: the all-models style)
+function getModelStyle(name) {
+  if (!name) return { ...allModelsStyle };
+  return { ...allModelsStyle, ...(modelStyles.get(name) || {}) };
+}
+
+// Change some style fields - of all models (name null) or one model
+function setModelStyle(name, changes) {
+  const clean = cleanStyle(changes);
+  if (!name) {
+    allModelsStyle = { ...allModelsStyle, ...clean };
+  } else {
+    modelStyles.set(name, { ...(modelStyles.get(name) || {}), ...clean });
+  }
+  notify(name);
+}
+
+// Apply one of PRESETS - replaces the whole style, the material overrides stay
+function applyStylePreset(name, presetId) {
+  const preset = PRESETS.find(p => p.id === presetId);
+  if (preset) {
+    setModelStyle(name, preset.style);
+  }
+}
+
+// Does the model have its own style (else it follows the all-models style)
+function hasModelStyle(name) {
+  return modelStyles.has(name);
+}
+
+// Back to the all-models style
+function clearModelStyle(name) {
+  if (modelStyles.delete(name)) {
+    notify(name);
+  }
+}
+
+function getStylePresets() {
+  return PRESETS.map(({ id, label }) => ({ id, label }));
+}
+
+// ============ MATERIALS ============
+
+// { materialName: { color?, opacity? } } of one model
+function getMaterialStyles(name) {
+  return { ...(materialStyles.get(name) || {}) };
+}
+
+// Override a material's colour and/or opacity - null removes the override
+function setMaterialStyle(name, materialName, override) {
+  const styles = { ...(materialStyles.get(name) || {}) };
+  const clean = override ? cleanMaterialStyle({ ...styles[materialName], ...override }) : null;
+
+  if (clean) {
+    styles[materialName] = clean;
+  } else {
+    delete styles[materialName];
+  }
+
+  if (Object.keys(styles).length > 0) {
+    materialStyles.set(name, styles);
+  } else {
+    materialStyles.delete(name);
+  }
+  notify(name);
+}
+
+// Material names in a GLB (unnamed ones are "Material <n>")
+function readGlbMaterialNames(bytes) {
+  try {
+    const { json } = readGlb(bytes);
+    return (json.materials || []).map(getMaterialName);
+  } catch (error) {
+    logWarn(`Failed to read GLB materials: ${error.message || error}`);
+    return [];
+  }
+}
+
+// ============ RESOLVED STYLE ============
+
+// What to set on a model: entity color, blend mode and silhouette, plus the material rewrite
+// ({ baseColor, overrides }, or null when the GLB is used as exported)
+// layerColor: "#rrggbb" from the sync (black when missing)
+function resolveModelStyle(name, layerColor) {
+  const style = getModelStyle(name);
+  const overrides = materialStyles.get(name) || null;
+
+  const baseColor = style.colorBy === 'layer' ? (layerColor || '#000000')
+    : style.colorBy === 'custom' ? style.color
+    : null;
+  const opacity = style.xray ? Math.min(style.opacity, XRAY_OPACITY) : style.opacity;
+  const edges = style.edges || style.xray;
+
+  // Material overrides are baked into the GLB together with the model colour, so the entity
+  // color only adds the opacity (HIGHLIGHT multiplies)
+  const tintEntity = baseColor && !overrides;
+
+  return {
+    color: (tintEntity ? Cesium.Color.fromCssColorString(baseColor) : Cesium.Color.WHITE).withAlpha(opacity),
+    colorBlendMode: tintEntity ? Cesium.ColorBlendMode.REPLACE : Cesium.ColorBlendMode.HIGHLIGHT,
+    silhouetteColor: Cesium.Color.fromCssColorString(style.edgeColor),
+    silhouetteSize: edges ? EDGE_WIDTH : 0,
+    materials: overrides ? { baseColor, overrides } : null
+  };
+}
+
+// Copy of a GLB with its materials recoloured - materials: resolveModelStyle's { baseColor, overrides }
+function restyleGlb(bytes, { baseColor, overrides }) {
+  const { json, chunks } = readGlb(bytes);
+
+  (json.materials || []).forEach((material, index) => {
+    const override = overrides[getMaterialName(material, index)] || {};
+    const color = override.color || baseColor;
+    const opacity = override.opacity !== undefined ? override.opacity : 1;
+
+    const pbr = material.pbrMetallicRoughness || {};
+    const factor = pbr.baseColorFactor || [1, 1, 1, 1];
+    if (color) {
+      const rgb = Cesium.Color.fromCssColorString(color);
+      factor[0] = rgb.red;
+      factor[1] = rgb.green;
+      factor[2] = rgb.blue;
+      delete pbr.baseColorTexture;   // A solid colour, not a tinted texture
+    }
+    if (opacity < 1) {
+      factor[3] = opacity;
+      material.alphaMode = "BLEND";
+    }
+    pbr.baseColorFactor = factor;
+    material.pbrMetallicRoughness = pbr;
+  });
+
+  return writeGlb(json, chunks);
+}
+
+// ============ PROJECT STATE ============
+
+// Everything set in the Display section, for project files
+function getModelStyleState() {
+  return {
+    all: { ...allModelsStyle },
+    models: Object.fromEntries(modelStyles),
+    materials: Object.fromEntries(materialStyles)
+  };
+}
+
+// Restore getModelStyleState's result (missing: back to the defaults)
+function setModelStyleState(state) {
+  allModelsStyle = { ...DEFAULT_STYLE, ...cleanStyle((state && state.all) || {}) };
+
+  modelStyles.clear();
+  for (const [name, style] of Object.entries((state && state.models) || {})) {
+    modelStyles.set(name, cleanStyle(style));
+  }
+
+  materialStyles.clear();
+  for (const [name, styles] of Object.entries((state && state.materials) || {})) {
+    const clean = Object.entries(styles)
+      .map(([materialName, style]) => [materialName, cleanMaterialStyle(style)])
+      .filter(([, style]) => style);
+    if (clean.length > 0) {
+      materialStyles.set(name, Object.fromEntries(clean));
+    }
+  }
+
+  notify(null);
+}
+
+// Register a callback for style changes - called with the model name, or null for all models
+function onModelStylesChanged(listener) {
+  listeners.push(listener);
+}
+
+function notify(name) {
+  listeners.forEach(listener => listener(name));
+}
+
+// ============ HELPERS ============
+
+// Only known fields with valid values
+function cleanStyle(style) {
+  const clean = {};
+  if (COLOR_BY.includes(style.colorBy)) clean.colorBy = style.colorBy;
+  if (isCssColor(style.color)) clean.color = style.color;
+  if (Number.isFinite(style.opacity)) clean.opacity = Cesium.Math.clamp(style.opacity, 0.05, 1);
+  if (typeof style.xray === "boolean") clean.xray = style.xray;
+  if (typeof style.edges === "boolean") clean.edges = style.edges;
+  if (isCssColor(style.edgeColor)) clean.edgeColor = style.edgeColor;
+  return clean;
+}
+
+// { color?, opacity? } or null when nothing is overridden
+function cleanMaterialStyle(style) {
+  const clean = {};
+  if (style && isCssColor(style.color)) clean.color = style.color;
+  if (style && Number.isFinite(style.opacity) && style.opacity < 1) {
+    clean.opacity = Math.max(style.opacity, 0.05);
+  }
+  return Object.keys(clean).length > 0 ? clean : null;
+}
+
+function isCssColor(value) {
+  return typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+function getMaterialName(material, index) {
+  return material.name || `Material ${index + 1}`;
+}
+
+export {
+  getModelStyle,
+  setModelStyle,
+  applyStylePreset,
+  hasModelStyle,
+  clearModelStyle,
+  getStylePresets,
+  getMaterialStyles,
+  setMaterialStyle,
+  readGlbMaterialNames,
+  resolveModelStyle,
+  restyleGlb,
+  getModelStyleState,
+  setModelStyleState,
+  onModelStylesChanged
+};
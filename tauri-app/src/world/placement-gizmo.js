@@ -0,0 +1,349 @@
+// Model placement gizmo: move, raise and rotate the synced models in Cesium (handles or numeric input),
+// then write the result back to Rhino's EarthAnchorPoint so both sides agree
+// Offsets are in meters east/north of the anchor at the time editing started
+
+import { logInfo, logError } from "../communication/rhino-logger.js";
+import { setEarthAnchor } from "../communication/rhino-client.js";
+import { notifyError } from "../ui/notifications.js";
+import { getLastSync, getModelEntities, setModelPlacement } from "./cesium-geometry.js";
+import { createLocalFrame } from "./map-reproject.js";
+import { setCameraInputs } from "./scene-tools.js";
+
+const GIZMO_COLOR = Cesium.Color.fromCssColorString("#3b82f6");
+const DEFAULT_GIZMO_RADIUS = 30;   // Meters, when the model size is unknown
+
+let viewer = null;
+let handler = null;
+
+// Editing session: null when inactive
+// { start: { lat, lon, height, northAngle }, groundHeight, frame, radius, offset: { east, north, height, northAngle } }
+let session = null;
+let snap = { move: 0, rotate: 0 };
+
+// Handle drag: { type: 'move' | 'raise' | 'rotate', startOffset, startGround, startBearing, startY, metersPerPixel }
+let dragging = null;
+const handleEntities = new Map();   // entity -> handle type
+let ringEntity = null;
+
+const listeners = [];
+
+// Initialize the gizmo (inactive until startPlacement)
+function initPlacementGizmo(cesiumViewer) {
+  viewer = cesiumViewer;
+  handler = new Cesium.ScreenSpaceEventHandler(viewer.scene.canvas);
+
+  handler.setInputAction(onLeftDown, Cesium.ScreenSpaceEventType.LEFT_DOWN);
+  handler.setInputAction(onMouseMove, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+  handler.setInputAction(onLeftUp, Cesium.ScreenSpaceEventType.LEFT_UP);
+}
+
+// Start editing the live models' placement (returns false if nothing is synced)
+function startPlacement() {
+  const sync = getLastSync();
+  if (!sync) return false;
+  if (session) return true;
+
+  const start = {
+    lat: sync.position.lat,
+    lon: sync.position.lon,
+    height: sync.position.height || 0,
+    northAngle: sync.position.northAngle || 0
+  };
+
+  session = {
+    start,
+    groundHeight: sync.groundHeight,
+    frame: createLocalFrame(start),
+    radius: getModelRadius(),
+    offset: { east: 0, north: 0, height: start.height, northAngle: start.northAngle }
+  };
+
+  createHandles();
+  notify();
+  return true;
+}
+
+// Stop editing and put the models back where they were
+function cancelPlacement() {
+  if (!session) return;
+
+  setModelPlacement(session.start);
+  endSession();
+}
+
+// Put the models back at the start placement but keep editing
+function resetPlacement() {
+  if (!session) return;
+
+  session.offset = { east: 0, north: 0, height: session.start.height, northAngle: session.start.northAngle };
+  applyOffset();
+}
+
+// Set any of { east, north, height, northAngle } (numeric input - not snapped)
+function setPlacementOffset(values) {
+  if (!session) return;
+
+  session.offset = { ...session.offset, ...values };
+  applyOffset();
+}
+
+// Snap steps: move in meters, rotate in degrees (0 = off)
+function setPlacementSnap(values) {
+  snap = { ...snap, ...values };
+  notify();
+}
+
+// Write the placement to Rhino's EarthAnchorPoint and finish editing
+async function confirmPlacement() {
+  if (!session) return null;
+
+  const position = getPlacementPosition();
+  logInfo(`PLACEMENT: Setting EarthAnchorPoint lat=${position.lat.toFixed(8)}, lon=${position.lon.toFixed(8)}, ` +
+    `elevation=${position.height.toFixed(2)}m, north=${position.northAngle.toFixed(2)}°`);
+
+  try {
+    await setEarthAnchor({
+      lat: position.lat,
+      lon: position.lon,
+      elevation: position.height,
+      northAngle: position.northAngle
+    });
+  } catch (error) {
+    logError(`PLACEMENT ERROR: ${error.message}`);
+    notifyError("Failed to update the earth anchor in Rhino: " + error.message);
+    return null;
+  }
+
+  // Keep the models where they are - Rhino now agrees
+  setModelPlacement(position);
+  endSession();
+
+  logInfo("PLACEMENT: EarthAnchorPoint updated");
+  return position;
+}
+
+// State for UI: { active, offset, snap }
+function getPlacementState() {
+  return {
+    active: !!session,
+    offset: session ? { ...session.offset } : null,
+    snap: { ...snap }
+  };
+}
+
+// Register a callback for placement changes
+function onPlacementChanged(listener) {
+  listeners.push(listener);
+}
+
+// ============ PLACEMENT ============
+
+// Current placement { lat, lon, height, northAngle } from the start anchor and offset
+function getPlacementPosition() {
+  const { east, north, height, northAngle } = session.offset;
+  const { lat, lon } = session.frame.toLonLat(east, north);
+  return { lat, lon, height, northAngle: normalizeAngle(northAngle) };
+}
+
+function applyOffset() {
+  setModelPlacement(getPlacementPosition());
+  notify();
+}
+
+function endSession() {
+  removeHandles();
+  session = null;
+  dragging = null;
+  setCameraInputs(viewer, true);
+  notify();
+}
+
+// Radius of the synced models (for sizing the handles)
+function getModelRadius() {
+  const spheres = [];
+  for (const entity of getModelEntities()) {
+    const sphere = new Cesium.BoundingSphere();
+    if (viewer.dataSourceDisplay.getBoundingSphere(entity, false, sphere) === Cesium.BoundingSphereState.DONE) {
+      spheres.push(sphere);
+    }
+  }
+  return spheres.length > 0
+    ? Math.max(DEFAULT_GIZMO_RADIUS / 3, Cesium.BoundingSphere.fromBoundingSpheres(spheres).radius)
+    : DEFAULT_GIZMO_RADIUS;
+}
+
+// Point at the model origin offset by (east, north, up) meters in the start frame, as Cartesian3
+function gizmoPoint(east = 0, north = 0, up = 0) {
+  const offset = session.offset;
+  const { lon, lat } = session.frame.toLonLat(offset.east + east, offset.north + north);
+  return Cesium.Cartesian3.fromDegrees(lon, lat, session.groundHeight + offset.height + up);
+}
+
+// ============ HANDLES ============
+
+function createHandles() {
+  const handle = (type, getPosition, color, text) => {
+    const entity = viewer.entities.add({
+      name: `Placement ${type} handle`,
+      position: new Cesium.CallbackProperty(getPosition, false),
+      point: {
+        pixelSize: 16,
+        color,
+        outlineColor: Cesium.Color.WHITE,
+        outlineWidth: 2,
+        disableDepthTestDistance: Number.POSITIVE_INFINITY
+      },
+      label: {
+        text,
+        font: "12px sans-serif",
+        fillColor: Cesium.Color.WHITE,
+        pixelOffset: new Cesium.Cartesian2(0, -18),
+        disableDepthTestDistance: Number.POSITIVE_INFINITY
+      }
+    });
+    handleEntities.set(entity, type);
+  };
+
+  // Rotation handle sits on the ring, in the direction of the model's +X axis
+  const rotateHandlePosition = () => {
+    const angle = Cesium.Math.toRadians(session.offset.northAngle);
+    return gizmoPoint(session.radius * Math.cos(angle), -session.radius * Math.sin(angle));
+  };
+
+  handle('move', () => gizmoPoint(), GIZMO_COLOR, "Move");
+  handle('raise', () => gizmoPoint(0, 0, session.radius / 2), Cesium.Color.LIMEGREEN, "Raise");
+  handle('rotate', rotateHandlePosition, Cesium.Color.ORANGE, "Rotate");
+
+  ringEntity = viewer.entities.add({
+    name: "Placement rotation ring",
+    polyline: {
+      positions: new Cesium.CallbackProperty(() => {
+        const points = [];
+        for (let i = 0; i <= 72; i++) {
+          const a = i / 72 * Cesium.Math.TWO_PI;
+          points.push(gizmoPoint(session.radius * Math.cos(a), session.radius * Math.sin(a)));
+        }
+        return points;
+      }, false),
+      width: 2,
+      material: Cesium.Color.ORANGE.withAlpha(0.8),
+      depthFailMaterial: Cesium.Color.ORANGE.withAlpha(0.3)
+    }
+  });
+}
+
+function removeHandles() {
+  handleEntities.forEach((_, entity) => viewer.entities.remove(entity));
+  handleEntities.clear();
+  if (ringEntity) {
+    viewer.entities.remove(ringEntity);
+    ringEntity = null;
+  }
+}
+
+// ============ MOUSE INTERACTION ============
+
+function onLeftDown(event) {
+  if (!session) return;
+
+  const picked = viewer.scene.pick(event.position);
+  const type = picked ? handleEntities.get(picked.id) : null;
+  if (!type) return;
+
+  const ground = pickOnModelPlane(event.position);
+  dragging = {
+    type,
+    startOffset: { ...session.offset },
+    startGround: ground,
+    startBearing: ground ? bearingFromOrigin(ground) : 0,
+    startY: event.position.y,
+    metersPerPixel: getMetersPerPixel()
+  };
+  setCameraInputs(viewer, false);
+}
+
+function onMouseMove(event) {
+  if (!dragging) return;
+
+  const { type, startOffset, startGround } = dragging;
+
+  if (type === 'raise') {
+    // Screen pixels up -> meters up
+    const delta = (dragging.startY - event.endPosition.y) * dragging.metersPerPixel;
+    session.offset.height = snapValue(startOffset.height + delta, snap.move);
+    applyOffset();
+    return;
+  }
+
+  const ground = pickOnModelPlane(event.endPosition);
+  if (!ground || !startGround) return;
+
+  if (type === 'move') {
+    session.offset.east = snapValue(startOffset.east + ground.east - startGround.east, snap.move);
+    session.offset.north = snapValue(startOffset.north + ground.north - startGround.north, snap.move);
+  } else {
+    // Dragging clockwise (seen from above) turns the model clockwise = north angle grows
+    const delta = bearingFromOrigin(ground) - dragging.startBearing;
+    session.offset.northAngle = snapValue(normalizeAngle(startOffset.northAngle + delta), snap.rotate);
+  }
+  applyOffset();
+}
+
+function onLeftUp() {
+  if (!dragging) return;
+
+  dragging = null;
+  setCameraInputs(viewer, true);
+}
+
+// Mouse ray -> point on the horizontal plane through the model origin, in start-frame meters
+function pickOnModelPlane(screenPosition) {
+  const origin = gizmoPoint();
+  const normal = Cesium.Ellipsoid.WGS84.geodeticSurfaceNormal(origin, new Cesium.Cartesian3());
+  const plane = Cesium.Plane.fromPointNormal(origin, normal);
+  const ray = viewer.camera.getPickRay(screenPosition);
+  const hit = ray ? Cesium.IntersectionTests.rayPlane(ray, plane) : undefined;
+  if (!hit) return null;
+
+  const cartographic = Cesium.Cartographic.fromCartesian(hit);
+  return session.frame.toLocal(Cesium.Math.toDegrees(cartographic.longitude), Cesium.Math.toDegrees(cartographic.latitude));
+}
+
+// Compass bearing (degrees) of a start-frame point as seen from the model origin
+function bearingFromOrigin({ east, north }) {
+  return Cesium.Math.toDegrees(Math.atan2(east - session.offset.east, north - session.offset.north));
+}
+
+// Size of a screen pixel at the model, in meters
+function getMetersPerPixel() {
+  const sphere = new Cesium.BoundingSphere(gizmoPoint(), session.radius);
+  return viewer.camera.getPixelSize(sphere, viewer.scene.drawingBufferWidth, viewer.scene.drawingBufferHeight);
+}
+
+// ============ HELPERS ============
+
+function snapValue(value, step) {
+  return step > 0 ? Math.round(value / step) * step : value;
+}
+
+// -180..180
+function normalizeAngle(degrees) {
+  return ((degrees + 180) % 360 + 360) % 360 - 180;
+}
+
+function notify() {
+  const state = getPlacementState();
+  listeners.forEach(listener => listener(state));
+}
+
+export {
+  initPlacementGizmo,
+  startPlacement,
+  cancelPlacement,
+  resetPlacement,
+  setPlacementOffset,
+  setPlacementSnap,
+  confirmPlacement,
+  getPlacementState,
+  onPlacementChanged
+};
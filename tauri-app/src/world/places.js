@@ -0,0 +1,122 @@
+// Recent and pinned places for the search box, saved in the app data directory
+// Places are the geocoder's { name, lat, lon, height?, rectangle?, source? }
+
+import { readTextFile, writeTextFile, mkdir, exists, BaseDirectory } from "@tauri-apps/plugin-fs";
+import { logError } from "../communication/rhino-logger.js";
+
+const SETTINGS_DIR = "settings";
+const PLACES_PATH = `${SETTINGS_DIR}/places.json`;
+const FS_OPTIONS = { baseDir: BaseDirectory.AppData };
+
+const MAX_RECENT = 10;
+const POINT_VIEW_HEIGHT = 1500;   // Meters above a place that has no extent (e.g. typed coordinates)
+
+let recentPlaces = [];
+let pinnedPlaces = [];
+
+const listeners = [];
+
+// Read the saved places (call once at startup)
+async function loadPlaces() {
+  try {
+    if (await exists(PLACES_PATH, FS_OPTIONS)) {
+      const saved = JSON.parse(await readTextFile(PLACES_PATH, FS_OPTIONS));
+      recentPlaces = (saved.recent || []).filter(isValidPlace).slice(0, MAX_RECENT);
+      pinnedPlaces = (saved.pinned || []).filter(isValidPlace);
+      notifyPlacesChanged();
+    }
+  } catch (error) {
+    logError(`SEARCH ERROR: Failed to read saved places: ${error.message || error}`);
+  }
+}
+
+function getRecentPlaces() {
+  return [...recentPlaces];
+}
+
+function getPinnedPlaces() {
+  return [...pinnedPlaces];
+}
+
+// Put a place at the top of the recent list
+async function addRecentPlace(place) {
+  const key = getPlaceKey(place);
+  recentPlaces = [toStoredPlace(place), ...recentPlaces.filter(p => getPlaceKey(p) !== key)].slice(0, MAX_RECENT);
+  await savePlaces();
+}
+
+async function pinPlace(place) {
+  if (isPinned(place)) return;
+  pinnedPlaces.push(toStoredPlace(place));
+  await savePlaces();
+}
+
+async function unpinPlace(place) {
+  const key = getPlaceKey(place);
+  pinnedPlaces = pinnedPlaces.filter(p => getPlaceKey(p) !== key);
+  await savePlaces();
+}
+
+function isPinned(place) {
+  const key = getPlaceKey(place);
+  return pinnedPlaces.some(p => getPlaceKey(p) === key);
+}
+
+// Same place = same position to about a meter (names differ between geocoders)
+function getPlaceKey(place) {
+  return `${place.lat.toFixed(5)},${place.lon.toFixed(5)}`;
+}
+
+// Fly to a place - its extent when the geocoder gave one
+function flyToPlace(viewer, place) {
+  const destination = place.rectangle
+    ? Cesium.Rectangle.fromDegrees(place.rectangle.west, place.rectangle.south, place.rectangle.east, place.rectangle.north)
+    : Cesium.Cartesian3.fromDegrees(place.lon, place.lat, place.height > 0 ? place.height : POINT_VIEW_HEIGHT);
+
+  viewer.camera.flyTo({ destination, duration: 2.0 });
+}
+
+// Register a callback for changes to the recent or pinned places
+function onPlacesChanged(listener) {
+  listeners.push(listener);
+}
+
+async function savePlaces() {
+  notifyPlacesChanged();
+  try {
+    await mkdir(SETTINGS_DIR, { ...FS_OPTIONS, recursive: true });
+    await writeTextFile(PLACES_PATH, JSON.stringify({ recent: recentPlaces, pinned: pinnedPlaces }, null, 2), FS_OPTIONS);
+  } catch (error) {
+    logError(`SEARCH ERROR: Failed to save places: ${error.message || error}`);
+  }
+}
+
+// Only what is needed to fly there again
+function toStoredPlace({ name, lat, lon, height, rectangle, source }) {
+  const place = { name, lat, lon };
+  if (height !== undefined) place.height = height;
+  if (rectangle) place.rectangle = rectangle;
+  if (source) place.source = source;
+  return place;
+}
+
+function isValidPlace(place) {
+  return place && typeof place.name === "string" && Number.isFinite(place.lat) && Number.isFinite(place.lon);
+}
+
+function notifyPlacesChanged() {
+  listeners.forEach(listener => listener());
+}
+
+export {
+  loadPlaces,
+  getRecentPlaces,
+  getPinnedPlaces,
+  addRecentPlace,
+  pinPlace,
+  unpinPlace,
+  isPinned,
+  getPlaceKey,
+  flyToPlace,
+  onPlacesChanged
+};
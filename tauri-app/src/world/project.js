@@ -0,0 +1,385 @@
+// McAtlas project files: location, camera bookmarks, view mode, the loaded model and its display
+// styles, snapshots, clipping, zoning, flythroughs and map export settings, so a workspace survives a restart
+// Stored in Documents/McAtlas/projects as <name>.mcatlas (JSON) plus <name>.files/ for the model GLBs
+// and a copy of the snapshots (<name>.files/snapshots), so deleting a snapshot later does not lose it here
+
+import {
+  readFile,
+  writeFile,
+  readTextFile,
+  writeTextFile,
+  readDir,
+  mkdir,
+  exists,
+  remove,
+  rename,
+  BaseDirectory
+} from "@tauri-apps/plugin-fs";
+import { logInfo, logWarn, logError } from "../communication/rhino-logger.js";
+import { getProject, setProject, RhinoCommandError } from "../communication/rhino-client.js";
+import { notifyWarning, notifyError } from "../ui/notifications.js";
+import { addModelFromRhino, getLastSync, getModels, removeModel } from "./cesium-geometry.js";
+import { getCurrentMode, setViewMode } from "./view-mode.js";
+import {
+  getSnapshots,
+  getSnapshotView,
+  showLive,
+  showSnapshot,
+  compareSnapshots,
+  writeSnapshotFiles,
+  restoreSnapshots
+} from "./snapshots.js";
+import { getDrawnClipPolygons, setDrawnClipPolygons } from "./clip-draw.js";
+import { getViewCenter } from "./map-export.js";
+import { getModelStyleState, setModelStyleState } from "./model-style.js";
+import { getZoningSettings, loadZoningSettings } from "./zoning.js";
+import { getFlythroughState, setFlythroughState } from "./flythrough.js";
+
+const PROJECT_DIR = "McAtlas/projects";
+const PROJECT_EXTENSION = ".mcatlas";
+const PROJECT_VERSION = 1;
+const SNAPSHOT_FILES_DIR = "snapshots";   // inside <name>.files
+const SETTINGS_DIR = "settings";
+const LAST_PROJECT_PATH = `${SETTINGS_DIR}/last-project.json`;
+const FS_OPTIONS = { baseDir: BaseDirectory.Document };
+const APP_FS_OPTIONS = { baseDir: BaseDirectory.AppData };
+
+let viewer = null;
+let tileset = null;
+
+// Open project: { name, path } (null until saved or opened)
+let currentProject = null;
+
+// Camera bookmarks: [{ id, name, camera: { position, heading, pitch, roll } }]
+let bookmarks = [];
+let nextBookmarkId = 1;
+
+const listeners = [];
+
+function initProject(cesiumViewer, googleTileset) {
+  viewer = cesiumViewer;
+  tileset = googleTileset;
+}
+
+// Names of the saved projects
+async function listProjects() {
+  try {
+    if (!(await exists(PROJECT_DIR, FS_OPTIONS))) return [];
+
+    const entries = await readDir(PROJECT_DIR, FS_OPTIONS);
+    return entries
+      .filter(entry => entry.isFile && entry.name.endsWith(PROJECT_EXTENSION))
+      .map(entry => entry.name.slice(0, -PROJECT_EXTENSION.length))
+      .sort((a, b) => a.localeCompare(b));
+  } catch (error) {
+    logError(`PROJECT ERROR: Failed to list projects: ${error.message || error}`);
+    return [];
+  }
+}
+
+// Save the workspace as a project
+// extra: state owned by the UI, e.g. { mapExport } (stored as is)
+async function saveProject(name, extra = {}) {
+  const safeName = sanitizeName(name);
+  if (!safeName) {
+    notifyWarning("Please enter a project name.");
+    return null;
+  }
+
+  const path = getProjectPath(safeName);
+  const filesDir = getFilesDir(safeName);
+  const stagingDir = `${filesDir}.tmp`;
+  logInfo(`PROJECT: Saving "${safeName}"...`);
+
+  try {
+    await mkdir(PROJECT_DIR, { ...FS_OPTIONS, recursive: true });
+
+    // The live model's GLBs and the snapshots go to a fresh folder - an earlier save keeps its
+    // files until the new project file is written
+    const sync = getLastSync();
+    if (await exists(stagingDir, FS_OPTIONS)) {
+      await remove(stagingDir, { ...FS_OPTIONS, recursive: true });
+    }
+    await mkdir(stagingDir, { ...FS_OPTIONS, recursive: true });
+    if (sync) {
+      for (const model of sync.models) {
+        await writeFile(`${stagingDir}/${model.glbFile}`, model.bytes, FS_OPTIONS);
+      }
+    }
+    const snapshots = await writeSnapshotFiles(`${stagingDir}/${SNAPSHOT_FILES_DIR}`);
+
+    const project = {
+      version: PROJECT_VERSION,
+      name: safeName,
+      savedAt: new Date().toISOString(),
+      location: getViewCenter(viewer),
+      camera: getCameraState(),
+      bookmarks,
+      viewMode: getCurrentMode(),
+      model: sync ? {
+        position: sync.position,
+        clippingPolygons: sync.clippingPolygons,
+        models: sync.models.map(({ name, glbFile, layerColor }) => ({ name, glbFile, layerColor }))
+      } : null,
+      displayStyles: getModelStyleState(),
+      snapshots,
+      snapshotView: getSnapshotView(),
+      clipping: { drawn: getDrawnClipPolygons() },
+      zoning: getZoningSettings(),
+      flythroughs: getFlythroughState(),
+      ...extra
+    };
+
+    await writeTextFile(path, JSON.stringify(project, null, 2), FS_OPTIONS);
+
+    // Swap the new files in
+    if (await exists(filesDir, FS_OPTIONS)) {
+      await remove(filesDir, { ...FS_OPTIONS, recursive: true });
+    }
+    await rename(stagingDir, filesDir, { oldPathBaseDir: FS_OPTIONS.baseDir, newPathBaseDir: FS_OPTIONS.baseDir });
+  } catch (error) {
+    remove(stagingDir, { ...FS_OPTIONS, recursive: true }).catch(() => {});
+    logError(`PROJECT ERROR: ${error.message}`);
+    notifyError("Failed to save project: " + error.message);
+    return null;
+  }
+
+  currentProject = { name: safeName, path };
+  await rememberLastProject(path);
+  await linkRhinoToProject(path);
+  notify();
+
+  logInfo(`PROJECT: Saved ${path}`);
+  return currentProject;
+}
+
+// Open a saved project by name and restore the workspace
+// Returns the project data (so the UI can restore its own state), or null
+async function openProject(name) {
+  const path = getProjectPath(name);
+  logInfo(`PROJECT: Opening "${name}"...`);
+
+  let project;
+  try {
+    project = JSON.parse(await readTextFile(path, FS_OPTIONS));
+  } catch (error) {
+    logError(`PROJECT ERROR: ${error.message}`);
+    notifyError(`Failed to open project "${name}": ` + error.message);
+    return null;
+  }
+
+  if (project.version > PROJECT_VERSION) {
+    logWarn(`PROJECT WARNING: "${name}" was saved by a newer McAtlas (version ${project.version})`);
+  }
+
+  setViewMode(project.viewMode);
+  setModelStyleState(project.displayStyles);
+  await restoreModel(project, getFilesDir(name));
+  await setDrawnClipPolygons((project.clipping && project.clipping.drawn) || []);
+  await loadZoningSettings(project.zoning);
+  setFlythroughState(project.flythroughs);
+  await restoreSnapshots(project.snapshots, `${getFilesDir(name)}/${SNAPSHOT_FILES_DIR}`);
+  await restoreSnapshotView(project.snapshotView);
+
+  bookmarks = project.bookmarks || [];
+  nextBookmarkId = bookmarks.reduce((max, b) => Math.max(max, b.id), 0) + 1;
+
+  if (project.camera) {
+    setCameraState(project.camera);
+  }
+
+  currentProject = { name, path };
+  await rememberLastProject(path);
+  notify();
+
+  logInfo(`PROJECT: Opened ${path}`);
+  return project;
+}
+
+// Project to open on launch: the one the active Rhino file references, else the last one used
+async function getStartupProject() {
+  const candidates = [await getRhinoProjectPath(), await getLastProjectPath()];
+
+  for (const path of candidates) {
+    if (path && path.startsWith(`${PROJECT_DIR}/`) && await exists(path, FS_OPTIONS)) {
+      return path.slice(PROJECT_DIR.length + 1, -PROJECT_EXTENSION.length);
+    }
+  }
+  return null;
+}
+
+function getCurrentProject() {
+  return currentProject ? { ...currentProject } : null;
+}
+
+// ============ BOOKMARKS ============
+
+// Bookmark the current camera
+function addBookmark(name) {
+  const bookmark = {
+    id: nextBookmarkId++,
+    name: name || `View ${bookmarks.length + 1}`,
+    camera: getCameraState()
+  };
+  bookmarks.push(bookmark);
+  notify();
+  return bookmark;
+}
+
+function removeBookmark(id) {
+  bookmarks = bookmarks.filter(b => b.id !== id);
+  notify();
+}
+
+function flyToBookmark(id) {
+  const bookmark = bookmarks.find(b => b.id === id);
+  if (bookmark) {
+    setCameraState(bookmark.camera, 1.5);
+  }
+}
+
+function getBookmarks() {
+  return bookmarks.map(({ id, name }) => ({ id, name }));
+}
+
+// Register a callback for project or bookmark changes: (project, bookmarks) => {}
+function onProjectChanged(listener) {
+  listeners.push(listener);
+}
+
+// ============ RESTORE ============
+
+// Load the project's saved model (or clear the live models if it has none)
+async function restoreModel(project, filesDir) {
+  if (!project.model) {
+    for (const model of getModels()) {
+      await removeModel(viewer, model.name);
+    }
+    return;
+  }
+
+  await addModelFromRhino(viewer, tileset, project.model, {
+    flyTo: false,
+    readGlb: (info) => readFile(`${filesDir}/${info.glbFile}`, FS_OPTIONS)
+  });
+}
+
+// Show the snapshot(s) that were shown, if they still exist
+async function restoreSnapshotView(view) {
+  const ids = new Set(getSnapshots().map(s => s.id));
+
+  if (view && view.mode === 'snapshot' && ids.has(view.id)) {
+    await showSnapshot(view.id);
+  } else if (view && view.mode === 'compare' && ids.has(view.leftId) && ids.has(view.rightId)) {
+    await compareSnapshots(view.leftId, view.rightId);
+  } else {
+    await showLive();
+  }
+}
+
+// ============ CAMERA ============
+
+// { position (Earth-fixed x, y, z), heading, pitch, roll } - bookmarks and flythrough keyframes
+function getCameraState() {
+  const camera = viewer.camera;
+  return {
+    position: Cesium.Cartesian3.pack(camera.positionWC, []),
+    heading: camera.heading,
+    pitch: camera.pitch,
+    roll: camera.roll
+  };
+}
+
+// duration 0 = jump
+function setCameraState(state, duration = 0) {
+  const destination = Cesium.Cartesian3.unpack(state.position);
+  const orientation = { heading: state.heading, pitch: state.pitch, roll: state.roll };
+
+  viewer.camera.cancelFlight();
+  if (duration > 0) {
+    viewer.camera.flyTo({ destination, orientation, duration });
+  } else {
+    viewer.camera.setView({ destination, orientation });
+  }
+}
+
+// ============ LAST PROJECT / RHINO REFERENCE ============
+
+async function rememberLastProject(path) {
+  try {
+    await mkdir(SETTINGS_DIR, { ...APP_FS_OPTIONS, recursive: true });
+    await writeTextFile(LAST_PROJECT_PATH, JSON.stringify({ path }), APP_FS_OPTIONS);
+  } catch (error) {
+    logWarn(`PROJECT WARNING: Failed to remember the last project: ${error.message || error}`);
+  }
+}
+
+async function getLastProjectPath() {
+  try {
+    if (!(await exists(LAST_PROJECT_PATH, APP_FS_OPTIONS))) return null;
+    return JSON.parse(await readTextFile(LAST_PROJECT_PATH, APP_FS_OPTIONS)).path;
+  } catch (error) {
+    logWarn(`PROJECT WARNING: Failed to read the last project: ${error.message || error}`);
+    return null;
+  }
+}
+
+// Rhino may not be running - the reference is a convenience, not a requirement
+async function getRhinoProjectPath() {
+  try {
+    const result = await getProject();
+    return result.project || null;
+  } catch (error) {
+    logWarn(`PROJECT WARNING: Could not ask Rhino for its project: ${error.message}`);
+    return null;
+  }
+}
+
+async function linkRhinoToProject(path) {
+  try {
+    await setProject(path);
+  } catch (error) {
+    if (error instanceof RhinoCommandError) {
+      logWarn(`PROJECT WARNING: Rhino file not linked: ${error.message}`);
+      return;
+    }
+    logWarn(`PROJECT WARNING: Could not link the Rhino file to the project: ${error.message}`);
+  }
+}
+
+// ============ HELPERS ============
+
+function getProjectPath(name) {
+  return `${PROJECT_DIR}/${name}${PROJECT_EXTENSION}`;
+}
+
+function getFilesDir(name) {
+  return `${PROJECT_DIR}/${name}.files`;
+}
+
+// File-system safe project name
+function sanitizeName(name) {
+  return (name || "").replace(/[\\/:*?"<>|]/g, "").trim();
+}
+
+function notify() {
+  const project = getCurrentProject();
+  const list = getBookmarks();
+  listeners.forEach(listener => listener(project, list));
+}
+
+export {
+  initProject,
+  listProjects,
+  saveProject,
+  openProject,
+  getStartupProject,
+  getCurrentProject,
+  addBookmark,
+  removeBookmark,
+  flyToBookmark,
+  getBookmarks,
+  getCameraState,
+  setCameraState,
+  onProjectChanged
+};
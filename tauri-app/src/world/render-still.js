@@ -0,0 +1,266 @@
+// High-resolution still capture: renders the current Cesium view above window size
+// and saves it (plus a JSON sidecar with camera/location metadata) into Documents/McAtlas/renders
+// Also renders numbered frame sequences (flythroughs)
+
+import { writeFile, writeTextFile, mkdir, BaseDirectory } from "@tauri-apps/plugin-fs";
+import { logInfo, logWarn } from "../communication/rhino-logger.js";
+import { getLastSync } from "./cesium-geometry.js";
+import { getCurrentMode } from "./view-mode.js";
+
+const RENDER_DIR = "McAtlas/renders";
+const FS_OPTIONS = { baseDir: BaseDirectory.Document };
+const TILE_LOAD_TIMEOUT_MS = 30000;  // Don't wait forever for tiles at the new resolution
+const FRAME_TILE_LOAD_TIMEOUT_MS = 10000;  // Per frame of a sequence
+
+// Resolution presets (output size in pixels)
+const RENDER_PRESETS = [
+  { label: "Full HD", width: 1920, height: 1080 },
+  { label: "QHD", width: 2560, height: 1440 },
+  { label: "4K UHD", width: 3840, height: 2160 },
+  { label: "A3 landscape 200dpi", width: 3307, height: 2339 }
+];
+
+// Render the current view and save it to disk
+// options: { width, height, supersample (1/2/4), format ('png'|'jpeg'), hideChrome }
+async function renderStill(viewer, tileset, options) {
+  const { width, height, format = 'png', hideChrome = true } = options;
+
+  logInfo(`RENDER: ${width} x ${height} ${format.toUpperCase()}, ${options.supersample}x supersampling`);
+
+  const supersample = await fitSupersample(viewer, width, height, options.supersample);
+  const restore = prepareCapture(viewer, { width, height, supersample, hideChrome });
+
+  try {
+    // ============ WAIT FOR TILES ============
+    if (!await waitForTilesLoaded(viewer, tileset, TILE_LOAD_TIMEOUT_MS)) {
+      logWarn("RENDER: WARNING - tiles still loading after timeout, capturing anyway");
+    }
+
+    // ============ CAPTURE ============
+    const canvas = await captureFrame(viewer, width, height);
+
+    // ============ SAVE ============
+    const bytes = await encodeCanvas(canvas, format);
+
+    const baseName = `mcatlas_render_${formatTimestamp(new Date())}`;
+    const imagePath = `${RENDER_DIR}/${baseName}.${format === 'jpeg' ? 'jpg' : 'png'}`;
+    const metadataPath = `${RENDER_DIR}/${baseName}.json`;
+
+    await mkdir(RENDER_DIR, { ...FS_OPTIONS, recursive: true });
+    await writeFile(imagePath, bytes, FS_OPTIONS);
+
+    const metadata = getRenderMetadata(viewer, { width, height, supersample, format });
+    await writeTextFile(metadataPath, JSON.stringify(metadata, null, 2), FS_OPTIONS);
+
+    logInfo(`RENDER: Saved Documents/${imagePath} (${Math.round(bytes.length / 1024)} KB)`);
+    return { imagePath, metadataPath };
+
+  } finally {
+    restore();
+  }
+}
+
+// Render numbered PNG frames (frame_00001.png, ...) into a Documents folder, e.g. for video editing
+// options: { width, height, supersample, hideChrome, directory, frameCount,
+//            setFrame(index) - moves the camera, onProgress(framesDone), signal }
+// Returns { directory, frameCount } - fewer frames than asked when cancelled
+async function renderSequence(viewer, tileset, options) {
+  const { width, height, hideChrome = true, directory, frameCount, setFrame, onProgress, signal } = options;
+
+  logInfo(`RENDER: ${frameCount} frames at ${width} x ${height} into Documents/${directory}`);
+
+  const supersample = await fitSupersample(viewer, width, height, options.supersample);
+  await mkdir(directory, { ...FS_OPTIONS, recursive: true });
+  const restore = prepareCapture(viewer, { width, height, supersample, hideChrome });
+
+  let written = 0;
+  let incomplete = 0;
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      if (signal && signal.aborted) break;
+
+      setFrame(i);
+      if (!await waitForTilesLoaded(viewer, tileset, FRAME_TILE_LOAD_TIMEOUT_MS)) {
+        incomplete++;
+      }
+
+      const canvas = await captureFrame(viewer, width, height);
+      const bytes = await encodeCanvas(canvas, 'png');
+      await writeFile(`${directory}/frame_${String(i + 1).padStart(5, "0")}.png`, bytes, FS_OPTIONS);
+
+      written++;
+      if (onProgress) onProgress(written);
+    }
+  } finally {
+    restore();
+  }
+
+  if (incomplete > 0) {
+    logWarn(`RENDER: WARNING - ${incomplete} frame(s) captured with tiles still loading`);
+  }
+  logInfo(`RENDER: Saved ${written} frames to Documents/${directory}`);
+  return { directory, frameCount: written };
+}
+
+// Supersampled drawing buffer must fit the GPU limits - reduce supersampling if needed
+async function fitSupersample(viewer, width, height, requested) {
+  const maxSize = getMaxDrawingBufferSize(viewer);
+  const wanted = requested || 1;
+  let supersample = wanted;
+  while (supersample > 1 && Math.max(width, height) * supersample > maxSize) {
+    supersample /= 2;
+  }
+  if (Math.max(width, height) * supersample > maxSize) {
+    throw new Error(`Resolution too large for this GPU (max ${maxSize}px per side)`);
+  }
+  if (supersample !== wanted) {
+    logInfo(`RENDER: Supersampling reduced to ${supersample}x (GPU limit ${maxSize}px)`);
+  }
+  return supersample;
+}
+
+// Hide the UI chrome and size the drawing buffer for the output - returns a function undoing both
+function prepareCapture(viewer, { width, height, supersample, hideChrome }) {
+  const container = viewer.container;
+  const saved = {
+    resolutionScale: viewer.resolutionScale,
+    useBrowserRecommendedResolution: viewer.useBrowserRecommendedResolution,
+    width: container.style.width,
+    height: container.style.height,
+    entitiesShown: viewer.entities.show
+  };
+  const hiddenOverlays = [];
+
+  // ============ HIDE UI CHROME ============
+  // HTML overlays never end up in the image, but hide them so the resize doesn't flash them around
+  // (not the progress overlay - its Cancel button must stay reachable)
+  // Annotation entities (labels, helpers) are part of the scene, so they are hidden for the capture
+  if (hideChrome) {
+    for (const element of container.children) {
+      if (element.classList.contains("cesium-viewer") || element.id === "progressOverlay") continue;
+      if (!element.classList.contains("hidden")) {
+        element.classList.add("hidden");
+        hiddenOverlays.push(element);
+      }
+    }
+    viewer.entities.show = false;
+  }
+
+  // ============ RESIZE DRAWING BUFFER ============
+  // Match the output aspect ratio, then scale the drawing buffer up to the output size
+  const cssWidth = container.clientWidth;
+  const cssHeight = Math.round(cssWidth * height / width);
+  container.style.width = `${cssWidth}px`;
+  container.style.height = `${cssHeight}px`;
+
+  viewer.useBrowserRecommendedResolution = false;
+  viewer.resolutionScale = (width * supersample) / (cssWidth * window.devicePixelRatio);
+  viewer.resize();
+
+  return () => {
+    container.style.width = saved.width;
+    container.style.height = saved.height;
+    viewer.resolutionScale = saved.resolutionScale;
+    viewer.useBrowserRecommendedResolution = saved.useBrowserRecommendedResolution;
+    viewer.entities.show = saved.entitiesShown;
+    hiddenOverlays.forEach(element => element.classList.remove("hidden"));
+    viewer.resize();
+  };
+}
+
+// Largest drawing buffer side the GPU supports
+function getMaxDrawingBufferSize(viewer) {
+  // Returns the context Cesium already created
+  const gl = viewer.canvas.getContext("webgl2") || viewer.canvas.getContext("webgl");
+  const maxViewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+  return Math.min(gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), maxViewport[0], maxViewport[1]);
+}
+
+// Wait until the visible tileset/globe tiles have loaded at the new resolution
+// Returns false when they were still loading after timeoutMs
+async function waitForTilesLoaded(viewer, tileset, timeoutMs) {
+  const start = performance.now();
+
+  while (performance.now() - start < timeoutMs) {
+    await nextFrame(viewer);
+
+    const tilesetReady = !tileset || !tileset.show || tileset.tilesLoaded;
+    const globe = viewer.scene.globe;
+    const globeReady = !globe || !globe.show || globe.tilesLoaded;
+
+    if (tilesetReady && globeReady) return true;
+  }
+  return false;
+}
+
+// Resolve after the next rendered frame
+function nextFrame(viewer) {
+  return new Promise(resolve => {
+    const remove = viewer.scene.postRender.addEventListener(() => {
+      remove();
+      resolve();
+    });
+    viewer.scene.requestRender();
+  });
+}
+
+// Copy the next rendered frame into a 2D canvas at output size (downsamples when supersampling)
+// Must read in postRender - the WebGL drawing buffer is cleared after compositing
+function captureFrame(viewer, width, height) {
+  return new Promise(resolve => {
+    const remove = viewer.scene.postRender.addEventListener(() => {
+      remove();
+
+      const canvas = document.createElement("canvas");
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext("2d");
+      ctx.imageSmoothingEnabled = true;
+      ctx.imageSmoothingQuality = "high";
+      ctx.drawImage(viewer.canvas, 0, 0, width, height);
+
+      resolve(canvas);
+    });
+    viewer.scene.requestRender();
+  });
+}
+
+async function encodeCanvas(canvas, format) {
+  const mimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, mimeType, 0.95));
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+// Camera, location and sun time for the sidecar JSON
+function getRenderMetadata(viewer, output) {
+  const camera = viewer.camera;
+  const cartographic = camera.positionCartographic;
+  const sync = getLastSync();
+
+  return {
+    createdAt: new Date().toISOString(),
+    output,
+    viewMode: getCurrentMode(),
+    camera: {
+      lat: Cesium.Math.toDegrees(cartographic.latitude),
+      lon: Cesium.Math.toDegrees(cartographic.longitude),
+      height: cartographic.height,
+      heading: Cesium.Math.toDegrees(camera.heading),
+      pitch: Cesium.Math.toDegrees(camera.pitch),
+      roll: Cesium.Math.toDegrees(camera.roll),
+      fovDegrees: camera.frustum.fovy !== undefined ? Cesium.Math.toDegrees(camera.frustum.fovy) : null
+    },
+    // Scene time drives the sun position (see shadow study)
+    sceneTime: Cesium.JulianDate.toIso8601(viewer.clock.currentTime),
+    earthAnchor: sync ? { lat: sync.position.lat, lon: sync.position.lon } : null
+  };
+}
+
+// 2025-06-21T09:05:03 -> 20250621_090503 (local time)
+function formatTimestamp(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}_` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+export { RENDER_PRESETS, renderStill, renderSequence, formatTimestamp };
@@ -0,0 +1,76 @@
+// Helpers shared by the interactive scene tools (drawing, editing, measuring): which tool owns map
+// clicks, picking positions under the cursor, pausing camera navigation while a handle is dragged,
+// and length labels
+
+// Click tool in use: { name, stop } - one at a time, so a click never feeds two tools
+let activeTool = null;
+
+// ============ ACTIVE TOOL ============
+
+// Make a tool the one that takes map clicks; the tool that had them is stopped first
+function activateTool(name, stop) {
+  if (activeTool && activeTool.name !== name) {
+    const previous = activeTool;
+    activeTool = null;
+    previous.stop();
+  }
+  activeTool = { name, stop };
+}
+
+// A tool was left (call when it stops by itself too)
+function releaseTool(name) {
+  if (activeTool && activeTool.name === name) {
+    activeTool = null;
+  }
+}
+
+// ============ PICKING ============
+
+// Screen position -> Cartesian3 on the synced model or 3D tiles under the cursor, else on the globe
+function pickPoint(viewer, screenPosition) {
+  const scene = viewer.scene;
+  const globe = scene.globe;
+
+  if (scene.pickPositionSupported && isSurfaceHit(scene.pick(screenPosition))) {
+    const position = scene.pickPosition(screenPosition);
+    if (position) return position;
+  }
+  if (globe && globe.show) {
+    return globe.pick(viewer.camera.getPickRay(screenPosition), scene);
+  }
+  if (scene.pickPositionSupported) {
+    return scene.pickPosition(screenPosition);
+  }
+  return undefined;
+}
+
+// Models and tiles - the tools' own lines, labels and handles are not surfaces to pick on
+function isSurfaceHit(picked) {
+  if (!picked) return false;
+  const primitive = picked.primitive;
+  return primitive instanceof Cesium.Model || primitive instanceof Cesium.Cesium3DTileset;
+}
+
+// Screen position -> { lon, lat } on the 2D globe or the 3D tiles
+function pickLonLat(viewer, screenPosition) {
+  const cartesian = pickPoint(viewer, screenPosition);
+  if (!cartesian) return null;
+
+  const cartographic = Cesium.Cartographic.fromCartesian(cartesian);
+  return {
+    lon: Cesium.Math.toDegrees(cartographic.longitude),
+    lat: Cesium.Math.toDegrees(cartographic.latitude)
+  };
+}
+
+// ============ HELPERS ============
+
+function setCameraInputs(viewer, enabled) {
+  viewer.scene.screenSpaceCameraController.enableInputs = enabled;
+}
+
+function formatLength(meters) {
+  return meters >= 1000 ? `${(meters / 1000).toFixed(3)} km` : `${meters.toFixed(2)} m`;
+}
+
+export { activateTool, releaseTool, pickPoint, pickLonLat, setCameraInputs, formatLength };
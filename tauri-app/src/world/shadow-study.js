@@ -0,0 +1,238 @@
+// Sun and shadow study: drives viewer.clock so the sun (and shadows) match a chosen date and time
+// Shadows are cast by the synced model, snapshots and the photorealistic tileset
+
+import { logInfo } from "../communication/rhino-logger.js";
+import { getLastSync } from "./cesium-geometry.js";
+
+const MINUTES_PER_DAY = 24 * 60;
+const PLAY_MULTIPLIER = 1800;    // Animation speed: 30 minutes per second
+
+// Presets: equinoxes/solstices (month is 1-based) and times of day (minutes)
+const DATE_PRESETS = [
+  { label: "Mar equinox", month: 3, day: 20 },
+  { label: "Jun solstice", month: 6, day: 21 },
+  { label: "Sep equinox", month: 9, day: 22 },
+  { label: "Dec solstice", month: 12, day: 21 }
+];
+const TIME_PRESETS = [9 * 60, 12 * 60, 15 * 60];
+
+let viewer = null;
+let tileset = null;
+let isActive = false;
+
+// Study settings - local site time
+let studyDate = { year: new Date().getFullYear(), month: 6, day: 21 };
+let studyMinutes = 12 * 60;
+let utcOffsetHours = 0;
+
+// Scene state to restore when the study is closed
+let savedState = null;
+
+const listeners = [];
+
+// Initialize shadow study with viewer and tileset
+function initShadowStudy(cesiumViewer, googleTileset) {
+  viewer = cesiumViewer;
+  tileset = googleTileset;
+
+  // Keep UI in sync while the clock animates
+  viewer.clock.onTick.addEventListener(() => {
+    if (!isActive || !viewer.clock.shouldAnimate) return;
+    studyMinutes = getLocalMinutes(viewer.clock.currentTime);
+    notify();
+  });
+}
+
+// Turn the study on: enable shadows and put the sun at the study time
+function startShadowStudy() {
+  if (isActive) return;
+
+  savedState = {
+    shadows: viewer.shadows,
+    currentTime: viewer.clock.currentTime.clone(),
+    startTime: viewer.clock.startTime.clone(),
+    stopTime: viewer.clock.stopTime.clone(),
+    shouldAnimate: viewer.clock.shouldAnimate,
+    multiplier: viewer.clock.multiplier,
+    clockRange: viewer.clock.clockRange,
+    light: viewer.scene.light,
+    tilesetShadows: tileset ? tileset.shadows : undefined,
+    shadowMap: {
+      softShadows: viewer.scene.shadowMap.softShadows,
+      size: viewer.scene.shadowMap.size,
+      darkness: viewer.scene.shadowMap.darkness,
+      maximumDistance: viewer.scene.shadowMap.maximumDistance
+    }
+  };
+
+  // The sun only follows the clock with a SunLight - keep the configured intensity
+  if (!(viewer.scene.light instanceof Cesium.SunLight)) {
+    viewer.scene.light = new Cesium.SunLight({ intensity: viewer.scene.light.intensity });
+  }
+
+  // Default UTC offset from the site longitude (solar time zone)
+  utcOffsetHours = Math.round(getSiteLongitude() / 15);
+
+  viewer.shadows = true;
+  const shadowMap = viewer.scene.shadowMap;
+  shadowMap.softShadows = true;
+  shadowMap.size = 4096;
+  shadowMap.darkness = 0.4;
+  shadowMap.maximumDistance = 5000.0;
+
+  if (tileset) {
+    tileset.shadows = Cesium.ShadowMode.ENABLED;
+  }
+
+  isActive = true;
+  applyStudyTime();
+
+  logInfo(`SHADOWS: Study started (UTC${formatOffset(utcOffsetHours)})`);
+}
+
+// Turn the study off and restore the previous clock, lighting and shadow settings
+function stopShadowStudy() {
+  if (!isActive) return;
+
+  viewer.clock.shouldAnimate = false;
+  viewer.shadows = savedState.shadows;
+  Object.assign(viewer.scene.shadowMap, savedState.shadowMap);
+  if (tileset) {
+    tileset.shadows = savedState.tilesetShadows;
+  }
+  viewer.clock.startTime = savedState.startTime;
+  viewer.clock.stopTime = savedState.stopTime;
+  viewer.clock.currentTime = savedState.currentTime;
+  viewer.clock.shouldAnimate = savedState.shouldAnimate;
+  viewer.clock.multiplier = savedState.multiplier;
+  viewer.clock.clockRange = savedState.clockRange;
+  viewer.scene.light = savedState.light;
+  savedState = null;
+
+  isActive = false;
+  notify();
+
+  logInfo("SHADOWS: Study stopped");
+}
+
+// Set the study date (local site date)
+function setStudyDate(year, month, day) {
+  studyDate = { year, month, day };
+  applyStudyTime();
+}
+
+// Set the time of day in minutes after local midnight
+function setStudyMinutes(minutes) {
+  studyMinutes = Cesium.Math.clamp(Math.round(minutes), 0, MINUTES_PER_DAY - 1);
+  applyStudyTime();
+}
+
+// Set the site's offset from UTC in hours (e.g. -5 for New York winter time)
+function setUtcOffset(hours) {
+  utcOffsetHours = hours;
+  applyStudyTime();
+}
+
+// Move the time of day by a number of minutes (wraps within the day)
+function stepStudyTime(deltaMinutes) {
+  pauseShadowAnimation();
+  setStudyMinutes((studyMinutes + deltaMinutes + MINUTES_PER_DAY) % MINUTES_PER_DAY);
+}
+
+// Animate through the study day, looping at midnight
+function playShadowAnimation() {
+  if (!isActive) return;
+
+  const clock = viewer.clock;
+  clock.startTime = toJulianDate(0);
+  clock.stopTime = toJulianDate(MINUTES_PER_DAY);
+  clock.clockRange = Cesium.ClockRange.LOOP_STOP;
+  clock.multiplier = PLAY_MULTIPLIER;
+  clock.shouldAnimate = true;
+  notify();
+}
+
+// Stop the animation at the current time
+function pauseShadowAnimation() {
+  if (!isActive) return;
+
+  viewer.clock.shouldAnimate = false;
+  notify();
+}
+
+// ============ HELPERS ============
+
+// Put the clock at the study date/time
+function applyStudyTime() {
+  if (!isActive) {
+    notify();
+    return;
+  }
+
+  viewer.clock.currentTime = toJulianDate(studyMinutes);
+  notify();
+}
+
+// Local study date + minutes -> JulianDate (UTC)
+function toJulianDate(minutes) {
+  const utcMillis = Date.UTC(studyDate.year, studyDate.month - 1, studyDate.day) +
+    (minutes - utcOffsetHours * 60) * 60 * 1000;
+  return Cesium.JulianDate.fromDate(new Date(utcMillis));
+}
+
+// JulianDate -> minutes after local midnight
+function getLocalMinutes(julianDate) {
+  const date = Cesium.JulianDate.toDate(julianDate);
+  const utcMinutes = date.getUTCHours() * 60 + date.getUTCMinutes();
+  return ((utcMinutes + utcOffsetHours * 60) % MINUTES_PER_DAY + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+}
+
+// Longitude of the synced model, or of the camera if nothing is synced
+function getSiteLongitude() {
+  const sync = getLastSync();
+  if (sync) {
+    return sync.position.lon;
+  }
+  return Cesium.Math.toDegrees(viewer.camera.positionCartographic.longitude);
+}
+
+function formatOffset(hours) {
+  return (hours >= 0 ? "+" : "") + hours;
+}
+
+function notify() {
+  const state = getShadowStudyState();
+  listeners.forEach(listener => listener(state));
+}
+
+// Get study state for UI
+function getShadowStudyState() {
+  return {
+    active: isActive,
+    playing: isActive && viewer.clock.shouldAnimate,
+    date: { ...studyDate },
+    minutes: studyMinutes,
+    utcOffsetHours
+  };
+}
+
+// Register a callback for study state changes
+function onShadowStudyChanged(listener) {
+  listeners.push(listener);
+}
+
+export {
+  DATE_PRESETS,
+  TIME_PRESETS,
+  initShadowStudy,
+  startShadowStudy,
+  stopShadowStudy,
+  setStudyDate,
+  setStudyMinutes,
+  setUtcOffset,
+  stepStudyTime,
+  playShadowAnimation,
+  pauseShadowAnimation,
+  getShadowStudyState,
+  onShadowStudyChanged
+};
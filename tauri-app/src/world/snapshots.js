@@ -0,0 +1,352 @@
+// Design option snapshots: saved massing states (GLB bytes, placement, clipping)
+// Shown one at a time, or two side by side with a swipe split over the same 3D tiles
+// Stored in Documents/McAtlas/snapshots so they survive a restart, and copied into saved projects
+
+import {
+  readFile,
+  writeFile,
+  copyFile,
+  readTextFile,
+  writeTextFile,
+  mkdir,
+  exists,
+  remove,
+  BaseDirectory
+} from "@tauri-apps/plugin-fs";
+import { logInfo, logWarn, logError } from "../communication/rhino-logger.js";
+import { notifyWarning, notifyError } from "../ui/notifications.js";
+import {
+  getLastSync,
+  setLiveViewActive,
+  applyClippingPolygons,
+  removeClipping
+} from "./cesium-geometry.js";
+import { computeModelPlacement } from "./model-placement.js";
+
+const SNAPSHOT_DIR = "McAtlas/snapshots";
+const INDEX_PATH = `${SNAPSHOT_DIR}/snapshots.json`;
+const FS_OPTIONS = { baseDir: BaseDirectory.Document };
+
+let viewer = null;
+let tileset = null;
+
+// [{ id, name, createdAt, position, groundHeight, clippingPolygons, models: [{ name, glbFile }] }]
+let snapshots = [];
+
+// What the viewer shows: { mode: 'live' } | { mode: 'snapshot', id } | { mode: 'compare', leftId, rightId }
+let currentView = { mode: 'live' };
+
+// Model primitives currently shown for snapshots: [{ model, url }]
+let shownModels = [];
+
+// Incremented on every view change so slow GLB loads of an old view are discarded
+let viewToken = 0;
+
+const listeners = [];
+
+// Load saved snapshots from disk
+async function initSnapshots(cesiumViewer, googleTileset) {
+  viewer = cesiumViewer;
+  tileset = googleTileset;
+
+  try {
+    if (await exists(INDEX_PATH, FS_OPTIONS)) {
+      snapshots = JSON.parse(await readTextFile(INDEX_PATH, FS_OPTIONS));
+      logInfo(`SNAPSHOT: Loaded ${snapshots.length} snapshot(s)`);
+    }
+  } catch (error) {
+    logError(`SNAPSHOT ERROR: Failed to load snapshots: ${error.message || error}`);
+    snapshots = [];
+  }
+
+  notify();
+}
+
+// Save the currently synced massing as a named snapshot
+async function saveSnapshot(name) {
+  const sync = getLastSync();
+  if (!sync) {
+    notifyWarning("No model loaded yet. Click Sync first!");
+    return null;
+  }
+
+  const snapshot = {
+    id: `snap-${Date.now()}`,
+    name: name || getDefaultSnapshotName(),
+    createdAt: new Date().toISOString(),
+    position: sync.position,
+    groundHeight: sync.groundHeight,
+    clippingPolygons: sync.clippingPolygons,
+    models: sync.models.map(({ name, glbFile }) => ({ name, glbFile }))
+  };
+
+  logInfo(`SNAPSHOT: Saving "${snapshot.name}" (${sync.models.length} model(s))`);
+
+  try {
+    const dir = `${SNAPSHOT_DIR}/${snapshot.id}`;
+    await mkdir(dir, { ...FS_OPTIONS, recursive: true });
+
+    for (const model of sync.models) {
+      await writeFile(`${dir}/${model.glbFile}`, model.bytes, FS_OPTIONS);
+    }
+
+    snapshots.push(snapshot);
+    await writeIndex();
+  } catch (error) {
+    logError(`SNAPSHOT ERROR: ${error.message}`);
+    notifyError("Failed to save snapshot: " + error.message);
+    return null;
+  }
+
+  logInfo(`SNAPSHOT: Saved "${snapshot.name}"`);
+  notify();
+  return snapshot;
+}
+
+// Delete a snapshot (returns to live view if it was shown)
+async function deleteSnapshot(id) {
+  const snapshot = getSnapshot(id);
+  if (!snapshot) return;
+
+  if (isSnapshotShown(id)) {
+    await showLive();
+  }
+
+  snapshots = snapshots.filter(s => s.id !== id);
+  await writeIndex();
+
+  try {
+    await remove(`${SNAPSHOT_DIR}/${id}`, { ...FS_OPTIONS, recursive: true });
+  } catch (error) {
+    logWarn(`SNAPSHOT WARNING: Could not delete files of "${snapshot.name}": ${error.message}`);
+  }
+
+  logInfo(`SNAPSHOT: Deleted "${snapshot.name}"`);
+  notify();
+}
+
+// ============ VIEW SWITCHING ============
+
+// Back to the live synced model
+async function showLive() {
+  viewToken++;
+  clearShownModels();
+  await setLiveViewActive(viewer, tileset, true);
+
+  currentView = { mode: 'live' };
+  notify();
+}
+
+// Show a single snapshot instead of the live model
+async function showSnapshot(id) {
+  const snapshot = getSnapshot(id);
+  if (!snapshot) return;
+
+  const token = ++viewToken;
+  clearShownModels();
+  await setLiveViewActive(viewer, tileset, false);
+  await applySnapshotClipping([snapshot]);
+
+  currentView = { mode: 'snapshot', id };
+  notify();
+
+  await loadSnapshotModels(snapshot, Cesium.SplitDirection.NONE, token);
+  logInfo(`SNAPSHOT: Showing "${snapshot.name}"`);
+}
+
+// Compare two snapshots: left of the swipe line shows one, right shows the other
+async function compareSnapshots(leftId, rightId) {
+  const left = getSnapshot(leftId);
+  const right = getSnapshot(rightId);
+  if (!left || !right) return;
+
+  const token = ++viewToken;
+  clearShownModels();
+  await setLiveViewActive(viewer, tileset, false);
+
+  // Both sides share one tileset, so it is cut by the union of both clippings
+  await applySnapshotClipping([left, right]);
+
+  currentView = { mode: 'compare', leftId, rightId };
+  viewer.scene.splitPosition = 0.5;
+  notify();
+
+  await loadSnapshotModels(left, Cesium.SplitDirection.LEFT, token);
+  await loadSnapshotModels(right, Cesium.SplitDirection.RIGHT, token);
+  logInfo(`SNAPSHOT: Comparing "${left.name}" | "${right.name}"`);
+}
+
+// Move the swipe line, position 0..1 from the left edge
+function setSwipePosition(position) {
+  viewer.scene.splitPosition = Cesium.Math.clamp(position, 0, 1);
+}
+
+// Fly to the models of the shown snapshot(s) (for Target button)
+function flyToShownSnapshot() {
+  const readyModels = shownModels.filter(({ model }) => model.ready);
+  if (readyModels.length === 0) return;
+
+  const sphere = Cesium.BoundingSphere.fromBoundingSpheres(
+    readyModels.map(({ model }) => model.boundingSphere)
+  );
+  viewer.camera.flyToBoundingSphere(sphere, { duration: 1.5 });
+}
+
+// ============ PROJECTS ============
+
+// Copy every snapshot's GLBs into dir/<id> - returns the records to store with a project
+async function writeSnapshotFiles(dir) {
+  for (const snapshot of snapshots) {
+    await mkdir(`${dir}/${snapshot.id}`, { ...FS_OPTIONS, recursive: true });
+    for (const info of snapshot.models) {
+      await copyFile(`${SNAPSHOT_DIR}/${snapshot.id}/${info.glbFile}`, `${dir}/${snapshot.id}/${info.glbFile}`,
+        { fromPathBaseDir: FS_OPTIONS.baseDir, toPathBaseDir: FS_OPTIONS.baseDir });
+    }
+  }
+  return snapshots.map(snapshot => ({ ...snapshot }));
+}
+
+// Bring back a project's snapshots that are missing here (deleted since, or saved elsewhere)
+// from the copies in dir/<id> (see writeSnapshotFiles)
+async function restoreSnapshots(records, dir) {
+  const known = new Set(snapshots.map(s => s.id));
+  // Older projects stored only the ids
+  const missing = (records || []).filter(record => record && typeof record === "object" && !known.has(record.id));
+  if (missing.length === 0) return;
+
+  let restored = 0;
+  for (const snapshot of missing) {
+    try {
+      await mkdir(`${SNAPSHOT_DIR}/${snapshot.id}`, { ...FS_OPTIONS, recursive: true });
+      for (const info of snapshot.models) {
+        await copyFile(`${dir}/${snapshot.id}/${info.glbFile}`, `${SNAPSHOT_DIR}/${snapshot.id}/${info.glbFile}`,
+          { fromPathBaseDir: FS_OPTIONS.baseDir, toPathBaseDir: FS_OPTIONS.baseDir });
+      }
+      snapshots.push(snapshot);
+      restored++;
+    } catch (error) {
+      logWarn(`SNAPSHOT WARNING: Could not restore "${snapshot.name}" from the project: ${error.message}`);
+    }
+  }
+
+  if (restored > 0) {
+    await writeIndex();
+    logInfo(`SNAPSHOT: Restored ${restored} snapshot(s) from the project`);
+    notify();
+  }
+}
+
+// ============ HELPERS ============
+
+async function loadSnapshotModels(snapshot, splitDirection, token) {
+  const { modelMatrix } = computeModelPlacement(snapshot.position, snapshot.groundHeight);
+
+  for (const info of snapshot.models) {
+    try {
+      const bytes = await readFile(`${SNAPSHOT_DIR}/${snapshot.id}/${info.glbFile}`, FS_OPTIONS);
+      const url = URL.createObjectURL(new Blob([bytes], { type: "model/gltf-binary" }));
+
+      const model = await Cesium.Model.fromGltfAsync({
+        url,
+        modelMatrix,
+        splitDirection,
+        environmentMapOptions: {
+          enabled: false  // Match live models (no blue tint)
+        }
+      });
+
+      // The view changed while we were loading - discard
+      if (token !== viewToken) {
+        model.destroy();
+        URL.revokeObjectURL(url);
+        return;
+      }
+
+      viewer.scene.primitives.add(model);
+      shownModels.push({ model, url });
+    } catch (error) {
+      logError(`SNAPSHOT ERROR: Failed to load "${info.name}" of "${snapshot.name}": ${error.message}`);
+    }
+  }
+}
+
+async function applySnapshotClipping(shown) {
+  const polygons = shown.flatMap(snapshot => snapshot.clippingPolygons || []);
+
+  if (polygons.length > 0 && tileset) {
+    await applyClippingPolygons(viewer, tileset, polygons);
+  } else {
+    await removeClipping(viewer, tileset);
+  }
+}
+
+function clearShownModels() {
+  for (const { model, url } of shownModels) {
+    viewer.scene.primitives.remove(model);
+    URL.revokeObjectURL(url);
+  }
+  shownModels = [];
+  viewer.scene.splitPosition = 0.5;
+}
+
+async function writeIndex() {
+  await mkdir(SNAPSHOT_DIR, { ...FS_OPTIONS, recursive: true });
+  await writeTextFile(INDEX_PATH, JSON.stringify(snapshots, null, 2), FS_OPTIONS);
+}
+
+// "Option A", "Option B", ... skipping names already taken
+function getDefaultSnapshotName() {
+  const taken = new Set(snapshots.map(s => s.name));
+  for (let i = 0; i < 26; i++) {
+    const name = `Option ${String.fromCharCode(65 + i)}`;
+    if (!taken.has(name)) return name;
+  }
+  return `Option ${snapshots.length + 1}`;
+}
+
+function getSnapshot(id) {
+  return snapshots.find(s => s.id === id) || null;
+}
+
+function isSnapshotShown(id) {
+  return (currentView.mode === 'snapshot' && currentView.id === id) ||
+    (currentView.mode === 'compare' && (currentView.leftId === id || currentView.rightId === id));
+}
+
+function notify() {
+  listeners.forEach(listener => listener(getSnapshots(), currentView));
+}
+
+// ============ PUBLIC STATE ============
+
+// Get snapshot metadata list
+function getSnapshots() {
+  return snapshots.map(({ id, name, createdAt, models }) => ({ id, name, createdAt, modelCount: models.length }));
+}
+
+// Get what the viewer shows (see currentView)
+function getSnapshotView() {
+  return currentView;
+}
+
+// Register a callback for snapshot list or view changes: (snapshots, view) => {}
+function onSnapshotsChanged(listener) {
+  listeners.push(listener);
+}
+
+export {
+  initSnapshots,
+  saveSnapshot,
+  deleteSnapshot,
+  showLive,
+  showSnapshot,
+  compareSnapshots,
+  setSwipePosition,
+  flyToShownSnapshot,
+  getSnapshots,
+  getSnapshotView,
+  getDefaultSnapshotName,
+  onSnapshotsChanged,
+  writeSnapshotFiles,
+  restoreSnapshots
+};
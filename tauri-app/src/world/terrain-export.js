@@ -0,0 +1,198 @@
+// Terrain export: samples a regular height grid over the export region from the 2D globe's terrain
+// and sends it to Rhino as a mesh in the earth anchor's local meters (x = east, y = north, z = up)
+// z = 0 is the ground at the anchor - Rhino converts to model units and the site grid's north rotation
+
+import { logDebug, logInfo, logError } from "../communication/rhino-logger.js";
+import { importTerrainMesh } from "../communication/rhino-client.js";
+import { getLastSync } from "./cesium-geometry.js";
+import { getGlobe2D } from "./view-mode.js";
+import { createLocalFrame } from "./map-reproject.js";
+import { setEarthAnchorInRhino } from "./map-export.js";
+import { notifyError } from "../ui/notifications.js";
+
+const DEFAULT_TERRAIN_SPACING = 10;   // Meters between grid points
+const MAX_TERRAIN_VERTICES = 250000;  // Keeps the request and the Rhino mesh manageable
+const SAMPLE_BATCH_SIZE = 2500;       // Heights per terrain request (for progress)
+
+// Grid size for a region { west, south, east, north } at a spacing in meters
+// anchor: { lat, lon } the grid is laid out around (defaults to the synced model's anchor)
+function estimateTerrainExport(region, spacing, anchor = getTerrainAnchor(region)) {
+  const frame = createLocalFrame(anchor);
+
+  // Region outline in local meters -> bounding box snapped to the spacing
+  const corners = [
+    frame.toLocal(region.west, region.north),
+    frame.toLocal(region.east, region.north),
+    frame.toLocal(region.east, region.south),
+    frame.toLocal(region.west, region.south)
+  ];
+  const minEast = Math.floor(Math.min(...corners.map(c => c.east)) / spacing) * spacing;
+  const maxEast = Math.ceil(Math.max(...corners.map(c => c.east)) / spacing) * spacing;
+  const minNorth = Math.floor(Math.min(...corners.map(c => c.north)) / spacing) * spacing;
+  const maxNorth = Math.ceil(Math.max(...corners.map(c => c.north)) / spacing) * spacing;
+
+  const columns = Math.round((maxEast - minEast) / spacing) + 1;
+  const rows = Math.round((maxNorth - minNorth) / spacing) + 1;
+
+  return {
+    anchor,
+    spacing,
+    minEast,
+    minNorth,
+    columns,
+    rows,
+    vertexCount: columns * rows,
+    tooLarge: columns * rows > MAX_TERRAIN_VERTICES
+  };
+}
+
+// Sample the terrain and send the mesh to Rhino
+// options: { region, spacing, drape (texture with the last exported map), onProgress({ done, total }), signal }
+// Returns null when the export failed or was cancelled
+async function exportTerrainToRhino(viewer, { region, spacing = DEFAULT_TERRAIN_SPACING, drape = false, onProgress, signal }) {
+  logInfo("=== TERRAIN EXPORT START ===");
+
+  const globe = getGlobe2D();
+  const terrainProvider = globe ? globe.terrainProvider : null;
+  if (!terrainProvider || terrainProvider instanceof Cesium.EllipsoidTerrainProvider) {
+    logError("No terrain provider loaded");
+    notifyError("Terrain is not available - check the terrain source in the side panel (Base Data).");
+    return null;
+  }
+
+  // Step 1: Grid around the earth anchor
+  const sync = getLastSync();
+  const grid = estimateTerrainExport(region, spacing);
+  logInfo(`Terrain grid: ${grid.columns} x ${grid.rows} = ${grid.vertexCount} points at ${spacing}m`);
+  logInfo(`Anchor: lat=${grid.anchor.lat.toFixed(8)}, lon=${grid.anchor.lon.toFixed(8)}${sync ? " (synced model)" : " (region center)"}`);
+
+  if (grid.tooLarge) {
+    logError(`More than ${MAX_TERRAIN_VERTICES} points - use a larger spacing or smaller region`);
+    notifyError(`The terrain grid would have ${grid.vertexCount} points. ` +
+      `Please use a larger spacing or a smaller region (max ${MAX_TERRAIN_VERTICES}).`);
+    return null;
+  }
+
+  // Step 2: Sample heights (anchor ground height too, unless the synced model already knows it)
+  const frame = createLocalFrame(grid.anchor);
+  const cartographics = [];
+  for (let row = 0; row < grid.rows; row++) {
+    for (let col = 0; col < grid.columns; col++) {
+      const { lon, lat } = frame.toLonLat(grid.minEast + col * spacing, grid.minNorth + row * spacing);
+      cartographics.push(Cesium.Cartographic.fromDegrees(lon, lat));
+    }
+  }
+  const anchorCartographic = Cesium.Cartographic.fromDegrees(grid.anchor.lon, grid.anchor.lat);
+
+  try {
+    await sampleHeights(terrainProvider, cartographics, onProgress, signal);
+    if (!sync) {
+      await Cesium.sampleTerrainMostDetailed(terrainProvider, [anchorCartographic]);
+    }
+  } catch (error) {
+    if (signal && signal.aborted) {
+      logInfo("Terrain export cancelled");
+      return null;
+    }
+    logError(`Failed to sample terrain: ${error.message}`);
+    notifyError("Terrain export failed: " + error.message);
+    return null;
+  }
+
+  const groundHeight = sync ? sync.groundHeight : anchorCartographic.height;
+  logDebug(`Anchor ground height: ${groundHeight.toFixed(2)}m`);
+
+  // Step 3: Vertices in anchor-local meters (includes earth curvature, like the model placement)
+  const vertices = [];
+  let minZ = Infinity;
+  let maxZ = -Infinity;
+  for (const cartographic of cartographics) {
+    const local = frame.toLocalPoint(cartographic);
+    const z = local.up - groundHeight;
+    vertices.push(round(local.east), round(local.north), round(z));
+    minZ = Math.min(minZ, z);
+    maxZ = Math.max(maxZ, z);
+  }
+  logDebug(`Relief: ${minZ.toFixed(1)}m to ${maxZ.toFixed(1)}m relative to the anchor`);
+
+  // Step 4: Without a synced model Rhino's anchor may be elsewhere - put it at the grid's anchor
+  if (!sync) {
+    logInfo("Setting EarthAnchorPoint in Rhino (using region center)...");
+    const anchorResult = await setEarthAnchorInRhino(grid.anchor.lat, grid.anchor.lon, { signal });
+    if (anchorResult.error) {
+      logError(`Failed to set earth anchor: ${anchorResult.error}`);
+      if (!(signal && signal.aborted)) {
+        notifyError("Terrain export failed - could not set the earth anchor in Rhino: " + anchorResult.error);
+      }
+      return null;
+    }
+  }
+
+  // Step 5: Send mesh to Rhino
+  logInfo("Sending terrain mesh to Rhino...");
+  const importResult = await sendTerrainMeshToRhino({
+    columns: grid.columns,
+    rows: grid.rows,
+    spacing,
+    drape,
+    vertices
+  }, signal);
+
+  if (importResult.error) {
+    logError(`Failed to place terrain mesh: ${importResult.error}`);
+    if (!(signal && signal.aborted)) {
+      notifyError("Terrain export failed: " + importResult.error);
+    }
+    return null;
+  }
+  logInfo(`Terrain mesh placed in Rhino${importResult.draped ? " (draped with map image)" : ""}`);
+
+  logInfo("=== TERRAIN EXPORT COMPLETE ===");
+
+  return { grid, groundHeight, minZ, maxZ };
+}
+
+// Anchor the grid is built around: the synced model's earth anchor, else the region center
+function getTerrainAnchor(region) {
+  const sync = getLastSync();
+  if (sync) {
+    return { lat: sync.position.lat, lon: sync.position.lon };
+  }
+  return {
+    lat: (region.north + region.south) / 2,
+    lon: (region.east + region.west) / 2
+  };
+}
+
+// Sample heights in batches (fills in cartographic.height) and report progress
+// A cancel takes effect between batches
+async function sampleHeights(terrainProvider, cartographics, onProgress, signal) {
+  for (let start = 0; start < cartographics.length; start += SAMPLE_BATCH_SIZE) {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+    const batch = cartographics.slice(start, start + SAMPLE_BATCH_SIZE);
+    await Cesium.sampleTerrainMostDetailed(terrainProvider, batch, true);
+
+    if (onProgress) {
+      onProgress({ done: Math.min(start + SAMPLE_BATCH_SIZE, cartographics.length), total: cartographics.length });
+    }
+  }
+}
+
+// Millimeter precision keeps the request small
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Send terrain mesh to Rhino
+async function sendTerrainMeshToRhino(mesh, signal) {
+  try {
+    return await importTerrainMesh(mesh, { signal });
+  } catch (error) {
+    logError(`Failed to send terrain mesh: ${error.message}`);
+    return { error: error.message };
+  }
+}
+
+export { DEFAULT_TERRAIN_SPACING, estimateTerrainExport, exportTerrainToRhino };
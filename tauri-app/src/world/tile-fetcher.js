@@ -0,0 +1,155 @@
+// Tile fetcher for map export: bounded-concurrency pool with retry/backoff and an on-disk cache
+// Cached tiles live in the app data directory, so re-exports are instant and work offline
+
+import { readFile, writeFile, mkdir, exists, BaseDirectory } from "@tauri-apps/plugin-fs";
+import { logWarn } from "../communication/rhino-logger.js";
+
+const CACHE_DIR = "tile-cache";
+const FS_OPTIONS = { baseDir: BaseDirectory.AppData };
+
+const DEFAULT_CONCURRENCY = 6;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;   // 500ms, 1s, 2s
+
+// Thrown when some tiles could not be fetched - carries their coordinates
+class TileFetchError extends Error {
+  constructor(failedTiles) {
+    const list = failedTiles.slice(0, 10).map(t => `(${t.x}, ${t.y})`).join(", ");
+    const more = failedTiles.length > 10 ? ` and ${failedTiles.length - 10} more` : "";
+    super(`${failedTiles.length} tile(s) failed at zoom ${failedTiles[0].zoom}: ${list}${more}`);
+    this.name = "TileFetchError";
+    this.failedTiles = failedTiles;
+  }
+}
+
+// Fetch every tile in a range and hand each image to drawTile(image, x, y)
+// options: { imageryProvider, cacheKey, concurrency, onProgress({ done, total, cached, failed }), signal }
+// Throws TileFetchError listing the tiles that still failed after retries, or the abort reason
+// once the tiles in flight have finished (they are still cached)
+async function fetchTiles({ startX, startY, endX, endY, zoom }, drawTile, options) {
+  const { imageryProvider, cacheKey, concurrency = DEFAULT_CONCURRENCY, onProgress, signal } = options;
+
+  const queue = [];
+  for (let y = startY; y <= endY; y++) {
+    for (let x = startX; x <= endX; x++) {
+      queue.push({ x, y, zoom });
+    }
+  }
+
+  const progress = { done: 0, total: queue.length, cached: 0, failed: 0 };
+  const failedTiles = [];
+
+  // Each worker pulls the next tile until the queue is empty
+  const worker = async () => {
+    while (queue.length > 0 && !(signal && signal.aborted)) {
+      const tile = queue.shift();
+      try {
+        const { image, fromCache } = await getTile(tile, imageryProvider, cacheKey, signal);
+        drawTile(image, tile.x, tile.y);
+        if (fromCache) progress.cached++;
+      } catch (error) {
+        // Cancelled mid-retry - not a failed tile
+        if (signal && signal.aborted) return;
+        failedTiles.push({ ...tile, error: error.message });
+        progress.failed++;
+      }
+      progress.done++;
+      if (onProgress) onProgress({ ...progress });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+  if (signal) {
+    signal.throwIfAborted();
+  }
+
+  if (failedTiles.length > 0) {
+    throw new TileFetchError(failedTiles);
+  }
+
+  return progress;
+}
+
+// Get one tile: disk cache first, then the provider (with retries), then store in cache
+async function getTile({ x, y, zoom }, imageryProvider, cacheKey, signal) {
+  const cachePath = cacheKey ? `${CACHE_DIR}/${cacheKey}/${zoom}/${x}/${y}.png` : null;
+
+  if (cachePath) {
+    const cached = await readCachedTile(cachePath);
+    if (cached) {
+      return { image: cached, fromCache: true };
+    }
+  }
+
+  if (!imageryProvider) {
+    throw new Error("Not cached and no imagery provider available (offline?)");
+  }
+
+  const image = await requestWithRetry(imageryProvider, x, y, zoom, signal);
+
+  if (cachePath) {
+    // A failed cache write must not fail the export
+    writeCachedTile(cachePath, image).catch(error => {
+      logWarn(`Tile cache write failed for ${cachePath}: ${error.message || error}`);
+    });
+  }
+
+  return { image, fromCache: false };
+}
+
+// Request a tile, retrying with exponential backoff
+// requestImage returns undefined when Cesium's request scheduler is throttled - retry that too
+// signal: stops retrying once the export is cancelled (throws the abort reason)
+async function requestWithRetry(imageryProvider, x, y, zoom, signal) {
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    if (attempt > 0) {
+      await delay(RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1));
+    }
+    if (signal) {
+      signal.throwIfAborted();
+    }
+
+    try {
+      const image = await imageryProvider.requestImage(x, y, zoom);
+      if (image) return image;
+      lastError = new Error("Request throttled");
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw new Error(`${lastError.message || lastError} (after ${MAX_RETRIES} retries)`);
+}
+
+async function readCachedTile(path) {
+  try {
+    if (!(await exists(path, FS_OPTIONS))) return null;
+    const bytes = await readFile(path, FS_OPTIONS);
+    return await createImageBitmap(new Blob([bytes], { type: "image/png" }));
+  } catch (error) {
+    // Corrupt or unreadable cache entry - fetch it again
+    return null;
+  }
+}
+
+async function writeCachedTile(path, image) {
+  const canvas = document.createElement("canvas");
+  canvas.width = image.width;
+  canvas.height = image.height;
+  canvas.getContext("2d").drawImage(image, 0, 0);
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+
+  await mkdir(path.substring(0, path.lastIndexOf("/")), { ...FS_OPTIONS, recursive: true });
+  await writeFile(path, bytes, FS_OPTIONS);
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export { TileFetchError, fetchTiles };
@@ -1,5 +1,8 @@
 // View mode manager: handles 2D/3D toggle
-// Switches between Google Photorealistic 3D Tiles and 2D satellite imagery
+// Switches between the 3D tiles and the 2D globe (imagery and terrain from base-data.js)
+// Without 3D tiles the 3D view shows the globe too
+
+import { createBaseImageryProvider, createBaseTerrainProvider } from "./base-data.js";
 
 let currentMode = '3D';
 let viewer = null;
@@ -7,6 +10,8 @@ let tileset3D = null;
 let globe2D = null;
 let globeInitialized = false;
 
+const modeListeners = [];
+
 // Initialize view mode manager with Cesium viewer and 3D tileset reference
 async function initViewMode(cesiumViewer, googleTileset) {
   viewer = cesiumViewer;
@@ -15,25 +20,30 @@ async function initViewMode(cesiumViewer, googleTileset) {
   // Create a separate globe for 2D mode (like original)
   globe2D = new Cesium.Globe(Cesium.Ellipsoid.WGS84);
   
-  // Add Cesium World Terrain for elevation sampling
-  try {
-    const worldTerrain = await Cesium.CesiumTerrainProvider.fromIonAssetId(1);
-    globe2D.terrainProvider = worldTerrain;
-    console.log('[McAtlas] World Terrain loaded for 2D globe');
-  } catch (error) {
-    console.error('[McAtlas] Failed to load World Terrain:', error);
-  }
+  // Terrain for elevation sampling (World Terrain by default, flat if none loads)
+  globe2D.terrainProvider = await createBaseTerrainProvider();
   
-  // Add Google Maps 2D Satellite imagery (no labels)
-  try {
-    const imageryProvider = await Cesium.IonImageryProvider.fromAssetId(3830182);
+  // 2D imagery (Google Maps 2D Satellite by default)
+  const imageryProvider = await createBaseImageryProvider();
+  if (imageryProvider) {
     globe2D.imageryLayers.addImageryProvider(imageryProvider);
-    console.log('[McAtlas] Google 2D imagery loaded');
-  } catch (error) {
-    console.error('[McAtlas] Failed to load Google 2D imagery:', error);
+  }
+
+  // Nothing to show in 3D without tiles - use the globe there too
+  if (!tileset3D) {
+    attachGlobe();
   }
 }
 
+// Attach the globe to the scene (only once) and show it
+function attachGlobe() {
+  if (!globeInitialized) {
+    viewer.scene.globe = globe2D;
+    globeInitialized = true;
+  }
+  globe2D.show = true;
+}
+
 // Switch to 2D satellite view
 function switchTo2D() {
   if (currentMode === '2D') return;
@@ -68,11 +78,7 @@ function switchTo2D() {
   }
   
   // Attach globe to scene (only once) and show it
-  if (!globeInitialized) {
-    viewer.scene.globe = globe2D;
-    globeInitialized = true;
-  }
-  globe2D.show = true;
+  attachGlobe();
   
   // Set camera to top-down view centered on target
   viewer.camera.setView({
@@ -90,6 +96,7 @@ function switchTo2D() {
   viewer.scene.screenSpaceCameraController.enableLook = false;
   
   currentMode = '2D';
+  notifyModeChanged();
 }
 
 // Switch to 3D photorealistic view
@@ -102,8 +109,8 @@ function switchTo3D() {
   const lat = Cesium.Math.toDegrees(cartographic.latitude);
   const height = cartographic.height;
   
-  // Hide globe
-  if (globe2D) {
+  // Hide globe (unless it stands in for missing 3D tiles)
+  if (globe2D && tileset3D) {
     globe2D.show = false;
   }
   
@@ -133,6 +140,7 @@ function switchTo3D() {
   viewer.camera.lookAtTransform(Cesium.Matrix4.IDENTITY);
   
   currentMode = '3D';
+  notifyModeChanged();
 }
 
 // Toggle between modes, returns new mode
@@ -145,14 +153,41 @@ function toggleViewMode() {
   return currentMode;
 }
 
+// Switch to a given mode ('2D' | '3D'), e.g. when opening a project
+function setViewMode(mode) {
+  if (mode === '2D') {
+    switchTo2D();
+  } else if (mode === '3D') {
+    switchTo3D();
+  }
+}
+
 // Get current mode
 function getCurrentMode() {
   return currentMode;
 }
 
+// Register a callback for mode changes: (mode) => {}
+function onViewModeChanged(listener) {
+  modeListeners.push(listener);
+}
+
+function notifyModeChanged() {
+  modeListeners.forEach(listener => listener(currentMode));
+}
+
 // Get the 2D globe (for terrain sampling)
 function getGlobe2D() {
   return globe2D;
 }
 
-export { initViewMode, toggleViewMode, getCurrentMode, switchTo2D, switchTo3D, getGlobe2D };
\ No newline at end of file
+export {
+  initViewMode,
+  toggleViewMode,
+  setViewMode,
+  getCurrentMode,
+  onViewModeChanged,
+  switchTo2D,
+  switchTo3D,
+  getGlobe2D
+};
\ No newline at end of file
@@ -0,0 +1,579 @@
+// Visibility analysis from a picked viewpoint: sight lines to a picked target and 360° or wedge
+// viewsheds. Heights come from the rendered scene (photorealistic tiles and the synced model), or
+// the terrain in 2D mode. Viewsheds colour the ground visible / hidden and report how much of each
+// live model can be seen from the eye
+
+import { logInfo, logError } from "../communication/rhino-logger.js";
+import { showProgress, notifyError } from "../ui/notifications.js";
+import { getCurrentMode, getGlobe2D } from "./view-mode.js";
+import { getModelEntities } from "./cesium-geometry.js";
+import { activateTool, releaseTool, pickPoint, formatLength } from "./scene-tools.js";
+
+const VISIBLE_COLOR = Cesium.Color.fromCssColorString("#22c55e");
+const HIDDEN_COLOR = Cesium.Color.fromCssColorString("#ef4444");
+const OBSERVER_COLOR = Cesium.Color.fromCssColorString("#f59e0b");
+const CELL_ALPHA = 0.45;
+const LABEL_FONT = "13px sans-serif";
+
+// Tools: points to pick (viewshed: a second one sets the wedge direction when the view is < 360°)
+const VISIBILITY_TOOLS = {
+  line: { label: "Sight line" },
+  viewshed: { label: "Viewshed" }
+};
+
+// Viewshed sampling: degrees between rays, meters between samples along a ray
+const DETAIL_LEVELS = {
+  coarse: { label: "Coarse", angleStep: 4, spacing: 10 },
+  normal: { label: "Normal", angleStep: 2, spacing: 5 },
+  fine: { label: "Fine", angleStep: 1, spacing: 2.5 }
+};
+
+const MAX_VIEWSHED_SAMPLES = 40000;   // Larger radii get a wider spacing
+const MAX_LINE_SAMPLES = 1000;
+const SAMPLE_BATCH_SIZE = 500;
+const SIGHT_TOLERANCE = 0.3;          // Meters a surface may rise above a sight line (sampling noise)
+const END_CLEARANCE = 1.0;            // Meters at each end of a sight line that are not checked
+const MODEL_GRID = 12;                // Rays per side of the grid aimed at each model
+const CURVATURE = (1 - 0.13) / (2 * 6371000);   // Earth curvature less refraction: drop = d² × CURVATURE
+
+let viewer = null;
+let handler = null;
+let activeTool = null;
+let busy = false;
+
+// Eye height and viewshed extent (meters, degrees)
+let settings = { eyeHeight: 1.6, radius: 300, fov: 360, detail: 'normal' };
+
+// Analysis being placed: picked points + preview entities
+let pending = null;
+let cursorPosition = null;
+
+// Finished analyses: { id, tool, text, entities, primitives }
+let analyses = [];
+let nextId = 1;
+
+const listeners = [];
+
+// Initialize the visibility tools (inactive until a tool is chosen)
+function initVisibility(cesiumViewer) {
+  viewer = cesiumViewer;
+  handler = new Cesium.ScreenSpaceEventHandler(viewer.scene.canvas);
+
+  handler.setInputAction(onLeftClick, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+  handler.setInputAction(onMouseMove, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+
+  document.addEventListener("keydown", (event) => {
+    if (event.key === "Escape" && activeTool && !busy) {
+      cancelPending();
+      notify();
+    }
+  });
+}
+
+// Choose a tool ('line' | 'viewshed'), or null to leave the visibility tools
+function setVisibilityTool(tool) {
+  cancelPending();
+  activeTool = tool && VISIBILITY_TOOLS[tool] ? tool : null;
+  if (activeTool) {
+    activateTool('visibility', () => setVisibilityTool(null));
+  } else {
+    releaseTool('visibility');
+  }
+  viewer.scene.canvas.style.cursor = activeTool ? "crosshair" : "";
+  notify();
+}
+
+function getVisibilityTool() {
+  return activeTool;
+}
+
+function getVisibilitySettings() {
+  return { ...settings };
+}
+
+// Change some settings: { eyeHeight, radius, fov (degrees, 360 = all around), detail }
+function setVisibilitySettings(changes) {
+  const next = { ...settings, ...changes };
+  settings = {
+    eyeHeight: Number.isFinite(next.eyeHeight) ? Math.max(next.eyeHeight, 0) : settings.eyeHeight,
+    radius: Number.isFinite(next.radius) && next.radius > 0 ? Math.min(next.radius, 5000) : settings.radius,
+    fov: Number.isFinite(next.fov) ? Cesium.Math.clamp(next.fov, 10, 360) : settings.fov,
+    detail: DETAIL_LEVELS[next.detail] ? next.detail : settings.detail
+  };
+  notify();
+}
+
+function removeAnalysis(id) {
+  const analysis = analyses.find(a => a.id === id);
+  if (!analysis) return;
+
+  removeGraphics(analysis);
+  analyses = analyses.filter(a => a.id !== id);
+  notify();
+}
+
+// Remove all analyses (and the one being placed)
+function clearAnalyses() {
+  cancelPending();
+  analyses.forEach(removeGraphics);
+  analyses = [];
+  notify();
+}
+
+function getAnalyses() {
+  return analyses.map(({ id, tool, text }) => ({ id, tool, text }));
+}
+
+// Register a callback for changes: (analyses, { tool, pendingPoints, busy }) => {}
+function onAnalysesChanged(listener) {
+  listeners.push(listener);
+}
+
+// ============ MOUSE INTERACTION ============
+
+function onLeftClick(event) {
+  if (!activeTool || busy) return;
+
+  const position = pickPoint(viewer, event.position);
+  if (!position) return;
+
+  if (!pending) {
+    pending = { points: [], entities: [createPreviewEntity()] };
+  }
+  pending.points.push(position);
+  pending.entities.push(createPointEntity(position, pending.points.length === 1 ? OBSERVER_COLOR : Cesium.Color.WHITE));
+
+  const needed = activeTool === 'line' || settings.fov < 360 ? 2 : 1;
+  if (pending.points.length >= needed) {
+    finishPending();
+  } else {
+    notify();
+  }
+}
+
+function onMouseMove(event) {
+  if (!activeTool || !pending || busy) return;
+  cursorPosition = pickPoint(viewer, event.endPosition) || cursorPosition;
+}
+
+// Run the analysis for the picked points - the scene stays clickable, new picks wait until done
+async function finishPending() {
+  const tool = activeTool;
+  const points = pending.points;
+  busy = true;
+  cursorPosition = null;
+  notify();
+
+  const progress = tool === 'viewshed' ? showProgress("Viewshed") : null;
+  try {
+    const result = tool === 'line'
+      ? await analyseSightLine(points)
+      : await analyseViewshed(points, progress);
+
+    analyses.push({ id: nextId++, tool, ...result });
+    logInfo(`VISIBILITY: ${result.text}`);
+  } catch (error) {
+    if (progress && progress.signal.aborted) {
+      logInfo("VISIBILITY: Viewshed cancelled");
+    } else {
+      logError(`VISIBILITY ERROR: ${error.message}`);
+      notifyError("Visibility analysis failed: " + error.message);
+    }
+  } finally {
+    if (progress) progress.close();
+    busy = false;
+    cancelPending();
+    notify();
+  }
+}
+
+function cancelPending() {
+  if (pending && !busy) {
+    pending.entities.forEach(entity => viewer.entities.remove(entity));
+    pending = null;
+  }
+  cursorPosition = null;
+}
+
+// ============ SIGHT LINE ============
+
+// Is the target visible from the eye above the first point? Checks the surface under the line
+async function analyseSightLine([ground, target]) {
+  const eye = raise(ground, settings.eyeHeight);
+  const distance = Cesium.Cartesian3.distance(eye, target);
+  const count = Cesium.Math.clamp(Math.ceil(distance), 2, MAX_LINE_SAMPLES);
+
+  // Points on the straight line (their height is the line's) and the surface height below them
+  const samples = [];
+  for (let i = 1; i < count; i++) {
+    const along = distance * i / count;
+    if (along < END_CLEARANCE || distance - along < END_CLEARANCE) continue;
+
+    const point = Cesium.Cartesian3.lerp(eye, target, i / count, new Cesium.Cartesian3());
+    const cartographic = Cesium.Cartographic.fromCartesian(point);
+    samples.push({ point, along, lineHeight: cartographic.height, cartographic });
+  }
+  await sampleSurfaceHeights(samples.map(s => s.cartographic));
+
+  const blocker = samples.find(s => s.cartographic.height !== undefined &&
+    s.cartographic.height > s.lineHeight + SIGHT_TOLERANCE);
+
+  const text = blocker
+    ? `Blocked ${formatLength(blocker.along)} from the eye (target ${formatLength(distance)} away)`
+    : `Clear line of sight · ${formatLength(distance)}`;
+
+  const entities = [
+    createPointEntity(eye, OBSERVER_COLOR),
+    createPointEntity(target, Cesium.Color.WHITE),
+    createLineEntity([eye, blocker ? blocker.point : target], VISIBLE_COLOR)
+  ];
+  if (blocker) {
+    entities.push(createLineEntity([blocker.point, target], HIDDEN_COLOR));
+  }
+  entities.push(createLabelEntity(Cesium.Cartesian3.midpoint(eye, target, new Cesium.Cartesian3()),
+    blocker ? "Hidden" : "Visible"));
+
+  return { text, entities, primitives: [] };
+}
+
+// ============ VIEWSHED ============
+
+// Which ground around the eye can be seen: rays fan out from the eye and every sample is visible
+// if it rises above everything closer on its ray (a horizon sweep over the surface heights)
+async function analyseViewshed([ground, direction], progress) {
+  const { eyeHeight, radius, fov } = settings;
+  const detail = DETAIL_LEVELS[settings.detail];
+  const fullCircle = fov >= 360;
+
+  const eye = raise(ground, eyeHeight);
+  const eyeCartographic = Cesium.Cartographic.fromCartesian(eye);
+  const heading = direction ? getBearing(ground, direction) : 0;
+
+  // Rays: all around, or across the wedge centred on the picked direction
+  const rayCount = fullCircle ? Math.round(360 / detail.angleStep) : Math.max(2, Math.round(fov / detail.angleStep) + 1);
+  const angleStep = fullCircle ? 360 / rayCount : fov / (rayCount - 1);
+  const firstAzimuth = fullCircle ? 0 : heading - fov / 2;
+  const spacing = Math.max(detail.spacing, radius * rayCount / MAX_VIEWSHED_SAMPLES);
+  const sampleCount = Math.floor(radius / spacing);
+
+  const frame = Cesium.Transforms.eastNorthUpToFixedFrame(ground);
+  const rays = [];
+  for (let i = 0; i < rayCount; i++) {
+    const azimuth = firstAzimuth + i * angleStep;
+    const samples = [];
+    for (let j = 1; j <= sampleCount; j++) {
+      const distance = j * spacing;
+      samples.push({ distance, cartographic: localToCartographic(frame, azimuth, distance) });
+    }
+    rays.push({ azimuth, samples });
+  }
+
+  const cartographics = rays.flatMap(ray => ray.samples.map(s => s.cartographic));
+  await sampleSurfaceHeights(cartographics, {
+    signal: progress.signal,
+    onProgress: (done, total) => progress.update(done / total * 0.8, `${done} / ${total} heights`)
+  });
+
+  // Horizon sweep along each ray
+  let visibleArea = 0;
+  let totalArea = 0;
+  for (const ray of rays) {
+    let maxSlope = -Infinity;
+    for (const sample of ray.samples) {
+      const height = sample.cartographic.height;
+      if (height === undefined) {
+        sample.visible = null;
+        continue;
+      }
+      const slope = (height - sample.distance * sample.distance * CURVATURE - eyeCartographic.height) / sample.distance;
+      sample.visible = slope >= maxSlope;
+      maxSlope = Math.max(maxSlope, slope);
+
+      // Cell area grows with the distance
+      totalArea += sample.distance;
+      if (sample.visible) visibleArea += sample.distance;
+    }
+  }
+
+  progress.update(0.8, "Checking the model...");
+  const modelResults = await checkModelVisibility(eye, (point) => {
+    if (fullCircle) return true;
+    const offset = ((getBearing(ground, point) - heading + 540) % 360) - 180;
+    return Math.abs(offset) <= fov / 2;
+  }, progress.signal);
+
+  const primitive = createViewshedPrimitive(frame, rays, angleStep, spacing);
+  const percent = totalArea > 0 ? Math.round(visibleArea / totalArea * 100) : 0;
+  const view = fullCircle ? "360°" : `${Math.round(fov)}° toward ${Math.round((heading + 360) % 360)}°`;
+  const text = [
+    `${view} · ${formatLength(radius)} · ${percent}% of the ground visible`,
+    ...modelResults.map(formatModelResult)
+  ].join("\n");
+
+  return {
+    text,
+    entities: [
+      createPointEntity(eye, OBSERVER_COLOR),
+      createLabelEntity(eye, `${percent}% visible`)
+    ],
+    primitives: primitive ? [primitive] : []
+  };
+}
+
+// Aim a grid of rays at each shown model and count those that reach it before anything else
+// Returns [{ name, state: 'visible' | 'hidden' | 'outside' | 'unknown', fraction }]
+// The rays see what is rendered - the terrain is only part of it in 2D mode
+async function checkModelVisibility(eye, inView, signal) {
+  const results = [];
+  const exclude = getOwnObjects();
+
+  for (const entity of getModelEntities()) {
+    if (!entity.show) continue;
+
+    const sphere = new Cesium.BoundingSphere();
+    const state = viewer.dataSourceDisplay.getBoundingSphere(entity, false, sphere);
+    if (state !== Cesium.BoundingSphereState.DONE || Cesium.Cartesian3.distance(eye, sphere.center) <= sphere.radius) {
+      results.push({ name: entity.name, state: 'unknown', fraction: 0 });
+      continue;
+    }
+
+    // Grid across the model's disc as seen from the eye
+    const axis = Cesium.Cartesian3.normalize(Cesium.Cartesian3.subtract(sphere.center, eye, new Cesium.Cartesian3()), new Cesium.Cartesian3());
+    const up = Cesium.Cartesian3.normalize(eye, new Cesium.Cartesian3());
+    const cross = Cesium.Cartesian3.cross(axis, up, new Cesium.Cartesian3());
+    if (Cesium.Cartesian3.magnitude(cross) < Cesium.Math.EPSILON6) {
+      Cesium.Cartesian3.cross(axis, Cesium.Cartesian3.UNIT_X, cross);   // Looking straight up or down
+    }
+    const side = Cesium.Cartesian3.normalize(cross, new Cesium.Cartesian3());
+    const lift = Cesium.Cartesian3.cross(side, axis, new Cesium.Cartesian3());
+
+    let rays = 0;
+    let hits = 0;
+    let visible = 0;
+    for (let i = 0; i < MODEL_GRID; i++) {
+      signal.throwIfAborted();
+      for (let j = 0; j < MODEL_GRID; j++) {
+        const x = 2 * i / (MODEL_GRID - 1) - 1;
+        const y = 2 * j / (MODEL_GRID - 1) - 1;
+        if (x * x + y * y > 1) continue;
+
+        const target = Cesium.Cartesian3.clone(sphere.center);
+        Cesium.Cartesian3.add(target, Cesium.Cartesian3.multiplyByScalar(side, x * sphere.radius, new Cesium.Cartesian3()), target);
+        Cesium.Cartesian3.add(target, Cesium.Cartesian3.multiplyByScalar(lift, y * sphere.radius, new Cesium.Cartesian3()), target);
+        if (!inView(target)) continue;
+        rays++;
+
+        const rayDirection = Cesium.Cartesian3.normalize(Cesium.Cartesian3.subtract(target, eye, new Cesium.Cartesian3()), new Cesium.Cartesian3());
+        const picks = viewer.scene.drillPickFromRay(new Cesium.Ray(eye, rayDirection), 3, exclude);
+        const index = picks.findIndex(pick => pick.object && pick.object.id === entity);
+        if (index < 0) continue;
+
+        hits++;
+        if (index === 0) visible++;
+      }
+      // Let the progress overlay repaint between rows
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    results.push({
+      name: entity.name,
+      state: rays === 0 ? 'outside' : hits === 0 ? 'unknown' : visible > 0 ? 'visible' : 'hidden',
+      fraction: hits > 0 ? visible / hits : 0
+    });
+  }
+
+  return results;
+}
+
+// Ground-draped cells, consecutive samples with the same result merged along each ray
+function createViewshedPrimitive(frame, rays, angleStep, spacing) {
+  const instances = [];
+
+  for (const ray of rays) {
+    let start = 0;
+    for (let j = 1; j <= ray.samples.length; j++) {
+      const current = ray.samples[start].visible;
+      if (j < ray.samples.length && ray.samples[j].visible === current) continue;
+
+      if (current !== null) {
+        const near = ray.samples[start].distance - spacing / 2;
+        const far = ray.samples[j - 1].distance + spacing / 2;
+        const left = ray.azimuth - angleStep / 2;
+        const right = ray.azimuth + angleStep / 2;
+        const corners = [[left, near], [right, near], [right, far], [left, far]]
+          .map(([azimuth, distance]) => Cesium.Cartographic.toCartesian(localToCartographic(frame, azimuth, distance)));
+
+        instances.push(new Cesium.GeometryInstance({
+          geometry: new Cesium.PolygonGeometry({ polygonHierarchy: new Cesium.PolygonHierarchy(corners) }),
+          attributes: {
+            color: Cesium.ColorGeometryInstanceAttribute.fromColor((current ? VISIBLE_COLOR : HIDDEN_COLOR).withAlpha(CELL_ALPHA))
+          }
+        }));
+      }
+      start = j;
+    }
+  }
+
+  if (instances.length === 0) return null;
+
+  return viewer.scene.groundPrimitives.add(new Cesium.GroundPrimitive({
+    geometryInstances: instances,
+    appearance: new Cesium.PerInstanceColorAppearance({ flat: true, translucent: true }),
+    classificationType: Cesium.ClassificationType.BOTH
+  }));
+}
+
+// ============ HEIGHTS ============
+
+// Surface heights in batches (fills in cartographic.height): the rendered tiles and models in 3D,
+// the terrain in 2D and wherever the tiles have a gap (undefined where neither answers)
+// A cancel takes effect between batches
+async function sampleSurfaceHeights(cartographics, { signal, onProgress } = {}) {
+  const scene = viewer.scene;
+  const useScene = getCurrentMode() === '3D' && scene.sampleHeightSupported;
+  const globe = getGlobe2D();
+  const exclude = getOwnObjects();
+
+  for (let start = 0; start < cartographics.length; start += SAMPLE_BATCH_SIZE) {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+    const batch = cartographics.slice(start, start + SAMPLE_BATCH_SIZE);
+
+    if (useScene) {
+      await scene.sampleHeightMostDetailed(batch, exclude);
+    }
+    const missing = useScene ? batch.filter(c => c.height === undefined) : batch;
+    if (missing.length > 0 && globe && globe.terrainProvider) {
+      await Cesium.sampleTerrainMostDetailed(globe.terrainProvider, missing, false);
+    }
+
+    if (onProgress) {
+      onProgress(Math.min(start + SAMPLE_BATCH_SIZE, cartographics.length), cartographics.length);
+    }
+  }
+}
+
+// Analysis graphics the samples and rays must not hit
+function getOwnObjects() {
+  const objects = analyses.flatMap(a => [...a.entities, ...a.primitives]);
+  if (pending) objects.push(...pending.entities);
+  return objects;
+}
+
+// ============ GEOMETRY ============
+
+// Point `meters` above a surface point
+function raise(point, meters) {
+  const cartographic = Cesium.Cartographic.fromCartesian(point);
+  cartographic.height += meters;
+  return Cesium.Cartographic.toCartesian(cartographic);
+}
+
+// Ground position at an azimuth (degrees from north) and distance in an east/north/up frame
+function localToCartographic(frame, azimuth, distance) {
+  const radians = Cesium.Math.toRadians(azimuth);
+  const local = new Cesium.Cartesian3(distance * Math.sin(radians), distance * Math.cos(radians), 0);
+  const cartographic = Cesium.Cartographic.fromCartesian(Cesium.Matrix4.multiplyByPoint(frame, local, new Cesium.Cartesian3()));
+  cartographic.height = 0;
+  return cartographic;
+}
+
+// Degrees clockwise from north, from one point to another
+function getBearing(from, to) {
+  const toFixed = Cesium.Transforms.eastNorthUpToFixedFrame(from);
+  const toEnu = Cesium.Matrix4.inverseTransformation(toFixed, new Cesium.Matrix4());
+  const local = Cesium.Matrix4.multiplyByPoint(toEnu, to, new Cesium.Cartesian3());
+  return (Cesium.Math.toDegrees(Math.atan2(local.x, local.y)) + 360) % 360;
+}
+
+// ============ ENTITIES ============
+
+function createPointEntity(position, color) {
+  return viewer.entities.add({
+    position,
+    point: {
+      pixelSize: 9,
+      color,
+      outlineColor: Cesium.Color.BLACK,
+      outlineWidth: 1,
+      disableDepthTestDistance: Number.POSITIVE_INFINITY
+    }
+  });
+}
+
+function createLineEntity(positions, color) {
+  return viewer.entities.add({
+    polyline: {
+      positions,
+      width: 3,
+      material: color,
+      depthFailMaterial: color.withAlpha(0.5)
+    }
+  });
+}
+
+function createLabelEntity(position, text) {
+  return viewer.entities.add({
+    position,
+    label: {
+      text,
+      font: LABEL_FONT,
+      fillColor: Cesium.Color.BLACK,
+      showBackground: true,
+      backgroundColor: Cesium.Color.WHITE.withAlpha(0.9),
+      backgroundPadding: new Cesium.Cartesian2(8, 4),
+      pixelOffset: new Cesium.Cartesian2(0, -18),
+      disableDepthTestDistance: Number.POSITIVE_INFINITY
+    }
+  });
+}
+
+// Dashed line from the eye to the cursor (the target, or the wedge direction)
+function createPreviewEntity() {
+  return viewer.entities.add({
+    polyline: {
+      positions: new Cesium.CallbackProperty(() => {
+        if (!pending || !cursorPosition) return [];
+        return [raise(pending.points[0], settings.eyeHeight), cursorPosition];
+      }, false),
+      width: 2,
+      material: new Cesium.PolylineDashMaterialProperty({ color: OBSERVER_COLOR }),
+      depthFailMaterial: new Cesium.PolylineDashMaterialProperty({ color: OBSERVER_COLOR.withAlpha(0.5) })
+    }
+  });
+}
+
+function removeGraphics(analysis) {
+  analysis.entities.forEach(entity => viewer.entities.remove(entity));
+  analysis.primitives.forEach(primitive => viewer.scene.groundPrimitives.remove(primitive));
+}
+
+// ============ FORMATTING ============
+
+function formatModelResult({ name, state, fraction }) {
+  if (state === 'visible') return `${name}: visible (${Math.max(1, Math.round(fraction * 100))}% of it)`;
+  if (state === 'hidden') return `${name}: hidden`;
+  if (state === 'outside') return `${name}: outside the view`;
+  return `${name}: not checked`;
+}
+
+function notify() {
+  const state = { tool: activeTool, pendingPoints: pending ? pending.points.length : 0, busy };
+  const list = getAnalyses();
+  listeners.forEach(listener => listener(list, state));
+}
+
+export {
+  VISIBILITY_TOOLS,
+  DETAIL_LEVELS,
+  initVisibility,
+  setVisibilityTool,
+  getVisibilityTool,
+  getVisibilitySettings,
+  setVisibilitySettings,
+  removeAnalysis,
+  clearAnalyses,
+  getAnalyses,
+  onAnalysesChanged
+};
@@ -0,0 +1,553 @@
+// Zoning envelope: a site boundary with maximum height, setback and a sky exposure plane, drawn as a
+// translucent volume next to the synced model, and a compliance check of the model's GLB vertices
+// against it. The boundary comes from the clipping outlines (drawn, or cesium_clip from Rhino).
+// Heights are above the terrain at the site's centre; the sky exposure plane rises inward from the
+// setback line at the street wall height.
+
+import { writeTextFile, mkdir, BaseDirectory } from "@tauri-apps/plugin-fs";
+import { logInfo, logWarn } from "../communication/rhino-logger.js";
+import { notifyWarning } from "../ui/notifications.js";
+import { getLastSync } from "./cesium-geometry.js";
+import { computeModelPlacement } from "./model-placement.js";
+import { getDrawnClipPolygons } from "./clip-draw.js";
+import { getGlobe2D } from "./view-mode.js";
+import { readGlbMeshes } from "./glb.js";
+
+const ENVELOPE_COLOR = Cesium.Color.fromCssColorString("#8b5cf6");
+const VIOLATION_COLOR = Cesium.Color.fromCssColorString("#ef4444");
+const ENVELOPE_ALPHA = 0.2;
+const LABEL_FONT = "13px sans-serif";
+
+const REPORT_DIR = "McAtlas/reports";
+const FS_OPTIONS = { baseDir: BaseDirectory.Document };
+
+const TOLERANCE = 0.05;          // Meters a vertex may stick out (export rounding)
+const MAX_FLAG_POINTS = 2000;    // Violating vertices marked in the scene
+
+// maxHeight, setback, streetWallHeight in meters; skyPlaneAngle in degrees above the horizontal
+// (0 = no sky exposure plane); boundary: [lon, lat, lon, lat, ...] or null
+const DEFAULT_SETTINGS = {
+  boundary: null,
+  maxHeight: 30,
+  setback: 3,
+  streetWallHeight: 20,
+  skyPlaneAngle: 60
+};
+
+let viewer = null;
+let settings = { ...DEFAULT_SETTINGS };
+let showEnvelope = true;
+
+// Built envelope: { frame, toLocal, ground, polygon (local, counterclockwise), entities, primitive }
+let envelope = null;
+let buildCount = 0;
+
+// Last compliance check: { text, passed, violations, createdAt } and its scene markers
+let report = null;
+let flagEntities = [];
+let flagPoints = null;
+
+const listeners = [];
+
+function initZoning(cesiumViewer) {
+  viewer = cesiumViewer;
+}
+
+function getZoningSettings() {
+  return { ...settings, boundary: settings.boundary ? [...settings.boundary] : null };
+}
+
+// Change some settings and rebuild the envelope (the last check is dropped)
+async function setZoningSettings(changes) {
+  settings = cleanSettings({ ...settings, ...changes });
+  await rebuild();
+}
+
+// Replace all settings, e.g. from a project file (missing: the defaults)
+async function loadZoningSettings(saved) {
+  settings = cleanSettings({ ...DEFAULT_SETTINGS, ...(saved || {}) });
+  await rebuild();
+}
+
+// Outlines that can be the site boundary: [{ label, polygon: [lon, lat, ...] }]
+function getBoundaryCandidates() {
+  const sync = getLastSync();
+  const drawn = getDrawnClipPolygons().map((polygon, i) => ({ label: `Drawn outline ${i + 1}`, polygon }));
+  const synced = (sync ? sync.clippingPolygons : []).map((polygon, i) => ({ label: `cesium_clip ${i + 1}`, polygon }));
+  return [...drawn, ...synced].filter(candidate => candidate.polygon.length >= 6);
+}
+
+function setEnvelopeVisible(visible) {
+  showEnvelope = visible;
+  if (envelope) {
+    envelope.primitive.show = visible;
+    envelope.entities.forEach(entity => { entity.show = visible; });
+  }
+  notify();
+}
+
+function getZoningReport() {
+  return report ? { ...report } : null;
+}
+
+// Register a callback for changes: ({ settings, hasEnvelope, showEnvelope, report }) => {}
+function onZoningChanged(listener) {
+  listeners.push(listener);
+}
+
+// ============ ENVELOPE ============
+
+async function rebuild() {
+  const build = ++buildCount;
+  clearReport();
+  removeEnvelope();
+
+  if (settings.boundary) {
+    const ground = await sampleGroundHeight(settings.boundary);
+    if (build !== buildCount) return;
+    envelope = createEnvelope(settings, ground);
+    if (!envelope) {
+      notifyWarning("The setback leaves nothing of the site - no envelope drawn.");
+    }
+  }
+  notify();
+}
+
+// Terrain height at the boundary's centre (the model's ground if the terrain can't be sampled)
+async function sampleGroundHeight(boundary) {
+  const { lon, lat } = getCentre(boundary);
+  const globe = getGlobe2D();
+  if (globe && globe.terrainProvider) {
+    try {
+      const [sample] = await Cesium.sampleTerrainMostDetailed(globe.terrainProvider, [Cesium.Cartographic.fromDegrees(lon, lat)]);
+      if (Number.isFinite(sample.height)) return sample.height;
+    } catch (error) {
+      logWarn(`ZONING: Terrain sampling failed: ${error.message}`);
+    }
+  }
+  const sync = getLastSync();
+  return sync ? sync.groundHeight : 0;
+}
+
+// Rings of the volume, bottom to top - the setback outline up to the street wall, then the sky
+// exposure plane to the maximum height (or as high as the outline stays valid)
+function createEnvelope(options, ground) {
+  const { lon, lat } = getCentre(options.boundary);
+  const frame = Cesium.Transforms.eastNorthUpToFixedFrame(Cesium.Cartesian3.fromDegrees(lon, lat, ground));
+  const toLocal = Cesium.Matrix4.inverseTransformation(frame, new Cesium.Matrix4());
+  const polygon = toLocalPolygon(options.boundary, toLocal);
+
+  const base = insetPolygon(polygon, options.setback);
+  if (!base) return null;
+
+  const sky = getSkyPlaneSlope(options);
+  const wallHeight = sky ? Math.min(options.streetWallHeight, options.maxHeight) : options.maxHeight;
+  const rings = [{ outline: base, z: 0 }, { outline: base, z: wallHeight }];
+
+  if (sky && options.maxHeight > wallHeight) {
+    let inset = options.setback + (options.maxHeight - wallHeight) / sky;
+    if (!insetPolygon(polygon, inset)) {
+      // The plane closes over the site below the maximum height - find where
+      let low = options.setback;
+      for (let i = 0; i < 30; i++) {
+        const middle = (low + inset) / 2;
+        if (insetPolygon(polygon, middle)) low = middle; else inset = middle;
+      }
+      inset = low;
+    }
+    rings.push({ outline: insetPolygon(polygon, inset), z: wallHeight + (inset - options.setback) * sky });
+  }
+
+  const primitive = viewer.scene.primitives.add(createEnvelopePrimitive(rings, frame));
+  const entities = createEnvelopeOutlines(rings, frame);
+  primitive.show = showEnvelope;
+  entities.forEach(entity => { entity.show = showEnvelope; });
+
+  return { frame, toLocal, ground, polygon, primitive, entities };
+}
+
+// Translucent closed mesh: bottom cap, walls between the rings, top cap
+function createEnvelopePrimitive(rings, frame) {
+  const count = rings[0].outline.length;
+  const values = new Float64Array(rings.length * count * 3);
+  rings.forEach((ring, r) => ring.outline.forEach((point, i) => {
+    const world = Cesium.Matrix4.multiplyByPoint(frame, new Cesium.Cartesian3(point.x, point.y, ring.z), new Cesium.Cartesian3());
+    values.set([world.x, world.y, world.z], (r * count + i) * 3);
+  }));
+
+  const indices = [];
+  for (let r = 0; r < rings.length - 1; r++) {
+    for (let i = 0; i < count; i++) {
+      const a = r * count + i;
+      const b = r * count + (i + 1) % count;
+      indices.push(a, b, b + count, a, b + count, a + count);
+    }
+  }
+  const capBottom = Cesium.PolygonPipeline.triangulate(rings[0].outline.map(p => new Cesium.Cartesian2(p.x, p.y)));
+  const capTop = Cesium.PolygonPipeline.triangulate(rings[rings.length - 1].outline.map(p => new Cesium.Cartesian2(p.x, p.y)));
+  indices.push(...capBottom, ...capTop.map(index => index + (rings.length - 1) * count));
+
+  const geometry = new Cesium.Geometry({
+    attributes: {
+      position: new Cesium.GeometryAttribute({
+        componentDatatype: Cesium.ComponentDatatype.DOUBLE,
+        componentsPerAttribute: 3,
+        values
+      })
+    },
+    indices: new Uint32Array(indices),
+    primitiveType: Cesium.PrimitiveType.TRIANGLES,
+    boundingSphere: Cesium.BoundingSphere.fromVertices(values)
+  });
+
+  return new Cesium.Primitive({
+    geometryInstances: new Cesium.GeometryInstance({
+      geometry,
+      attributes: { color: Cesium.ColorGeometryInstanceAttribute.fromColor(ENVELOPE_COLOR.withAlpha(ENVELOPE_ALPHA)) }
+    }),
+    appearance: new Cesium.PerInstanceColorAppearance({ flat: true, translucent: true }),
+    asynchronous: false   // Custom geometry can't go to the web workers
+  });
+}
+
+// Edges: each ring, plus a line up every corner
+function createEnvelopeOutlines(rings, frame) {
+  const toWorld = (point, z) => Cesium.Matrix4.multiplyByPoint(frame, new Cesium.Cartesian3(point.x, point.y, z), new Cesium.Cartesian3());
+  const line = (positions) => viewer.entities.add({
+    polyline: { positions, width: 1.5, material: ENVELOPE_COLOR }
+  });
+
+  const entities = rings.map(ring => line([...ring.outline, ring.outline[0]].map(point => toWorld(point, ring.z))));
+  rings[0].outline.forEach((point, i) => {
+    entities.push(line(rings.map(ring => toWorld(ring.outline[i], ring.z))));
+  });
+  return entities;
+}
+
+function removeEnvelope() {
+  if (!envelope) return;
+  viewer.scene.primitives.remove(envelope.primitive);
+  envelope.entities.forEach(entity => viewer.entities.remove(entity));
+  envelope = null;
+}
+
+// ============ COMPLIANCE ============
+
+// Check every vertex of the synced models against the envelope and mark the parts that break it
+// Returns the report, or null when there is no envelope or model
+async function checkZoningCompliance() {
+  if (!envelope) {
+    notifyWarning("Choose a site boundary first.");
+    return null;
+  }
+  const sync = getLastSync();
+  if (!sync) {
+    notifyWarning("No model loaded yet.");
+    return null;
+  }
+
+  clearReport();
+
+  // GLB vertex -> envelope frame: the same transforms Cesium applies when it draws the model
+  // (glTF is y-up and +z forward, see computeModelPlacement)
+  const { modelMatrix } = computeModelPlacement(sync.position, sync.groundHeight);
+  const axisCorrection = Cesium.Matrix4.multiplyTransformation(Cesium.Axis.Y_UP_TO_Z_UP, Cesium.Axis.Z_UP_TO_X_UP, new Cesium.Matrix4());
+  const modelToLocal = Cesium.Matrix4.multiply(envelope.toLocal,
+    Cesium.Matrix4.multiply(modelMatrix, axisCorrection, new Cesium.Matrix4()), new Cesium.Matrix4());
+
+  const violations = [];
+  const notes = [];
+  let vertexCount = 0;
+  let partCount = 0;
+
+  for (const model of sync.models) {
+    let meshes;
+    try {
+      meshes = readGlbMeshes(model.bytes);
+    } catch (error) {
+      notes.push(`${model.name}: not checked (${error.message})`);
+      continue;
+    }
+    if (meshes.skipped > 0) {
+      notes.push(`${model.name}: ${meshes.skipped} compressed mesh(es) not checked`);
+    }
+
+    for (const part of meshes.parts) {
+      const matrix = Cesium.Matrix4.multiply(modelToLocal, part.matrix, new Cesium.Matrix4());
+      const result = checkPart(part.positions, matrix);
+      vertexCount += part.positions.length / 3;
+      partCount++;
+      if (result) {
+        violations.push({ name: `${model.name} / ${part.name}`, ...result });
+      }
+    }
+  }
+
+  violations.sort((a, b) => b.worst - a.worst);
+  report = {
+    passed: violations.length === 0,
+    violations,
+    createdAt: new Date().toISOString(),
+    text: formatReport(violations, notes, sync.models.length, partCount, vertexCount)
+  };
+  showFlags(violations);
+
+  logInfo(`ZONING: ${report.passed ? "Complies" : `${violations.length} part(s) break the envelope`} ` +
+    `(${partCount} parts, ${vertexCount} vertices)`);
+  notify();
+  return getZoningReport();
+}
+
+// Worst overshoot of a part per limit: { setback, height, sky, worst, count, points (local) } or null
+function checkPart(positions, m) {
+  const polygon = envelope.polygon;
+  const sky = getSkyPlaneSlope(settings);
+  const wallHeight = sky ? Math.min(settings.streetWallHeight, settings.maxHeight) : settings.maxHeight;
+  const result = { setback: 0, height: 0, sky: 0, worst: 0, count: 0, points: [] };
+
+  for (let i = 0; i < positions.length; i += 3) {
+    const px = positions[i];
+    const py = positions[i + 1];
+    const pz = positions[i + 2];
+    const x = m[0] * px + m[4] * py + m[8] * pz + m[12];
+    const y = m[1] * px + m[5] * py + m[9] * pz + m[13];
+    const z = m[2] * px + m[6] * py + m[10] * pz + m[14];
+
+    // Below ground (basements, the ground slab) is not limited
+    if (z <= TOLERANCE) continue;
+
+    // Signed distance into the site (negative outside the boundary)
+    const depth = (isInside(x, y, polygon) ? 1 : -1) * distanceToOutline(x, y, polygon);
+    const setback = settings.setback - depth;
+    const height = z - settings.maxHeight;
+    const skyOver = sky && depth >= settings.setback ? z - (wallHeight + (depth - settings.setback) * sky) : 0;
+    const over = Math.max(setback, height, skyOver);
+    if (over <= TOLERANCE) continue;
+
+    result.setback = Math.max(result.setback, setback);
+    result.height = Math.max(result.height, height);
+    result.sky = Math.max(result.sky, skyOver);
+    result.count++;
+    if (over > result.worst) {
+      result.worst = over;
+      result.worstPoint = { x, y, z };
+    }
+    if (result.points.length < MAX_FLAG_POINTS) {
+      result.points.push({ x, y, z });
+    }
+  }
+
+  return result.count > 0 ? result : null;
+}
+
+// Red points on the offending vertices and a label at each part's worst one
+function showFlags(violations) {
+  const toWorld = ({ x, y, z }) => Cesium.Matrix4.multiplyByPoint(envelope.frame, new Cesium.Cartesian3(x, y, z), new Cesium.Cartesian3());
+
+  flagPoints = viewer.scene.primitives.add(new Cesium.PointPrimitiveCollection());
+  let remaining = MAX_FLAG_POINTS;
+  for (const violation of violations) {
+    for (const point of violation.points.slice(0, remaining)) {
+      flagPoints.add({ position: toWorld(point), pixelSize: 5, color: VIOLATION_COLOR });
+    }
+    remaining = Math.max(0, remaining - violation.points.length);
+
+    flagEntities.push(viewer.entities.add({
+      position: toWorld(violation.worstPoint),
+      label: {
+        text: `${violation.name}: ${describeViolation(violation)}`,
+        font: LABEL_FONT,
+        fillColor: Cesium.Color.WHITE,
+        showBackground: true,
+        backgroundColor: VIOLATION_COLOR.withAlpha(0.9),
+        backgroundPadding: new Cesium.Cartesian2(8, 4),
+        pixelOffset: new Cesium.Cartesian2(0, -16),
+        disableDepthTestDistance: Number.POSITIVE_INFINITY
+      }
+    }));
+  }
+}
+
+function clearReport() {
+  report = null;
+  flagEntities.forEach(entity => viewer.entities.remove(entity));
+  flagEntities = [];
+  if (flagPoints) {
+    viewer.scene.primitives.remove(flagPoints);
+    flagPoints = null;
+  }
+}
+
+// Save the last report as text in Documents/McAtlas/reports - returns the path
+async function saveZoningReport() {
+  if (!report) return null;
+
+  const stamp = report.createdAt.replace(/[:.]/g, "-");
+  const path = `${REPORT_DIR}/zoning-${stamp}.txt`;
+  await mkdir(REPORT_DIR, { ...FS_OPTIONS, recursive: true });
+  await writeTextFile(path, report.text + "\n", FS_OPTIONS);
+  logInfo(`ZONING: Report saved to Documents/${path}`);
+  return path;
+}
+
+// ============ REPORT ============
+
+function formatReport(violations, notes, modelCount, partCount, vertexCount) {
+  const { lon, lat } = getCentre(settings.boundary);
+  const sky = getSkyPlaneSlope(settings);
+
+  const lines = [
+    `McAtlas zoning compliance - ${new Date().toLocaleString()}`,
+    `Site: ${lat.toFixed(5)}, ${lon.toFixed(5)} · ${formatArea(getArea(envelope.polygon))} · ground ${envelope.ground.toFixed(1)} m`,
+    `Envelope: max height ${settings.maxHeight} m, setback ${settings.setback} m, ` +
+      (sky ? `sky exposure plane ${settings.skyPlaneAngle}° from ${Math.min(settings.streetWallHeight, settings.maxHeight)} m` : "no sky exposure plane"),
+    `Checked: ${modelCount} model(s), ${partCount} part(s), ${vertexCount} vertices`,
+    "",
+    violations.length === 0
+      ? "RESULT: COMPLIES - no part breaks the envelope"
+      : `RESULT: DOES NOT COMPLY - ${violations.length} part(s) break the envelope`,
+    ...violations.map(v => `  - ${v.name}: ${describeViolation(v)}`)
+  ];
+  if (notes.length > 0) {
+    lines.push("", "Notes:", ...notes.map(note => `  - ${note}`));
+  }
+  return lines.join("\n");
+}
+
+function describeViolation({ setback, height, sky }) {
+  const parts = [];
+  if (height > TOLERANCE) parts.push(`${height.toFixed(2)} m over the height limit`);
+  if (sky > TOLERANCE) parts.push(`${sky.toFixed(2)} m through the sky exposure plane`);
+  if (setback > TOLERANCE) parts.push(`${setback.toFixed(2)} m into the setback`);
+  return parts.join(", ");
+}
+
+function formatArea(squareMeters) {
+  return squareMeters >= 10000 ? `${(squareMeters / 10000).toFixed(3)} ha` : `${squareMeters.toFixed(0)} m²`;
+}
+
+// ============ PLAN GEOMETRY ============
+// Outlines are [{ x, y }] in meters east / north of the site centre
+
+// Boundary degrees -> local outline, counterclockwise
+function toLocalPolygon(boundary, toLocal) {
+  const outline = [];
+  for (let i = 0; i < boundary.length; i += 2) {
+    const local = Cesium.Matrix4.multiplyByPoint(toLocal, Cesium.Cartesian3.fromDegrees(boundary[i], boundary[i + 1]), new Cesium.Cartesian3());
+    outline.push({ x: local.x, y: local.y });
+  }
+  return getSignedArea(outline) < 0 ? outline.reverse() : outline;
+}
+
+// Move every edge of a counterclockwise outline inward (mitred corners)
+// Returns null once the outline collapses (an edge flips or the area vanishes)
+function insetPolygon(outline, distance) {
+  const count = outline.length;
+  const normals = outline.map((point, i) => {
+    const next = outline[(i + 1) % count];
+    const length = Math.hypot(next.x - point.x, next.y - point.y) || 1;
+    return { x: -(next.y - point.y) / length, y: (next.x - point.x) / length };
+  });
+
+  const result = outline.map((point, i) => {
+    const a = normals[(i - 1 + count) % count];
+    const b = normals[i];
+    const scale = distance / Math.max(1 + a.x * b.x + a.y * b.y, 0.05);
+    return { x: point.x + (a.x + b.x) * scale, y: point.y + (a.y + b.y) * scale };
+  });
+
+  for (let i = 0; i < count; i++) {
+    const before = { x: outline[(i + 1) % count].x - outline[i].x, y: outline[(i + 1) % count].y - outline[i].y };
+    const after = { x: result[(i + 1) % count].x - result[i].x, y: result[(i + 1) % count].y - result[i].y };
+    if (before.x * after.x + before.y * after.y <= 0) return null;
+  }
+  return getSignedArea(result) > 0 ? result : null;
+}
+
+function isInside(x, y, outline) {
+  let inside = false;
+  for (let i = 0, j = outline.length - 1; i < outline.length; j = i++) {
+    const a = outline[i];
+    const b = outline[j];
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function distanceToOutline(x, y, outline) {
+  let min = Infinity;
+  for (let i = 0; i < outline.length; i++) {
+    const a = outline[i];
+    const b = outline[(i + 1) % outline.length];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const t = Cesium.Math.clamp(((x - a.x) * dx + (y - a.y) * dy) / (dx * dx + dy * dy || 1), 0, 1);
+    min = Math.min(min, Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy)));
+  }
+  return min;
+}
+
+function getSignedArea(outline) {
+  let area = 0;
+  for (let i = 0; i < outline.length; i++) {
+    const a = outline[i];
+    const b = outline[(i + 1) % outline.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area / 2;
+}
+
+function getArea(outline) {
+  return Math.abs(getSignedArea(outline));
+}
+
+// ============ HELPERS ============
+
+// Rise per meter inward of the sky exposure plane (null when there is none)
+function getSkyPlaneSlope(options) {
+  return options.skyPlaneAngle > 0 && options.skyPlaneAngle < 90
+    ? Math.tan(Cesium.Math.toRadians(options.skyPlaneAngle))
+    : null;
+}
+
+function getCentre(boundary) {
+  let lon = 0;
+  let lat = 0;
+  const count = boundary.length / 2;
+  for (let i = 0; i < boundary.length; i += 2) {
+    lon += boundary[i] / count;
+    lat += boundary[i + 1] / count;
+  }
+  return { lon, lat };
+}
+
+function cleanSettings(values) {
+  const number = (value, fallback, min) => (Number.isFinite(value) && value >= min ? value : fallback);
+  return {
+    boundary: Array.isArray(values.boundary) && values.boundary.length >= 6 ? [...values.boundary] : null,
+    maxHeight: number(values.maxHeight, DEFAULT_SETTINGS.maxHeight, 0.1),
+    setback: number(values.setback, DEFAULT_SETTINGS.setback, 0),
+    streetWallHeight: number(values.streetWallHeight, DEFAULT_SETTINGS.streetWallHeight, 0),
+    skyPlaneAngle: Math.min(number(values.skyPlaneAngle, DEFAULT_SETTINGS.skyPlaneAngle, 0), 90)
+  };
+}
+
+function notify() {
+  const state = { settings: getZoningSettings(), hasEnvelope: envelope !== null, showEnvelope, report: getZoningReport() };
+  listeners.forEach(listener => listener(state));
+}
+
+export {
+  initZoning,
+  getZoningSettings,
+  setZoningSettings,
+  loadZoningSettings,
+  getBoundaryCandidates,
+  setEnvelopeVisible,
+  checkZoningCompliance,
+  getZoningReport,
+  saveZoningReport,
+  onZoningChanged
+};
@@ -0,0 +1,130 @@
+// computeModelPlacement against the plugin's own mapping. Each fixture is a document's earth anchor
+// (as Rhino stores it) with the /export-geometry answer the plugin gives for it:
+// - export-geometry-mm: millimetres, true north rotated 30° from model +Y, set by McAtlas (base point at the origin)
+// - export-geometry-mm-basepoint: set with Rhino's EarthAnchor command, base point away from the origin
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import * as Cesium from "@cesium/engine";
+import { computeModelPlacement } from "../src/world/model-placement.js";
+
+globalThis.Cesium = Cesium;
+
+const FIXTURES = ["export-geometry-mm", "export-geometry-mm-basepoint"];
+const GROUND_HEIGHT = 408;        // sampled terrain height at the anchor
+
+// Cesium's up at the model origin and at the ground differ by a few micrometers
+const EPSILON_M = 1e-5;
+const EPSILON_MM = 1e-2;
+
+// ============ HELPERS ============
+
+function readFixture(name) {
+  return JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url)));
+}
+
+// Rhino model point -> glTF (the exporter maps Rhino z-up to glTF y-up)
+function rhinoToGltf({ x, y, z }) {
+  return new Cesium.Cartesian3(x, z, -y);
+}
+
+// Rhino model point -> globe, through the same transforms Cesium applies when it draws the GLB
+function modelToFixed(point, position) {
+  const { modelMatrix } = computeModelPlacement(position, GROUND_HEIGHT);
+  const axisCorrection = Cesium.Matrix4.multiplyTransformation(Cesium.Axis.Y_UP_TO_Z_UP, Cesium.Axis.Z_UP_TO_X_UP, new Cesium.Matrix4());
+  const matrix = Cesium.Matrix4.multiply(modelMatrix, axisCorrection, new Cesium.Matrix4());
+  return Cesium.Matrix4.multiplyByPoint(matrix, rhinoToGltf(point), new Cesium.Cartesian3());
+}
+
+// Globe -> local meters (x = east, y = north, z = up) from the ground under the model origin
+function fixedToLocalMeters(cartesian, position) {
+  const ground = Cesium.Cartesian3.fromDegrees(position.lon, position.lat, GROUND_HEIGHT);
+  const toLocal = Cesium.Matrix4.inverseTransformation(Cesium.Transforms.eastNorthUpToFixedFrame(ground), new Cesium.Matrix4());
+  return Cesium.Matrix4.multiplyByPoint(toLocal, cartesian, new Cesium.Cartesian3());
+}
+
+// GetOriginHeight in rhino-plugin/httpServer.cs: meters the model origin sits above the terrain
+function getOriginHeight(anchor, metersPerUnit) {
+  const elevation = anchor.elevationZero === "GroundLevel" ? anchor.elevation : 0;
+  return elevation - anchor.modelBasePoint[2] * metersPerUnit;
+}
+
+// GetLocalMetersToModelTransform in rhino-plugin/httpServer.cs (ModelNorth / ModelEast rotated by the
+// north angle, as GetNorthAngle reads them)
+function localMetersToModel({ x, y, z }, anchor, metersPerUnit) {
+  const scale = 1 / metersPerUnit;
+  const angle = Cesium.Math.toRadians(anchor.northAngle);
+  const east = { x: Math.cos(angle), y: Math.sin(angle) };
+  const north = { x: -Math.sin(angle), y: Math.cos(angle) };
+
+  return {
+    x: (east.x * x + north.x * y) * scale,
+    y: (east.y * x + north.y * y) * scale,
+    z: z * scale - getOriginHeight(anchor, metersPerUnit) * scale
+  };
+}
+
+function assertClose(actual, expected, epsilon, message) {
+  for (const key of ["x", "y", "z"]) {
+    assert.ok(Math.abs(actual[key] - expected[key]) <= epsilon,
+      `${message}: ${key} is ${actual[key]}, expected ${expected[key]}`);
+  }
+}
+
+// ============ TESTS ============
+
+for (const name of FIXTURES) {
+  const { anchor, answer } = readFixture(name);
+  const position = answer.position;
+  const toLocal = (point) => fixedToLocalMeters(modelToFixed(point, position), position);
+
+  test(`${name}: answers the model origin's height above the terrain`, () => {
+    assert.ok(Math.abs(position.height - getOriginHeight(anchor, position.metersPerUnit)) < 1e-9,
+      `height is ${position.height}, the origin is ${getOriginHeight(anchor, position.metersPerUnit)} m above the terrain`);
+  });
+
+  test(`${name}: places the model origin at the anchor, the height above the ground`, () => {
+    const { positionCartesian, modelMatrix } = computeModelPlacement(position, GROUND_HEIGHT);
+    const expected = Cesium.Cartesian3.fromDegrees(position.lon, position.lat, GROUND_HEIGHT + position.height);
+
+    assertClose(positionCartesian, expected, 1e-6, "origin");
+    assertClose(Cesium.Matrix4.getTranslation(modelMatrix, new Cesium.Cartesian3()), expected, 1e-6, "matrix translation");
+    assertClose(toLocal({ x: 0, y: 0, z: 0 }), { x: 0, y: 0, z: position.height }, EPSILON_M, "local origin");
+  });
+
+  test(`${name}: scales model units to meters`, () => {
+    const { scale, modelMatrix } = computeModelPlacement(position, GROUND_HEIGHT);
+    const columnScale = Cesium.Matrix4.getScale(modelMatrix, new Cesium.Cartesian3());
+
+    assert.equal(scale, 0.001);
+    assertClose(columnScale, { x: 0.001, y: 0.001, z: 0.001 }, 1e-12, "matrix scale");
+
+    // 1000 mm straight up is one meter
+    const up = toLocal({ x: 0, y: 0, z: 1000 });
+    assert.ok(Math.abs(up.z - position.height - 1) < EPSILON_M, `up is ${up.z - position.height} m`);
+  });
+
+  test(`${name}: turns model +Y to the north angle, east of true north`, () => {
+    const angle = Cesium.Math.toRadians(position.northAngle);
+
+    assertClose(toLocal({ x: 0, y: 1000, z: 0 }), { x: Math.sin(angle), y: Math.cos(angle), z: position.height }, EPSILON_M, "model +Y");
+    assertClose(toLocal({ x: 1000, y: 0, z: 0 }), { x: Math.cos(angle), y: -Math.sin(angle), z: position.height }, EPSILON_M, "model +X");
+  });
+
+  test(`${name}: the plugin's meters to model mapping undoes the placement`, () => {
+    const points = [
+      { x: 0, y: 0, z: 0 },
+      { x: 25000, y: 0, z: 0 },
+      { x: 0, y: 40000, z: 0 },
+      { x: anchor.modelBasePoint[0], y: anchor.modelBasePoint[1], z: anchor.modelBasePoint[2] },
+      { x: -12345.6, y: 78901.2, z: 34500 },
+      { x: 150000, y: -90000, z: -2500 }
+    ];
+
+    for (const point of points) {
+      const model = localMetersToModel(toLocal(point), anchor, position.metersPerUnit);
+      assertClose(model, point, EPSILON_MM, `(${point.x}, ${point.y}, ${point.z})`);
+    }
+  });
+}